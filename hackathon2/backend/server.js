@@ -41,8 +41,10 @@ const SensorDataService = require('./services/sensorData');
 
 // Import notification services
 const SMSService = require('./services/smsService');
-const EmailService = require('./services/emailService');
-const PushNotificationService = require('./services/pushNotificationService');
+const emailService = require('../services/emailService');
+const pushService = require('../services/pushService');
+const threatCorrelation = require('../services/threatCorrelation');
+const modelTraining = require('../services/modelTraining');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -317,8 +319,6 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
 
   // Initialize Notification Services
   const smsService = new SMSService();
-  const emailService = new EmailService();
-  const pushNotificationService = new PushNotificationService();
 
   // Scheduled Tasks for Real-time Monitoring
   cron.schedule('*/5 * * * *', async () => {
@@ -330,6 +330,10 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
       const satelliteData = await satelliteData.getLatestData();
       const governmentData = await governmentData.getLatestAlerts();
       
+      // Keep the readings so hazard models can be retrained on them
+      await modelTraining.recordReadings(sensorData)
+        .catch(error => logger.error('Failed to store sensor readings:', error));
+      
       // Run AI/ML analysis
       const threatAnalysis = await threatDetection.analyzeThreats(sensorData, satelliteData, governmentData);
       const weatherThreats = await weatherAnalysis.detectAnomalies(sensorData);
@@ -340,18 +344,27 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
       if (threatAnalysis.threats.length > 0 || weatherThreats.length > 0 || 
           pollutionThreats.length > 0 || erosionThreats.length > 0) {
         
-        // Send real-time notifications
-        await smsService.sendBulkAlerts(threatAnalysis.threats);
-        await emailService.sendThreatAlerts(threatAnalysis.threats);
-        await pushNotificationService.sendNotifications(threatAnalysis.threats);
+        // Fold repeat detections into their active alert; only new alerts
+        // and severity escalations are broadcast to recipients
+        const correlation = await threatCorrelation.correlateThreats(threatAnalysis.threats);
+        const broadcast = [...correlation.created, ...correlation.escalated];
         
         // Emit real-time updates via Socket.io
-        io.to('threat-monitoring').emit('new-threats', {
-          threats: threatAnalysis.threats,
-          timestamp: new Date().toISOString()
-        });
+        if (broadcast.length > 0) {
+          io.to('threat-monitoring').emit('new-threats', {
+            threats: broadcast.map(({ threat, alert }) => ({ ...threat, alertId: alert._id })),
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        if (correlation.refreshed.length > 0) {
+          io.to('threat-monitoring').emit('threats-updated', {
+            alertIds: correlation.refreshed.map(({ alert }) => alert._id),
+            timestamp: new Date().toISOString()
+          });
+        }
         
-        logger.info(`Threats detected and notifications sent: ${threatAnalysis.threats.length} threats`);
+        logger.info(`Threats detected: ${threatAnalysis.threats.length}, broadcast: ${broadcast.length}`);
       }
       
     } catch (error) {
@@ -362,6 +375,18 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     timezone: "Asia/Kolkata"
   });
 
+  // Ingest CAP alerts published by agencies
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      await governmentData.ingestCapFeeds();
+    } catch (error) {
+      logger.error('Error in scheduled CAP ingest:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
   // Error handling middleware
   app.use(errorHandler);
 
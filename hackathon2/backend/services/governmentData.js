@@ -1,5 +1,9 @@
 const axios = require('axios');
-const logger = require('../utils/logger');
+const logger = require('../../utils/logger');
+const Alert = require('../../models/Alert');
+const AlertRevision = require('../../models/AlertRevision');
+const cap = require('../../utils/cap');
+const notificationService = require('../../services/notificationService');
 
 class GovernmentDataService {
   constructor() {
@@ -78,6 +82,12 @@ class GovernmentDataService {
       cpcb: process.env.CPCB_API_KEY || 'demo_key'
     };
 
+    // CAP 1.2 feeds (ATOM indexes or single CAP documents) published by agencies
+    this.capFeeds = (process.env.CAP_FEED_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+
     // Fallback data for when APIs are not available
     this.fallbackData = this.initializeFallbackData();
     
@@ -379,6 +389,158 @@ class GovernmentDataService {
     }
   }
 
+  // Ingest every configured CAP feed into Alert documents
+  async ingestCapFeeds() {
+    const results = { created: 0, updated: 0, cancelled: 0, skipped: 0, failed: 0 };
+
+    for (const url of this.capFeeds) {
+      try {
+        const feedResults = await this.ingestCapFeed(url);
+        Object.keys(results).forEach(key => {
+          results[key] += feedResults[key];
+        });
+      } catch (error) {
+        logger.error(`Error ingesting CAP feed ${url}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    logger.info(`CAP ingest completed: ${JSON.stringify(results)}`);
+    return results;
+  }
+
+  // Fetch a CAP document or an ATOM index of CAP documents and store the alerts
+  async ingestCapFeed(url) {
+    const results = { created: 0, updated: 0, cancelled: 0, skipped: 0, failed: 0 };
+    const document = await this.fetchCapDocument(url);
+
+    let capAlerts = [];
+    if (document.alert) {
+      capAlerts = [document.alert];
+    } else if (document.feed) {
+      for (const entry of document.feed.entry || []) {
+        const links = entry.link || [];
+        const capLink = links.find(link => link['@_type'] === cap.CAP_CONTENT_TYPE) || links[0];
+        if (!capLink) continue;
+
+        try {
+          const entryDocument = await this.fetchCapDocument(new URL(capLink['@_href'], url).toString());
+          if (entryDocument.alert) capAlerts.push(entryDocument.alert);
+        } catch (error) {
+          logger.error(`Error fetching CAP entry ${capLink['@_href']}:`, error.message);
+          results.failed++;
+        }
+      }
+    }
+
+    for (const capAlert of capAlerts) {
+      try {
+        const outcome = await this.saveCapAlert(capAlert);
+        results[outcome]++;
+      } catch (error) {
+        logger.error(`Error saving CAP alert ${capAlert.identifier}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  async fetchCapDocument(url) {
+    const response = await axios.get(url, {
+      headers: { 'Accept': `${cap.CAP_CONTENT_TYPE}, application/atom+xml, application/xml` },
+      responseType: 'text',
+      timeout: 10000
+    });
+    return cap.parseXml(response.data);
+  }
+
+  // Create, update or cancel the Alert matching a CAP message
+  async saveCapAlert(capAlert) {
+    const message = cap.fromCap(capAlert);
+
+    // Exercises, tests and drafts are never shown to the public
+    if (message.status !== 'Actual') {
+      return 'skipped';
+    }
+
+    // Updates and cancellations point at earlier messages through <references>
+    const identifiers = [message.identifier, ...message.references.map(ref => ref.split(',')[1]).filter(Boolean)];
+    const existing = await Alert.findOne({
+      'source.type': 'api',
+      'source.identifier': { $in: identifiers }
+    }).sort({ createdAt: -1 });
+
+    if (message.msgType === 'Cancel') {
+      if (!existing || existing.status !== 'active') return 'skipped';
+
+      // Cancellations take effect immediately, even for a scheduled alert
+      await this.supersedeAlert(existing, message, {
+        ...(message.data && { description: message.data.description }),
+        effectiveAt: null,
+        source: { type: 'api', name: existing.source.name, identifier: message.identifier }
+      }, 'cancel');
+      return 'cancelled';
+    }
+
+    if (existing) {
+      if (existing.source.identifier === message.identifier || existing.status !== 'active') {
+        return 'skipped';
+      }
+
+      await this.supersedeAlert(existing, message, message.data, 'update');
+      return 'updated';
+    }
+
+    if (message.data.expiresAt && message.data.expiresAt < new Date()) {
+      return 'skipped';
+    }
+
+    // Agency messages are authoritative, so they go live without local verification
+    const alert = await Alert.create({
+      ...message.data,
+      status: 'active',
+      verificationStatus: 'verified',
+      verificationNotes: `Ingested from CAP feed (${message.sender})`
+    });
+    await AlertRevision.record(alert, { action: 'created', notes: `CAP alert ${message.identifier}` });
+
+    // Alerts with a future <effective> time are sent later by the alert scheduler
+    await notificationService.dispatchAlert(alert);
+    return 'created';
+  }
+
+  // Issue the update or cancellation an agency sent for one of its alerts as
+  // the next message of the alert's chain, like an authority's own updates
+  async supersedeAlert(original, message, overrides, msgType) {
+    const successor = await Alert.create({
+      ...original.buildChainedMessage(overrides),
+      source: overrides.source,
+      msgType,
+      status: msgType === 'cancel' ? 'cancelled' : 'active',
+      verificationNotes: `Ingested from CAP feed (${message.sender})`
+    });
+
+    const fromStatus = original.status;
+    original.status = msgType === 'cancel' ? 'cancelled' : 'superseded';
+    original.supersededBy = successor._id;
+    await original.save();
+
+    await AlertRevision.record(original, {
+      action: 'status_changed',
+      fromStatus,
+      notes: `${msgType === 'cancel' ? 'Cancelled' : 'Superseded'} by CAP ${message.identifier}`
+    });
+    await AlertRevision.record(successor, {
+      action: 'created',
+      toStatus: successor.status,
+      notes: `CAP ${msgType} ${message.identifier} of ${original._id}`
+    });
+
+    await notificationService.dispatchAlert(successor);
+    return successor;
+  }
+
   // Data processing methods
   processNDMAAlerts(data) {
     if (!Array.isArray(data)) return [];
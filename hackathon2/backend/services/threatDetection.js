@@ -1,46 +1,32 @@
-const tf = require('@tensorflow/tfjs-node');
 const natural = require('natural');
-const logger = require('../utils/logger');
+const logger = require('../../utils/logger');
+const detectionThresholds = require('../../services/detectionThresholds');
+const modelTraining = require('../../services/modelTraining');
+const modelRegistry = require('../../services/modelRegistry');
+const mlFeatures = require('../../utils/mlFeatures');
 
 class ThreatDetectionService {
   constructor() {
     this.models = {};
+    this.modelVersions = {};
+    // Built-in thresholds; readings are checked against the thresholds set
+    // for their station or coastal area, see detectionThresholds.resolve
     this.threatPatterns = {
       flooding: {
         indicators: ['water_level', 'tide_height', 'rainfall', 'storm_surge'],
-        thresholds: {
-          water_level: 2.5, // meters
-          tide_height: 3.0, // meters
-          rainfall: 100, // mm/hour
-          storm_surge: 1.5 // meters
-        }
+        thresholds: detectionThresholds.DEFAULT_THRESHOLDS.flooding
       },
       erosion: {
         indicators: ['shoreline_change', 'wave_height', 'tide_range', 'sediment_loss'],
-        thresholds: {
-          shoreline_change: -0.5, // meters/year
-          wave_height: 4.0, // meters
-          tide_range: 2.0, // meters
-          sediment_loss: 100 // tons/year
-        }
+        thresholds: detectionThresholds.DEFAULT_THRESHOLDS.erosion
       },
       pollution: {
         indicators: ['water_quality', 'oil_spill', 'plastic_concentration', 'chemical_levels'],
-        thresholds: {
-          water_quality: 6.5, // pH
-          oil_spill: 0.1, // mg/L
-          plastic_concentration: 1000, // particles/m³
-          chemical_levels: 0.05 // mg/L
-        }
+        thresholds: detectionThresholds.DEFAULT_THRESHOLDS.pollution
       },
       storm: {
         indicators: ['wind_speed', 'wave_height', 'atmospheric_pressure', 'storm_category'],
-        thresholds: {
-          wind_speed: 63, // km/h (tropical storm)
-          wave_height: 4.0, // meters
-          atmospheric_pressure: 1000, // hPa
-          storm_category: 1 // Saffir-Simpson scale
-        }
+        thresholds: detectionThresholds.DEFAULT_THRESHOLDS.storm
       }
     };
     
@@ -49,45 +35,71 @@ class ThreatDetectionService {
 
   async init() {
     try {
-      // Load pre-trained models
+      // Load trained models
       await this.loadModels();
-      logger.info('Threat detection models loaded successfully');
     } catch (error) {
       logger.error('Error loading threat detection models:', error);
     }
   }
 
   async loadModels() {
+    const active = await this.activeVersions() || {};
+    for (const hazard of Object.keys(this.threatPatterns)) {
+      await this.loadModel(hazard, active[hazard]);
+    }
+    logger.info(`Threat detection models: ${Object.keys(this.models).map(hazard => `${hazard} ${this.modelVersions[hazard] || 'statistical'}`).join(', ')}`);
+  }
+
+  // Load the hazard's active version from the model registry, falling back
+  // to statistical analysis until one has been promoted or while TensorFlow
+  // cannot be loaded
+  async loadModel(hazard, active) {
+    if (this.models[hazard] && this.models[hazard].dispose) this.models[hazard].dispose();
+
+    if (!active) {
+      this.models[hazard] = { type: 'statistical' };
+      this.modelVersions[hazard] = null;
+      return;
+    }
+
     try {
-      // Load flooding prediction model
-      this.models.flooding = await tf.loadLayersModel('file://./models/flooding_model/model.json');
-      
-      // Load erosion prediction model
-      this.models.erosion = await tf.loadLayersModel('file://./models/erosion_model/model.json');
-      
-      // Load pollution detection model
-      this.models.pollution = await tf.loadLayersModel('file://./models/pollution_model/model.json');
-      
-      // Load storm prediction model
-      this.models.storm = await tf.loadLayersModel('file://./models/storm_model/model.json');
-      
-      logger.info('All AI models loaded successfully');
+      this.models[hazard] = await modelTraining.loadTf().loadLayersModel(`file://${active.artifact}/model.json`);
+      this.modelVersions[hazard] = active.version;
+    } catch (error) {
+      logger.warn(`Using fallback statistical model for ${hazard} - model ${active.version} not available:`, error);
+      this.models[hazard] = { type: 'statistical' };
+      this.modelVersions[hazard] = null;
+    }
+  }
+
+  // Active versions from the registry; none while it cannot be reached
+  async activeVersions() {
+    try {
+      return await modelRegistry.activeVersions();
     } catch (error) {
-      logger.warn('Using fallback statistical models - AI models not available');
-      this.useFallbackModels();
+      logger.warn('Model registry not available:', error);
+      return null;
     }
   }
 
-  useFallbackModels() {
-    // Fallback to statistical analysis when AI models are not available
-    this.models.flooding = { type: 'statistical' };
-    this.models.erosion = { type: 'statistical' };
-    this.models.pollution = { type: 'statistical' };
-    this.models.storm = { type: 'statistical' };
+  // Follow promotions and rollbacks made since the models were loaded,
+  // keeping the loaded models while the registry cannot be reached
+  async refreshModels() {
+    const active = await this.activeVersions();
+    if (!active) return;
+
+    for (const hazard of Object.keys(this.threatPatterns)) {
+      const version = active[hazard] ? active[hazard].version : null;
+      if (version !== this.modelVersions[hazard]) {
+        await this.loadModel(hazard, active[hazard]);
+      }
+    }
   }
 
   async analyzeThreats(sensorData, satelliteData, governmentData) {
     try {
+      await this.refreshModels();
+
       const threats = [];
       const analysis = {
         threats: threats,
@@ -138,17 +150,18 @@ class ThreatDetectionService {
     try {
       if (this.models.flooding.type === 'statistical') {
         // Statistical analysis
+        const thresholds = await detectionThresholds.resolve('flooding', sensorData);
         const waterLevel = sensorData.water_level || 0;
         const tideHeight = sensorData.tide_height || 0;
         const rainfall = sensorData.rainfall || 0;
         const stormSurge = sensorData.storm_surge || 0;
 
-        if (waterLevel > this.threatPatterns.flooding.thresholds.water_level) {
+        if (waterLevel > thresholds.water_level) {
           threats.push({
             type: 'flooding',
             severity: 'CRITICAL',
             location: sensorData.location,
-            description: `High water level detected: ${waterLevel}m (threshold: ${this.threatPatterns.flooding.thresholds.water_level}m)`,
+            description: `High water level detected: ${waterLevel}m (threshold: ${thresholds.water_level}m)`,
             confidence: 0.85,
             timestamp: new Date().toISOString(),
             indicators: { water_level: waterLevel },
@@ -156,12 +169,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (tideHeight > this.threatPatterns.flooding.thresholds.tide_height) {
+        if (tideHeight > thresholds.tide_height) {
           threats.push({
             type: 'flooding',
             severity: 'HIGH',
             location: sensorData.location,
-            description: `High tide detected: ${tideHeight}m (threshold: ${this.threatPatterns.flooding.thresholds.tide_height}m)`,
+            description: `High tide detected: ${tideHeight}m (threshold: ${thresholds.tide_height}m)`,
             confidence: 0.75,
             timestamp: new Date().toISOString(),
             indicators: { tide_height: tideHeight },
@@ -169,12 +182,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (rainfall > this.threatPatterns.flooding.thresholds.rainfall) {
+        if (rainfall > thresholds.rainfall) {
           threats.push({
             type: 'flooding',
             severity: 'MEDIUM',
             location: sensorData.location,
-            description: `Heavy rainfall detected: ${rainfall}mm/hour (threshold: ${this.threatPatterns.flooding.thresholds.rainfall}mm/hour)`,
+            description: `Heavy rainfall detected: ${rainfall}mm/hour (threshold: ${thresholds.rainfall}mm/hour)`,
             confidence: 0.70,
             timestamp: new Date().toISOString(),
             indicators: { rainfall: rainfall },
@@ -212,16 +225,17 @@ class ThreatDetectionService {
     
     try {
       if (this.models.erosion.type === 'statistical') {
+        const thresholds = await detectionThresholds.resolve('erosion', sensorData);
         const shorelineChange = sensorData.shoreline_change || 0;
         const waveHeight = sensorData.wave_height || 0;
         const tideRange = sensorData.tide_range || 0;
 
-        if (shorelineChange < this.threatPatterns.erosion.thresholds.shoreline_change) {
+        if (shorelineChange < thresholds.shoreline_change) {
           threats.push({
             type: 'erosion',
             severity: 'HIGH',
             location: sensorData.location,
-            description: `Significant shoreline erosion detected: ${shorelineChange}m/year (threshold: ${this.threatPatterns.erosion.thresholds.shoreline_change}m/year)`,
+            description: `Significant shoreline erosion detected: ${shorelineChange}m/year (threshold: ${thresholds.shoreline_change}m/year)`,
             confidence: 0.80,
             timestamp: new Date().toISOString(),
             indicators: { shoreline_change: shorelineChange },
@@ -229,12 +243,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (waveHeight > this.threatPatterns.erosion.thresholds.wave_height) {
+        if (waveHeight > thresholds.wave_height) {
           threats.push({
             type: 'erosion',
             severity: 'MEDIUM',
             location: sensorData.location,
-            description: `High wave activity detected: ${waveHeight}m (threshold: ${this.threatPatterns.erosion.thresholds.wave_height}m)`,
+            description: `High wave activity detected: ${waveHeight}m (threshold: ${thresholds.wave_height}m)`,
             confidence: 0.70,
             timestamp: new Date().toISOString(),
             indicators: { wave_height: waveHeight },
@@ -272,16 +286,17 @@ class ThreatDetectionService {
     
     try {
       if (this.models.pollution.type === 'statistical') {
+        const thresholds = await detectionThresholds.resolve('pollution', sensorData);
         const waterQuality = sensorData.water_quality || 7.0;
         const oilSpill = sensorData.oil_spill || 0;
         const plasticConcentration = sensorData.plastic_concentration || 0;
 
-        if (waterQuality < this.threatPatterns.pollution.thresholds.water_quality) {
+        if (waterQuality < thresholds.water_quality) {
           threats.push({
             type: 'pollution',
             severity: 'HIGH',
             location: sensorData.location,
-            description: `Poor water quality detected: pH ${waterQuality} (threshold: ${this.threatPatterns.pollution.thresholds.water_quality})`,
+            description: `Poor water quality detected: pH ${waterQuality} (threshold: ${thresholds.water_quality})`,
             confidence: 0.85,
             timestamp: new Date().toISOString(),
             indicators: { water_quality: waterQuality },
@@ -289,12 +304,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (oilSpill > this.threatPatterns.pollution.thresholds.oil_spill) {
+        if (oilSpill > thresholds.oil_spill) {
           threats.push({
             type: 'pollution',
             severity: 'CRITICAL',
             location: sensorData.location,
-            description: `Oil spill detected: ${oilSpill}mg/L (threshold: ${this.threatPatterns.pollution.thresholds.oil_spill}mg/L)`,
+            description: `Oil spill detected: ${oilSpill}mg/L (threshold: ${thresholds.oil_spill}mg/L)`,
             confidence: 0.90,
             timestamp: new Date().toISOString(),
             indicators: { oil_spill: oilSpill },
@@ -302,12 +317,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (plasticConcentration > this.threatPatterns.pollution.thresholds.plastic_concentration) {
+        if (plasticConcentration > thresholds.plastic_concentration) {
           threats.push({
             type: 'pollution',
             severity: 'MEDIUM',
             location: sensorData.location,
-            description: `High plastic concentration detected: ${plasticConcentration} particles/m³ (threshold: ${this.threatPatterns.pollution.thresholds.plastic_concentration} particles/m³)`,
+            description: `High plastic concentration detected: ${plasticConcentration} particles/m³ (threshold: ${thresholds.plastic_concentration} particles/m³)`,
             confidence: 0.75,
             timestamp: new Date().toISOString(),
             indicators: { plastic_concentration: plasticConcentration },
@@ -345,16 +360,17 @@ class ThreatDetectionService {
     
     try {
       if (this.models.storm.type === 'statistical') {
+        const thresholds = await detectionThresholds.resolve('storm', sensorData);
         const windSpeed = sensorData.wind_speed || 0;
         const waveHeight = sensorData.wave_height || 0;
         const atmosphericPressure = sensorData.atmospheric_pressure || 1013;
 
-        if (windSpeed > this.threatPatterns.storm.thresholds.wind_speed) {
+        if (windSpeed > thresholds.wind_speed) {
           threats.push({
             type: 'storm',
             severity: 'HIGH',
             location: sensorData.location,
-            description: `High wind speed detected: ${windSpeed} km/h (threshold: ${this.threatPatterns.storm.thresholds.wind_speed} km/h)`,
+            description: `High wind speed detected: ${windSpeed} km/h (threshold: ${thresholds.wind_speed} km/h)`,
             confidence: 0.80,
             timestamp: new Date().toISOString(),
             indicators: { wind_speed: windSpeed },
@@ -362,12 +378,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (waveHeight > this.threatPatterns.storm.thresholds.wave_height) {
+        if (waveHeight > thresholds.wave_height) {
           threats.push({
             type: 'storm',
             severity: 'MEDIUM',
             location: sensorData.location,
-            description: `High wave height detected: ${waveHeight}m (threshold: ${this.threatPatterns.storm.thresholds.wave_height}m)`,
+            description: `High wave height detected: ${waveHeight}m (threshold: ${thresholds.wave_height}m)`,
             confidence: 0.75,
             timestamp: new Date().toISOString(),
             indicators: { wave_height: waveHeight },
@@ -375,12 +391,12 @@ class ThreatDetectionService {
           });
         }
 
-        if (atmosphericPressure < this.threatPatterns.storm.thresholds.atmospheric_pressure) {
+        if (atmosphericPressure < thresholds.atmospheric_pressure) {
           threats.push({
             type: 'storm',
             severity: 'MEDIUM',
             location: sensorData.location,
-            description: `Low atmospheric pressure detected: ${atmosphericPressure} hPa (threshold: ${this.threatPatterns.storm.thresholds.atmospheric_pressure} hPa)`,
+            description: `Low atmospheric pressure detected: ${atmosphericPressure} hPa (threshold: ${thresholds.atmospheric_pressure} hPa)`,
             confidence: 0.70,
             timestamp: new Date().toISOString(),
             indicators: { atmospheric_pressure: atmosphericPressure },
@@ -483,93 +499,56 @@ class ThreatDetectionService {
     return [...new Set(recommendations)];
   }
 
-  // Helper methods for preparing input data for AI models
+  // Helper methods for preparing input data for AI models. Readings are
+  // scaled with the statistics the model was trained with.
+  prepareInput(hazard, sensorData) {
+    const metadata = this.models[hazard].getUserDefinedMetadata() || {};
+    const input = mlFeatures.featureVector(hazard, sensorData);
+
+    return modelTraining.loadTf().tensor2d([metadata.normalization ? mlFeatures.normalize(input, metadata.normalization) : input], [1, input.length]);
+  }
+
   prepareFloodingInput(sensorData, satelliteData) {
-    // Prepare normalized input tensor for flooding prediction
-    const input = [
-      sensorData.water_level || 0,
-      sensorData.tide_height || 0,
-      sensorData.rainfall || 0,
-      sensorData.storm_surge || 0,
-      sensorData.humidity || 0,
-      sensorData.temperature || 25
-    ];
-    
-    return tf.tensor2d([input], [1, 6]);
+    return this.prepareInput('flooding', sensorData);
   }
 
   prepareErosionInput(sensorData, satelliteData) {
-    // Prepare normalized input tensor for erosion prediction
-    const input = [
-      sensorData.shoreline_change || 0,
-      sensorData.wave_height || 0,
-      sensorData.tide_range || 0,
-      sensorData.sediment_loss || 0,
-      sensorData.wind_speed || 0,
-      sensorData.current_speed || 0
-    ];
-    
-    return tf.tensor2d([input], [1, 6]);
+    return this.prepareInput('erosion', sensorData);
   }
 
   preparePollutionInput(sensorData, satelliteData) {
-    // Prepare normalized input tensor for pollution prediction
-    const input = [
-      sensorData.water_quality || 7.0,
-      sensorData.oil_spill || 0,
-      sensorData.plastic_concentration || 0,
-      sensorData.chemical_levels || 0,
-      sensorData.turbidity || 0,
-      sensorData.dissolved_oxygen || 8.0
-    ];
-    
-    return tf.tensor2d([input], [1, 6]);
+    return this.prepareInput('pollution', sensorData);
   }
 
   prepareStormInput(sensorData, satelliteData) {
-    // Prepare normalized input tensor for storm prediction
-    const input = [
-      sensorData.wind_speed || 0,
-      sensorData.wave_height || 0,
-      sensorData.atmospheric_pressure || 1013,
-      sensorData.storm_category || 0,
-      sensorData.humidity || 0,
-      sensorData.temperature || 25
-    ];
-    
-    return tf.tensor2d([input], [1, 6]);
+    return this.prepareInput('storm', sensorData);
   }
 
-  // Method to retrain models with new data
-  async retrainModel(modelType, trainingData) {
+  // Train a new version of one hazard's model from stored sensor readings
+  // labelled by verified and rejected alerts. The version is registered as a
+  // candidate; detection switches to it once an admin promotes it.
+  async retrainModel(modelType, options = {}) {
     try {
       logger.info(`Retraining ${modelType} model with new data...`);
-      
-      // Implementation for model retraining
-      // This would involve collecting new data and updating the model weights
-      
+
+      const result = await modelTraining.trainHazard(modelType, options);
+      if (result.status !== 'trained') {
+        logger.warn(`${modelType} model not retrained: ${result.reason}`);
+        return { success: false, message: result.reason, result };
+      }
+
       logger.info(`${modelType} model retraining completed`);
-      return { success: true, message: `${modelType} model retrained successfully` };
+      return { success: true, message: `${modelType} model retrained successfully`, result };
     } catch (error) {
       logger.error(`Error retraining ${modelType} model:`, error);
       throw error;
     }
   }
 
-  // Method to get model performance metrics
+  // Metrics of the active model version, measured on its held-out test set
   async getModelPerformance(modelType) {
     try {
-      // Return model performance metrics
-      return {
-        modelType: modelType,
-        accuracy: 0.85,
-        precision: 0.82,
-        recall: 0.88,
-        f1Score: 0.85,
-        lastUpdated: new Date().toISOString(),
-        trainingDataSize: 10000,
-        validationDataSize: 2000
-      };
+      return modelRegistry.describe(modelType, await modelRegistry.activeVersion(modelType));
     } catch (error) {
       logger.error(`Error getting performance for ${modelType} model:`, error);
       throw error;
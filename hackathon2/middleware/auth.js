@@ -59,6 +59,20 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Resolve a bearer token outside of HTTP requests, e.g. for socket events.
+// Returns null for missing or invalid tokens.
+const userFromToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return await User.findById(decoded.id).select('-password');
+  } catch (error) {
+    logger.warn('Socket auth failed:', error.message);
+    return null;
+  }
+};
+
 // Role-based authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -121,5 +135,6 @@ module.exports = {
   protect,
   optionalAuth,
   authorize,
-  checkOwnership
+  checkOwnership,
+  userFromToken
 };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const geo = require('../utils/geo');
 
 const AlertSchema = new mongoose.Schema({
   title: {
@@ -23,20 +24,55 @@ const AlertSchema = new mongoose.Schema({
     required: [true, 'Please specify severity level'],
     default: 'warning'
   },
+  urgency: {
+    type: String,
+    enum: ['immediate', 'expected', 'future', 'past', 'unknown']
+  },
+  certainty: {
+    type: String,
+    enum: ['observed', 'likely', 'possible', 'unlikely', 'unknown']
+  },
   status: {
     type: String,
-    enum: ['active', 'resolved', 'expired', 'cancelled'],
+    enum: ['draft', 'pending_verification', 'active', 'resolved', 'expired', 'cancelled', 'superseded'],
     default: 'active'
   },
+  // Updates and cancellations are separate messages chained to the one they replace
+  msgType: {
+    type: String,
+    enum: ['alert', 'update', 'cancel'],
+    default: 'alert'
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert' // first alert of the chain; shared by every later message
+  },
   location: {
     type: {
       type: String,
-      enum: ['Point', 'Polygon'],
+      enum: ['Point', 'Polygon', 'MultiPolygon'],
       default: 'Point'
     },
     coordinates: {
-      type: [Number], // [longitude, latitude] for Point, [[[lng, lat], [lng, lat], ...]] for Polygon
-      required: [true, 'Please provide coordinates']
+      type: mongoose.Schema.Types.Mixed, // [lng, lat] for Point, [[[lng, lat], ...]] for Polygon, [[[[lng, lat], ...]]] for MultiPolygon
+      required: [true, 'Please provide coordinates'],
+      validate: {
+        // Throwing lets mongoose report the specific geometry problem
+        validator: function(coordinates) {
+          const error = geo.validateGeometry({ type: this.location.type, coordinates });
+          if (error) throw new Error(error);
+          return true;
+        },
+        message: props => (props.reason ? props.reason.message : 'Invalid alert area')
+      }
     },
     coastalArea: {
       type: String,
@@ -137,6 +173,7 @@ const AlertSchema = new mongoose.Schema({
       default: 'system'
     },
     name: String,
+    identifier: String, // upstream message id, e.g. CAP <identifier>
     reliability: {
       type: Number,
       min: 0,
@@ -147,7 +184,10 @@ const AlertSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Alerts ingested from agency feeds or raised by threat detection have no local author
+    required: function() {
+      return !this.source || !['api', 'system'].includes(this.source.type);
+    }
   },
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -159,7 +199,67 @@ const AlertSchema = new mongoose.Schema({
     default: 'pending'
   },
   verificationNotes: String,
+  verifiedAt: Date,
+  effectiveAt: Date, // published and fanned out from this time; immediately if unset
+  onsetAt: Date, // expected start of the hazard itself
   expiresAt: Date,
+  notifiedAt: Date, // set once every recipient has been sent to or queued
+  dispatchStartedAt: Date, // claimed by a dispatch; refreshed as it makes progress
+  // Number of the latest AlertRevision, incremented atomically as revisions are recorded
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  lastSMSSent: Date, // last scheduled SMS reminder
+  detection: {
+    firstDetectedAt: Date,
+    lastDetectedAt: Date,
+    windowEndsAt: Date, // repeat detections until then update this alert
+    occurrences: {
+      type: Number,
+      default: 0
+    },
+    confidence: Number,
+    indicators: mongoose.Schema.Types.Mixed
+  },
+  escalation: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    level: {
+      type: Number,
+      default: 0 // number of policy steps already carried out
+    },
+    acknowledgedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date, // every step has run without an acknowledgement
+    log: [{
+      step: Number,
+      action: {
+        type: String,
+        enum: ['notified', 'acknowledged', 'exhausted']
+      },
+      tier: String,
+      channels: [String],
+      recipients: Number,
+      delivered: Number,
+      // Paged only by SMS, which the notification job below has yet to send
+      queued: Number,
+      job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NotificationJob'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      notes: String
+    }]
+  },
   acknowledgedBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -168,7 +268,7 @@ const AlertSchema = new mongoose.Schema({
     acknowledgedAt: Date,
     method: {
       type: String,
-      enum: ['sms', 'email', 'push', 'web']
+      enum: ['sms', 'email', 'push', 'web', 'voice']
     }
   }],
   statistics: {
@@ -176,10 +276,15 @@ const AlertSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Messages confirmed delivered or failed by provider delivery receipts
     deliveredCount: {
       type: Number,
       default: 0
     },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
     readCount: {
       type: Number,
       default: 0
@@ -202,19 +307,62 @@ const AlertSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Allowed lifecycle transitions; resolved, expired, cancelled and superseded are final
+const STATUS_TRANSITIONS = {
+  draft: ['pending_verification', 'cancelled'],
+  pending_verification: ['active', 'draft', 'cancelled'],
+  active: ['resolved', 'expired', 'cancelled', 'superseded'],
+  resolved: [],
+  expired: [],
+  cancelled: [],
+  superseded: []
+};
+
+// Fields an update or cancellation inherits from the alert it supersedes. The
+// source is not inherited: each message names whoever issued it.
+const CHAINED_FIELDS = ['title', 'description', 'type', 'severity', 'urgency', 'certainty', 'location',
+  'instructions', 'evacuationInfo', 'effectiveAt', 'onsetAt', 'expiresAt', 'priority', 'tags'];
+
+// Severities from least to most serious
+const SEVERITY_LEVELS = ['info', 'warning', 'critical', 'emergency'];
+
+// Severities at or above a minimum
+const severitiesFrom = (minimum = 'info') => SEVERITY_LEVELS.slice(Math.max(0, SEVERITY_LEVELS.indexOf(minimum)));
+
 // Indexes for efficient querying
-AlertSchema.index({ 'location.coordinates': '2dsphere' });
+// The whole location object is GeoJSON, so points and polygons share one index
+AlertSchema.index({ location: '2dsphere' });
 AlertSchema.index({ type: 1, severity: 1 });
 AlertSchema.index({ status: 1, createdAt: -1 });
 AlertSchema.index({ 'location.coastalArea': 1, createdAt: -1 });
-AlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Expired alerts are kept with status "expired" by the alert expiry job, not deleted
+AlertSchema.index({ status: 1, expiresAt: 1 });
 AlertSchema.index({ createdBy: 1, createdAt: -1 });
+AlertSchema.index({ 'source.name': 1, 'source.identifier': 1 });
+AlertSchema.index({ type: 1, 'location.coastalArea': 1, 'detection.lastDetectedAt': -1 });
+AlertSchema.index({ status: 1, severity: 1, 'escalation.acknowledgedAt': 1 });
+AlertSchema.index({ eventId: 1, createdAt: 1 });
+AlertSchema.index({ status: 1, effectiveAt: 1, notifiedAt: 1 });
+
+// Every alert starts its own chain unless it supersedes another
+AlertSchema.pre('save', function(next) {
+  if (!this.eventId) {
+    this.eventId = this._id;
+  }
+  next();
+});
 
 // Virtual for alert age
 AlertSchema.virtual('age').get(function() {
   return Date.now() - this.createdAt;
 });
 
+// Virtual for isEffective
+AlertSchema.virtual('isEffective').get(function() {
+  if (!this.effectiveAt) return true;
+  return Date.now() >= this.effectiveAt;
+});
+
 // Virtual for isExpired
 AlertSchema.virtual('isExpired').get(function() {
   if (!this.expiresAt) return false;
@@ -246,15 +394,71 @@ AlertSchema.virtual('urgencyScore').get(function() {
   return Math.min(100, Math.max(0, score));
 });
 
+// Method to check whether the alert may move to another status
+AlertSchema.methods.canTransitionTo = function(status) {
+  if (status === this.status) return true;
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to build the next message of this alert's chain, superseding it.
+// `user` is the issuing authority; messages from agency feeds have none.
+AlertSchema.methods.buildChainedMessage = function(overrides = {}, user) {
+  const base = this.toObject();
+  const data = {};
+  CHAINED_FIELDS.forEach(field => {
+    data[field] = overrides[field] !== undefined ? overrides[field] : base[field];
+  });
+
+  return {
+    ...data,
+    supersedes: this._id,
+    eventId: this.eventId || this._id,
+    createdBy: user ? user.id : undefined,
+    verifiedBy: user ? user.id : undefined,
+    verifiedAt: new Date(),
+    verificationStatus: 'verified'
+  };
+};
+
 // Method to check if alert affects a specific location
 AlertSchema.methods.affectsLocation = function(coordinates, radius = 0) {
   if (this.location.type === 'Point') {
     const distance = this.calculateDistance(coordinates, this.location.coordinates);
     return distance <= (this.location.radius + radius);
   }
-  // For polygon, implement more complex intersection logic
-  return true; // Simplified for now
-});
+  // Polygon areas already follow the coastline, so only the caller's radius applies
+  return geo.distanceToGeometryKm(coordinates, this.location) <= radius;
+};
+
+// Method to build a query condition selecting stored points inside the alert area
+AlertSchema.methods.getAreaCondition = function() {
+  return geo.withinAreaCondition(this.location);
+};
+
+// Method to build a query condition selecting the users an alert is for: those
+// living inside the alert area who want this type of alert, and those with an
+// active saved place overlapping it whose type and severity filters it passes
+AlertSchema.methods.getRecipientCondition = function() {
+  return {
+    $or: [
+      {
+        'location.coordinates': this.getAreaCondition(),
+        'preferences.alertTypes': this.type
+      },
+      {
+        places: {
+          $elemMatch: {
+            isActive: true,
+            area: geo.intersectsAreaCondition(this.location),
+            // An empty type list means every type
+            alertTypes: { $in: [this.type, []] },
+            minSeverity: { $in: SEVERITY_LEVELS.slice(0, SEVERITY_LEVELS.indexOf(this.severity) + 1) }
+          }
+        }
+      }
+    ]
+  };
+};
 
 // Method to calculate distance between two points
 AlertSchema.methods.calculateDistance = function(coord1, coord2) {
@@ -274,24 +478,94 @@ AlertSchema.methods.getInstruction = function(language = 'english') {
   return instruction ? instruction.text : this.instructions[0]?.text || this.description;
 };
 
-// Static method to find active alerts for a location
-AlertSchema.statics.findActiveAlertsForLocation = function(coordinates, radius = 50) {
+// Static method to find active alerts for a location: [lng, lat] coordinates,
+// or a user, whose home and active saved places are all matched. A saved place
+// only matches the alert types and severities it asks for.
+AlertSchema.statics.findActiveAlertsForLocation = function(target, radius = 50) {
+  const areas = [];
+  if (Array.isArray(target)) {
+    areas.push(geo.nearPointCondition(target, radius));
+  } else {
+    areas.push(geo.nearPointCondition(target.location.coordinates, radius));
+    (target.places || []).filter(place => place.isActive).forEach(place => {
+      areas.push({
+        location: { $geoIntersects: { $geometry: { type: place.area.type, coordinates: place.area.coordinates } } },
+        ...(place.alertTypes.length > 0 && { type: { $in: place.alertTypes } }),
+        severity: { $in: severitiesFrom(place.minSeverity) }
+      });
+    });
+  }
+
   return this.find({
     status: 'active',
-    'location.coordinates': {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: coordinates
-        },
-        $maxDistance: radius * 1000 // Convert to meters
-      }
-    },
     $or: [
       { expiresAt: { $exists: false } },
       { expiresAt: { $gt: new Date() } }
-    ]
+    ],
+    $and: [this.effectiveCondition(), { $or: areas }]
   }).sort({ priority: -1, createdAt: -1 });
 };
 
+// Static method to build a query condition matching alerts already in effect
+AlertSchema.statics.effectiveCondition = function(now = new Date()) {
+  return {
+    $or: [
+      { effectiveAt: null },
+      { effectiveAt: { $lte: now } }
+    ]
+  };
+};
+
+// Static method to get every message of an event, oldest first
+AlertSchema.statics.findChain = function(eventId) {
+  return this.find({ eventId }).sort({ createdAt: 1 });
+};
+
+// Static method to build the filter behind alert listings and public feeds
+AlertSchema.statics.buildListFilter = function(options = {}) {
+  const {
+    type,
+    severity,
+    status = 'active',
+    coastalArea,
+    coordinates,
+    radius = 50,
+    includeScheduled = false,
+    scheduledOnly = false
+  } = options;
+  const filter = {};
+
+  if (scheduledOnly) {
+    filter.effectiveAt = { $gt: new Date() };
+  } else if (!includeScheduled) {
+    filter.$and = [this.effectiveCondition()];
+  }
+
+  if (type) filter.type = type;
+  if (severity) filter.severity = severity;
+  if (status) filter.status = status;
+  if (coastalArea) filter['location.coastalArea'] = coastalArea;
+
+  // Add expiration filter for active alerts
+  if (status === 'active') {
+    filter.$or = [
+      { expiresAt: { $exists: false } },
+      { expiresAt: { $gt: new Date() } }
+    ];
+  }
+
+  // Geospatial query if "lng,lat" coordinates are given; matches point and polygon areas
+  if (typeof coordinates === 'string') {
+    const [lng, lat] = coordinates.split(',').map(Number);
+    if (!isNaN(lng) && !isNaN(lat)) {
+      filter.$and = [...(filter.$and || []), geo.nearPointCondition([lng, lat], Number(radius))];
+    }
+  }
+
+  return filter;
+};
+
+AlertSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+AlertSchema.statics.SEVERITY_LEVELS = SEVERITY_LEVELS;
+
 module.exports = mongoose.model('Alert', AlertSchema);
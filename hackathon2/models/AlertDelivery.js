@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One row per user and channel an alert message was sent over
+const AlertDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  messageType: {
+    type: String,
+    enum: ['alert', 'update', 'cancel'],
+    default: 'alert'
+  },
+  status: {
+    type: String,
+    // queued again while a dead-lettered message is retried
+    enum: ['sent', 'failed', 'queued'],
+    required: true
+  },
+  // Delivery state reported by the provider; only SMS has receipts, so other
+  // channels stay at "sent" once accepted
+  deliveryStatus: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'failed', 'undelivered'],
+    default: function() {
+      if (this.status === 'failed') return 'failed';
+      return this.providerMessageId ? 'queued' : 'sent';
+    }
+  },
+  deliveredAt: Date,
+  providerMessageId: String,
+  // Queued message this row records, for SMS sent through the notification queue
+  outboundMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundMessage'
+  },
+  errorCode: String,
+  error: String
+}, {
+  timestamps: true
+});
+
+AlertDeliverySchema.index({ alert: 1, user: 1 });
+AlertDeliverySchema.index({ user: 1, createdAt: -1 });
+AlertDeliverySchema.index({ providerMessageId: 1 });
+AlertDeliverySchema.index({ outboundMessage: 1 }, { unique: true, partialFilterExpression: { outboundMessage: { $exists: true } } });
+AlertDeliverySchema.index({ channel: 1, createdAt: -1 });
+
+// Static method to list users who were successfully sent an alert
+AlertDeliverySchema.statics.findRecipientIds = function(alertId) {
+  return this.distinct('user', { alert: alertId, status: 'sent' });
+};
+
+module.exports = mongoose.model('AlertDelivery', AlertDeliverySchema);
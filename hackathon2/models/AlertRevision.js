@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const AlertRevisionSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'status_changed', 'verified', 'rejected', 'deleted'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  fromStatus: String,
+  toStatus: String,
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AlertRevisionSchema.index({ alert: 1, revision: 1 }, { unique: true });
+AlertRevisionSchema.index({ actor: 1, createdAt: -1 });
+
+// Compare two plain snapshots of an alert and list the fields that differ
+AlertRevisionSchema.statics.diff = function(before, after, fields) {
+  return fields.reduce((changes, field) => {
+    const from = before[field];
+    const to = after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+// Append the next revision for an alert. The number comes from the alert's
+// revisionCount so concurrent edits never claim the same revision.
+AlertRevisionSchema.statics.record = async function(alert, { action, actor, changes = [], fromStatus, toStatus, notes }) {
+  const Alert = mongoose.model('Alert');
+
+  for (let attempt = 1; ; attempt++) {
+    const counter = await Alert.findByIdAndUpdate(alert._id, { $inc: { revisionCount: 1 } }, { new: true })
+      .select('revisionCount')
+      .lean();
+    if (!counter) throw new Error(`Alert ${alert._id} not found`);
+
+    try {
+      return await this.create({
+        alert: alert._id,
+        revision: counter.revisionCount,
+        action,
+        actor: actor ? actor._id || actor.id : undefined,
+        actorRole: actor ? actor.role : 'system',
+        fromStatus,
+        toStatus: toStatus || alert.status,
+        changes,
+        notes
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt > 1) throw error;
+
+      // History recorded before the counter existed; move it past the latest revision
+      const latest = await this.findOne({ alert: alert._id })
+        .sort({ revision: -1 })
+        .select('revision')
+        .lean();
+      await Alert.updateOne(
+        { _id: alert._id, revisionCount: { $lt: latest.revision } },
+        { $set: { revisionCount: latest.revision } }
+      );
+    }
+  }
+};
+
+module.exports = mongoose.model('AlertRevision', AlertRevisionSchema);
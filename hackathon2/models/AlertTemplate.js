@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Placeholders look like {tideHeight} and are filled when an alert is created
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const findPlaceholders = (text = '') => {
+  return Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+};
+
+const fillPlaceholders = (text = '', values) => {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name]));
+};
+
+const AlertTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a template name'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone'],
+    required: [true, 'Please specify alert type']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please add a description'],
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  instructions: [{
+    language: {
+      type: String,
+      enum: ['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']
+    },
+    text: String
+  }],
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical', 'emergency'],
+    default: 'warning'
+  },
+  priority: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 5
+  },
+  expiresInHours: {
+    type: Number,
+    min: [1, 'Expiry must be at least one hour'],
+    max: [720, 'Expiry cannot be more than 30 days']
+  },
+  tags: [String],
+  variables: [String], // placeholder names, collected on save
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+AlertTemplateSchema.index({ type: 1, isActive: 1 });
+
+// Collect the placeholders used anywhere in the template
+AlertTemplateSchema.pre('save', function(next) {
+  const texts = [this.title, this.description, ...this.instructions.map(inst => inst.text)];
+  this.variables = [...new Set(texts.flatMap(findPlaceholders))];
+  next();
+});
+
+// Method to list the variables a fill is missing
+AlertTemplateSchema.methods.missingVariables = function(values = {}) {
+  return this.variables.filter(name => values[name] === undefined || values[name] === null || values[name] === '');
+};
+
+// Method to fill the template text with variable values
+AlertTemplateSchema.methods.render = function(values = {}) {
+  return {
+    title: fillPlaceholders(this.title, values),
+    description: fillPlaceholders(this.description, values),
+    instructions: this.instructions.map(inst => ({
+      language: inst.language,
+      text: fillPlaceholders(inst.text, values)
+    }))
+  };
+};
+
+module.exports = mongoose.model('AlertTemplate', AlertTemplateSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Alert delivery to one user that continues later: held back by quiet hours,
+// or waiting to fall through to the user's next channel.
+const DeliveryPlanSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Short update/cancellation notice rather than the full alert
+  chained: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['held', 'awaiting_ack', 'processing', 'completed', 'exhausted', 'cancelled'],
+    required: true
+  },
+  // Channels still to try, in order; empty for held plans, which pick
+  // channels from the user's preferences when they run
+  remainingChannels: [String],
+  attempts: [{
+    channel: String,
+    success: Boolean,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  nextAttemptAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+DeliveryPlanSchema.index({ alert: 1, user: 1 }, { unique: true });
+DeliveryPlanSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('DeliveryPlan', DeliveryPlanSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const COASTAL_AREAS = ['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat'];
+
+// Most specific first: a station's thresholds override its coastal area's,
+// which override the national defaults
+const SCOPES = ['station', 'coastal_area', 'default'];
+
+// Built-in thresholds, used for any indicator no stored threshold covers
+const DEFAULTS = {
+  flooding: {
+    water_level: 2.5, // meters
+    tide_height: 3.0, // meters
+    rainfall: 100, // mm/hour
+    storm_surge: 1.5 // meters
+  },
+  erosion: {
+    shoreline_change: -0.5, // meters/year
+    wave_height: 4.0, // meters
+    tide_range: 2.0, // meters
+    sediment_loss: 100 // tons/year
+  },
+  pollution: {
+    water_quality: 6.5, // pH
+    oil_spill: 0.1, // mg/L
+    plastic_concentration: 1000, // particles/m³
+    chemical_levels: 0.05 // mg/L
+  },
+  storm: {
+    wind_speed: 63, // km/h (tropical storm)
+    wave_height: 4.0, // meters
+    atmospheric_pressure: 1000, // hPa
+    storm_category: 1 // Saffir-Simpson scale
+  }
+};
+
+const THREAT_TYPES = Object.keys(DEFAULTS);
+
+// Indicators the threat type's thresholds do not cover
+const unknownIndicators = (threatType, thresholds = {}) => {
+  const known = Object.keys(DEFAULTS[threatType] || {});
+  return Object.keys(thresholds).filter(indicator => !known.includes(indicator));
+};
+
+// Detection thresholds for one threat type, nationally, for a coastal area
+// or for a single monitoring station. Only the indicators given override the
+// broader scope, and a threshold applies from effectiveFrom until
+// effectiveUntil so seasonal or planned changes can be entered ahead of time.
+const DetectionThresholdSchema = new mongoose.Schema({
+  threatType: {
+    type: String,
+    enum: THREAT_TYPES,
+    required: [true, 'Please specify the threat type']
+  },
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: [true, 'Please specify the scope']
+  },
+  coastalArea: {
+    type: String,
+    enum: COASTAL_AREAS,
+    required: [function() { return this.scope === 'coastal_area'; }, 'Please specify the coastal area']
+  },
+  station: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Station ID cannot be more than 50 characters'],
+    required: [function() { return this.scope === 'station'; }, 'Please specify the station']
+  },
+  thresholds: {
+    type: Map,
+    of: Number,
+    validate: [
+      {
+        validator: thresholds => thresholds && thresholds.size > 0,
+        message: 'Please set at least one threshold'
+      },
+      {
+        validator: function(thresholds) {
+          return unknownIndicators(this.threatType, Object.fromEntries(thresholds || [])).length === 0;
+        },
+        message: 'Thresholds include indicators this threat type does not use'
+      }
+    ]
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveUntil: {
+    type: Date,
+    validate: {
+      validator: function(until) {
+        return !until || until > this.effectiveFrom;
+      },
+      message: 'effectiveUntil must be after effectiveFrom'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+DetectionThresholdSchema.index({ threatType: 1, scope: 1, coastalArea: 1, station: 1, effectiveFrom: -1 });
+
+// Coastal area and station only mean something for their own scope
+DetectionThresholdSchema.pre('validate', function(next) {
+  if (this.scope !== 'coastal_area' && this.scope !== 'station') this.coastalArea = undefined;
+  if (this.scope !== 'station') this.station = undefined;
+  next();
+});
+
+// Active thresholds for a threat type in force at a moment, for the given
+// coastal area and station and the national defaults
+DetectionThresholdSchema.statics.findEffective = function(threatType, { coastalArea, station } = {}, at = new Date()) {
+  const scopes = [{ scope: 'default' }];
+  if (coastalArea) scopes.push({ scope: 'coastal_area', coastalArea });
+  if (station) scopes.push({ scope: 'station', station });
+
+  return this.find({
+    threatType,
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $and: [
+      { $or: [{ effectiveUntil: null }, { effectiveUntil: { $gt: at } }] },
+      { $or: scopes }
+    ]
+  }).sort({ effectiveFrom: -1 });
+};
+
+DetectionThresholdSchema.statics.COASTAL_AREAS = COASTAL_AREAS;
+DetectionThresholdSchema.statics.SCOPES = SCOPES;
+DetectionThresholdSchema.statics.THREAT_TYPES = THREAT_TYPES;
+DetectionThresholdSchema.statics.DEFAULTS = DEFAULTS;
+DetectionThresholdSchema.statics.unknownIndicators = unknownIndicators;
+
+module.exports = mongoose.model('DetectionThreshold', DetectionThresholdSchema);
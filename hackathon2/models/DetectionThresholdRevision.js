@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Audit trail of detection threshold changes. Each revision keeps a snapshot
+// of the threshold so the history survives the threshold being deleted.
+const DetectionThresholdRevisionSchema = new mongoose.Schema({
+  threshold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DetectionThreshold',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: mongoose.Schema.Types.Mixed,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+DetectionThresholdRevisionSchema.index({ threshold: 1, revision: 1 }, { unique: true });
+DetectionThresholdRevisionSchema.index({ createdAt: -1 });
+
+// Plain copy of the fields a revision tracks
+DetectionThresholdRevisionSchema.statics.snapshotOf = function(threshold) {
+  return {
+    threatType: threshold.threatType,
+    scope: threshold.scope,
+    coastalArea: threshold.coastalArea,
+    station: threshold.station,
+    thresholds: Object.fromEntries(threshold.thresholds || []),
+    effectiveFrom: threshold.effectiveFrom,
+    effectiveUntil: threshold.effectiveUntil,
+    isActive: threshold.isActive
+  };
+};
+
+// Compare two snapshots and list the fields that differ
+DetectionThresholdRevisionSchema.statics.diff = function(before, after) {
+  return Object.keys(after).reduce((changes, field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+    return changes;
+  }, []);
+};
+
+// Append the next revision for a threshold
+DetectionThresholdRevisionSchema.statics.record = async function(threshold, { action, actor, changes = [], notes }) {
+  const latest = await this.findOne({ threshold: threshold._id })
+    .sort({ revision: -1 })
+    .select('revision')
+    .lean();
+
+  return this.create({
+    threshold: threshold._id,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    actor: actor ? actor._id || actor.id : undefined,
+    actorRole: actor ? actor.role : 'system',
+    changes,
+    snapshot: this.snapshotOf(threshold),
+    notes
+  });
+};
+
+module.exports = mongoose.model('DetectionThresholdRevision', DetectionThresholdRevisionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A distress signal from a user, tracked until responders close it. Repeat
+// signals while it is open are added to the same incident.
+const DistressIncidentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  coastalArea: {
+    type: String,
+    enum: ['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat'],
+    required: true
+  },
+  // Latest known position of the user
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  accuracy: Number, // metres, when the device reports it
+  // Where the position came from: sent with the signal, the last position
+  // the user shared, or their registered home location
+  locationSource: {
+    type: String,
+    enum: ['reported', 'last_known', 'home'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['web', 'sms', 'socket'],
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'closed'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  resolution: {
+    type: String,
+    maxlength: [1000, 'Resolution cannot be more than 1000 characters']
+  },
+  contactsNotified: {
+    type: Number,
+    default: 0
+  },
+  authoritiesNotified: {
+    type: Number,
+    default: 0
+  },
+  log: [{
+    action: {
+      type: String,
+      enum: ['raised', 'signal', 'acknowledged', 'closed']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    source: String,
+    coordinates: [Number],
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+DistressIncidentSchema.index({ location: '2dsphere' });
+DistressIncidentSchema.index({ status: 1, coastalArea: 1, createdAt: -1 });
+DistressIncidentSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('DistressIncident', DistressIncidentSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const COASTAL_AREAS = ['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat'];
+
+const EscalationStepSchema = new mongoose.Schema({
+  afterMinutes: {
+    type: Number,
+    required: [true, 'Please specify when the step runs'],
+    min: [0, 'Step delay cannot be negative']
+  },
+  tier: {
+    type: String,
+    enum: ['district', 'state', 'admin'],
+    required: [true, 'Please specify the tier to notify']
+  },
+  channels: {
+    type: [String],
+    validate: {
+      validator: channels => channels.length > 0,
+      message: 'Each step needs at least one channel'
+    }
+  }
+}, { _id: false });
+
+const EscalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Leave empty to apply to every coastal area
+  coastalArea: {
+    type: String,
+    enum: COASTAL_AREAS
+  },
+  severities: {
+    type: [{
+      type: String,
+      enum: ['critical', 'emergency']
+    }],
+    default: ['critical', 'emergency']
+  },
+  steps: {
+    type: [EscalationStepSchema],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'Please add at least one escalation step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+EscalationPolicySchema.index({ coastalArea: 1, severities: 1, isActive: 1 });
+
+// Steps always run in order of their delay
+EscalationPolicySchema.pre('save', function(next) {
+  this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  next();
+});
+
+// Static method to find the policy for an alert, preferring one scoped to its area
+EscalationPolicySchema.statics.findForAlert = async function(alert) {
+  const policies = await this.find({
+    isActive: true,
+    severities: alert.severity,
+    $or: [
+      { coastalArea: alert.location.coastalArea },
+      { coastalArea: { $exists: false } },
+      { coastalArea: null }
+    ]
+  }).sort({ updatedAt: -1 });
+
+  return policies.find(policy => policy.coastalArea === alert.location.coastalArea) || policies[0] || null;
+};
+
+module.exports = mongoose.model('EscalationPolicy', EscalationPolicySchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['sms', 'email', 'push', 'voice'];
+
+// Alert fields a message template can use, e.g. {title} or {area}
+const PLACEHOLDERS = ['title', 'description', 'instruction', 'severity', 'type', 'area', 'issued', 'expires'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const findPlaceholders = (text = '') => {
+  return Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+};
+
+// Placeholders in the text that no alert can fill
+const unknownPlaceholders = (text = '') => {
+  return [...new Set(findPlaceholders(text).filter(name => !PLACEHOLDERS.includes(name)))];
+};
+
+// The wording of one channel's message for an alert type, optionally for a
+// single severity, in one language. Each edit is a new version; a version is
+// used for sending only once an admin has approved it, and approving it
+// retires the version it replaces. Unlike alert templates, which prefill new
+// alerts, these shape how an existing alert is worded on each channel.
+const MessageTemplateSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: [true, 'Please specify a channel']
+  },
+  alertType: {
+    type: String,
+    enum: ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone'],
+    required: [true, 'Please specify alert type']
+  },
+  // "any" applies to every severity without a template of its own
+  severity: {
+    type: String,
+    enum: ['any', 'info', 'warning', 'critical', 'emergency'],
+    default: 'any'
+  },
+  language: {
+    type: String,
+    enum: ['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada'],
+    required: [true, 'Please specify a language']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Email subject or push notification title; unused for SMS and voice
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters'],
+    validate: {
+      validator: text => unknownPlaceholders(text).length === 0,
+      message: props => `Unknown placeholders: ${unknownPlaceholders(props.value).join(', ')}`
+    }
+  },
+  body: {
+    type: String,
+    required: [true, 'Please add a message body'],
+    maxlength: [2000, 'Body cannot be more than 2000 characters'],
+    validate: {
+      validator: text => unknownPlaceholders(text).length === 0,
+      message: props => `Unknown placeholders: ${unknownPlaceholders(props.value).join(', ')}`
+    }
+  },
+  placeholders: [String], // collected on save
+  status: {
+    type: String,
+    enum: ['draft', 'pending_approval', 'approved', 'rejected', 'retired'],
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+  },
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+MessageTemplateSchema.index({ channel: 1, alertType: 1, severity: 1, language: 1, version: -1 }, { unique: true });
+MessageTemplateSchema.index({ status: 1 });
+
+// Collect the placeholders used in the subject and body
+MessageTemplateSchema.pre('save', function(next) {
+  this.placeholders = [...new Set([this.subject, this.body].flatMap(findPlaceholders))];
+  next();
+});
+
+// The fields that identify which messages a template is for; versions share them
+MessageTemplateSchema.methods.key = function() {
+  return {
+    channel: this.channel,
+    alertType: this.alertType,
+    severity: this.severity,
+    language: this.language
+  };
+};
+
+// Next free version number for a channel, alert type, severity and language
+MessageTemplateSchema.statics.nextVersion = async function(key) {
+  const latest = await this.findOne(key)
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+  return latest ? latest.version + 1 : 1;
+};
+
+MessageTemplateSchema.statics.CHANNELS = CHANNELS;
+MessageTemplateSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+MessageTemplateSchema.statics.unknownPlaceholders = unknownPlaceholders;
+
+module.exports = mongoose.model('MessageTemplate', MessageTemplateSchema);
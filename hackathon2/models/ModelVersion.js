@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const HAZARDS = ['flooding', 'erosion', 'pollution', 'storm'];
+
+// A trained version of one hazard's model in the registry. New versions are
+// candidates; an admin promotes one to be the active version detection uses,
+// and can roll back to the version it replaced.
+const ModelVersionSchema = new mongoose.Schema({
+  hazard: {
+    type: String,
+    enum: HAZARDS,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['candidate', 'active', 'retired'],
+    default: 'candidate'
+  },
+  // Directory holding model.json and its weights
+  artifact: {
+    type: String,
+    required: true
+  },
+  // Computed on a held-out test set the model never saw in training
+  metrics: {
+    threshold: Number,
+    accuracy: Number,
+    precision: Number,
+    recall: Number,
+    f1Score: Number,
+    rocAuc: Number,
+    loss: Number,
+    confusionMatrix: {
+      truePositive: Number,
+      falsePositive: Number,
+      trueNegative: Number,
+      falseNegative: Number
+    }
+  },
+  samples: {
+    training: Number,
+    validation: Number,
+    test: Number,
+    positive: Number,
+    negative: Number
+  },
+  // Times of the earliest and latest readings trained on
+  dataRange: {
+    from: Date,
+    to: Date
+  },
+  featureSchema: {
+    features: [{
+      _id: false,
+      name: String,
+      default: Number
+    }],
+    normalization: {
+      mean: [Number],
+      std: [Number]
+    }
+  },
+  training: {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrainingJob'
+    },
+    epochs: Number,
+    batchSize: Number,
+    durationMs: Number
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Active version this one replaced, for rolling back
+  previous: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelVersion'
+  },
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['registered', 'promoted', 'retired', 'rolled_back']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+ModelVersionSchema.index({ hazard: 1, version: 1 }, { unique: true });
+ModelVersionSchema.index({ hazard: 1, trainedAt: -1 });
+// Only one active version per hazard
+ModelVersionSchema.index({ hazard: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+ModelVersionSchema.statics.HAZARDS = HAZARDS;
+
+module.exports = mongoose.model('ModelVersion', ModelVersionSchema);
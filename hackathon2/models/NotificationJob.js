@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Queued messages of higher priority jobs are sent first
+const PRIORITY = {
+  normal: 0,
+  urgent: 1, // alert fan-out and escalation pages
+  distress: 2
+};
+
+// A batch of queued outbound messages, e.g. one bulk SMS send
+const NotificationJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['alert_sms', 'bulk_sms', 'alert_reminder', 'alert_dispatch', 'escalation_page', 'distress_sms'],
+    required: true
+  },
+  status: {
+    type: String,
+    // preparing while recipients are being queued, processing once all are
+    enum: ['preparing', 'processing', 'completed', 'completed_with_errors', 'failed'],
+    default: 'preparing'
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  criteria: mongoose.Schema.Types.Mixed, // recipient filter as requested, for the record
+  priority: {
+    type: Number,
+    default: PRIORITY.normal
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  sent: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+NotificationJobSchema.index({ status: 1, createdAt: -1 });
+NotificationJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Virtual for messages still waiting to be sent or retried
+NotificationJobSchema.virtual('pending').get(function() {
+  return Math.max(0, this.total - this.sent - this.failed);
+});
+
+// Virtual for progress as a percentage of finished messages
+NotificationJobSchema.virtual('percentComplete').get(function() {
+  if (this.total === 0) return this.status === 'preparing' ? 0 : 100;
+  return Math.round(((this.sent + this.failed) / this.total) * 100);
+});
+
+NotificationJobSchema.statics.PRIORITY = PRIORITY;
+
+module.exports = mongoose.model('NotificationJob', NotificationJobSchema);
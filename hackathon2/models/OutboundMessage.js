@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One queued message. Failed sends are retried with backoff until they run
+// out of attempts, then stay here with status "dead" as the dead-letter list.
+const OutboundMessageSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationJob',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['sms'],
+    default: 'sms'
+  },
+  // Kind of alert message, recorded on the alert's delivery row once sent
+  messageType: {
+    type: String,
+    enum: ['alert', 'update', 'cancel']
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  provider: String,
+  providerMessageId: String,
+  // Delivery state from the provider's status callbacks, once sent
+  deliveryStatus: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'failed', 'undelivered']
+  },
+  errorCode: String,
+  sentAt: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// Workers claim the oldest due message of the most urgent jobs first
+OutboundMessageSchema.index({ status: 1, priority: -1, nextAttemptAt: 1 });
+OutboundMessageSchema.index({ job: 1, status: 1 });
+OutboundMessageSchema.index({ job: 1, to: 1 }, { unique: true });
+OutboundMessageSchema.index({ providerMessageId: 1 });
+
+module.exports = mongoose.model('OutboundMessage', OutboundMessageSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A browser or installed PWA that receives Web Push alerts for a user.
+// One user can have many, one per device and browser.
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Please add the subscription endpoint'],
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'Please add the p256dh key']
+    },
+    auth: {
+      type: String,
+      required: [true, 'Please add the auth key']
+    }
+  },
+  // Set by browsers that rotate subscriptions; pruned once it passes
+  expirationTime: Date,
+  userAgent: String,
+  lastSuccessAt: Date,
+  // Consecutive failed sends; pruned once it reaches the limit
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+PushSubscriptionSchema.index({ user: 1 });
+PushSubscriptionSchema.index({ expirationTime: 1 });
+
+// Subscription in the shape the web-push library expects
+PushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Next free send slot of one SMS provider, shared by every server running the
+// notification queue so together they stay under the provider's rate limit
+const SendRateLimitSchema = new mongoose.Schema({
+  // Provider name, e.g. twilio
+  _id: String,
+  // Milliseconds since the epoch; a number so slots can be taken with $inc
+  nextSlotAt: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Reserve the next slot of a provider and return when it starts, in
+// milliseconds since the epoch. Slots are `intervalMs` apart and never start
+// before `now`.
+SendRateLimitSchema.statics.claimSlot = async function(provider, intervalMs, now = Date.now()) {
+  try {
+    await this.updateOne({ _id: provider }, { $max: { nextSlotAt: now } }, { upsert: true });
+  } catch (error) {
+    // Another worker created the document first; its slot is at least now
+    if (error.code !== 11000) throw error;
+  }
+
+  const limit = await this.findOneAndUpdate(
+    { _id: provider },
+    { $inc: { nextSlotAt: intervalMs } },
+    { new: true }
+  );
+  return limit.nextSlotAt - intervalMs;
+};
+
+module.exports = mongoose.model('SendRateLimit', SendRateLimitSchema);
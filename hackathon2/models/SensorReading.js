@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Fields of a collected reading that describe where and when, not what was measured
+const META_FIELDS = ['location', 'station_id', 'stationId', 'timestamp', 'recordedAt', 'source'];
+
+// One collected set of sensor measurements, kept so hazard models can be
+// trained on what was observed before verified and rejected alerts
+const SensorReadingSchema = new mongoose.Schema({
+  station: {
+    type: String,
+    trim: true
+  },
+  coastalArea: {
+    type: String,
+    enum: ['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: String,
+  // Numeric measurements by name, e.g. tide_height or wind_speed
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SensorReadingSchema.index({ coastalArea: 1, recordedAt: -1 });
+SensorReadingSchema.index({ station: 1, recordedAt: -1 });
+SensorReadingSchema.index({ recordedAt: -1 });
+
+// Numeric measurements of a collected reading
+SensorReadingSchema.statics.measurements = function(sensorData = {}) {
+  return Object.entries(sensorData).reduce((values, [name, value]) => {
+    if (!META_FIELDS.includes(name) && typeof value === 'number' && Number.isFinite(value)) {
+      values[name] = value;
+    }
+    return values;
+  }, {});
+};
+
+module.exports = mongoose.model('SensorReading', SensorReadingSchema);
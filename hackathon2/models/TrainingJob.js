@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const HAZARDS = ['flooding', 'erosion', 'pollution', 'storm'];
+
+const TrainingResultSchema = new mongoose.Schema({
+  hazard: {
+    type: String,
+    enum: HAZARDS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['trained', 'skipped', 'failed'],
+    required: true
+  },
+  version: String,
+  modelVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelVersion'
+  },
+  reason: String,
+  samples: {
+    total: Number,
+    training: Number,
+    validation: Number,
+    test: Number,
+    positive: Number,
+    negative: Number
+  },
+  metrics: {
+    loss: Number,
+    accuracy: Number,
+    valLoss: Number,
+    valAccuracy: Number
+  },
+  // Held-out test set results, as stored in the model registry
+  evaluation: {
+    accuracy: Number,
+    precision: Number,
+    recall: Number,
+    f1Score: Number,
+    rocAuc: Number,
+    loss: Number
+  },
+  dataRange: {
+    from: Date,
+    to: Date
+  },
+  artifact: String,
+  durationMs: Number
+}, { _id: false });
+
+// An admin-requested run of the training pipeline over one or more hazards
+const TrainingJobSchema = new mongoose.Schema({
+  hazards: {
+    type: [{
+      type: String,
+      enum: HAZARDS
+    }],
+    validate: {
+      validator: hazards => hazards.length > 0,
+      message: 'Please choose at least one hazard'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  options: {
+    epochs: Number,
+    batchSize: Number,
+    validationSplit: Number,
+    testSplit: Number,
+    from: Date,
+    to: Date
+  },
+  progress: {
+    hazard: String,
+    phase: {
+      type: String,
+      enum: ['dataset', 'training', 'evaluating', 'saving', 'done']
+    },
+    epoch: Number,
+    epochs: Number,
+    // Share of the whole job done, 0 to 100
+    percent: {
+      type: Number,
+      default: 0
+    }
+  },
+  results: [TrainingResultSchema],
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+TrainingJobSchema.index({ status: 1, createdAt: 1 });
+TrainingJobSchema.index({ createdAt: -1 });
+
+TrainingJobSchema.statics.HAZARDS = HAZARDS;
+
+module.exports = mongoose.model('TrainingJob', TrainingJobSchema);
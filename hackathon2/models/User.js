@@ -2,6 +2,67 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const geo = require('../utils/geo');
+
+// Largest circle a saved place can cover, in km
+const MAX_PLACE_RADIUS_KM = 100;
+
+// A place the user wants alerts for besides home, e.g. a harbour, fishing
+// grounds or a beach property. Given as a circle (centre and radius) or drawn
+// as a polygon; either way `area` holds the polygon used for matching.
+const PlaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a place name'],
+    trim: true,
+    maxlength: [50, 'Place name cannot be more than 50 characters']
+  },
+  center: {
+    type: [Number],
+    default: undefined
+  },
+  radius: {
+    type: Number,
+    min: [0.5, 'Radius must be at least 0.5 km'],
+    max: [MAX_PLACE_RADIUS_KM, `Radius cannot be more than ${MAX_PLACE_RADIUS_KM} km`]
+  },
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined,
+      required: [true, 'Please provide the place area']
+    }
+  },
+  // Alert types wanted for this place; empty means every type
+  alertTypes: [{
+    type: String,
+    enum: ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']
+  }],
+  minSeverity: {
+    type: String,
+    enum: ['info', 'warning', 'critical', 'emergency'],
+    default: 'info'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Circle places are stored as polygons so one geospatial index serves both kinds
+PlaceSchema.pre('validate', function(next) {
+  if (this.center && this.center.length === 2 && this.radius) {
+    this.area = geo.circleToPolygon(this.center, this.radius);
+  }
+  next();
+});
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -40,6 +101,11 @@ const UserSchema = new mongoose.Schema({
     enum: ['fisherfolk', 'business', 'tourist', 'ngo', 'authority', 'general'],
     required: [true, 'Please select user type']
   },
+  // Escalation tier for authority accounts; admins form the final tier
+  authorityTier: {
+    type: String,
+    enum: ['district', 'state']
+  },
   location: {
     type: {
       type: String,
@@ -70,7 +136,7 @@ const UserSchema = new mongoose.Schema({
     },
     alertTypes: [{
       type: String,
-      enum: ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather']
+      enum: ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']
     }],
     smsEnabled: {
       type: Boolean,
@@ -80,9 +146,52 @@ const UserSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Summary email of recent alerts, on top of immediate alert emails
+    emailDigest: {
+      type: String,
+      enum: ['none', 'daily', 'weekly'],
+      default: 'none'
+    },
     pushEnabled: {
       type: Boolean,
       default: false
+    },
+    // Alerts read out over a phone call, for people who do not read SMS
+    voiceEnabled: {
+      type: Boolean,
+      default: false
+    },
+    // Channels to try one after another, e.g. push, then sms. Delivery moves
+    // on when a channel fails or a critical alert goes unacknowledged. Empty
+    // sends over every enabled channel at once.
+    channelOrder: [String],
+    // Minutes to wait for an acknowledgement before trying the next channel
+    fallbackMinutes: {
+      type: Number,
+      min: [1, 'Fallback delay must be at least 1 minute'],
+      max: [240, 'Fallback delay cannot be more than 240 minutes'],
+      default: 10
+    },
+    // Info and warning alerts wait until quiet hours end
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours start must be HH:mm'],
+        default: '22:00'
+      },
+      end: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours end must be HH:mm'],
+        default: '06:00'
+      },
+      timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+      }
     }
   },
   isVerified: {
@@ -94,6 +203,7 @@ const UserSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   lastLogin: Date,
+  lastDigestSentAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -102,6 +212,13 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  places: [PlaceSchema],
+  // Last position the user shared, e.g. with a distress signal from sea
+  lastKnownLocation: {
+    coordinates: [Number],
+    accuracy: Number,
+    recordedAt: Date
+  },
   emergencyContacts: [{
     name: String,
     phone: String,
@@ -125,6 +242,7 @@ const UserSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 UserSchema.index({ 'location.coordinates': '2dsphere' });
+UserSchema.index({ 'places.area': '2dsphere' });
 
 // Index for common queries
 UserSchema.index({ email: 1 });
@@ -191,7 +309,12 @@ UserSchema.methods.getAlertPreferences = function() {
     alertTypes: this.preferences.alertTypes,
     smsEnabled: this.preferences.smsEnabled,
     emailEnabled: this.preferences.emailEnabled,
-    pushEnabled: this.preferences.pushEnabled
+    emailDigest: this.preferences.emailDigest,
+    pushEnabled: this.preferences.pushEnabled,
+    voiceEnabled: this.preferences.voiceEnabled,
+    channelOrder: this.preferences.channelOrder || [],
+    fallbackMinutes: this.preferences.fallbackMinutes,
+    quietHours: this.preferences.quietHours
   };
 };
 
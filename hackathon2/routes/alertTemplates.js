@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const AlertTemplate = require('../models/AlertTemplate');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['name', 'type', 'title', 'description', 'instructions', 'severity', 'priority', 'expiresInHours', 'tags', 'isActive'];
+
+const templateValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+    field('type').isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
+    field('title').trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+    field('description').isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+    body('instructions').optional().isArray().withMessage('Instructions must be an array'),
+    body('instructions.*.language').isIn(['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']).withMessage('Invalid instruction language'),
+    body('instructions.*.text').isLength({ min: 1, max: 1000 }).withMessage('Instruction text must be between 1 and 1000 characters'),
+    body('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
+    body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+    body('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours'),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @desc    Get alert templates
+// @route   GET /api/alert-templates
+// @access  Private (Admin, Authority)
+router.get('/', protect, authorize('admin', 'authority'), [
+  query('type').optional().isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await AlertTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ type: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+
+  } catch (error) {
+    logger.error('Get alert templates failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert templates. Please try again.'
+    });
+  }
+});
+
+// @desc    Get alert template by ID
+// @route   GET /api/alert-templates/:id
+// @access  Private (Admin, Authority)
+router.get('/:id', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const template = await AlertTemplate.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Get alert template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert template. Please try again.'
+    });
+  }
+});
+
+// @desc    Create alert template
+// @route   POST /api/alert-templates
+// @access  Private (Admin, Authority)
+router.post('/', protect, authorize('admin', 'authority'), templateValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await AlertTemplate.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An alert template with this name already exists'
+      });
+    }
+
+    const data = { createdBy: req.user.id };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const template = await AlertTemplate.create(data);
+
+    logger.info(`Alert template created: ${template._id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert template created successfully',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Create alert template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create alert template. Please try again.'
+    });
+  }
+});
+
+// @desc    Update alert template
+// @route   PUT /api/alert-templates/:id
+// @access  Private (Admin, Authority)
+router.put('/:id', protect, authorize('admin', 'authority'), templateValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await AlertTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert template not found'
+      });
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    template.updatedBy = req.user.id;
+
+    // Saved rather than updated in place so the variable list is rebuilt
+    await template.save();
+
+    logger.info(`Alert template updated: ${template._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Alert template updated successfully',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Update alert template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update alert template. Please try again.'
+    });
+  }
+});
+
+// @desc    Delete alert template
+// @route   DELETE /api/alert-templates/:id
+// @access  Private (Admin, Authority)
+router.delete('/:id', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const template = await AlertTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert template not found'
+      });
+    }
+
+    logger.info(`Alert template deleted: ${template._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Alert template deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete alert template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete alert template. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,20 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
 
 const Alert = require('../models/Alert');
+const AlertRevision = require('../models/AlertRevision');
+const AlertTemplate = require('../models/AlertTemplate');
 const User = require('../models/User');
-const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const { protect, optionalAuth, authorize, checkOwnership } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const cap = require('../utils/cap');
+const notificationService = require('../services/notificationService');
+const escalationService = require('../services/escalationService');
 
 const router = express.Router();
 
@@ -33,6 +39,32 @@ const upload = multer({
   }
 });
 
+// Fields callers may set on a new alert or an update; status, verification,
+// source, chain, delivery and escalation fields are managed here
+const EDITABLE_FIELDS = ['title', 'description', 'type', 'severity', 'urgency', 'certainty', 'location',
+  'affectedAreas', 'weatherData', 'tideData', 'waterQuality', 'evacuationInfo', 'instructions',
+  'effectiveAt', 'onsetAt', 'expiresAt', 'tags', 'priority'];
+
+const pickEditable = (data) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+// Authorities see scheduled alerts before they take effect; the public does not
+const canSeeScheduled = (user) => Boolean(user && ['admin', 'authority'].includes(user.role));
+
+// Active alerts and the history of closed ones are public; drafts and alerts
+// awaiting verification are for authorities
+const PUBLIC_STATUSES = ['active', 'resolved', 'expired', 'cancelled', 'superseded'];
+
+const canSeeStatus = (user, status) => PUBLIC_STATUSES.includes(status) || canSeeScheduled(user);
+
+// Fan out in the background so the response does not wait on the gateways
+const dispatchInBackground = (alert) => {
+  notificationService.dispatchAlert(alert)
+    .catch(error => logger.error(`Alert dispatch failed for ${alert._id}:`, error));
+};
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -47,9 +79,23 @@ router.post('/', protect, upload.array('media', 5), [
   body('description').isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('type').isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
   body('severity').isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
-  body('location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be an array of 2 numbers'),
+  body('location.type').optional().isIn(['Point', 'Polygon', 'MultiPolygon']).withMessage('Location type must be Point, Polygon or MultiPolygon'),
+  body('location.coordinates').custom((coordinates, { req }) => {
+    const error = geo.validateGeometry({ type: (req.body.location && req.body.location.type) || 'Point', coordinates });
+    if (error) throw new Error(error);
+    return true;
+  }),
   body('location.coastalArea').isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
-  body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10')
+  body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+  body('effectiveAt').optional().isISO8601().withMessage('Effective time must be a valid date'),
+  body('onsetAt').optional().isISO8601().withMessage('Onset time must be a valid date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry time must be a valid date').custom((expiresAt, { req }) => {
+    if (req.body.effectiveAt && new Date(expiresAt) <= new Date(req.body.effectiveAt)) {
+      throw new Error('Alert must expire after it takes effect');
+    }
+    return true;
+  }),
+  body('status').optional().isIn(['draft']).withMessage('New alerts can only be saved as draft')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,10 +107,20 @@ router.post('/', protect, upload.array('media', 5), [
       });
     }
 
+    const isAuthority = req.user.role === 'admin' || req.user.role === 'authority';
+    let status = isAuthority ? 'active' : 'pending_verification';
+    if (req.body.status === 'draft') {
+      status = 'draft';
+    }
+
+    const verified = isAuthority && status === 'active';
     const alertData = {
-      ...req.body,
+      ...pickEditable(req.body),
+      status,
+      source: { type: isAuthority ? 'manual' : 'community', name: req.user.name },
       createdBy: req.user.id,
-      verificationStatus: req.user.role === 'admin' || req.user.role === 'authority' ? 'verified' : 'pending'
+      verificationStatus: verified ? 'verified' : 'pending',
+      ...(verified && { verifiedBy: req.user.id, verifiedAt: new Date() })
     };
 
     // Handle file uploads
@@ -107,6 +163,14 @@ router.post('/', protect, upload.array('media', 5), [
 
     const alert = await Alert.create(alertData);
 
+    await AlertRevision.record(alert, {
+      action: 'created',
+      actor: req.user,
+      toStatus: alert.status
+    });
+
+    dispatchInBackground(alert);
+
     // Populate creator information
     await alert.populate('createdBy', 'name email');
 
@@ -125,18 +189,119 @@ router.post('/', protect, upload.array('media', 5), [
   }
 });
 
+// @desc    Create alert from a template
+// @route   POST /api/alerts/from-template/:id
+// @access  Private (Admin, Authority)
+router.post('/from-template/:id', protect, authorize('admin', 'authority'), [
+  body('location.type').optional().isIn(['Point', 'Polygon', 'MultiPolygon']).withMessage('Location type must be Point, Polygon or MultiPolygon'),
+  body('location.coordinates').custom((coordinates, { req }) => {
+    const error = geo.validateGeometry({ type: (req.body.location && req.body.location.type) || 'Point', coordinates });
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body('location.coastalArea').isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  body('location.radius').optional().isFloat({ min: 0, max: 500 }).withMessage('Radius must be between 0 and 500 km'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
+  body('effectiveAt').optional().isISO8601().withMessage('Effective time must be a valid date'),
+  body('onsetAt').optional().isISO8601().withMessage('Onset time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await AlertTemplate.findById(req.params.id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert template not found'
+      });
+    }
+
+    const variables = req.body.variables || {};
+    const missing = template.missingVariables(variables);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing template variables: ${missing.join(', ')}`,
+        data: { missing }
+      });
+    }
+
+    const content = template.render(variables);
+    if (content.title.length > 100 || content.description.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filled template is too long; shorten the variable values'
+      });
+    }
+
+    // Expiry counts from when the alert takes effect
+    const effectiveAt = req.body.effectiveAt ? new Date(req.body.effectiveAt) : undefined;
+    const expiresAt = template.expiresInHours
+      ? new Date((effectiveAt || new Date()).getTime() + template.expiresInHours * 60 * 60 * 1000)
+      : undefined;
+
+    // Template alerts still go through verification before they are sent
+    const alert = await Alert.create({
+      ...content,
+      type: template.type,
+      severity: req.body.severity || template.severity,
+      priority: template.priority,
+      tags: [...(template.tags || []), 'template'],
+      location: req.body.location,
+      effectiveAt,
+      onsetAt: req.body.onsetAt,
+      expiresAt,
+      status: 'pending_verification',
+      verificationStatus: 'pending',
+      source: { type: 'manual', name: req.user.name },
+      createdBy: req.user.id
+    });
+
+    await AlertRevision.record(alert, {
+      action: 'created',
+      actor: req.user,
+      toStatus: alert.status,
+      notes: `Created from template "${template.name}"`
+    });
+
+    await alert.populate('createdBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert created from template and awaiting verification',
+      data: { alert }
+    });
+
+  } catch (error) {
+    logger.error('Alert creation from template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create alert from template. Please try again.'
+    });
+  }
+});
+
 // @desc    Get all alerts with filtering and pagination
 // @route   GET /api/alerts
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('type').optional().isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
   query('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
-  query('status').optional().isIn(['active', 'resolved', 'expired', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(['draft', 'pending_verification', 'active', 'resolved', 'expired', 'cancelled', 'superseded']).withMessage('Invalid status'),
   query('coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
   query('sortBy').optional().isIn(['createdAt', 'priority', 'severity', 'urgencyScore']).withMessage('Invalid sort field'),
-  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('scheduled').optional().isBoolean().withMessage('scheduled must be a boolean')
 ], async (req, res) => {
   try {
     const {
@@ -149,44 +314,29 @@ router.get('/', [
       sortBy = 'createdAt',
       sortOrder = 'desc',
       coordinates,
-      radius = 50
+      radius = 50,
+      scheduled
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-    
-    if (type) filter.type = type;
-    if (severity) filter.severity = severity;
-    if (status) filter.status = status;
-    if (coastalArea) filter['location.coastalArea'] = coastalArea;
-    
-    // Add expiration filter for active alerts
-    if (status === 'active') {
-      filter.$or = [
-        { expiresAt: { $exists: false } },
-        { expiresAt: { $gt: new Date() } }
-      ];
+    if (!canSeeStatus(req.user, status)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only admins and authorities can list ${status} alerts`
+      });
     }
 
-    // Geospatial query if coordinates provided
-    if (coordinates) {
-      try {
-        const [lng, lat] = coordinates.split(',').map(Number);
-        if (!isNaN(lng) && !isNaN(lat)) {
-          filter['location.coordinates'] = {
-            $near: {
-              $geometry: {
-                type: 'Point',
-                coordinates: [lng, lat]
-              },
-              $maxDistance: radius * 1000 // Convert to meters
-            }
-          };
-        }
-      } catch (coordError) {
-        logger.warn('Invalid coordinates provided:', coordinates);
-      }
-    }
+    // Not-yet-effective alerts are only listed for authorities, who can
+    // also ask for just those with ?scheduled=true
+    const filter = Alert.buildListFilter({
+      type,
+      severity,
+      status,
+      coastalArea,
+      coordinates,
+      radius,
+      includeScheduled: canSeeScheduled(req.user),
+      scheduledOnly: canSeeScheduled(req.user) && scheduled === 'true'
+    });
 
     // Build sort object
     const sort = {};
@@ -234,17 +384,86 @@ router.get('/', [
   }
 });
 
+// @desc    Get ATOM index of active alerts in CAP format
+// @route   GET /api/alerts/feed.cap
+// @access  Public
+router.get('/feed.cap', async (req, res) => {
+  try {
+    // Recent cancel messages stay listed so consumers can withdraw the alert
+    const alerts = await Alert.find({
+      verificationStatus: 'verified',
+      $or: [
+        {
+          status: 'active',
+          $or: [
+            { expiresAt: { $exists: false } },
+            { expiresAt: { $gt: new Date() } }
+          ]
+        },
+        { msgType: 'cancel', createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+      ]
+    })
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.type('application/atom+xml').send(cap.toAtomFeed(alerts, { baseUrl }));
+
+  } catch (error) {
+    logger.error('Get CAP feed failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build CAP feed. Please try again.'
+    });
+  }
+});
+
+// @desc    Get alert as a CAP 1.2 document
+// @route   GET /api/alerts/:id.cap
+// @access  Public
+router.get('/:id.cap', async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id)
+      .populate('supersedes', 'createdAt updatedAt')
+      .lean();
+
+    // Only verified alerts are published to external consumers
+    if (!alert || alert.verificationStatus !== 'verified') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.type(cap.CAP_CONTENT_TYPE).send(cap.toCap(alert, { baseUrl }));
+
+  } catch (error) {
+    logger.error('Get CAP alert failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build CAP alert. Please try again.'
+    });
+  }
+});
+
 // @desc    Get alert by ID
 // @route   GET /api/alerts/:id
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const alert = await Alert.findById(req.params.id)
       .populate('createdBy', 'name email userType')
       .populate('verifiedBy', 'name email')
       .populate('acknowledgedBy.user', 'name email');
 
-    if (!alert) {
+    // Authors can follow their own alerts through verification
+    const isAuthor = Boolean(req.user && alert && alert.createdBy && alert.createdBy._id.equals(req.user.id));
+    if (!alert || (!alert.isEffective && !canSeeScheduled(req.user)) ||
+        (!canSeeStatus(req.user, alert.status) && !isAuthor)) {
       return res.status(404).json({
         success: false,
         message: 'Alert not found'
@@ -273,7 +492,16 @@ router.put('/:id', protect, upload.array('media', 5), [
   body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('type').optional().isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
   body('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
-  body('status').optional().isIn(['active', 'resolved', 'expired', 'cancelled']).withMessage('Invalid status')
+  body('status').optional().isIn(['draft', 'pending_verification', 'active', 'resolved', 'expired', 'cancelled']).withMessage('Invalid status'),
+  body('effectiveAt').optional().isISO8601().withMessage('Effective time must be a valid date'),
+  body('onsetAt').optional().isISO8601().withMessage('Onset time must be a valid date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry time must be a valid date').custom((expiresAt, { req }) => {
+    if (req.body.effectiveAt && new Date(expiresAt) <= new Date(req.body.effectiveAt)) {
+      throw new Error('Alert must expire after it takes effect');
+    }
+    return true;
+  }),
+  body('revisionNotes').optional().isLength({ max: 500 }).withMessage('Revision notes must be less than 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -293,23 +521,60 @@ router.put('/:id', protect, upload.array('media', 5), [
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'authority' && 
-        alert.createdBy.toString() !== req.user.id) {
+    // Check permissions; ingested and automated alerts have no author
+    if (req.user.role !== 'admin' && req.user.role !== 'authority' &&
+        !(alert.createdBy && alert.createdBy.equals(req.user.id))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this alert'
       });
     }
 
+    // Superseded alerts are changed by issuing an update to the current message
+    if (alert.status === 'superseded') {
+      return res.status(409).json({
+        success: false,
+        message: 'This alert has been superseded; update the current message instead',
+        data: { supersededBy: alert.supersededBy }
+      });
+    }
+
+    // Enforce the alert lifecycle
+    const fromStatus = alert.status;
+    const { status } = req.body;
+    if (status !== undefined && !alert.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change alert status from ${fromStatus} to ${status}`,
+        data: { allowedStatuses: Alert.STATUS_TRANSITIONS[fromStatus] }
+      });
+    }
+
+    if (status === 'active' && status !== fromStatus &&
+        req.user.role !== 'admin' && req.user.role !== 'authority') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and authorities can activate an alert'
+      });
+    }
+
     // Update alert fields
-    const allowedFields = ['title', 'description', 'type', 'severity', 'status', 'priority', 'expiresAt', 'instructions'];
+    const allowedFields = ['title', 'description', 'type', 'severity', 'status', 'priority', 'effectiveAt', 'onsetAt', 'expiresAt', 'instructions'];
+    const before = alert.toObject();
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
         alert[field] = req.body[field];
       }
     });
 
+    // Activating is the authority's decision to publish, so it verifies the
+    // alert; only verified alerts are broadcast
+    if (alert.status === 'active' && fromStatus !== 'active' && alert.verificationStatus !== 'verified') {
+      alert.verificationStatus = 'verified';
+      alert.verifiedBy = req.user.id;
+      alert.verifiedAt = new Date();
+    }
+
     // Handle media updates
     if (req.files && req.files.length > 0) {
       const mediaFiles = [];
@@ -345,8 +610,24 @@ router.put('/:id', protect, upload.array('media', 5), [
       }
     }
 
+    const changes = AlertRevision.diff(before, alert.toObject(), [...allowedFields, 'media', 'verificationStatus']);
+
     await alert.save();
 
+    if (changes.length > 0) {
+      await AlertRevision.record(alert, {
+        action: alert.status !== fromStatus ? 'status_changed' : 'updated',
+        actor: req.user,
+        changes,
+        fromStatus,
+        notes: req.body.revisionNotes
+      });
+    }
+
+    if (alert.status === 'active' && fromStatus !== 'active') {
+      dispatchInBackground(alert);
+    }
+
     // Populate updated alert
     await alert.populate('createdBy', 'name email');
 
@@ -365,6 +646,238 @@ router.put('/:id', protect, upload.array('media', 5), [
   }
 });
 
+// @desc    Issue an update that supersedes an active alert
+// @route   POST /api/alerts/:id/update
+// @access  Private (Admin, Authority)
+router.post('/:id/update', protect, authorize('admin', 'authority'), [
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('type').optional().isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
+  body('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level'),
+  body('location.type').optional().isIn(['Point', 'Polygon', 'MultiPolygon']).withMessage('Location type must be Point, Polygon or MultiPolygon'),
+  body('location.coordinates').optional().custom((coordinates, { req }) => {
+    const error = geo.validateGeometry({ type: req.body.location.type || 'Point', coordinates });
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body('location.coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+  body('effectiveAt').optional().isISO8601().withMessage('Effective time must be a valid date'),
+  body('onsetAt').optional().isISO8601().withMessage('Onset time must be a valid date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry time must be a valid date').custom((expiresAt, { req }) => {
+    if (req.body.effectiveAt && new Date(expiresAt) <= new Date(req.body.effectiveAt)) {
+      throw new Error('Alert must expire after it takes effect');
+    }
+    return true;
+  }),
+  body('revisionNotes').optional().isLength({ max: 500 }).withMessage('Revision notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const original = await Alert.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (original.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Only active alerts can be updated; this alert is ${original.status}`,
+        data: { supersededBy: original.supersededBy }
+      });
+    }
+
+    const overrides = pickEditable(req.body);
+    if (req.body.location) {
+      overrides.location = { ...original.toObject().location, ...req.body.location };
+    }
+
+    const update = await Alert.create({
+      ...original.buildChainedMessage(overrides, req.user),
+      source: { type: 'manual', name: req.user.name },
+      msgType: 'update',
+      status: 'active'
+    });
+
+    original.status = 'superseded';
+    original.supersededBy = update._id;
+    await original.save();
+
+    await AlertRevision.record(original, {
+      action: 'status_changed',
+      actor: req.user,
+      fromStatus: 'active',
+      notes: `Superseded by update ${update._id}`
+    });
+    await AlertRevision.record(update, {
+      action: 'created',
+      actor: req.user,
+      toStatus: update.status,
+      notes: req.body.revisionNotes || `Update to ${original._id}`
+    });
+
+    dispatchInBackground(update);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert update issued successfully',
+      data: { alert: update }
+    });
+
+  } catch (error) {
+    logger.error('Alert update message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue alert update. Please try again.'
+    });
+  }
+});
+
+// @desc    Issue a cancellation for an active alert
+// @route   POST /api/alerts/:id/cancel
+// @access  Private (Admin, Authority)
+router.post('/:id/cancel', protect, authorize('admin', 'authority'), [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const original = await Alert.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (original.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Only active alerts can be cancelled; this alert is ${original.status}`,
+        data: { supersededBy: original.supersededBy }
+      });
+    }
+
+    const cancellation = await Alert.create({
+      // Cancellations take effect immediately, even for a scheduled alert
+      ...original.buildChainedMessage({ description: req.body.reason, effectiveAt: null }, req.user),
+      source: { type: 'manual', name: req.user.name },
+      msgType: 'cancel',
+      status: 'cancelled'
+    });
+
+    original.status = 'cancelled';
+    original.supersededBy = cancellation._id;
+    await original.save();
+
+    await AlertRevision.record(original, {
+      action: 'status_changed',
+      actor: req.user,
+      fromStatus: 'active',
+      notes: `Cancelled by ${cancellation._id}: ${req.body.reason}`.substring(0, 500)
+    });
+    await AlertRevision.record(cancellation, {
+      action: 'created',
+      actor: req.user,
+      toStatus: cancellation.status,
+      notes: `Cancellation of ${original._id}`
+    });
+
+    dispatchInBackground(cancellation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert cancelled successfully',
+      data: { alert: cancellation }
+    });
+
+  } catch (error) {
+    logger.error('Alert cancellation failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel alert. Please try again.'
+    });
+  }
+});
+
+// @desc    Get every message of an alert's update chain
+// @route   GET /api/alerts/:id/chain
+// @access  Public
+router.get('/:id/chain', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid alert ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await Alert.findById(req.params.id).select('eventId').lean();
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const eventId = alert.eventId || alert._id;
+    const chain = await Alert.findChain(eventId)
+      .populate('createdBy', 'name')
+      .lean();
+
+    // Drafts, unverified and scheduled updates in the chain stay hidden from the public
+    const versions = chain.filter(version => canSeeStatus(req.user, version.status) &&
+      (!version.effectiveAt || version.effectiveAt <= Date.now() || canSeeScheduled(req.user)));
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    // The current message is the one nothing has superseded yet
+    const current = versions.find(version => !version.supersededBy) || versions[versions.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        current,
+        versions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get alert chain failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert chain. Please try again.'
+    });
+  }
+});
+
 // @desc    Delete alert
 // @route   DELETE /api/alerts/:id
 // @access  Private (Creator, Admin, Authority)
@@ -378,15 +891,21 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'authority' && 
-        alert.createdBy.toString() !== req.user.id) {
+    // Check permissions; ingested and automated alerts have no author
+    if (req.user.role !== 'admin' && req.user.role !== 'authority' &&
+        !(alert.createdBy && alert.createdBy.equals(req.user.id))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this alert'
       });
     }
 
+    await AlertRevision.record(alert, {
+      action: 'deleted',
+      actor: req.user,
+      fromStatus: alert.status
+    });
+
     await Alert.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -430,16 +949,43 @@ router.post('/:id/verify', protect, authorize('admin', 'authority'), [
       });
     }
 
+    // Verified alerts go live; rejected ones return to draft, or are
+    // withdrawn if they were already active
+    const fromStatus = alert.status;
+    let toStatus = 'active';
+    if (verificationStatus === 'rejected') {
+      toStatus = fromStatus === 'active' ? 'cancelled' : 'draft';
+    }
+
+    if (!alert.canTransitionTo(toStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${verificationStatus === 'verified' ? 'verify' : 'reject'} an alert that is ${fromStatus}`
+      });
+    }
+
+    const before = alert.toObject();
     alert.verificationStatus = verificationStatus;
     alert.verificationNotes = verificationNotes;
     alert.verifiedBy = req.user.id;
-    
-    if (verificationStatus === 'verified') {
-      alert.status = 'active';
-    }
+    alert.verifiedAt = new Date();
+    alert.status = toStatus;
 
     await alert.save();
 
+    await AlertRevision.record(alert, {
+      action: verificationStatus,
+      actor: req.user,
+      changes: AlertRevision.diff(before, alert.toObject(), ['verificationStatus', 'verificationNotes', 'status']),
+      fromStatus,
+      notes: verificationNotes
+    });
+
+    // Verifying is also the decision to broadcast
+    if (verificationStatus === 'verified') {
+      dispatchInBackground(alert);
+    }
+
     res.json({
       success: true,
       message: `Alert ${verificationStatus} successfully`,
@@ -455,6 +1001,74 @@ router.post('/:id/verify', protect, authorize('admin', 'authority'), [
   }
 });
 
+// @desc    Get alert revision history
+// @route   GET /api/alerts/:id/history
+// @access  Private (Admin, Authority)
+router.get('/:id/history', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const revisions = await AlertRevision.find({ alert: req.params.id })
+      .populate('actor', 'name email role')
+      .sort({ revision: 1 })
+      .lean();
+
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No history found for this alert'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+
+  } catch (error) {
+    logger.error('Get alert history failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert history. Please try again.'
+    });
+  }
+});
+
+// @desc    Get alert escalation log
+// @route   GET /api/alerts/:id/escalation
+// @access  Private (Admin, Authority)
+router.get('/:id/escalation', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id)
+      .select('severity status notifiedAt escalation')
+      .populate('escalation.policy', 'name coastalArea steps')
+      .populate('escalation.acknowledgedBy', 'name email role authorityTier')
+      .lean();
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        escalation: alert.escalation || { level: 0, log: [] },
+        steps: alert.escalation && alert.escalation.policy
+          ? alert.escalation.policy.steps
+          : escalationService.DEFAULT_STEPS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get alert escalation failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert escalation. Please try again.'
+    });
+  }
+});
+
 // @desc    Acknowledge alert
 // @route   POST /api/alerts/:id/acknowledge
 // @access  Private
@@ -500,6 +1114,11 @@ router.post('/:id/acknowledge', protect, [
       method
     });
 
+    // An authority acknowledgement stops the escalation chain
+    if (escalationService.acknowledge(alert, req.user)) {
+      logger.info(`Alert ${alert._id} acknowledged by ${req.user.role} ${req.user.id}, escalation stopped`);
+    }
+
     await alert.save();
 
     res.json({
@@ -530,7 +1149,8 @@ router.get('/location/:coastalArea', async (req, res) => {
       $or: [
         { expiresAt: { $exists: false } },
         { expiresAt: { $gt: new Date() } }
-      ]
+      ],
+      $and: [Alert.effectiveCondition()]
     };
 
     // Add geospatial filter if coordinates provided
@@ -538,15 +1158,7 @@ router.get('/location/:coastalArea', async (req, res) => {
       try {
         const [lng, lat] = coordinates.split(',').map(Number);
         if (!isNaN(lng) && !isNaN(lat)) {
-          filter['location.coordinates'] = {
-            $near: {
-              $geometry: {
-                type: 'Point',
-                coordinates: [lng, lat]
-              },
-              $maxDistance: radius * 1000
-            }
-          };
+          filter.$and.push(geo.nearPointCondition([lng, lat], Number(radius)));
         }
       } catch (coordError) {
         logger.warn('Invalid coordinates provided:', coordinates);
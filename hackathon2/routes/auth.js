@@ -3,27 +3,16 @@ const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 
 const User = require('../models/User');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
 const { protect } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const quietHours = require('../utils/quietHours');
 
 const router = express.Router();
 
-// Email transporter setup
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-};
-
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -90,26 +79,19 @@ router.post('/register', [
     const verificationToken = user.generateVerificationToken();
     await user.save();
 
-    // Send verification email
-    try {
-      const transporter = createTransporter();
-      const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-      
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: 'Verify your CoastalGuard account',
-        html: `
-          <h2>Welcome to CoastalGuard!</h2>
-          <p>Please verify your email address by clicking the link below:</p>
-          <a href="${verificationUrl}">Verify Email</a>
-          <p>This link will expire in 24 hours.</p>
-        `
-      });
-    } catch (emailError) {
-      logger.error('Failed to send verification email:', emailError);
-      // Don't fail registration if email fails
-    }
+    // Send verification email; registration still succeeds if it fails
+    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    await emailService.sendMail({
+      to: email,
+      subject: 'Verify your CoastalGuard account',
+      html: `
+        <h2>Welcome to CoastalGuard!</h2>
+        <p>Please verify your email address by clicking the link below:</p>
+        <a href="${verificationUrl}">Verify Email</a>
+        <p>This link will expire in 24 hours.</p>
+      `,
+      text: `Welcome to CoastalGuard! Verify your email address: ${verificationUrl}\nThis link will expire in 24 hours.`
+    });
 
     // Generate JWT token
     const token = user.getSignedJwtToken();
@@ -280,24 +262,21 @@ router.post('/forgot-password', [
     await user.save();
 
     // Send reset email
-    try {
-      const transporter = createTransporter();
-      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-      
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: 'Reset your CoastalGuard password',
-        html: `
-          <h2>Password Reset Request</h2>
-          <p>You requested a password reset. Click the link below to reset your password:</p>
-          <a href="${resetUrl}">Reset Password</a>
-          <p>This link will expire in 10 minutes.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-        `
-      });
-    } catch (emailError) {
-      logger.error('Failed to send password reset email:', emailError);
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+    const result = await emailService.sendMail({
+      to: email,
+      subject: 'Reset your CoastalGuard password',
+      html: `
+        <h2>Password Reset Request</h2>
+        <p>You requested a password reset. Click the link below to reset your password:</p>
+        <a href="${resetUrl}">Reset Password</a>
+        <p>This link will expire in 10 minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      `,
+      text: `You requested a password reset. Reset your password: ${resetUrl}\nThis link will expire in 10 minutes. If you didn't request this, please ignore this email.`
+    });
+
+    if (!result.success) {
       return res.status(500).json({
         success: false,
         message: 'Failed to send reset email. Please try again.'
@@ -404,7 +383,22 @@ router.put('/profile', protect, [
   body('preferences.language').optional().isIn(['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']).withMessage('Invalid language'),
   body('preferences.alertTypes').optional().isArray().withMessage('Alert types must be an array'),
   body('preferences.smsEnabled').optional().isBoolean().withMessage('SMS enabled must be a boolean'),
-  body('preferences.emailEnabled').optional().isBoolean().withMessage('Email enabled must be a boolean')
+  body('preferences.emailEnabled').optional().isBoolean().withMessage('Email enabled must be a boolean'),
+  body('preferences.emailDigest').optional().isIn(['none', 'daily', 'weekly']).withMessage('Email digest must be none, daily or weekly'),
+  body('preferences.voiceEnabled').optional().isBoolean().withMessage('Voice enabled must be a boolean'),
+  body('preferences.channelOrder').optional().isArray().withMessage('Channel order must be an array').bail()
+    .custom(order => new Set(order).size === order.length).withMessage('Channel order cannot repeat a channel'),
+  body('preferences.channelOrder.*').custom(channel => {
+    if (!notificationService.channels[channel]) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+    return true;
+  }),
+  body('preferences.fallbackMinutes').optional().isInt({ min: 1, max: 240 }).withMessage('Fallback delay must be between 1 and 240 minutes'),
+  body('preferences.quietHours.enabled').optional().isBoolean().withMessage('Quiet hours enabled must be a boolean'),
+  body('preferences.quietHours.start').optional().custom(quietHours.isValidTime).withMessage('Quiet hours start must be HH:mm'),
+  body('preferences.quietHours.end').optional().custom(quietHours.isValidTime).withMessage('Quiet hours end must be HH:mm'),
+  body('preferences.quietHours.timezone').optional().custom(quietHours.isValidTimezone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
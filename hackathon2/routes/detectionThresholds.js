@@ -0,0 +1,421 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const DetectionThreshold = require('../models/DetectionThreshold');
+const DetectionThresholdRevision = require('../models/DetectionThresholdRevision');
+const detectionThresholds = require('../services/detectionThresholds');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const thresholdValues = (thresholds) => {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('Thresholds must be an object of indicator values');
+  }
+  const invalid = Object.keys(thresholds).filter(indicator => typeof thresholds[indicator] !== 'number' || !Number.isFinite(thresholds[indicator]));
+  if (Object.keys(thresholds).length === 0 || invalid.length > 0) {
+    throw new Error('Please give each threshold as a number');
+  }
+  return true;
+};
+
+// Indicators must belong to the threat type; on update the threshold's own
+// type is checked by the model instead
+const knownIndicators = (thresholds, { req }) => {
+  if (!req.body.threatType) return true;
+  const unknown = DetectionThreshold.unknownIndicators(req.body.threatType, thresholds);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${req.body.threatType} indicators: ${unknown.join(', ')}. Use ${Object.keys(DetectionThreshold.DEFAULTS[req.body.threatType]).join(', ')}`);
+  }
+  return true;
+};
+
+const periodValidation = [
+  body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be a valid date'),
+  body('effectiveUntil').optional({ nullable: true }).isISO8601().withMessage('effectiveUntil must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+];
+
+const createValidation = [
+  body('threatType').isIn(DetectionThreshold.THREAT_TYPES).withMessage('Invalid threat type'),
+  body('scope').isIn(DetectionThreshold.SCOPES).withMessage('Scope must be default, coastal_area or station'),
+  body('coastalArea').optional({ nullable: true, checkFalsy: true }).isIn(DetectionThreshold.COASTAL_AREAS).withMessage('Invalid coastal area'),
+  body('station').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Station ID cannot be more than 50 characters'),
+  body('thresholds').custom(thresholdValues).bail().custom(knownIndicators),
+  ...periodValidation
+];
+
+const updateValidation = [
+  param('id').isMongoId().withMessage('Invalid threshold ID'),
+  body('thresholds').optional().custom(thresholdValues),
+  ...periodValidation
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid threshold ID')
+];
+
+// @desc    Get detection thresholds
+// @route   GET /api/detection-thresholds
+// @access  Private (Admin, Authority)
+router.get('/', protect, authorize('admin', 'authority'), [
+  query('threatType').optional().isIn(DetectionThreshold.THREAT_TYPES).withMessage('Invalid threat type'),
+  query('scope').optional().isIn(DetectionThreshold.SCOPES).withMessage('Invalid scope'),
+  query('coastalArea').optional().isIn(DetectionThreshold.COASTAL_AREAS).withMessage('Invalid coastal area'),
+  query('current').optional().isBoolean().withMessage('current must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    ['threatType', 'scope', 'coastalArea', 'station'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    // Only thresholds in force now
+    if (req.query.current === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.effectiveFrom = { $lte: now };
+      filter.$or = [{ effectiveUntil: null }, { effectiveUntil: { $gt: now } }];
+    }
+
+    const thresholds = await DetectionThreshold.find(filter)
+      .populate('updatedBy', 'name email')
+      .sort({ threatType: 1, scope: 1, coastalArea: 1, station: 1, effectiveFrom: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        defaults: detectionThresholds.DEFAULT_THRESHOLDS,
+        thresholds
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get detection thresholds failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve detection thresholds. Please try again.'
+    });
+  }
+});
+
+// @desc    Get the thresholds that apply to a coastal area or station
+// @route   GET /api/detection-thresholds/effective
+// @access  Private (Admin, Authority)
+router.get('/effective', protect, authorize('admin', 'authority'), [
+  query('threatType').isIn(DetectionThreshold.THREAT_TYPES).withMessage('Invalid threat type'),
+  query('coastalArea').optional().isIn(DetectionThreshold.COASTAL_AREAS).withMessage('Invalid coastal area'),
+  query('station').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Station ID must be between 1 and 50 characters'),
+  query('at').optional().isISO8601().withMessage('at must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { threatType, coastalArea, station } = req.query;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    const { values, sources } = await detectionThresholds.effectiveThresholds(threatType, { coastalArea, station }, at);
+
+    res.json({
+      success: true,
+      data: {
+        threatType,
+        coastalArea: coastalArea || null,
+        station: station || null,
+        at,
+        thresholds: values,
+        sources
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get effective detection thresholds failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve effective thresholds. Please try again.'
+    });
+  }
+});
+
+// @desc    Get the audit trail of threshold changes
+// @route   GET /api/detection-thresholds/revisions
+// @access  Private (Admin, Authority)
+router.get('/revisions', protect, authorize('admin', 'authority'), [
+  query('threshold').optional().isMongoId().withMessage('Invalid threshold ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const filter = req.query.threshold ? { threshold: req.query.threshold } : {};
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      DetectionThresholdRevision.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      DetectionThresholdRevision.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get detection threshold revisions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve threshold history. Please try again.'
+    });
+  }
+});
+
+// @desc    Get a detection threshold with its history
+// @route   GET /api/detection-thresholds/:id
+// @access  Private (Admin, Authority)
+router.get('/:id', protect, authorize('admin', 'authority'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const threshold = await DetectionThreshold.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .lean();
+    if (!threshold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Detection threshold not found'
+      });
+    }
+
+    const revisions = await DetectionThresholdRevision.find({ threshold: threshold._id })
+      .populate('actor', 'name email role')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { threshold, revisions }
+    });
+
+  } catch (error) {
+    logger.error('Get detection threshold failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve detection threshold. Please try again.'
+    });
+  }
+});
+
+// @desc    Create detection threshold
+// @route   POST /api/detection-thresholds
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), createValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { threatType, scope, coastalArea, station, thresholds, effectiveFrom, effectiveUntil, isActive, notes, reason } = req.body;
+
+    const threshold = await DetectionThreshold.create({
+      threatType,
+      scope,
+      coastalArea: coastalArea || undefined,
+      station,
+      thresholds,
+      effectiveFrom,
+      effectiveUntil: effectiveUntil || undefined,
+      isActive,
+      notes,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await DetectionThresholdRevision.record(threshold, { action: 'created', actor: req.user, notes: reason });
+
+    logger.info(`Detection threshold created: ${threshold._id} (${threatType}, ${scope}) by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Detection threshold created successfully',
+      data: { threshold }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Create detection threshold failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create detection threshold. Please try again.'
+    });
+  }
+});
+
+// @desc    Update detection threshold
+// @route   PUT /api/detection-thresholds/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), updateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const threshold = await DetectionThreshold.findById(req.params.id);
+    if (!threshold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Detection threshold not found'
+      });
+    }
+
+    // Threat type and scope stay fixed; add a new threshold to cover
+    // another area or station
+    const before = DetectionThresholdRevision.snapshotOf(threshold);
+    const { thresholds, effectiveFrom, effectiveUntil, isActive, notes, reason } = req.body;
+    if (thresholds) threshold.thresholds = thresholds;
+    if (effectiveFrom) threshold.effectiveFrom = effectiveFrom;
+    if (effectiveUntil !== undefined) threshold.effectiveUntil = effectiveUntil || undefined;
+    if (isActive !== undefined) threshold.isActive = isActive;
+    if (notes !== undefined) threshold.notes = notes;
+    threshold.updatedBy = req.user.id;
+
+    await threshold.save();
+
+    const changes = DetectionThresholdRevision.diff(before, DetectionThresholdRevision.snapshotOf(threshold));
+    if (changes.length > 0) {
+      await DetectionThresholdRevision.record(threshold, { action: 'updated', actor: req.user, changes, notes: reason });
+    }
+
+    logger.info(`Detection threshold updated: ${threshold._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Detection threshold updated successfully',
+      data: { threshold, changes }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Update detection threshold failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update detection threshold. Please try again.'
+    });
+  }
+});
+
+// @desc    Delete detection threshold
+// @route   DELETE /api/detection-thresholds/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), [
+  ...idValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const threshold = await DetectionThreshold.findByIdAndDelete(req.params.id);
+    if (!threshold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Detection threshold not found'
+      });
+    }
+
+    await DetectionThresholdRevision.record(threshold, { action: 'deleted', actor: req.user, notes: req.body.reason });
+
+    logger.info(`Detection threshold deleted: ${threshold._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Detection threshold deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete detection threshold failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete detection threshold. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+const policyValidation = [
+  body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+  body('coastalArea').optional({ nullable: true }).isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  body('severities').optional().isArray({ min: 1 }).withMessage('Severities must be a non-empty array'),
+  body('severities.*').isIn(['critical', 'emergency']).withMessage('Only critical and emergency alerts escalate'),
+  body('steps').isArray({ min: 1 }).withMessage('Please add at least one escalation step'),
+  body('steps.*.afterMinutes').isInt({ min: 0, max: 1440 }).withMessage('Step delay must be between 0 and 1440 minutes'),
+  body('steps.*.tier').isIn(['district', 'state', 'admin']).withMessage('Tier must be district, state or admin'),
+  body('steps.*.channels').isArray({ min: 1 }).withMessage('Each step needs at least one channel'),
+  body('steps.*.channels.*').custom(channel => {
+    if (!notificationService.channels[channel]) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+    return true;
+  }),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get escalation policies
+// @route   GET /api/escalation-policies
+// @access  Private (Admin, Authority)
+router.get('/', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find()
+      .populate('createdBy', 'name email')
+      .sort({ coastalArea: 1, updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+
+  } catch (error) {
+    logger.error('Get escalation policies failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve escalation policies. Please try again.'
+    });
+  }
+});
+
+// @desc    Create escalation policy
+// @route   POST /api/escalation-policies
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, coastalArea, severities, steps, isActive } = req.body;
+
+    const policy = await EscalationPolicy.create({
+      name,
+      coastalArea: coastalArea || undefined,
+      severities,
+      steps,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Escalation policy created: ${policy._id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Escalation policy created successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    logger.error('Create escalation policy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create escalation policy. Please try again.'
+    });
+  }
+});
+
+// @desc    Update escalation policy
+// @route   PUT /api/escalation-policies/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await EscalationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    const { name, coastalArea, severities, steps, isActive } = req.body;
+    policy.name = name;
+    policy.coastalArea = coastalArea || undefined;
+    policy.steps = steps;
+    if (severities) policy.severities = severities;
+    if (isActive !== undefined) policy.isActive = isActive;
+
+    // Saved rather than updated in place so the steps are re-sorted
+    await policy.save();
+
+    logger.info(`Escalation policy updated: ${policy._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    logger.error('Update escalation policy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update escalation policy. Please try again.'
+    });
+  }
+});
+
+// @desc    Delete escalation policy
+// @route   DELETE /api/escalation-policies/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    logger.info(`Escalation policy deleted: ${policy._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete escalation policy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete escalation policy. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const Alert = require('../models/Alert');
+const logger = require('../utils/logger');
+const feeds = require('../utils/feeds');
+
+const router = express.Router();
+
+// Feeds are polled by readers and GIS tools, so let caches serve them briefly
+const FEED_MAX_AGE_SECONDS = parseInt(process.env.FEED_MAX_AGE_SECONDS) || 300;
+const FEED_LIMIT = 200;
+
+const feedValidation = [
+  query('coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  query('type').optional().isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
+  query('severity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid severity level')
+];
+
+// Active, verified and already effective alerts, filtered like GET /api/alerts
+const loadFeed = async (req) => {
+  const { coastalArea, type, severity } = req.query;
+
+  const filter = Alert.buildListFilter({ coastalArea, type, severity });
+  filter.verificationStatus = 'verified';
+
+  const alerts = await Alert.find(filter)
+    .sort({ priority: -1, createdAt: -1 })
+    .limit(FEED_LIMIT)
+    .lean();
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const scope = [coastalArea, type, severity].filter(Boolean).join(', ');
+
+  return {
+    alerts,
+    options: {
+      baseUrl,
+      selfUrl: `${baseUrl}${req.originalUrl}`,
+      title: scope ? `CoastalGuard alerts (${scope})` : 'CoastalGuard alerts - India',
+      description: 'Active coastal hazard alerts published by CoastalGuard'
+    }
+  };
+};
+
+// Express answers conditional requests with 304 once Last-Modified is set
+const setCacheHeaders = (res, alerts) => {
+  res.set('Cache-Control', `public, max-age=${FEED_MAX_AGE_SECONDS}`);
+  res.set('Last-Modified', feeds.latestUpdate(alerts).toUTCString());
+};
+
+const handleFeed = (render, contentType) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { alerts, options } = await loadFeed(req);
+
+    setCacheHeaders(res, alerts);
+    res.type(contentType).send(render(alerts, options));
+
+  } catch (error) {
+    logger.error(`Build feed ${req.path} failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build alert feed. Please try again.'
+    });
+  }
+};
+
+// @desc    RSS 2.0 feed of active alerts
+// @route   GET /feeds/alerts.rss
+// @access  Public
+router.get('/alerts.rss', feedValidation, handleFeed(feeds.toRss, 'application/rss+xml'));
+
+// @desc    Atom feed of active alerts
+// @route   GET /feeds/alerts.atom
+// @access  Public
+router.get('/alerts.atom', feedValidation, handleFeed(feeds.toAtom, 'application/atom+xml'));
+
+// @desc    GeoJSON FeatureCollection of active alerts
+// @route   GET /feeds/alerts.geojson
+// @access  Public
+router.get('/alerts.geojson', feedValidation, handleFeed(
+  (alerts, options) => JSON.stringify(feeds.toGeoJson(alerts, options)),
+  'application/geo+json'
+));
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const DistressIncident = require('../models/DistressIncident');
+const distressService = require('../services/distressService');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    Get distress incidents
+// @route   GET /api/incidents
+// @access  Private (Admin, Authority)
+router.get('/', protect, authorize('admin', 'authority'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['open', 'acknowledged', 'closed']).withMessage('Invalid status'),
+  query('coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, coastalArea } = req.query;
+
+    // Open and acknowledged incidents unless a status is asked for
+    const filter = { status: status || { $in: ['open', 'acknowledged'] } };
+    if (coastalArea) filter.coastalArea = coastalArea;
+
+    const skip = (page - 1) * limit;
+
+    const [incidents, total] = await Promise.all([
+      DistressIncident.find(filter)
+        .populate('user', 'name phone userType emergencyContacts')
+        .populate('acknowledgedBy', 'name phone')
+        .sort({ status: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      DistressIncident.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get distress incidents failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve incidents. Please try again.'
+    });
+  }
+});
+
+// @desc    Get a distress incident with its history
+// @route   GET /api/incidents/:id
+// @access  Private (Admin, Authority)
+router.get('/:id', protect, authorize('admin', 'authority'), [
+  param('id').isMongoId().withMessage('Invalid incident ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const incident = await DistressIncident.findById(req.params.id)
+      .populate('user', 'name phone userType emergencyContacts lastKnownLocation')
+      .populate('acknowledgedBy', 'name phone')
+      .populate('closedBy', 'name phone')
+      .populate('log.by', 'name');
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { incident }
+    });
+
+  } catch (error) {
+    logger.error('Get distress incident failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve incident. Please try again.'
+    });
+  }
+});
+
+// @desc    Acknowledge a distress incident; the user is told help is coming
+// @route   POST /api/incidents/:id/acknowledge
+// @access  Private (Admin, Authority)
+router.post('/:id/acknowledge', protect, authorize('admin', 'authority'), [
+  param('id').isMongoId().withMessage('Invalid incident ID'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const incident = await distressService.acknowledgeIncident(req.params.id, req.user, req.body.note);
+    if (!incident) {
+      return res.status(409).json({
+        success: false,
+        message: 'Incident not found or not open'
+      });
+    }
+
+    logger.info(`Distress incident ${incident._id} acknowledged by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Incident acknowledged',
+      data: { incident }
+    });
+
+  } catch (error) {
+    logger.error('Acknowledge distress incident failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge incident. Please try again.'
+    });
+  }
+});
+
+// @desc    Close a distress incident
+// @route   POST /api/incidents/:id/close
+// @access  Private (Admin, Authority)
+router.post('/:id/close', protect, authorize('admin', 'authority'), [
+  param('id').isMongoId().withMessage('Invalid incident ID'),
+  body('resolution').trim().isLength({ min: 3, max: 1000 }).withMessage('Resolution must be between 3 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const incident = await distressService.closeIncident(req.params.id, req.user, req.body.resolution);
+    if (!incident) {
+      return res.status(409).json({
+        success: false,
+        message: 'Incident not found or already closed'
+      });
+    }
+
+    logger.info(`Distress incident ${incident._id} closed by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Incident closed',
+      data: { incident }
+    });
+
+  } catch (error) {
+    logger.error('Close distress incident failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close incident. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,576 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const Alert = require('../models/Alert');
+const MessageTemplate = require('../models/MessageTemplate');
+const messageTemplates = require('../services/messageTemplates');
+const smsService = require('../services/smsService');
+const smsEncoding = require('../utils/smsEncoding');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ALERT_TYPES = ['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone'];
+const LANGUAGES = ['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada'];
+const SEVERITIES = ['any', 'info', 'warning', 'critical', 'emergency'];
+
+const knownPlaceholders = (text) => {
+  const unknown = MessageTemplate.unknownPlaceholders(text);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholders: ${unknown.join(', ')}. Use ${MessageTemplate.PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`);
+  }
+  return true;
+};
+
+const contentValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    body('subject').optional().trim().isLength({ max: 200 }).withMessage('Subject cannot be more than 200 characters').bail()
+      .custom(knownPlaceholders),
+    field('body').isLength({ min: 1, max: 2000 }).withMessage('Body must be between 1 and 2000 characters').bail()
+      .custom(knownPlaceholders).bail()
+      .custom(text => /\{(title|description)\}/.test(text)).withMessage('Body must include {title} or {description}'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters')
+  ];
+};
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid template ID')
+];
+
+// Load the template named in the URL, or answer 404
+const findTemplate = async (req, res) => {
+  const template = await MessageTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Message template not found'
+    });
+  }
+  return template;
+};
+
+// @desc    Get message templates
+// @route   GET /api/message-templates
+// @access  Private (Admin, Authority)
+router.get('/', protect, authorize('admin', 'authority'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('channel').optional().isIn(MessageTemplate.CHANNELS).withMessage('Invalid channel'),
+  query('alertType').optional().isIn(ALERT_TYPES).withMessage('Invalid alert type'),
+  query('severity').optional().isIn(SEVERITIES).withMessage('Invalid severity'),
+  query('language').optional().isIn(LANGUAGES).withMessage('Invalid language'),
+  query('status').optional().isIn(['draft', 'pending_approval', 'approved', 'rejected', 'retired']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    ['channel', 'alertType', 'severity', 'language', 'status'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const skip = (page - 1) * limit;
+
+    const [templates, total] = await Promise.all([
+      MessageTemplate.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('reviewedBy', 'name email')
+        .sort({ channel: 1, alertType: 1, severity: 1, language: 1, version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      MessageTemplate.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get message templates failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve message templates. Please try again.'
+    });
+  }
+});
+
+// @desc    Get a message template with its version history
+// @route   GET /api/message-templates/:id
+// @access  Private (Admin, Authority)
+router.get('/:id', protect, authorize('admin', 'authority'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MessageTemplate.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .populate('reviewedBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message template not found'
+      });
+    }
+
+    const versions = await MessageTemplate.find(template.key())
+      .select('version status createdBy reviewedAt retiredAt createdAt')
+      .populate('createdBy', 'name')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { template, versions }
+    });
+
+  } catch (error) {
+    logger.error('Get message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Create a message template, as a new draft version of any earlier ones
+// @route   POST /api/message-templates
+// @access  Private (Admin, Authority)
+router.post('/', protect, authorize('admin', 'authority'), [
+  body('channel').isIn(MessageTemplate.CHANNELS).withMessage('Invalid channel'),
+  body('alertType').isIn(ALERT_TYPES).withMessage('Invalid alert type'),
+  body('severity').optional().isIn(SEVERITIES).withMessage('Invalid severity'),
+  body('language').isIn(LANGUAGES).withMessage('Invalid language'),
+  ...contentValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channel, alertType, severity = 'any', language, subject, notes } = req.body;
+    const key = { channel, alertType, severity, language };
+
+    const template = await MessageTemplate.create({
+      ...key,
+      version: await MessageTemplate.nextVersion(key),
+      subject,
+      body: req.body.body,
+      notes,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Message template ${template._id} created: ${channel}/${alertType}/${severity}/${language} ` +
+      `v${template.version} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message template draft created',
+      data: { template }
+    });
+
+  } catch (error) {
+    // Two drafts created at once can claim the same version number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another version was created at the same time. Please try again.'
+      });
+    }
+
+    logger.error('Create message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Edit a draft or rejected message template
+// @route   PUT /api/message-templates/:id
+// @access  Private (Admin, Authority)
+router.put('/:id', protect, authorize('admin', 'authority'), [
+  ...idValidation,
+  ...contentValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    // Submitted and approved versions stay as they were reviewed
+    if (!['draft', 'rejected'].includes(template.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${template.status.replace('_', ' ')} template cannot be edited. Create a new version instead.`
+      });
+    }
+
+    ['subject', 'body', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    template.status = 'draft';
+    template.rejectionReason = undefined;
+    template.updatedBy = req.user.id;
+
+    // Saved rather than updated in place so the placeholder list is rebuilt
+    await template.save();
+
+    logger.info(`Message template ${template._id} updated by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message template updated',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Update message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Submit a draft message template for approval
+// @route   POST /api/message-templates/:id/submit
+// @access  Private (Admin, Authority)
+router.post('/:id/submit', protect, authorize('admin', 'authority'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MessageTemplate.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { $set: { status: 'pending_approval', submittedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template not found or not a draft'
+      });
+    }
+
+    logger.info(`Message template ${template._id} submitted for approval by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message template submitted for approval',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Submit message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Approve a message template; it replaces the approved version before it
+// @route   POST /api/message-templates/:id/approve
+// @access  Private (Admin)
+router.post('/:id/approve', protect, authorize('admin'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await findTemplate(req, res);
+    if (!existing) return;
+
+    // A second person reviews the wording that goes out to the public
+    const author = existing.updatedBy || existing.createdBy;
+    if (author.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Templates must be approved by someone other than their author'
+      });
+    }
+
+    const now = new Date();
+    const template = await MessageTemplate.findOneAndUpdate(
+      { _id: existing._id, status: 'pending_approval' },
+      { $set: { status: 'approved', reviewedBy: req.user.id, reviewedAt: now } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only templates pending approval can be approved'
+      });
+    }
+
+    const retired = await MessageTemplate.updateMany(
+      { ...template.key(), status: 'approved', _id: { $ne: template._id } },
+      { $set: { status: 'retired', retiredAt: now } }
+    );
+    await messageTemplates.reload();
+
+    logger.info(`Message template ${template._id} v${template.version} approved by user ${req.user.id}, ` +
+      `${retired.modifiedCount} earlier version(s) retired`);
+
+    res.json({
+      success: true,
+      message: 'Message template approved',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Approve message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Reject a message template submitted for approval
+// @route   POST /api/message-templates/:id/reject
+// @access  Private (Admin)
+router.post('/:id/reject', protect, authorize('admin'), [
+  ...idValidation,
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MessageTemplate.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending_approval' },
+      { $set: { status: 'rejected', reviewedBy: req.user.id, reviewedAt: new Date(), rejectionReason: req.body.reason } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template not found or not pending approval'
+      });
+    }
+
+    logger.info(`Message template ${template._id} rejected by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message template rejected',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Reject message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Retire an approved message template; the built-in wording is used again
+// @route   POST /api/message-templates/:id/retire
+// @access  Private (Admin)
+router.post('/:id/retire', protect, authorize('admin'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MessageTemplate.findOneAndUpdate(
+      { _id: req.params.id, status: 'approved' },
+      { $set: { status: 'retired', retiredAt: new Date() } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template not found or not approved'
+      });
+    }
+
+    await messageTemplates.reload();
+
+    logger.info(`Message template ${template._id} retired by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message template retired',
+      data: { template }
+    });
+
+  } catch (error) {
+    logger.error('Retire message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retire message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Render a message template against an existing alert
+// @route   POST /api/message-templates/:id/preview
+// @access  Private (Admin, Authority)
+router.post('/:id/preview', protect, authorize('admin', 'authority'), [
+  ...idValidation,
+  body('alertId').isMongoId().withMessage('Valid alert ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const alert = await Alert.findById(req.body.alertId);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const preview = messageTemplates.render(template, alert, template.language);
+
+    // SMS are previewed exactly as sent, shortened to fit their segments
+    if (template.channel === 'sms') {
+      preview.body = smsService.formatWithTemplate(template, alert, template.language);
+      preview.sms = smsEncoding.analyze(preview.body);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: { id: template._id, channel: template.channel, version: template.version, status: template.status },
+        alert: { id: alert._id, type: alert.type, severity: alert.severity },
+        typeMatches: alert.type === template.alertType,
+        preview
+      }
+    });
+
+  } catch (error) {
+    logger.error('Preview message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview message template. Please try again.'
+    });
+  }
+});
+
+// @desc    Delete a draft or rejected message template
+// @route   DELETE /api/message-templates/:id
+// @access  Private (Admin, Authority)
+router.delete('/:id', protect, authorize('admin', 'authority'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Reviewed versions are kept as the history of what was sent
+    const template = await MessageTemplate.findOneAndDelete({
+      _id: req.params.id,
+      status: { $in: ['draft', 'rejected'] }
+    });
+
+    if (!template) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template not found or already reviewed'
+      });
+    }
+
+    logger.info(`Message template ${template._id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Message template deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete message template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete message template. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
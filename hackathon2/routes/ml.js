@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const ModelVersion = require('../models/ModelVersion');
+const TrainingJob = require('../models/TrainingJob');
+const modelRegistry = require('../services/modelRegistry');
+const modelTraining = require('../services/modelTraining');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid model version ID')
+];
+
+// @desc    Get the performance of the model each hazard is detected with
+// @route   GET /api/ml/performance
+// @access  Public
+router.get('/performance', async (req, res) => {
+  try {
+    const models = await modelRegistry.performance();
+
+    res.json({
+      success: true,
+      data: { models }
+    });
+
+  } catch (error) {
+    logger.error('Get model performance failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve model performance. Please try again.'
+    });
+  }
+});
+
+// @desc    Get registered model versions
+// @route   GET /api/ml/models
+// @access  Private (Admin)
+router.get('/models', protect, authorize('admin'), [
+  query('hazard').optional().isIn(ModelVersion.HAZARDS).withMessage('Invalid hazard'),
+  query('status').optional().isIn(['candidate', 'active', 'retired']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    ['hazard', 'status'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const versions = await ModelVersion.find(filter)
+      .select('-featureSchema.normalization -history')
+      .sort({ hazard: 1, trainedAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .lean();
+
+    res.json({
+      success: true,
+      data: { versions }
+    });
+
+  } catch (error) {
+    logger.error('Get model versions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve model versions. Please try again.'
+    });
+  }
+});
+
+// @desc    Get a model version
+// @route   GET /api/ml/models/:id
+// @access  Private (Admin)
+router.get('/models/:id', protect, authorize('admin'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const version = await ModelVersion.findById(req.params.id)
+      .populate('history.by', 'name email')
+      .populate('previous', 'version status')
+      .lean();
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { version }
+    });
+
+  } catch (error) {
+    logger.error('Get model version failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve model version. Please try again.'
+    });
+  }
+});
+
+// @desc    Make a model version the active one for its hazard
+// @route   POST /api/ml/models/:id/promote
+// @access  Private (Admin)
+router.post('/models/:id/promote', protect, authorize('admin'), [
+  ...idValidation,
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const version = await ModelVersion.findById(req.params.id);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    if (version.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `${version.hazard} model ${version.version} is already active`
+      });
+    }
+
+    const promoted = await modelRegistry.promote(version, req.user, req.body.notes);
+
+    logger.info(`Model ${version.hazard} ${version.version} promoted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${version.hazard} model ${version.version} is now active`,
+      data: { version: promoted }
+    });
+
+  } catch (error) {
+    logger.error('Promote model version failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to promote model version. Please try again.'
+    });
+  }
+});
+
+// @desc    Restore the model version the active one replaced
+// @route   POST /api/ml/hazards/:hazard/rollback
+// @access  Private (Admin)
+router.post('/hazards/:hazard/rollback', protect, authorize('admin'), [
+  param('hazard').isIn(ModelVersion.HAZARDS).withMessage('Invalid hazard'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rollback = await modelRegistry.rollback(req.params.hazard, req.user, req.body.notes);
+    if (!rollback) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${req.params.hazard} model has no earlier version to roll back to`
+      });
+    }
+
+    logger.info(`Model ${req.params.hazard} rolled back to ${rollback.to.version} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${req.params.hazard} model rolled back from ${rollback.from.version} to ${rollback.to.version}`,
+      data: { version: rollback.to }
+    });
+
+  } catch (error) {
+    logger.error('Roll back model version failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back model version. Please try again.'
+    });
+  }
+});
+
+// @desc    Start a model training job
+// @route   POST /api/ml/training-jobs
+// @access  Private (Admin)
+router.post('/training-jobs', protect, authorize('admin'), [
+  body('hazards').optional().isArray({ min: 1 }).withMessage('Hazards must be a non-empty array'),
+  body('hazards.*').isIn(TrainingJob.HAZARDS).withMessage('Invalid hazard'),
+  body('epochs').optional().isInt({ min: 1, max: 500 }).withMessage('Epochs must be between 1 and 500'),
+  body('batchSize').optional().isInt({ min: 8, max: 1024 }).withMessage('Batch size must be between 8 and 1024'),
+  body('validationSplit').optional().isFloat({ min: 0.1, max: 0.3 }).withMessage('Validation split must be between 0.1 and 0.3'),
+  body('testSplit').optional().isFloat({ min: 0.1, max: 0.3 }).withMessage('Test split must be between 0.1 and 0.3'),
+  body('from').optional().isISO8601().withMessage('from must be a valid date'),
+  body('to').optional().isISO8601().withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hazards, epochs, batchSize, validationSplit, testSplit, from, to } = req.body;
+    if (from && to && new Date(from) >= new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if (!modelTraining.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Model training is not available on this server'
+      });
+    }
+
+    const pending = await TrainingJob.findOne({ status: { $in: ['queued', 'running'] } }).select('_id status').lean();
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: `Training job ${pending._id} is already ${pending.status}`,
+        data: { jobId: pending._id }
+      });
+    }
+
+    const job = await modelTraining.createJob({
+      hazards: hazards ? [...new Set(hazards)] : undefined,
+      ...(epochs && { epochs: parseInt(epochs) }),
+      ...(batchSize && { batchSize: parseInt(batchSize) }),
+      ...(validationSplit && { validationSplit: parseFloat(validationSplit) }),
+      ...(testSplit && { testSplit: parseFloat(testSplit) }),
+      ...(from && { from: new Date(from) }),
+      ...(to && { to: new Date(to) })
+    }, req.user);
+
+    logger.info(`Training job ${job._id} queued by user ${req.user.id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Training job queued',
+      data: { job }
+    });
+
+  } catch (error) {
+    logger.error('Start training job failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start training job. Please try again.'
+    });
+  }
+});
+
+// @desc    Get model training jobs
+// @route   GET /api/ml/training-jobs
+// @access  Private (Admin)
+router.get('/training-jobs', protect, authorize('admin'), [
+  query('status').optional().isIn(['queued', 'running', 'completed', 'failed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const jobs = await TrainingJob.find(filter)
+      .populate('requestedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20)
+      .lean();
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+
+  } catch (error) {
+    logger.error('Get training jobs failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve training jobs. Please try again.'
+    });
+  }
+});
+
+// @desc    Get a training job's progress and results
+// @route   GET /api/ml/training-jobs/:id
+// @access  Private (Admin)
+router.get('/training-jobs/:id', protect, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await TrainingJob.findById(req.params.id)
+      .populate('requestedBy', 'name email')
+      .lean();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+
+  } catch (error) {
+    logger.error('Get training job failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve training job. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const pushService = require('../services/pushService');
+const { protect } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    Get the VAPID public key browsers subscribe with
+// @route   GET /api/push/vapid-public-key
+// @access  Public
+router.get('/vapid-public-key', (req, res) => {
+  const publicKey = pushService.getPublicKey();
+  if (!publicKey) {
+    return res.status(503).json({
+      success: false,
+      message: 'Push notifications are not available'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { publicKey }
+  });
+});
+
+// @desc    Register this browser for push alerts
+// @route   POST /api/push/subscriptions
+// @access  Private
+router.post('/subscriptions', protect, [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('Endpoint must be an HTTPS URL'),
+  body('keys.p256dh').isString().notEmpty().withMessage('p256dh key is required'),
+  body('keys.auth').isString().notEmpty().withMessage('Auth key is required'),
+  body('expirationTime').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Expiration time must be a timestamp')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { endpoint, keys, expirationTime } = req.body;
+
+    const update = {
+      $set: {
+        user: req.user.id,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('User-Agent'),
+        failureCount: 0
+      },
+      $unset: { lastError: 1 }
+    };
+    if (expirationTime) {
+      update.$set.expirationTime = new Date(expirationTime);
+    } else {
+      update.$unset.expirationTime = 1;
+    }
+
+    // Endpoints are unique per browser, so re-subscribing moves it to this user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await User.updateOne({ _id: req.user.id }, { $set: { 'preferences.pushEnabled': true } });
+
+    logger.info(`Push subscription ${subscription._id} registered for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled',
+      data: { subscriptionId: subscription._id }
+    });
+
+  } catch (error) {
+    logger.error('Register push subscription failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable push notifications. Please try again.'
+    });
+  }
+});
+
+// @desc    Stop push alerts to this browser
+// @route   DELETE /api/push/subscriptions
+// @access  Private
+router.delete('/subscriptions', protect, [
+  body('endpoint').isString().notEmpty().withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push subscription not found'
+      });
+    }
+
+    // Push stays on while the user has other subscribed browsers
+    const remaining = await PushSubscription.countDocuments({ user: req.user.id });
+    if (remaining === 0) {
+      await User.updateOne({ _id: req.user.id }, { $set: { 'preferences.pushEnabled': false } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Push notifications disabled for this browser',
+      data: { remainingSubscriptions: remaining }
+    });
+
+  } catch (error) {
+    logger.error('Remove push subscription failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable push notifications. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
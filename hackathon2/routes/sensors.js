@@ -0,0 +1,66 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const modelTraining = require('../services/modelTraining');
+const { protect, authorize } = require('../middleware/auth');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    Submit sensor readings for threat detection
+// @route   POST /api/sensors/readings
+// @access  Private (Admin, Authority)
+router.post('/readings', protect, authorize('admin', 'authority'), [
+  body('readings').isArray({ min: 1, max: 500 }).withMessage('Readings must be an array of 1 to 500 readings'),
+  body('readings.*.values').isObject().withMessage('Each reading needs an object of measurement values'),
+  body('readings.*.station').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Station ID must be between 1 and 50 characters'),
+  body('readings.*.location.coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  body('readings.*.location.coordinates').optional().custom(coordinates => {
+    if (!geo.isPosition(coordinates)) throw new Error('Coordinates must be [longitude, latitude]');
+    return true;
+  }),
+  body('readings.*.timestamp').optional().isISO8601().withMessage('Timestamp must be a valid date'),
+  body('readings.*').custom(reading => {
+    const location = reading.location || {};
+    if (!location.coastalArea && !location.coordinates) {
+      throw new Error('Each reading needs a coastal area or coordinates');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Stored readings are analyzed by the threat monitor every five minutes
+    const stored = await modelTraining.recordReadings(req.body.readings.map(reading => ({
+      ...reading.values,
+      location: reading.location,
+      station_id: reading.station,
+      timestamp: reading.timestamp,
+      source: reading.source || req.user.name
+    })));
+
+    res.status(202).json({
+      success: true,
+      message: `${stored} readings accepted`,
+      data: { stored }
+    });
+
+  } catch (error) {
+    logger.error('Submit sensor readings failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store sensor readings. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,122 +1,107 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const twilio = require('twilio');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const cron = require('node-cron');
 
 const User = require('../models/User');
 const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const OutboundMessage = require('../models/OutboundMessage');
 const { protect, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { MAX_SEGMENTS, formatSMSMessage, sendSMS, getMessageStatus, getProvider } = require('../services/smsService');
+const notificationQueue = require('../services/notificationQueue');
+const deliveryReceipts = require('../services/deliveryReceipts');
+const smsCommands = require('../services/smsCommands');
+const smsEncoding = require('../utils/smsEncoding');
+const quietHours = require('../utils/quietHours');
 
 const router = express.Router();
 
-// Initialize Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
-
-// SMS templates for different languages
-const smsTemplates = {
-  english: {
-    storm: '🚨 STORM WARNING: {title} - {description} - CoastalGuard',
-    tide: '🌊 HIGH TIDE ALERT: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ POLLUTION ALERT: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ EROSION ALERT: {title} - {description} - CoastalGuard',
-    emergency: '🚨 EMERGENCY: {title} - {description} - CoastalGuard',
-    weather: '🌤️ WEATHER UPDATE: {title} - {description} - CoastalGuard'
-  },
-  hindi: {
-    storm: '🚨 तूफान चेतावनी: {title} - {description} - CoastalGuard',
-    tide: '🌊 उच्च ज्वार चेतावनी: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ प्रदूषण चेतावनी: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ कटाव चेतावनी: {title} - {description} - CoastalGuard',
-    emergency: '🚨 आपातकाल: {title} - {description} - CoastalGuard',
-    weather: '🌤️ मौसम अपडेट: {title} - {description} - CoastalGuard'
-  },
-  marathi: {
-    storm: '🚨 वादळ चेतावणी: {title} - {description} - CoastalGuard',
-    tide: '🌊 उच्च भरती चेतावणी: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ प्रदूषण चेतावणी: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ कटाव चेतावणी: {title} - {description} - CoastalGuard',
-    emergency: '🚨 आणीबाणी: {title} - {description} - CoastalGuard',
-    weather: '🌤️ हवामान अपडेट: {title} - {description} - CoastalGuard'
-  },
-  gujarati: {
-    storm: '🚨 વાવાઝોડું ચેતવણી: {title} - {description} - CoastalGuard',
-    tide: '🌊 ઉચ્ચ ભરતી ચેતવણી: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ પ્રદૂષણ ચેતવણી: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ કટાવ ચેતવણી: {title} - {description} - CoastalGuard',
-    emergency: '🚨 કટોકટી: {title} - {description} - CoastalGuard',
-    weather: '🌤️ હવામાન અપડેટ: {title} - {description} - CoastalGuard'
-  },
-  tamil: {
-    storm: '🚨 புயல் எச்சரிக்கை: {title} - {description} - CoastalGuard',
-    tide: '🌊 உயர் ஓத எச்சரிக்கை: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ மாசு எச்சரிக்கை: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ அரிப்பு எச்சரிக்கை: {title} - {description} - CoastalGuard',
-    emergency: '🚨 அவசரநிலை: {title} - {description} - CoastalGuard',
-    weather: '🌤️ வானிலை புதுப்பிப்பு: {title} - {description} - CoastalGuard'
-  },
-  telugu: {
-    storm: '🚨 తుఫాన్ హెచ్చరిక: {title} - {description} - CoastalGuard',
-    tide: '🌊 ఎత్తైన ఉప్పెన హెచ్చరిక: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ కాలుష్య హెచ్చరిక: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ కోత హెచ్చరిక: {title} - {description} - CoastalGuard',
-    emergency: '🚨 అత్యవసర పరిస్థితి: {title} - {description} - CoastalGuard',
-    weather: '🌤️ వాతావరణ నవీకరణ: {title} - {description} - CoastalGuard'
-  },
-  malayalam: {
-    storm: '🚨 കൊടുങ്കാറ്റ് മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
-    tide: '🌊 ഉയർന്ന വേലിയേറ്റ മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ മലിനീകരണ മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ അപരദന മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
-    emergency: '🚨 അടിയന്തിരാവസ്ഥ: {title} - {description} - CoastalGuard',
-    weather: '🌤️ കാലാവസ്ഥ അപ്ഡേറ്റ്: {title} - {description} - CoastalGuard'
-  },
-  kannada: {
-    storm: '🚨 ಚಂಡಮಾರುತ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
-    tide: '🌊 ಉನ್ನತ ಭರತಿ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
-    pollution: '⚠️ ಮಾಲಿನ್ಯ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
-    erosion: '🏖️ ಕೊರೆತ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
-    emergency: '🚨 ತುರ್ತು ಪರಿಸ್ಥಿತಿ: {title} - {description} - CoastalGuard',
-    weather: '🌤️ ಹವಾಮಾನ ನವೀಕರಣ: {title} - {description} - CoastalGuard'
+const COST_PER_SEGMENT = parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0.25;
+const COST_CURRENCY = process.env.SMS_COST_CURRENCY || 'INR';
+
+// Messages are limited by segments rather than characters, since a segment
+// holds 160 GSM-7 characters but only 70 in Hindi, Tamil and other scripts
+const fitsInSegments = (message) => {
+  if (smsEncoding.analyze(message).segments > MAX_SEGMENTS) {
+    throw new Error(`Message must fit in ${MAX_SEGMENTS} SMS segments`);
   }
+  return true;
 };
 
-// Helper function to format SMS message
-const formatSMSMessage = (alert, language = 'english') => {
-  const template = smsTemplates[language] || smsTemplates.english;
-  const alertTemplate = template[alert.type] || template.info;
-  
-  return alertTemplate
-    .replace('{title}', alert.title)
-    .replace('{description}', alert.description.substring(0, 100) + (alert.description.length > 100 ? '...' : ''));
+// Users an alert SMS goes to: the given users, subscribers in the coastal
+// area who want this type of alert, or the alert's recipients by home and
+// saved places
+const buildAlertAudience = (alert, { userIds, coastalArea, userType }) => {
+  const userFilter = {
+    'preferences.smsEnabled': true,
+    isActive: true
+  };
+
+  if (userIds && userIds.length > 0) {
+    // Cast here as well so the filter also works in aggregations
+    userFilter._id = { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) };
+  } else {
+    // Target the coastal area if given, otherwise everyone the alert area covers
+    if (coastalArea) {
+      userFilter['location.coastalArea'] = coastalArea;
+      userFilter['preferences.alertTypes'] = { $in: [alert.type] };
+    } else {
+      Object.assign(userFilter, alert.getRecipientCondition());
+    }
+    if (userType) {
+      userFilter.userType = userType;
+    }
+  }
+
+  return userFilter;
 };
 
-// Helper function to send SMS
-const sendSMS = async (to, message) => {
-  try {
-    const result = await twilioClient.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: to
-    });
-    
-    logger.info(`SMS sent successfully to ${to}: ${result.sid}`);
-    return { success: true, sid: result.sid };
-  } catch (error) {
-    logger.error(`Failed to send SMS to ${to}:`, error);
-    return { success: false, error: error.message };
+// Users a bulk SMS goes to
+const buildBulkAudience = ({ coastalArea, userType, language }) => {
+  const userFilter = {
+    'location.coastalArea': coastalArea,
+    'preferences.smsEnabled': true,
+    isActive: true
+  };
+
+  if (userType) {
+    userFilter.userType = userType;
   }
+
+  if (language) {
+    userFilter['preferences.language'] = language;
+  }
+
+  return userFilter;
 };
 
+// Stream matching users into queue entries with an alert message in each
+// user's language, held back until their quiet hours end where that applies.
+// Reminders skip users in quiet hours whatever the severity: they already
+// have the alert, and holding every hourly reminder would send them together.
+async function* alertRecipients(userFilter, alert, { reminder = false } = {}) {
+  const cursor = User.find(userFilter).select('phone preferences.language preferences.quietHours').cursor();
+  for await (const user of cursor) {
+    if (reminder && quietHours.quietUntil(user.preferences.quietHours)) continue;
+
+    yield {
+      user: user._id,
+      to: user.phone,
+      body: formatSMSMessage(alert, user.preferences.language),
+      notBefore: quietHours.holdUntil(user.preferences.quietHours, alert.severity)
+    };
+  }
+}
+
 // @desc    Send SMS alert to specific users
 // @route   POST /api/sms/send
 // @access  Private (Admin, Authority)
 router.post('/send', protect, authorize('admin', 'authority'), [
   body('alertId').isMongoId().withMessage('Valid alert ID is required'),
   body('userIds').optional().isArray().withMessage('User IDs must be an array'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
   body('coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
   body('userType').optional().isIn(['fisherfolk', 'business', 'tourist', 'ngo', 'authority', 'general']).withMessage('Invalid user type')
 ], async (req, res) => {
@@ -141,76 +126,32 @@ router.post('/send', protect, authorize('admin', 'authority'), [
       });
     }
 
-    // Build user filter
-    let userFilter = {
-      'preferences.smsEnabled': true,
-      isActive: true
-    };
-
-    if (userIds && userIds.length > 0) {
-      userFilter._id = { $in: userIds };
-    } else {
-      if (coastalArea) {
-        userFilter['location.coastalArea'] = coastalArea;
-      }
-      if (userType) {
-        userFilter.userType = userType;
-      }
-      
-      // Check if user wants this type of alert
-      userFilter['preferences.alertTypes'] = { $in: [alert.type] };
-    }
-
-    // Get users to send SMS to
-    const users = await User.find(userFilter).select('phone preferences.language');
+    const userFilter = buildAlertAudience(alert, { userIds, coastalArea, userType });
+    const totalUsers = await User.countDocuments(userFilter);
     
-    if (users.length === 0) {
+    if (totalUsers === 0) {
       return res.status(400).json({
         success: false,
         message: 'No users found matching the criteria'
       });
     }
 
-    // Send SMS to each user
-    const results = [];
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (const user of users) {
-      const message = formatSMSMessage(alert, user.preferences.language);
-      const result = await sendSMS(user.phone, message);
-      
-      results.push({
-        userId: user._id,
-        phone: user.phone,
-        success: result.success,
-        sid: result.sid,
-        error: result.error
-      });
-
-      if (result.success) {
-        successCount++;
-      } else {
-        failureCount++;
-      }
-
-      // Add small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    // Update alert statistics
-    alert.statistics.totalRecipients += users.length;
-    alert.statistics.deliveredCount += successCount;
-    await alert.save();
+    // Queue the sends; alert statistics are updated as messages go out
+    const job = await notificationQueue.createJob({
+      type: 'alert_sms',
+      alert,
+      createdBy: req.user.id,
+      criteria: { userIds, coastalArea, userType },
+      recipients: alertRecipients(userFilter, alert)
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `SMS sent to ${users.length} users. Success: ${successCount}, Failed: ${failureCount}`,
+      message: `SMS queued for ${totalUsers} users`,
       data: {
-        totalUsers: users.length,
-        successCount,
-        failureCount,
-        results
+        jobId: job._id,
+        totalUsers,
+        statusUrl: `/api/sms/jobs/${job._id}`
       }
     });
 
@@ -227,7 +168,7 @@ router.post('/send', protect, authorize('admin', 'authority'), [
 // @route   POST /api/sms/bulk
 // @access  Private (Admin, Authority)
 router.post('/bulk', protect, authorize('admin', 'authority'), [
-  body('message').isLength({ min: 1, max: 160 }).withMessage('Message must be between 1 and 160 characters'),
+  body('message').isLength({ min: 1 }).withMessage('Message is required').bail().custom(fitsInSegments),
   body('coastalArea').isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Valid coastal area is required'),
   body('userType').optional().isIn(['fisherfolk', 'business', 'tourist', 'ngo', 'authority', 'general']).withMessage('Invalid user type'),
   body('language').optional().isIn(['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']).withMessage('Invalid language')
@@ -244,74 +185,275 @@ router.post('/bulk', protect, authorize('admin', 'authority'), [
 
     const { message, coastalArea, userType, language = 'english' } = req.body;
 
-    // Build user filter
-    let userFilter = {
-      'location.coastalArea': coastalArea,
-      'preferences.smsEnabled': true,
-      isActive: true
-    };
-
-    if (userType) {
-      userFilter.userType = userType;
+    const userFilter = buildBulkAudience({ coastalArea, userType, language });
+    const totalUsers = await User.countDocuments(userFilter);
+    
+    if (totalUsers === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No users found matching the criteria'
+      });
     }
 
-    if (language) {
-      userFilter['preferences.language'] = language;
+    // Bulk messages are not alerts, so they always wait out quiet hours
+    async function* recipients() {
+      const cursor = User.find(userFilter).select('phone preferences.quietHours').cursor();
+      for await (const user of cursor) {
+        yield {
+          user: user._id,
+          to: user.phone,
+          body: message,
+          notBefore: quietHours.holdUntil(user.preferences.quietHours)
+        };
+      }
     }
 
-    // Get users
-    const users = await User.find(userFilter).select('phone name');
-    
-    if (users.length === 0) {
+    const job = await notificationQueue.createJob({
+      type: 'bulk_sms',
+      createdBy: req.user.id,
+      criteria: { coastalArea, userType, language },
+      recipients: recipients()
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Bulk SMS queued for ${totalUsers} users`,
+      data: {
+        jobId: job._id,
+        totalUsers,
+        statusUrl: `/api/sms/jobs/${job._id}`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Bulk SMS failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send bulk SMS. Please try again.'
+    });
+  }
+});
+
+// @desc    Preview segments and cost of an alert or bulk SMS before sending
+// @route   POST /api/sms/preview
+// @access  Private (Admin, Authority)
+router.post('/preview', protect, authorize('admin', 'authority'), [
+  body('alertId').optional().isMongoId().withMessage('Valid alert ID is required'),
+  body('message').optional().isLength({ min: 1 }).withMessage('Message cannot be empty'),
+  body().custom(value => {
+    if (!value.alertId === !value.message) {
+      throw new Error('Provide either alertId or message');
+    }
+    return true;
+  }),
+  body('userIds').optional().isArray().withMessage('User IDs must be an array'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+  body('coastalArea').optional().isIn(['mumbai', 'goa', 'kerala', 'tamilnadu', 'andhra', 'odisha', 'westbengal', 'gujarat']).withMessage('Invalid coastal area'),
+  body('userType').optional().isIn(['fisherfolk', 'business', 'tourist', 'ngo', 'authority', 'general']).withMessage('Invalid user type'),
+  body('language').optional().isIn(['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']).withMessage('Invalid language')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'No users found matching the criteria'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Send SMS to each user
-    const results = [];
-    let successCount = 0;
-    let failureCount = 0;
+    const { alertId, message, userIds, coastalArea, userType, language = 'english' } = req.body;
+
+    let alert = null;
+    let userFilter;
+    if (alertId) {
+      alert = await Alert.findById(alertId);
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+      userFilter = buildAlertAudience(alert, { userIds, coastalArea, userType });
+    } else {
+      if (!coastalArea) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coastal area is required for bulk SMS'
+        });
+      }
+      userFilter = buildBulkAudience({ coastalArea, userType, language });
+    }
 
-    for (const user of users) {
-      const result = await sendSMS(user.phone, message);
-      
-      results.push({
-        userId: user._id,
-        name: user.name,
-        phone: user.phone,
-        success: result.success,
-        sid: result.sid,
-        error: result.error
+    // Alert messages are written in each recipient's language, so cost them per language
+    const languageCounts = await User.aggregate([
+      { $match: userFilter },
+      { $group: { _id: '$preferences.language', recipients: { $sum: 1 } } },
+      { $sort: { recipients: -1 } }
+    ]);
+
+    const byLanguage = languageCounts.map(({ _id, recipients }) => {
+      const text = alert ? formatSMSMessage(alert, _id || 'english') : message;
+      const { encoding, characters, segments } = smsEncoding.analyze(text);
+      return {
+        language: _id || 'english',
+        recipients,
+        encoding,
+        characters,
+        segmentsPerMessage: segments,
+        segments: segments * recipients,
+        sample: text
+      };
+    });
+
+    const totalRecipients = byLanguage.reduce((sum, group) => sum + group.recipients, 0);
+    const totalSegments = byLanguage.reduce((sum, group) => sum + group.segments, 0);
+
+    res.json({
+      success: true,
+      data: {
+        totalRecipients,
+        totalSegments,
+        maxSegmentsPerMessage: MAX_SEGMENTS,
+        costPerSegment: COST_PER_SEGMENT,
+        estimatedCost: Math.round(totalSegments * COST_PER_SEGMENT * 100) / 100,
+        currency: COST_CURRENCY,
+        byLanguage,
+        // Bulk messages are sent as written, so they can be rejected for length
+        withinLimit: alert ? true : smsEncoding.analyze(message).segments <= MAX_SEGMENTS
+      }
+    });
+
+  } catch (error) {
+    logger.error('SMS preview failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview SMS. Please try again.'
+    });
+  }
+});
+
+// @desc    Get SMS job progress
+// @route   GET /api/sms/jobs/:id
+// @access  Private (Admin, Authority)
+router.get('/jobs/:id', protect, authorize('admin', 'authority'), async (req, res) => {
+  try {
+    const progress = await notificationQueue.getJobProgress(req.params.id);
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        message: 'SMS job not found'
       });
+    }
 
-      if (result.success) {
-        successCount++;
-      } else {
-        failureCount++;
+    const { job, messages } = progress;
+
+    res.json({
+      success: true,
+      data: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        alert: job.alert,
+        total: job.total,
+        sent: job.sent,
+        failed: job.failed,
+        pending: job.pending,
+        percentComplete: job.percentComplete,
+        messages,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
       }
+    });
+
+  } catch (error) {
+    logger.error('Get SMS job failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get SMS job. Please try again.'
+    });
+  }
+});
 
-      // Add small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
+// @desc    List dead-lettered SMS messages
+// @route   GET /api/sms/dead-letters
+// @access  Private (Admin)
+router.get('/dead-letters', protect, authorize('admin'), [
+  query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
+    const { jobId, page = 1, limit = 50 } = req.query;
+    const filter = { status: 'dead' };
+    if (jobId) filter.job = jobId;
+
+    const [messages, total] = await Promise.all([
+      OutboundMessage.find(filter)
+        .populate('user', 'name phone')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      OutboundMessage.countDocuments(filter)
+    ]);
+
     res.json({
       success: true,
-      message: `Bulk SMS sent to ${users.length} users. Success: ${successCount}, Failed: ${failureCount}`,
       data: {
-        totalUsers: users.length,
-        successCount,
-        failureCount,
-        results
+        messages,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
       }
     });
 
   } catch (error) {
-    logger.error('Bulk SMS failed:', error);
+    logger.error('Get SMS dead letters failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send bulk SMS. Please try again.'
+      message: 'Failed to get dead-lettered messages. Please try again.'
+    });
+  }
+});
+
+// @desc    Requeue a dead-lettered SMS message
+// @route   POST /api/sms/dead-letters/:id/retry
+// @access  Private (Admin)
+router.post('/dead-letters/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    const message = await notificationQueue.retryDeadLetter(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-lettered message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message requeued',
+      data: { id: message._id, job: message.job }
+    });
+
+  } catch (error) {
+    logger.error('Retry SMS dead letter failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to requeue message. Please try again.'
     });
   }
 });
@@ -323,7 +465,13 @@ router.get('/status/:messageSid', protect, async (req, res) => {
   try {
     const { messageSid } = req.params;
 
-    const message = await twilioClient.messages(messageSid).fetch();
+    const message = await getMessageStatus(messageSid);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'SMS message not found'
+      });
+    }
     
     res.json({
       success: true,
@@ -350,6 +498,88 @@ router.get('/status/:messageSid', protect, async (req, res) => {
   }
 });
 
+// @desc    Receive SMS delivery receipts from the provider
+// @route   POST /api/sms/status-callback
+// @access  Public (signed by the SMS provider)
+router.post('/status-callback', async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (!provider.validateCallback(req)) {
+      logger.warn(`Rejected SMS status callback from ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid callback signature'
+      });
+    }
+
+    const receipt = provider.parseStatusCallback(req);
+    const result = await deliveryReceipts.applyStatus(receipt);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognised delivery status'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('SMS status callback failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record delivery status. Please try again.'
+    });
+  }
+});
+
+// @desc    Handle an inbound SMS command and reply to the sender
+// @route   POST /api/sms/inbound
+// @access  Public (signed by the SMS provider)
+router.post('/inbound', async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (!provider.validateInbound(req)) {
+      logger.warn(`Rejected inbound SMS webhook from ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const inbound = provider.parseInbound(req);
+    if (!inbound.from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sender number is required'
+      });
+    }
+
+    const { command, user, reply } = await smsCommands.handleInbound(inbound);
+    logger.info(`Inbound SMS ${inbound.messageSid} from ${inbound.from}: ${command || 'unrecognised'}`);
+
+    const result = await sendSMS(inbound.from, reply);
+
+    res.json({
+      success: true,
+      data: {
+        command,
+        user: user ? user._id : null,
+        replied: result.success
+      }
+    });
+
+  } catch (error) {
+    logger.error('Inbound SMS handling failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to handle inbound SMS. Please try again.'
+    });
+  }
+});
+
 // @desc    Get SMS statistics
 // @route   GET /api/sms/stats
 // @access  Private (Admin, Authority)
@@ -365,10 +595,14 @@ router.get('/stats', protect, authorize('admin', 'authority'), async (req, res)
     if (endDate) {
       dateFilter.$lte = new Date(endDate);
     }
+    const createdFilter = Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {};
 
     // Get user statistics
+    const userMatch = { 'preferences.smsEnabled': true, isActive: true };
+    if (coastalArea) userMatch['location.coastalArea'] = coastalArea;
+
     const userStats = await User.aggregate([
-      { $match: { 'preferences.smsEnabled': true, isActive: true } },
+      { $match: userMatch },
       {
         $group: {
           _id: '$location.coastalArea',
@@ -380,17 +614,60 @@ router.get('/stats', protect, authorize('admin', 'authority'), async (req, res)
 
     // Get alert statistics
     const alertStats = await Alert.aggregate([
-      { $match: dateFilter },
+      { $match: coastalArea ? { ...createdFilter, 'location.coastalArea': coastalArea } : createdFilter },
       {
         $group: {
           _id: '$type',
           totalAlerts: { $sum: 1 },
           totalRecipients: { $sum: '$statistics.totalRecipients' },
-          deliveredCount: { $sum: '$statistics.deliveredCount' }
+          deliveredCount: { $sum: '$statistics.deliveredCount' },
+          failedCount: { $sum: '$statistics.failedCount' }
         }
       }
     ]);
 
+    // Delivery receipts for alert SMS, by the recipient's area and language
+    const deliveryStats = await AlertDelivery.aggregate([
+      { $match: { channel: 'sms', ...createdFilter } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'user',
+          foreignField: '_id',
+          as: 'recipient'
+        }
+      },
+      { $unwind: '$recipient' },
+      ...(coastalArea ? [{ $match: { 'recipient.location.coastalArea': coastalArea } }] : []),
+      {
+        $group: {
+          _id: {
+            coastalArea: '$recipient.location.coastalArea',
+            language: '$recipient.preferences.language'
+          },
+          total: { $sum: 1 },
+          delivered: { $sum: { $cond: [{ $eq: ['$deliveryStatus', 'delivered'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $in: ['$deliveryStatus', ['failed', 'undelivered']] }, 1, 0] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          coastalArea: '$_id.coastalArea',
+          language: '$_id.language',
+          total: 1,
+          delivered: 1,
+          failed: 1,
+          pending: { $subtract: ['$total', { $add: ['$delivered', '$failed'] }] },
+          deliveryRate: { $round: [{ $multiply: [{ $divide: ['$delivered', '$total'] }, 100] }, 1] }
+        }
+      },
+      { $sort: { coastalArea: 1, language: 1 } }
+    ]);
+
+    const totalMessages = deliveryStats.reduce((sum, stat) => sum + stat.total, 0);
+    const totalDelivered = deliveryStats.reduce((sum, stat) => sum + stat.delivered, 0);
+
     res.json({
       success: true,
       data: {
@@ -399,7 +676,11 @@ router.get('/stats', protect, authorize('admin', 'authority'), async (req, res)
         totalUsers: userStats.reduce((sum, stat) => sum + stat.count, 0),
         totalAlerts: alertStats.reduce((sum, stat) => sum + stat.totalAlerts, 0),
         totalRecipients: alertStats.reduce((sum, stat) => sum + stat.totalRecipients, 0),
-        totalDelivered: alertStats.reduce((sum, stat) => sum + stat.deliveredCount, 0)
+        deliveryStats,
+        totalMessages,
+        totalDelivered,
+        totalFailed: deliveryStats.reduce((sum, stat) => sum + stat.failed, 0),
+        deliveryRate: totalMessages > 0 ? Math.round((totalDelivered / totalMessages) * 1000) / 10 : 0
       }
     });
 
@@ -417,7 +698,7 @@ router.get('/stats', protect, authorize('admin', 'authority'), async (req, res)
 // @access  Private (Admin)
 router.post('/test', protect, authorize('admin'), [
   body('phone').matches(/^\+?[\d\s-()]+$/).withMessage('Valid phone number is required'),
-  body('message').isLength({ min: 1, max: 160 }).withMessage('Message must be between 1 and 160 characters')
+  body('message').isLength({ min: 1 }).withMessage('Message is required').bail().custom(fitsInSegments)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -470,7 +751,8 @@ cron.schedule('*/5 * * * *', async () => {
       $or: [
         { expiresAt: { $exists: false } },
         { expiresAt: { $gt: new Date() } }
-      ]
+      ],
+      $and: [Alert.effectiveCondition()]
     }).populate('createdBy', 'name');
 
     for (const alert of criticalAlerts) {
@@ -479,28 +761,22 @@ cron.schedule('*/5 * * * *', async () => {
       const hoursSinceLastSMS = (Date.now() - lastSMS.getTime()) / (1000 * 60 * 60);
       
       if (hoursSinceLastSMS >= 1) { // Send at most once per hour
-        // Get users in affected area
-        const users = await User.find({
-          'location.coastalArea': alert.location.coastalArea,
-          'preferences.smsEnabled': true,
-          'preferences.alertTypes': { $in: [alert.type] },
-          isActive: true
-        }).select('phone preferences.language');
-
-        // Send SMS to users
-        for (const user of users) {
-          const message = formatSMSMessage(alert, user.preferences.language);
-          await sendSMS(user.phone, message);
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        // Queue reminders for users in affected area
+        const job = await notificationQueue.createJob({
+          type: 'alert_reminder',
+          alert,
+          recipients: alertRecipients({
+            'preferences.smsEnabled': true,
+            isActive: true,
+            ...alert.getRecipientCondition()
+          }, alert, { reminder: true })
+        });
 
         // Update alert
         alert.lastSMSSent = new Date();
         await alert.save();
         
-        logger.info(`Scheduled SMS sent for alert ${alert._id} to ${users.length} users`);
+        logger.info(`Scheduled SMS for alert ${alert._id} queued as job ${job._id}`);
       }
     }
   } catch (error) {
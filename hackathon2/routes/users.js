@@ -1,12 +1,75 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 const User = require('../models/User');
+const Alert = require('../models/Alert');
+const notificationService = require('../services/notificationService');
+const distressService = require('../services/distressService');
 const { protect, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const quietHours = require('../utils/quietHours');
+const geo = require('../utils/geo');
 
 const router = express.Router();
 
+// Saved places per user; a hotel chain may watch a dozen beaches
+const MAX_PLACES = parseInt(process.env.MAX_PLACES_PER_USER) || 20;
+
+const DEFAULT_PLACE_RADIUS_KM = 5;
+
+const placeValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 50 }).withMessage('Place name must be between 1 and 50 characters'),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('radius').optional().isFloat({ min: 0.5, max: 100 }).withMessage('Radius must be between 0.5 and 100 km'),
+    body('area').optional().custom(area => {
+      if (!area || area.type !== 'Polygon') {
+        throw new Error('Area must be a GeoJSON Polygon');
+      }
+      const error = geo.validateGeometry(area);
+      if (error) throw new Error(error);
+      return true;
+    }),
+    body().custom(place => {
+      const hasCentre = place.latitude !== undefined || place.longitude !== undefined;
+      if (hasCentre && place.area) {
+        throw new Error('Give either latitude and longitude or an area, not both');
+      }
+      if (hasCentre && (place.latitude === undefined || place.longitude === undefined)) {
+        throw new Error('Latitude and longitude must be given together');
+      }
+      if (!optional && !hasCentre && !place.area) {
+        throw new Error('Give latitude and longitude, or an area');
+      }
+      return true;
+    }),
+    body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+    body('alertTypes.*').isIn(['storm', 'tide', 'pollution', 'erosion', 'emergency', 'weather', 'tsunami', 'cyclone']).withMessage('Invalid alert type'),
+    body('minSeverity').optional().isIn(['info', 'warning', 'critical', 'emergency']).withMessage('Invalid minimum severity'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Copy the request's place fields onto a place subdocument
+const applyPlaceFields = (place, fields) => {
+  ['name', 'alertTypes', 'minSeverity', 'isActive'].forEach(field => {
+    if (fields[field] !== undefined) place[field] = fields[field];
+  });
+
+  if (fields.latitude !== undefined) {
+    place.center = [parseFloat(fields.longitude), parseFloat(fields.latitude)];
+    place.radius = fields.radius !== undefined ? parseFloat(fields.radius) : (place.radius || DEFAULT_PLACE_RADIUS_KM);
+  } else if (fields.area) {
+    place.center = undefined;
+    place.radius = undefined;
+    place.area = { type: 'Polygon', coordinates: fields.area.coordinates };
+  } else if (fields.radius !== undefined && place.center) {
+    place.radius = parseFloat(fields.radius);
+  }
+};
+
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private (Admin)
@@ -79,6 +142,258 @@ router.get('/', protect, authorize('admin'), [
   }
 });
 
+// @desc    Signal distress: alert emergency contacts and area responders
+// @route   POST /api/users/me/distress
+// @access  Private
+router.post('/me/distress', protect, [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number of metres'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude, accuracy, message } = req.body;
+    const hasPosition = latitude !== undefined && longitude !== undefined;
+
+    const result = await distressService.raiseDistress(req.user, {
+      coordinates: hasPosition ? [parseFloat(longitude), parseFloat(latitude)] : null,
+      accuracy: accuracy !== undefined ? parseFloat(accuracy) : undefined,
+      message,
+      source: 'web'
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: 'Distress signal sent. Call 112 if you can.',
+      data: {
+        incident: result.incident,
+        contactsNotified: result.contactsNotified,
+        authoritiesNotified: result.authoritiesNotified
+      }
+    });
+
+  } catch (error) {
+    logger.error('Distress signal failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send distress signal. Please call 112.'
+    });
+  }
+});
+
+// @desc    Get my saved places
+// @route   GET /api/users/me/places
+// @access  Private
+router.get('/me/places', protect, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      places: req.user.places,
+      maxPlaces: MAX_PLACES
+    }
+  });
+});
+
+// @desc    Save a place to get alerts for, as a circle or a polygon
+// @route   POST /api/users/me/places
+// @access  Private
+router.post('/me/places', protect, placeValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.user.places.push({});
+    const place = req.user.places[req.user.places.length - 1];
+    applyPlaceFields(place, req.body);
+    await req.user.validate(['places']);
+
+    // Only push while the user is under the limit, so parallel requests cannot exceed it
+    const result = await User.updateOne(
+      { _id: req.user._id, [`places.${MAX_PLACES - 1}`]: { $exists: false } },
+      { $push: { places: place } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_PLACES} places`
+      });
+    }
+
+    logger.info(`User ${req.user.id} saved place ${place._id} (${place.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Place saved',
+      data: { place }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Save place failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save place. Please try again.'
+    });
+  }
+});
+
+// @desc    Update a saved place
+// @route   PUT /api/users/me/places/:placeId
+// @access  Private
+router.put('/me/places/:placeId', protect, [
+  param('placeId').isMongoId().withMessage('Invalid place ID'),
+  ...placeValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const place = req.user.places.id(req.params.placeId);
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    applyPlaceFields(place, req.body);
+    await req.user.validate(['places']);
+
+    await User.updateOne(
+      { _id: req.user._id, 'places._id': place._id },
+      { $set: { 'places.$': place } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Place updated',
+      data: { place }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Update place failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update place. Please try again.'
+    });
+  }
+});
+
+// @desc    Remove a saved place
+// @route   DELETE /api/users/me/places/:placeId
+// @access  Private
+router.delete('/me/places/:placeId', protect, [
+  param('placeId').isMongoId().withMessage('Invalid place ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { places: { _id: req.params.placeId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Place removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove place failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove place. Please try again.'
+    });
+  }
+});
+
+// @desc    Get active alerts for my home and saved places
+// @route   GET /api/users/me/alerts
+// @access  Private
+router.get('/me/alerts', protect, [
+  query('radius').optional().isFloat({ min: 0, max: 500 }).withMessage('Radius must be between 0 and 500 km')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const radius = req.query.radius !== undefined ? parseFloat(req.query.radius) : 50;
+    const alerts = await Alert.findActiveAlertsForLocation(req.user, radius)
+      .select('-acknowledgedBy -escalation')
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: {
+        count: alerts.length,
+        alerts
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get my alerts failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alerts. Please try again.'
+    });
+  }
+});
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private (Admin, or user themselves)
@@ -122,11 +437,27 @@ router.put('/:id', protect, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('phone').optional().matches(/^\+?[\d\s-()]+$/).withMessage('Please provide a valid phone number'),
   body('role').optional().isIn(['user', 'fisherfolk', 'business', 'authority', 'admin']).withMessage('Invalid role'),
+  body('authorityTier').optional().isIn(['district', 'state']).withMessage('Authority tier must be district or state'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   body('preferences.language').optional().isIn(['english', 'hindi', 'marathi', 'gujarati', 'tamil', 'telugu', 'malayalam', 'kannada']).withMessage('Invalid language'),
   body('preferences.alertTypes').optional().isArray().withMessage('Alert types must be an array'),
   body('preferences.smsEnabled').optional().isBoolean().withMessage('SMS enabled must be a boolean'),
-  body('preferences.emailEnabled').optional().isBoolean().withMessage('Email enabled must be a boolean')
+  body('preferences.emailEnabled').optional().isBoolean().withMessage('Email enabled must be a boolean'),
+  body('preferences.emailDigest').optional().isIn(['none', 'daily', 'weekly']).withMessage('Email digest must be none, daily or weekly'),
+  body('preferences.voiceEnabled').optional().isBoolean().withMessage('Voice enabled must be a boolean'),
+  body('preferences.channelOrder').optional().isArray().withMessage('Channel order must be an array').bail()
+    .custom(order => new Set(order).size === order.length).withMessage('Channel order cannot repeat a channel'),
+  body('preferences.channelOrder.*').custom(channel => {
+    if (!notificationService.channels[channel]) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+    return true;
+  }),
+  body('preferences.fallbackMinutes').optional().isInt({ min: 1, max: 240 }).withMessage('Fallback delay must be between 1 and 240 minutes'),
+  body('preferences.quietHours.enabled').optional().isBoolean().withMessage('Quiet hours enabled must be a boolean'),
+  body('preferences.quietHours.start').optional().custom(quietHours.isValidTime).withMessage('Quiet hours start must be HH:mm'),
+  body('preferences.quietHours.end').optional().custom(quietHours.isValidTime).withMessage('Quiet hours end must be HH:mm'),
+  body('preferences.quietHours.timezone').optional().custom(quietHours.isValidTimezone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -165,7 +496,7 @@ router.put('/:id', protect, [
     // Update allowed fields
     const allowedFields = ['name', 'phone', 'preferences', 'emergencyContacts'];
     if (req.user.role === 'admin') {
-      allowedFields.push('role', 'isActive', 'userType');
+      allowedFields.push('role', 'isActive', 'userType', 'authorityTier');
     }
 
     allowedFields.forEach(field => {
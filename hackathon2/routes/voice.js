@@ -0,0 +1,120 @@
+const express = require('express');
+
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const User = require('../models/User');
+const voiceService = require('../services/voiceService');
+const escalationService = require('../services/escalationService');
+const deliveryReceipts = require('../services/deliveryReceipts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Record that the person called confirmed they are safe, the same as
+// replying SAFE by SMS
+const acknowledgeByVoice = async (alert, user) => {
+  const alreadyAcknowledged = alert.acknowledgedBy.some(
+    ack => ack.user && ack.user.toString() === user._id.toString()
+  );
+  if (alreadyAcknowledged) return;
+
+  alert.acknowledgedBy.push({
+    user: user._id,
+    acknowledgedAt: new Date(),
+    method: 'voice'
+  });
+
+  // An authority acknowledgement stops the escalation chain
+  if (escalationService.acknowledge(alert, user)) {
+    logger.info(`Alert ${alert._id} acknowledged by voice from ${user.role} ${user._id}, escalation stopped`);
+  }
+
+  await alert.save();
+};
+
+// @desc    Handle a keypress on an alert call; 1 confirms the person is safe
+// @route   POST /api/voice/gather
+// @access  Public (signed by the voice provider)
+router.post('/gather', async (req, res) => {
+  try {
+    const provider = voiceService.getProvider();
+    if (!provider.validateGather(req)) {
+      logger.warn(`Rejected voice keypress webhook from ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { callSid, digits } = provider.parseGather(req);
+    const delivery = callSid && await AlertDelivery.findOne({ providerMessageId: callSid, channel: 'voice' });
+    if (!delivery) {
+      logger.warn(`Voice keypress for unknown call ${callSid}`);
+      const reply = provider.respond(voiceService.phrase('english', 'goodbye'));
+      return res.type(reply.contentType).send(reply.body);
+    }
+
+    const [alert, user] = await Promise.all([
+      Alert.findById(delivery.alert),
+      User.findById(delivery.user).select('name role authorityTier preferences')
+    ]);
+    const language = user ? user.preferences.language : 'english';
+
+    const confirmed = digits === voiceService.CONFIRM_DIGIT && alert && user;
+    if (confirmed) {
+      await acknowledgeByVoice(alert, user);
+    }
+
+    logger.info(`Voice keypress "${digits}" on call ${callSid} for alert ${delivery.alert}: ` +
+      `${confirmed ? 'acknowledged' : 'not acknowledged'}`);
+
+    const reply = provider.respond(voiceService.phrase(language, confirmed ? 'thanks' : 'notConfirmed'));
+    res.type(reply.contentType).send(reply.body);
+
+  } catch (error) {
+    logger.error('Voice keypress handling failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record keypress. Please try again.'
+    });
+  }
+});
+
+// @desc    Receive call status updates from the voice provider
+// @route   POST /api/voice/status-callback
+// @access  Public (signed by the voice provider)
+router.post('/status-callback', async (req, res) => {
+  try {
+    const provider = voiceService.getProvider();
+    if (!provider.validateCallback(req)) {
+      logger.warn(`Rejected voice status callback from ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid callback signature'
+      });
+    }
+
+    const receipt = provider.parseStatusCallback(req);
+    const result = await deliveryReceipts.applyStatus(receipt);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognised call status'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Voice status callback failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record call status. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -146,6 +146,11 @@ signupForm.addEventListener('submit', (e) => {
     
     // Re-check default checkbox
     document.getElementById('signupAlerts').checked = true;
+
+    // Ask for browser notifications while we still have the user's click
+    if (alerts) {
+        enablePushNotifications();
+    }
 });
 
 // Modal Navigation
@@ -1047,19 +1052,138 @@ if (navigator.geolocation) {
     );
 }
 
-// Service Worker Registration (for PWA capabilities)
+// Service Worker Registration (for PWA capabilities and push alerts)
+const API_BASE_URL = window.COASTALGUARD_API_URL || '/api';
+
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
+                // Keep the server's copy of an existing subscription current
+                if ('Notification' in window && Notification.permission === 'granted') {
+                    enablePushNotifications();
+                }
             })
             .catch(registrationError => {
                 console.log('SW registration failed: ', registrationError);
             });
     });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'push-subscription-changed') {
+            enablePushNotifications();
+        }
+    });
 }
 
+// Web Push Alerts
+function getAuthToken() {
+    return localStorage.getItem('token');
+}
+
+// VAPID keys are base64url encoded; the Push API wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
+}
+
+async function enablePushNotifications() {
+    const token = getAuthToken();
+    if (!token || !('serviceWorker' in navigator) || !('PushManager' in window)) return false;
+
+    try {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showNotification('Browser notifications are blocked. You will still receive SMS alerts.', 'warning');
+            return false;
+        }
+
+        const keyResponse = await fetch(`${API_BASE_URL}/push/vapid-public-key`);
+        if (!keyResponse.ok) return false;
+        const { data } = await keyResponse.json();
+
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(data.publicKey)
+            });
+        }
+
+        const response = await fetch(`${API_BASE_URL}/push/subscriptions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify(subscription)
+        });
+        return response.ok;
+    } catch (error) {
+        console.log('Push subscription failed: ', error);
+        return false;
+    }
+}
+
+async function disablePushNotifications() {
+    const token = getAuthToken();
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) return;
+
+    if (token) {
+        await fetch(`${API_BASE_URL}/push/subscriptions`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+    }
+    await subscription.unsubscribe();
+}
+
+// Notifications open /?alert=<id>; show that alert and scroll to the alerts list
+async function showLinkedAlert() {
+    const alertId = new URLSearchParams(window.location.search).get('alert');
+    if (!alertId) return;
+
+    const alertsSection = document.getElementById('currentAlerts') || document.getElementById('alertsList');
+    if (alertsSection) {
+        alertsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/alerts/${encodeURIComponent(alertId)}`);
+        if (!response.ok) {
+            showNotification('This alert is no longer available.', 'warning');
+            return;
+        }
+
+        const { data } = await response.json();
+        const alert = data.alert;
+        const type = ['critical', 'emergency'].includes(alert.severity) ? 'error' : 'warning';
+        showNotification(`${alert.severity.toUpperCase()}: ${escapeHtml(alert.title)} - ${escapeHtml(alert.description)}`, type);
+    } catch (error) {
+        console.log('Failed to load linked alert: ', error);
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+document.addEventListener('DOMContentLoaded', showLinkedAlert);
+
 // Offline Detection
 window.addEventListener('online', () => {
     showNotification('Connection restored. All features are now available.', 'success');
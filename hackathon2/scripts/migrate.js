@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * CoastalGuard Database Migrations
+ * Brings an existing database in line with the current models. Every
+ * migration is safe to run more than once: npm run migrate
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+
+// Indexes of a collection; none while it does not exist yet
+const listIndexes = async (model) => {
+  try {
+    return await model.listIndexes();
+  } catch (error) {
+    if (error.code === 26) return []; // NamespaceNotFound
+    throw error;
+  }
+};
+
+const indexNames = async (model) => (await listIndexes(model)).map(index => index.name);
+
+const migrations = [
+  {
+    name: 'alert-area-geometry-index',
+    // Alert areas are GeoJSON points, polygons and multipolygons indexed as a
+    // whole. The old index on location.coordinates rejects polygon inserts.
+    up: async () => {
+      if ((await indexNames(Alert)).includes('location.coordinates_2dsphere')) {
+        await Alert.collection.dropIndex('location.coordinates_2dsphere');
+        console.log('   dropped alerts index location.coordinates_2dsphere');
+      }
+      await Alert.createIndexes();
+    }
+  },
+  {
+    name: 'alert-expiry-without-ttl',
+    // Expired alerts used to be deleted by a TTL index on expiresAt, taking
+    // their revisions and deliveries with them. The alert expiry job now
+    // marks them expired instead.
+    up: async () => {
+      const ttlIndexes = (await listIndexes(Alert)).filter(index => index.expireAfterSeconds !== undefined);
+      for (const index of ttlIndexes) {
+        await Alert.collection.dropIndex(index.name);
+        console.log(`   dropped alerts TTL index ${index.name}`);
+      }
+      await Alert.createIndexes();
+    }
+  }
+];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('🔧 Running CoastalGuard migrations');
+
+  for (const migration of migrations) {
+    console.log(`➡️  ${migration.name}`);
+    await migration.up();
+  }
+
+  console.log('✅ Migrations complete');
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -45,6 +45,29 @@ const weatherRoutes = require('./routes/weather');
 const reportRoutes = require('./routes/reports');
 const smsRoutes = require('./routes/sms');
 const dashboardRoutes = require('./routes/dashboard');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
+const alertTemplateRoutes = require('./routes/alertTemplates');
+const feedRoutes = require('./routes/feeds');
+const pushRoutes = require('./routes/push');
+const incidentRoutes = require('./routes/incidents');
+const voiceRoutes = require('./routes/voice');
+const messageTemplateRoutes = require('./routes/messageTemplates');
+const detectionThresholdRoutes = require('./routes/detectionThresholds');
+const mlRoutes = require('./routes/ml');
+const sensorRoutes = require('./routes/sensors');
+const escalationService = require('./services/escalationService');
+const alertScheduler = require('./services/alertScheduler');
+const alertExpiry = require('./services/alertExpiry');
+const notificationQueue = require('./services/notificationQueue');
+const notificationService = require('./services/notificationService');
+const emailService = require('./services/emailService');
+const pushService = require('./services/pushService');
+const distressService = require('./services/distressService');
+const messageTemplates = require('./services/messageTemplates');
+const modelTraining = require('./services/modelTraining');
+const threatMonitor = require('./services/threatMonitor');
+const { userFromToken } = require('./middleware/auth');
+const geo = require('./utils/geo');
 
 // Redis configuration for caching and sessions
 const redisClient = Redis.createClient({
@@ -84,6 +107,8 @@ const generalLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // SMS provider webhooks arrive in bursts from a few addresses and are signed
+  skip: (req) => ['/sms/status-callback', '/sms/inbound'].includes(req.path),
 });
 
 const strictLimiter = rateLimit({
@@ -142,6 +167,7 @@ app.use(cookieParser());
 // Apply rate limiting
 app.use('/api/auth', authLimiter);
 app.use('/api/', generalLimiter);
+app.use('/feeds', generalLimiter);
 app.use('/api/alerts', strictLimiter);
 
 app.use(express.json({ 
@@ -244,6 +270,18 @@ app.use('/api/weather', weatherRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/sms', smsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/escalation-policies', escalationPolicyRoutes);
+app.use('/api/alert-templates', alertTemplateRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/voice', voiceRoutes);
+app.use('/api/message-templates', messageTemplateRoutes);
+app.use('/api/detection-thresholds', detectionThresholdRoutes);
+app.use('/api/ml', mlRoutes);
+app.use('/api/sensors', sensorRoutes);
+
+// Public syndication feeds; no account needed
+app.use('/feeds', feedRoutes);
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
@@ -254,11 +292,73 @@ io.on('connection', (socket) => {
     logger.info(`User ${socket.id} joined location: ${location}`);
   });
   
+  // Responders join the rooms for their area to see distress incidents live
+  socket.on('join-responders', async ({ token } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const user = await userFromToken(token);
+    if (!user || !['authority', 'admin'].includes(user.role)) {
+      return respond({ success: false, message: 'Not authorized' });
+    }
+
+    const areas = user.role === 'admin' ? Object.keys(geo.COASTAL_AREA_CENTRES) : [user.location.coastalArea];
+    areas.forEach(area => socket.join(distressService.responderRoom(area)));
+    logger.info(`Responder ${user._id} joined distress rooms: ${areas.join(', ')}`);
+    respond({ success: true, areas });
+  });
+
+  // Authorities and admins watch automated threat detections live
+  socket.on('join-threat-monitoring', async ({ token } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const user = await userFromToken(token);
+    if (!user || !['authority', 'admin'].includes(user.role)) {
+      return respond({ success: false, message: 'Not authorized' });
+    }
+
+    socket.join('threat-monitoring');
+    logger.info(`User ${user._id} joined threat monitoring`);
+    respond({ success: true });
+  });
+
+  // Distress signal from a signed-in user, e.g. the app's SOS button
+  socket.on('distress', async ({ token, latitude, longitude, accuracy, message } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    try {
+      const user = await userFromToken(token);
+      if (!user) {
+        return respond({ success: false, message: 'Not authorized' });
+      }
+
+      const lat = parseFloat(latitude);
+      const lon = parseFloat(longitude);
+      const hasPosition = Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+      const result = await distressService.raiseDistress(user, {
+        coordinates: hasPosition ? [lon, lat] : null,
+        accuracy: parseFloat(accuracy) || undefined,
+        message: typeof message === 'string' ? message.slice(0, 500) : undefined,
+        source: 'socket'
+      });
+
+      respond({
+        success: true,
+        incidentId: result.incident._id,
+        contactsNotified: result.contactsNotified,
+        authoritiesNotified: result.authoritiesNotified
+      });
+    } catch (error) {
+      logger.error('Socket distress signal failed:', error);
+      respond({ success: false, message: 'Failed to send distress signal. Please call 112.' });
+    }
+  });
+
   socket.on('disconnect', () => {
     logger.info(`User disconnected: ${socket.id}`);
   });
 });
 
+distressService.setSocketServer(io);
+threatMonitor.setSocketServer(io);
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -277,6 +377,36 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Page authorities about unacknowledged critical alerts
+    escalationService.startScheduler();
+
+    // Publish scheduled alerts when they take effect
+    alertScheduler.startScheduler();
+
+    // Mark alerts expired once their expiry time passes
+    alertExpiry.startScheduler();
+
+    // Send queued SMS
+    notificationQueue.startWorker();
+
+    // Release alerts held for quiet hours and run channel fallbacks
+    notificationService.startScheduler();
+
+    // Send daily and weekly email digests
+    emailService.startScheduler();
+
+    // Drop expired and failing push subscriptions
+    pushService.startScheduler();
+
+    // Load approved message templates and keep them in step with other instances
+    messageTemplates.startScheduler();
+
+    // Resume queued model training jobs and run scheduled retraining
+    modelTraining.startScheduler();
+
+    // Analyze new sensor readings and correlate detections into alerts
+    threatMonitor.startScheduler();
     
     server.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
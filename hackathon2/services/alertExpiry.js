@@ -0,0 +1,54 @@
+const cron = require('node-cron');
+
+const Alert = require('../models/Alert');
+const AlertRevision = require('../models/AlertRevision');
+const logger = require('../utils/logger');
+
+// Move active alerts past their expiry time to "expired", keeping them and
+// their history rather than deleting them
+const expireDueAlerts = async (now = new Date()) => {
+  const alerts = await Alert.find({
+    status: 'active',
+    expiresAt: { $lte: now }
+  }).select('_id status expiresAt');
+
+  let expired = 0;
+  for (const alert of alerts) {
+    try {
+      // Claimed by status so overlapping runs record one revision
+      const claimed = await Alert.findOneAndUpdate(
+        { _id: alert._id, status: 'active', expiresAt: { $lte: now } },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      await AlertRevision.record(claimed, {
+        action: 'status_changed',
+        fromStatus: 'active',
+        toStatus: 'expired',
+        notes: `Expired at ${claimed.expiresAt.toISOString()}`
+      });
+      expired++;
+    } catch (error) {
+      logger.error(`Failed to expire alert ${alert._id}:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} alerts`);
+  }
+  return expired;
+};
+
+const startScheduler = () => {
+  // Checked every minute so alerts leave the active list close to their expiry
+  return cron.schedule('* * * * *', () => {
+    expireDueAlerts().catch(error => logger.error('Alert expiry run failed:', error));
+  });
+};
+
+module.exports = {
+  expireDueAlerts,
+  startScheduler
+};
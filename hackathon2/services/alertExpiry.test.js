@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const Alert = require('../models/Alert');
+const AlertRevision = require('../models/AlertRevision');
+const alertExpiry = require('./alertExpiry');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Alert.find(...).select(...) resolving to the given alerts
+const mockFind = (alerts) => jest.spyOn(Alert, 'find').mockReturnValue({ select: () => Promise.resolve(alerts) });
+
+describe('expireDueAlerts', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const alert = { _id: new mongoose.Types.ObjectId(), status: 'active', expiresAt: new Date('2026-06-01T11:00:00Z') };
+
+  test('marks alerts past their expiry as expired and records a revision', async () => {
+    const find = mockFind([alert]);
+    const claim = jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue({ ...alert, status: 'expired' });
+    const record = jest.spyOn(AlertRevision, 'record').mockResolvedValue({});
+
+    await expect(alertExpiry.expireDueAlerts(now)).resolves.toBe(1);
+
+    expect(find).toHaveBeenCalledWith({ status: 'active', expiresAt: { $lte: now } });
+    expect(claim.mock.calls[0][0]).toEqual({ _id: alert._id, status: 'active', expiresAt: { $lte: now } });
+    expect(claim.mock.calls[0][1]).toEqual({ $set: { status: 'expired' } });
+    expect(record.mock.calls[0][1]).toMatchObject({ action: 'status_changed', fromStatus: 'active', toStatus: 'expired' });
+  });
+
+  test('skips alerts another run expired first', async () => {
+    mockFind([alert]);
+    jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue(null);
+    const record = jest.spyOn(AlertRevision, 'record');
+
+    await expect(alertExpiry.expireDueAlerts(now)).resolves.toBe(0);
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+const cron = require('node-cron');
+
+const Alert = require('../models/Alert');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Fan out active alerts whose effective time has arrived
+const publishDueAlerts = async (now = new Date()) => {
+  const alerts = await Alert.find({
+    status: 'active',
+    verificationStatus: 'verified',
+    effectiveAt: { $lte: now },
+    notifiedAt: { $exists: false },
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: { $gt: now } }
+    ]
+  }).sort({ effectiveAt: 1 });
+
+  for (const alert of alerts) {
+    try {
+      const result = await notificationService.dispatchAlert(alert);
+      if (result) {
+        logger.info(`Scheduled alert ${alert._id} published at effective time ${alert.effectiveAt.toISOString()}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to publish scheduled alert ${alert._id}:`, error);
+    }
+  }
+
+  return alerts.length;
+};
+
+const startScheduler = () => {
+  // Checked every minute so alerts go out within a minute of taking effect
+  return cron.schedule('* * * * *', () => {
+    publishDueAlerts().catch(error => logger.error('Scheduled alert run failed:', error));
+  });
+};
+
+module.exports = {
+  publishDueAlerts,
+  startScheduler
+};
@@ -0,0 +1,120 @@
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const OutboundMessage = require('../models/OutboundMessage');
+const logger = require('../utils/logger');
+
+// Provider statuses mapped onto our delivery states
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  failed: 'failed',
+  undelivered: 'undelivered',
+  canceled: 'undelivered',
+  // Voice calls: answered calls count as delivered
+  initiated: 'sent',
+  ringing: 'sent',
+  'in-progress': 'sent',
+  completed: 'delivered',
+  busy: 'undelivered',
+  'no-answer': 'undelivered'
+};
+
+// States only move forward, so late or repeated callbacks are ignored
+const STATE_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 2,
+  undelivered: 2
+};
+
+// Alert statistics counter bumped when a message reaches a final state
+const STATE_COUNTERS = {
+  delivered: 'statistics.deliveredCount',
+  failed: 'statistics.failedCount',
+  undelivered: 'statistics.failedCount'
+};
+
+const normalizeStatus = (status) => {
+  return STATUS_MAP[(status || '').toLowerCase()] || null;
+};
+
+// States a message may be in to move to `state`, including none yet
+const statesBefore = (state) => {
+  return [null, ...Object.keys(STATE_RANK).filter(s => STATE_RANK[s] < STATE_RANK[state])];
+};
+
+// The callback of a queued message can arrive before the queue has written
+// its delivery row; write the row from the message then. Returns true if a
+// row moved forward or was created.
+const upsertQueuedDelivery = async (message, messageSid, earlierStates, changes) => {
+  try {
+    const result = await AlertDelivery.updateOne(
+      { outboundMessage: message._id, deliveryStatus: { $in: earlierStates } },
+      {
+        $set: changes,
+        $setOnInsert: {
+          alert: message.alert,
+          user: message.user,
+          channel: message.channel,
+          messageType: message.messageType || 'alert',
+          status: 'sent',
+          providerMessageId: messageSid
+        }
+      },
+      { upsert: true }
+    );
+    return result.modifiedCount > 0 || result.upsertedCount > 0;
+  } catch (error) {
+    // The row exists and is already past this state
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Record a provider status for a sent message and roll it up into the
+// statistics of the alert it belongs to. Returns null for unknown statuses.
+const applyStatus = async ({ messageSid, status, errorCode, errorMessage }) => {
+  const state = normalizeStatus(status);
+  if (!messageSid || !state) return null;
+
+  const earlierStates = statesBefore(state);
+  const changes = { deliveryStatus: state };
+  if (state === 'delivered') changes.deliveredAt = new Date();
+  if (errorCode) changes.errorCode = String(errorCode);
+
+  const filter = { providerMessageId: messageSid, deliveryStatus: { $in: earlierStates } };
+
+  const deliveryChanges = { ...changes, ...(errorMessage && { error: errorMessage }) };
+  const [message, delivery] = await Promise.all([
+    OutboundMessage.findOneAndUpdate(filter, { $set: { ...changes, ...(errorMessage && { lastError: errorMessage }) } }),
+    AlertDelivery.findOneAndUpdate(filter, { $set: deliveryChanges })
+  ]);
+
+  let alertId = delivery && delivery.alert;
+  if (!delivery && message && message.alert && message.user) {
+    alertId = await upsertQueuedDelivery(message, messageSid, earlierStates, deliveryChanges) ? message.alert : null;
+  }
+
+  if (alertId && STATE_COUNTERS[state]) {
+    await Alert.updateOne({ _id: alertId }, { $inc: { [STATE_COUNTERS[state]]: 1 } });
+  }
+
+  if (!message && !delivery) {
+    logger.debug(`No pending message for status ${state} of ${messageSid}`);
+  }
+
+  return { state, updated: Boolean(message || delivery) };
+};
+
+module.exports = {
+  STATE_RANK,
+  normalizeStatus,
+  statesBefore,
+  applyStatus
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const OutboundMessage = require('../models/OutboundMessage');
+const deliveryReceipts = require('./deliveryReceipts');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeStatus', () => {
+  test('maps SMS and voice statuses onto delivery states', () => {
+    expect(deliveryReceipts.normalizeStatus('Accepted')).toBe('queued');
+    expect(deliveryReceipts.normalizeStatus('sending')).toBe('sent');
+    expect(deliveryReceipts.normalizeStatus('read')).toBe('delivered');
+    expect(deliveryReceipts.normalizeStatus('canceled')).toBe('undelivered');
+    expect(deliveryReceipts.normalizeStatus('completed')).toBe('delivered');
+    expect(deliveryReceipts.normalizeStatus('no-answer')).toBe('undelivered');
+  });
+
+  test('ignores unknown and missing statuses', () => {
+    expect(deliveryReceipts.normalizeStatus('exploded')).toBeNull();
+    expect(deliveryReceipts.normalizeStatus(undefined)).toBeNull();
+  });
+});
+
+describe('statesBefore', () => {
+  test('lets a message move forward only', () => {
+    expect(deliveryReceipts.statesBefore('queued')).toEqual([null]);
+    expect(deliveryReceipts.statesBefore('sent')).toEqual([null, 'queued']);
+    expect(deliveryReceipts.statesBefore('delivered')).toEqual([null, 'queued', 'sent']);
+  });
+
+  test('treats every final state as final', () => {
+    ['delivered', 'failed', 'undelivered'].forEach(state => {
+      const before = deliveryReceipts.statesBefore(state);
+      expect(before).not.toContain('delivered');
+      expect(before).not.toContain('failed');
+      expect(before).not.toContain('undelivered');
+    });
+  });
+
+  test('ranks states in delivery order', () => {
+    const { STATE_RANK } = deliveryReceipts;
+    expect(STATE_RANK.queued).toBeLessThan(STATE_RANK.sent);
+    expect(STATE_RANK.sent).toBeLessThan(STATE_RANK.delivered);
+    expect(STATE_RANK.failed).toBe(STATE_RANK.delivered);
+  });
+});
+
+describe('applyStatus', () => {
+  const message = {
+    _id: new mongoose.Types.ObjectId(),
+    alert: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    channel: 'sms'
+  };
+
+  test('skips unknown statuses without touching the database', async () => {
+    const find = jest.spyOn(OutboundMessage, 'findOneAndUpdate');
+    await expect(deliveryReceipts.applyStatus({ messageSid: 'SM1', status: 'exploded' })).resolves.toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('only updates messages in an earlier state', async () => {
+    const find = jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(AlertDelivery, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await deliveryReceipts.applyStatus({ messageSid: 'SM1', status: 'sent' });
+
+    expect(result).toEqual({ state: 'sent', updated: false });
+    expect(find.mock.calls[0][0]).toEqual({ providerMessageId: 'SM1', deliveryStatus: { $in: [null, 'queued'] } });
+  });
+
+  test('writes the delivery row of a queued message that has none yet', async () => {
+    jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(message);
+    jest.spyOn(AlertDelivery, 'findOneAndUpdate').mockResolvedValue(null);
+    const upsert = jest.spyOn(AlertDelivery, 'updateOne').mockResolvedValue({ modifiedCount: 0, upsertedCount: 1 });
+    const count = jest.spyOn(Alert, 'updateOne').mockResolvedValue({});
+
+    await deliveryReceipts.applyStatus({ messageSid: 'SM2', status: 'delivered' });
+
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ outboundMessage: message._id, deliveryStatus: { $in: [null, 'queued', 'sent'] } });
+    expect(update.$setOnInsert).toMatchObject({ alert: message.alert, user: message.user, providerMessageId: 'SM2' });
+    expect(options).toEqual({ upsert: true });
+    expect(count).toHaveBeenCalledWith({ _id: message.alert }, { $inc: { 'statistics.deliveredCount': 1 } });
+  });
+
+  test('does not count a message whose row is already final', async () => {
+    jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(message);
+    jest.spyOn(AlertDelivery, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(AlertDelivery, 'updateOne').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const count = jest.spyOn(Alert, 'updateOne').mockResolvedValue({});
+
+    await deliveryReceipts.applyStatus({ messageSid: 'SM3', status: 'failed' });
+
+    expect(count).not.toHaveBeenCalled();
+  });
+});
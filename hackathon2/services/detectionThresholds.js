@@ -0,0 +1,71 @@
+const DetectionThreshold = require('../models/DetectionThreshold');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const DEFAULT_THRESHOLDS = DetectionThreshold.DEFAULTS;
+
+// Coastal area and station a sensor reading comes from. The location is a
+// coastal area name, free text, or an object with coordinates.
+const readingScope = (sensorData = {}) => {
+  const location = sensorData.location;
+  let coastalArea = null;
+  let station = sensorData.station_id || sensorData.stationId || null;
+
+  if (typeof location === 'string') {
+    const key = location.toLowerCase().replace(/\s+/g, '');
+    coastalArea = geo.COASTAL_AREA_CENTRES[key] ? key : geo.matchCoastalArea(location);
+  } else if (location) {
+    coastalArea = location.coastalArea ||
+      (geo.isPosition(location.coordinates) ? geo.nearestCoastalArea(location.coordinates) : null);
+    station = station || location.stationId || location.station || null;
+  }
+
+  return { coastalArea, station };
+};
+
+// Thresholds in force for a threat type, with where each value came from.
+// Per indicator the station beats the coastal area, which beats the national
+// default, which beats the built-in value; within a scope the most recently
+// effective threshold wins.
+const effectiveThresholds = async (threatType, scope = {}, at = new Date()) => {
+  const values = { ...DEFAULT_THRESHOLDS[threatType] };
+  const sources = {};
+  Object.keys(values).forEach(indicator => {
+    sources[indicator] = { scope: 'built_in' };
+  });
+
+  const stored = await DetectionThreshold.findEffective(threatType, scope, at).lean();
+
+  [...DetectionThreshold.SCOPES].reverse().forEach(level => {
+    stored
+      .filter(threshold => threshold.scope === level)
+      .reverse()
+      .forEach(threshold => {
+        Object.entries(threshold.thresholds).forEach(([indicator, value]) => {
+          values[indicator] = value;
+          sources[indicator] = { scope: level, threshold: threshold._id };
+        });
+      });
+  });
+
+  return { values, sources };
+};
+
+// Thresholds for a sensor reading; the built-in values if they cannot be
+// loaded, so detection keeps running without the database
+const resolve = async (threatType, sensorData) => {
+  try {
+    const { values } = await effectiveThresholds(threatType, readingScope(sensorData));
+    return values;
+  } catch (error) {
+    logger.error(`Failed to load ${threatType} detection thresholds, using defaults:`, error);
+    return { ...DEFAULT_THRESHOLDS[threatType] };
+  }
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  readingScope,
+  effectiveThresholds,
+  resolve
+};
@@ -0,0 +1,104 @@
+const DetectionThreshold = require('../models/DetectionThreshold');
+const detectionThresholds = require('./detectionThresholds');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Stored thresholds as findEffective returns them, newest effectiveFrom first
+const mockStored = (thresholds) => {
+  return jest.spyOn(DetectionThreshold, 'findEffective').mockReturnValue({
+    lean: () => Promise.resolve([...thresholds].sort((a, b) => b.effectiveFrom - a.effectiveFrom))
+  });
+};
+
+const threshold = (_id, scope, thresholds, effectiveFrom = '2026-01-01') => ({
+  _id,
+  scope,
+  thresholds,
+  effectiveFrom: new Date(effectiveFrom)
+});
+
+describe('effectiveThresholds', () => {
+  test('uses the built-in values when nothing is stored', async () => {
+    mockStored([]);
+
+    const { values, sources } = await detectionThresholds.effectiveThresholds('flooding');
+
+    expect(values).toEqual(DetectionThreshold.DEFAULTS.flooding);
+    expect(sources.water_level).toEqual({ scope: 'built_in' });
+  });
+
+  test('lets the station beat the coastal area, the national default and the built-in value', async () => {
+    mockStored([
+      threshold('station', 'station', { water_level: 1.8 }),
+      threshold('area', 'coastal_area', { water_level: 2.0, tide_height: 2.8 }),
+      threshold('national', 'default', { water_level: 2.2, tide_height: 2.9, rainfall: 80 })
+    ]);
+
+    const { values, sources } = await detectionThresholds.effectiveThresholds('flooding', { coastalArea: 'goa', station: 'GOA-01' });
+
+    expect(values).toEqual({ water_level: 1.8, tide_height: 2.8, rainfall: 80, storm_surge: 1.5 });
+    expect(sources).toEqual({
+      water_level: { scope: 'station', threshold: 'station' },
+      tide_height: { scope: 'coastal_area', threshold: 'area' },
+      rainfall: { scope: 'default', threshold: 'national' },
+      storm_surge: { scope: 'built_in' }
+    });
+  });
+
+  test('keeps a narrower scope even when a broader one took effect later', async () => {
+    mockStored([
+      threshold('area', 'coastal_area', { water_level: 2.0 }, '2026-01-01'),
+      threshold('national', 'default', { water_level: 2.2 }, '2026-06-01')
+    ]);
+
+    const { values, sources } = await detectionThresholds.effectiveThresholds('flooding', { coastalArea: 'goa' });
+
+    expect(values.water_level).toBe(2.0);
+    expect(sources.water_level.threshold).toBe('area');
+  });
+
+  test('takes the newest effective threshold within a scope', async () => {
+    mockStored([
+      threshold('winter', 'coastal_area', { water_level: 2.4, tide_height: 3.2 }, '2026-01-01'),
+      threshold('monsoon', 'coastal_area', { water_level: 1.9 }, '2026-06-01')
+    ]);
+
+    const { values, sources } = await detectionThresholds.effectiveThresholds('flooding', { coastalArea: 'kerala' });
+
+    expect(values.water_level).toBe(1.9);
+    expect(sources.water_level.threshold).toBe('monsoon');
+    // Indicators the newer threshold leaves out still come from the older one
+    expect(values.tide_height).toBe(3.2);
+    expect(sources.tide_height.threshold).toBe('winter');
+  });
+
+  test('looks up thresholds for the scope and time asked for', async () => {
+    const find = mockStored([]);
+    const at = new Date('2026-07-01T00:00:00Z');
+
+    await detectionThresholds.effectiveThresholds('erosion', { coastalArea: 'odisha', station: 'OD-7' }, at);
+
+    expect(find).toHaveBeenCalledWith('erosion', { coastalArea: 'odisha', station: 'OD-7' }, at);
+  });
+});
+
+describe('resolve', () => {
+  test('finds the scope from the reading', async () => {
+    const find = mockStored([threshold('station', 'station', { wave_height: 3.5 })]);
+
+    const values = await detectionThresholds.resolve('erosion', { station_id: 'GOA-01', location: 'Goa' });
+
+    expect(values.wave_height).toBe(3.5);
+    expect(find.mock.calls[0][1]).toEqual({ coastalArea: 'goa', station: 'GOA-01' });
+  });
+
+  test('falls back to the built-in values when the database fails', async () => {
+    jest.spyOn(DetectionThreshold, 'findEffective').mockReturnValue({
+      lean: () => Promise.reject(new Error('connection lost'))
+    });
+
+    await expect(detectionThresholds.resolve('pollution', {})).resolves.toEqual(DetectionThreshold.DEFAULTS.pollution);
+  });
+});
@@ -0,0 +1,269 @@
+const DistressIncident = require('../models/DistressIncident');
+const NotificationJob = require('../models/NotificationJob');
+const User = require('../models/User');
+const notificationQueue = require('./notificationQueue');
+const logger = require('../utils/logger');
+
+// Texts sent to the user's emergency contacts, in the user's language, and
+// back to the user once a responder picks the incident up
+const distressTemplates = {
+  english: {
+    contact: '{name} ({phone}) needs HELP and sent an SOS via CoastalGuard. Area: {area}. {location}',
+    acknowledged: 'CoastalGuard: Responders have received your distress signal and are on the way. Stay where you are if it is safe.'
+  },
+  hindi: {
+    contact: '{name} ({phone}) को मदद चाहिए। CoastalGuard से SOS भेजा गया। क्षेत्र: {area}। {location}',
+    acknowledged: 'CoastalGuard: बचाव दल को आपका संकट संदेश मिल गया है और वे आ रहे हैं। सुरक्षित हो तो वहीं रहें।'
+  },
+  marathi: {
+    contact: '{name} ({phone}) यांना मदत हवी आहे. CoastalGuard द्वारे SOS पाठवला. क्षेत्र: {area}. {location}',
+    acknowledged: 'CoastalGuard: बचाव पथकाला तुमचा संकट संदेश मिळाला असून ते येत आहेत. सुरक्षित असल्यास तिथेच थांबा.'
+  },
+  gujarati: {
+    contact: '{name} ({phone})ને મદદની જરૂર છે. CoastalGuard દ્વારા SOS મોકલ્યો. વિસ્તાર: {area}. {location}',
+    acknowledged: 'CoastalGuard: બચાવ ટીમને તમારો સંકટ સંદેશ મળ્યો છે અને તેઓ આવી રહ્યા છે. સુરક્ષિત હોય તો ત્યાં જ રહો.'
+  },
+  tamil: {
+    contact: '{name} ({phone}) க்கு உதவி தேவை. CoastalGuard மூலம் SOS அனுப்பப்பட்டது. பகுதி: {area}. {location}',
+    acknowledged: 'CoastalGuard: மீட்புக் குழுவினர் உங்கள் அவசர செய்தியைப் பெற்றுள்ளனர், வந்துகொண்டிருக்கிறார்கள். பாதுகாப்பாக இருந்தால் அங்கேயே இருங்கள்.'
+  },
+  telugu: {
+    contact: '{name} ({phone})కు సహాయం కావాలి. CoastalGuard ద్వారా SOS పంపారు. ప్రాంతం: {area}. {location}',
+    acknowledged: 'CoastalGuard: సహాయక బృందాలకు మీ అత్యవసర సందేశం అందింది, వారు వస్తున్నారు. సురక్షితంగా ఉంటే అక్కడే ఉండండి.'
+  },
+  malayalam: {
+    contact: '{name} ({phone})ന് സഹായം വേണം. CoastalGuard വഴി SOS അയച്ചു. പ്രദേശം: {area}. {location}',
+    acknowledged: 'CoastalGuard: രക്ഷാപ്രവർത്തകർക്ക് നിങ്ങളുടെ അപകട സന്ദേശം ലഭിച്ചു, അവർ വരുന്നു. സുരക്ഷിതമാണെങ്കിൽ അവിടെത്തന്നെ തുടരുക.'
+  },
+  kannada: {
+    contact: '{name} ({phone}) ಅವರಿಗೆ ಸಹಾಯ ಬೇಕು. CoastalGuard ಮೂಲಕ SOS ಕಳುಹಿಸಲಾಗಿದೆ. ಪ್ರದೇಶ: {area}. {location}',
+    acknowledged: 'CoastalGuard: ರಕ್ಷಣಾ ತಂಡಕ್ಕೆ ನಿಮ್ಮ ತುರ್ತು ಸಂದೇಶ ತಲುಪಿದೆ, ಅವರು ಬರುತ್ತಿದ್ದಾರೆ. ಸುರಕ್ಷಿತವಾಗಿದ್ದರೆ ಅಲ್ಲೇ ಇರಿ.'
+  }
+};
+
+// A last known position older than this is less useful than the home location
+const LAST_KNOWN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+let socketServer = null;
+
+const fill = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+};
+
+const template = (language, key) => (distressTemplates[language] || distressTemplates.english)[key];
+
+const mapLink = ([lon, lat]) => `https://maps.google.com/?q=${lat},${lon}`;
+
+const responderRoom = (coastalArea) => `responders:${coastalArea}`;
+
+// Set by the server so incidents can be pushed to responder dashboards
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+// "19.07,72.87" or "19.07 72.87" (latitude first, as phones show it) as [lon, lat]
+const parseCoordinates = (text) => {
+  const match = /(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)/.exec(text || '');
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lon = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return [lon, lat];
+};
+
+// Best position for the incident: reported now, else recently shared, else home
+const resolvePosition = (user, coordinates) => {
+  if (coordinates) {
+    return { coordinates, locationSource: 'reported' };
+  }
+
+  const last = user.lastKnownLocation;
+  if (last && last.coordinates && last.coordinates.length === 2 &&
+      last.recordedAt && Date.now() - last.recordedAt.getTime() < LAST_KNOWN_MAX_AGE_MS) {
+    return { coordinates: last.coordinates, accuracy: last.accuracy, locationSource: 'last_known' };
+  }
+
+  return { coordinates: user.location.coordinates, locationSource: 'home' };
+};
+
+// Queue distress texts ahead of every other message; returns how many were queued
+const queueDistressSms = async (incident, recipients) => {
+  if (recipients.length === 0) return 0;
+
+  await notificationQueue.createJob({
+    type: 'distress_sms',
+    criteria: { incident: incident._id },
+    recipients,
+    priority: NotificationJob.PRIORITY.distress,
+    wait: true
+  });
+  return recipients.length;
+};
+
+// Authorities for the user's coastal area; admins if the area has none
+const findResponders = async (coastalArea) => {
+  const authorities = await User.find({
+    role: 'authority',
+    isActive: true,
+    'location.coastalArea': coastalArea
+  }).select('name phone');
+  if (authorities.length > 0) return authorities;
+
+  return User.find({ role: 'admin', isActive: true }).select('name phone');
+};
+
+const notifyContacts = async (user, incident) => {
+  const contacts = (user.emergencyContacts || []).filter(contact => contact.phone);
+  if (contacts.length === 0) return 0;
+
+  const message = fill(template(user.preferences.language, 'contact'), {
+    name: user.name,
+    phone: user.phone,
+    area: incident.coastalArea.toUpperCase(),
+    location: mapLink(incident.location.coordinates)
+  });
+
+  return queueDistressSms(incident, contacts.map(contact => ({ to: contact.phone, body: message })));
+};
+
+const notifyResponders = async (user, incident) => {
+  const responders = await findResponders(incident.coastalArea);
+  const message = `DISTRESS: ${user.name} (${user.phone}) needs help in ${incident.coastalArea.toUpperCase()}. ` +
+    `Location: ${mapLink(incident.location.coordinates)}. ` +
+    `Acknowledge incident ${incident._id} in CoastalGuard. - CoastalGuard`;
+
+  const queued = await queueDistressSms(incident, responders
+    .filter(responder => responder.phone)
+    .map(responder => ({ user: responder._id, to: responder.phone, body: message })));
+
+  if (socketServer) {
+    socketServer.to(responderRoom(incident.coastalArea)).emit('distress-incident', {
+      incidentId: incident._id,
+      coastalArea: incident.coastalArea,
+      coordinates: incident.location.coordinates,
+      locationSource: incident.locationSource,
+      status: incident.status,
+      user: { id: user._id, name: user.name, phone: user.phone },
+      message: incident.message,
+      updatedAt: incident.updatedAt
+    });
+  }
+
+  return queued;
+};
+
+// Record a distress signal, notify the user's emergency contacts and the
+// responders for their area, and return the incident it belongs to
+const raiseDistress = async (user, { coordinates, accuracy, message, source }) => {
+  const position = resolvePosition(user, coordinates);
+  if (coordinates) {
+    user.lastKnownLocation = { coordinates, accuracy, recordedAt: new Date() };
+    await User.updateOne({ _id: user._id }, { $set: { lastKnownLocation: user.lastKnownLocation } });
+  }
+
+  const location = { type: 'Point', coordinates: position.coordinates };
+  let incident = await DistressIncident.findOneAndUpdate(
+    { user: user._id, status: { $in: ['open', 'acknowledged'] } },
+    {
+      $set: {
+        location,
+        locationSource: position.locationSource,
+        ...((accuracy || position.accuracy) && { accuracy: accuracy || position.accuracy }),
+        ...(message && { message })
+      },
+      $push: { log: { action: 'signal', source, coordinates: position.coordinates, note: message } }
+    },
+    { new: true }
+  );
+  const created = !incident;
+
+  if (created) {
+    incident = await DistressIncident.create({
+      user: user._id,
+      coastalArea: user.location.coastalArea,
+      location,
+      accuracy: accuracy || position.accuracy,
+      locationSource: position.locationSource,
+      source,
+      message,
+      log: [{ action: 'raised', source, coordinates: position.coordinates, note: message }]
+    });
+  }
+
+  const [contactsNotified, authoritiesNotified] = await Promise.all([
+    notifyContacts(user, incident),
+    notifyResponders(user, incident)
+  ]);
+
+  await DistressIncident.updateOne(
+    { _id: incident._id },
+    { $inc: { contactsNotified, authoritiesNotified } }
+  );
+
+  logger.warn(`Distress ${created ? 'raised' : 'repeated'} by user ${user._id} via ${source}: incident ${incident._id}, ` +
+    `${contactsNotified} contacts and ${authoritiesNotified} responders notified`);
+
+  return { incident, created, contactsNotified, authoritiesNotified };
+};
+
+// Mark an open incident as being handled and tell the user help is coming
+const acknowledgeIncident = async (incidentId, responder, note) => {
+  const incident = await DistressIncident.findOneAndUpdate(
+    { _id: incidentId, status: 'open' },
+    {
+      $set: { status: 'acknowledged', acknowledgedBy: responder._id, acknowledgedAt: new Date() },
+      $push: { log: { action: 'acknowledged', by: responder._id, note } }
+    },
+    { new: true }
+  );
+  if (!incident) return null;
+
+  const user = await User.findById(incident.user).select('phone preferences');
+  if (user && user.phone) {
+    await queueDistressSms(incident, [{ user: user._id, to: user.phone, body: template(user.preferences.language, 'acknowledged') }]);
+  }
+
+  if (socketServer) {
+    socketServer.to(responderRoom(incident.coastalArea)).emit('distress-incident-updated', {
+      incidentId: incident._id,
+      status: incident.status,
+      acknowledgedBy: responder._id
+    });
+  }
+
+  return incident;
+};
+
+// Close an incident that is open or being handled
+const closeIncident = async (incidentId, responder, resolution) => {
+  const incident = await DistressIncident.findOneAndUpdate(
+    { _id: incidentId, status: { $in: ['open', 'acknowledged'] } },
+    {
+      $set: { status: 'closed', closedBy: responder._id, closedAt: new Date(), resolution },
+      $push: { log: { action: 'closed', by: responder._id, note: resolution } }
+    },
+    { new: true }
+  );
+  if (!incident) return null;
+
+  if (socketServer) {
+    socketServer.to(responderRoom(incident.coastalArea)).emit('distress-incident-updated', {
+      incidentId: incident._id,
+      status: incident.status,
+      closedBy: responder._id
+    });
+  }
+
+  return incident;
+};
+
+module.exports = {
+  distressTemplates,
+  responderRoom,
+  setSocketServer,
+  parseCoordinates,
+  raiseDistress,
+  acknowledgeIncident,
+  closeIncident
+};
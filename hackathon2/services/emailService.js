@@ -0,0 +1,195 @@
+const cron = require('node-cron');
+const nodemailer = require('nodemailer');
+
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const emailTemplates = require('./emailTemplates');
+const logger = require('../utils/logger');
+
+// How far back each digest looks
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+let transporter = null;
+
+// "capture" delivers to a local SMTP sink such as Mailpit or MailHog so
+// development never emails real people; "smtp" uses the configured server.
+const createTransport = () => {
+  const transport = process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'capture');
+
+  if (transport === 'capture') {
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_CAPTURE_HOST || 'localhost',
+      port: parseInt(process.env.EMAIL_CAPTURE_PORT) || 1025,
+      secure: false,
+      ignoreTLS: true
+    });
+  }
+
+  if (transport !== 'smtp') {
+    throw new Error(`Unknown email transport "${transport}"`);
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Send one email. Resolves with { success, messageId } or { success: false, error }
+const sendMail = async ({ to, subject, html, text }) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    logger.info(`Email sent to ${to}: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    logger.error(`Failed to send email to ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Email an alert to a user in their language. `options.message` sends that
+// text instead, e.g. for escalation pages.
+const sendAlertEmail = (user, alert, options = {}) => {
+  if (!user.email) {
+    return { success: false, error: 'User has no email address' };
+  }
+
+  if (options.message) {
+    return sendMail({
+      to: user.email,
+      subject: `[${alert.severity.toUpperCase()}] ${alert.title} - CoastalGuard`,
+      text: options.message
+    });
+  }
+
+  const { subject, html, text } = emailTemplates.renderAlertEmail(alert, user.preferences.language);
+  return sendMail({ to: user.email, subject, html, text });
+};
+
+// Verified alerts for an area raised since `since`
+const findDigestAlerts = (area, since) => {
+  return Alert.find({
+    'location.coastalArea': area,
+    verificationStatus: 'verified',
+    createdAt: { $gte: since }
+  }).sort({ createdAt: -1 });
+};
+
+// Send the daily or weekly digest to everyone who subscribed to it. Each user
+// is claimed before sending so overlapping runs cannot email them twice.
+const sendDigests = async (frequency) => {
+  const period = DIGEST_PERIODS[frequency];
+  if (!period) {
+    throw new Error(`Unknown digest frequency "${frequency}"`);
+  }
+
+  const now = new Date();
+  const since = new Date(now.getTime() - period);
+  // Allow some slack so a run that starts a little early still goes out
+  const claimBefore = new Date(now.getTime() - period / 2);
+  const alertsByArea = new Map();
+  let sent = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  const cursor = User.find({
+    isActive: true,
+    'preferences.emailEnabled': true,
+    'preferences.emailDigest': frequency
+  }).select('email preferences location lastDigestSentAt').cursor();
+
+  for await (const user of cursor) {
+    const area = user.location.coastalArea;
+    if (!alertsByArea.has(area)) {
+      alertsByArea.set(area, await findDigestAlerts(area, since));
+    }
+
+    const alerts = alertsByArea.get(area).filter(alert => user.preferences.alertTypes.includes(alert.type));
+    if (alerts.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [
+          { lastDigestSentAt: { $exists: false } },
+          { lastDigestSentAt: { $lt: claimBefore } }
+        ]
+      },
+      { $set: { lastDigestSentAt: now } }
+    );
+    if (!claimed) {
+      skipped++;
+      continue;
+    }
+
+    const { subject, html, text } = emailTemplates.renderDigestEmail(alerts, {
+      language: user.preferences.language,
+      period: frequency,
+      area,
+      since
+    });
+    const result = await sendMail({ to: user.email, subject, html, text });
+
+    if (result.success) {
+      sent++;
+    } else {
+      failed++;
+      // Release the claim so the next run tries again
+      await User.updateOne(
+        { _id: user._id },
+        user.lastDigestSentAt
+          ? { $set: { lastDigestSentAt: user.lastDigestSentAt } }
+          : { $unset: { lastDigestSentAt: 1 } }
+      );
+    }
+  }
+
+  logger.info(`Sent ${frequency} email digests. Sent: ${sent}, Failed: ${failed}, Skipped: ${skipped}`);
+  return { sent, failed, skipped };
+};
+
+const startScheduler = () => {
+  const options = { timezone: 'Asia/Kolkata' };
+  const runDigests = (frequency) => () => {
+    sendDigests(frequency).catch(error => logger.error(`${frequency} email digest run failed:`, error));
+  };
+
+  // Daily digests every morning, weekly ones on Monday mornings
+  return [
+    cron.schedule('0 7 * * *', runDigests('daily'), options),
+    cron.schedule('0 7 * * 1', runDigests('weekly'), options)
+  ];
+};
+
+module.exports = {
+  sendMail,
+  sendAlertEmail,
+  sendDigests,
+  startScheduler
+};
@@ -0,0 +1,453 @@
+const messageTemplates = require('./messageTemplates');
+const geo = require('../utils/geo');
+
+// Labels for alert and digest emails. Alert titles and descriptions are sent
+// as written; instructions come from the alert in the reader's language.
+const emailLabels = {
+  english: {
+    locale: 'en-IN',
+    heading: 'CoastalGuard Alert',
+    updated: 'UPDATED',
+    cancelled: 'CANCELLED',
+    severity: 'Severity',
+    area: 'Area',
+    issued: 'Issued',
+    expires: 'Expires',
+    instructions: 'What to do',
+    evacuationRequired: 'Evacuation is required for this area.',
+    shelters: 'Shelters',
+    capacity: 'Capacity',
+    contact: 'Contact',
+    routes: 'Evacuation routes',
+    viewMap: 'View on map',
+    status: 'Status',
+    digestSubject: 'Your {period} CoastalGuard alert digest',
+    digestIntro: '{count} alert(s) for {area} since {since}.',
+    daily: 'daily',
+    weekly: 'weekly',
+    footer: 'You are receiving this because email alerts are enabled in your CoastalGuard preferences.',
+    manage: 'Manage preferences'
+  },
+  hindi: {
+    locale: 'hi-IN',
+    heading: 'CoastalGuard चेतावनी',
+    updated: 'अपडेट',
+    cancelled: 'रद्द',
+    severity: 'गंभीरता',
+    area: 'क्षेत्र',
+    issued: 'जारी',
+    expires: 'समाप्ति',
+    instructions: 'क्या करें',
+    evacuationRequired: 'इस क्षेत्र को खाली करना आवश्यक है।',
+    shelters: 'आश्रय स्थल',
+    capacity: 'क्षमता',
+    contact: 'संपर्क',
+    routes: 'निकासी मार्ग',
+    viewMap: 'नक्शे पर देखें',
+    status: 'स्थिति',
+    digestSubject: 'आपका {period} CoastalGuard चेतावनी सारांश',
+    digestIntro: '{since} से {area} के लिए {count} चेतावनी।',
+    daily: 'दैनिक',
+    weekly: 'साप्ताहिक',
+    footer: 'आपको यह ईमेल इसलिए मिला क्योंकि आपकी CoastalGuard सेटिंग में ईमेल चेतावनी चालू है।',
+    manage: 'सेटिंग बदलें'
+  },
+  marathi: {
+    locale: 'mr-IN',
+    heading: 'CoastalGuard इशारा',
+    updated: 'अद्ययावत',
+    cancelled: 'रद्द',
+    severity: 'तीव्रता',
+    area: 'क्षेत्र',
+    issued: 'जारी',
+    expires: 'समाप्ती',
+    instructions: 'काय करावे',
+    evacuationRequired: 'या क्षेत्रातून स्थलांतर आवश्यक आहे.',
+    shelters: 'निवारे',
+    capacity: 'क्षमता',
+    contact: 'संपर्क',
+    routes: 'स्थलांतर मार्ग',
+    viewMap: 'नकाशावर पहा',
+    status: 'स्थिती',
+    digestSubject: 'तुमचा {period} CoastalGuard इशारा सारांश',
+    digestIntro: '{since} पासून {area} साठी {count} इशारे.',
+    daily: 'दैनिक',
+    weekly: 'साप्ताहिक',
+    footer: 'तुमच्या CoastalGuard सेटिंग्जमध्ये ईमेल इशारे सुरू असल्यामुळे तुम्हाला हा ईमेल मिळाला.',
+    manage: 'सेटिंग्ज बदला'
+  },
+  gujarati: {
+    locale: 'gu-IN',
+    heading: 'CoastalGuard ચેતવણી',
+    updated: 'અપડેટ',
+    cancelled: 'રદ',
+    severity: 'ગંભીરતા',
+    area: 'વિસ્તાર',
+    issued: 'જારી',
+    expires: 'સમાપ્તિ',
+    instructions: 'શું કરવું',
+    evacuationRequired: 'આ વિસ્તાર ખાલી કરવો જરૂરી છે.',
+    shelters: 'આશ્રયસ્થાનો',
+    capacity: 'ક્ષમતા',
+    contact: 'સંપર્ક',
+    routes: 'સ્થળાંતર માર્ગો',
+    viewMap: 'નકશા પર જુઓ',
+    status: 'સ્થિતિ',
+    digestSubject: 'તમારો {period} CoastalGuard ચેતવણી સારાંશ',
+    digestIntro: '{since} થી {area} માટે {count} ચેતવણી.',
+    daily: 'દૈનિક',
+    weekly: 'સાપ્તાહિક',
+    footer: 'તમારી CoastalGuard સેટિંગ્સમાં ઇમેઇલ ચેતવણીઓ ચાલુ હોવાથી તમને આ ઇમેઇલ મળ્યો છે.',
+    manage: 'સેટિંગ્સ બદલો'
+  },
+  tamil: {
+    locale: 'ta-IN',
+    heading: 'CoastalGuard எச்சரிக்கை',
+    updated: 'புதுப்பிப்பு',
+    cancelled: 'ரத்து',
+    severity: 'தீவிரம்',
+    area: 'பகுதி',
+    issued: 'வெளியிடப்பட்டது',
+    expires: 'காலாவதி',
+    instructions: 'என்ன செய்ய வேண்டும்',
+    evacuationRequired: 'இந்தப் பகுதியிலிருந்து வெளியேற்றம் அவசியம்.',
+    shelters: 'தங்குமிடங்கள்',
+    capacity: 'கொள்ளளவு',
+    contact: 'தொடர்பு',
+    routes: 'வெளியேற்ற வழிகள்',
+    viewMap: 'வரைபடத்தில் காண்க',
+    status: 'நிலை',
+    digestSubject: 'உங்கள் {period} CoastalGuard எச்சரிக்கை சுருக்கம்',
+    digestIntro: '{since} முதல் {area} பகுதிக்கு {count} எச்சரிக்கைகள்.',
+    daily: 'தினசரி',
+    weekly: 'வாராந்திர',
+    footer: 'உங்கள் CoastalGuard அமைப்புகளில் மின்னஞ்சல் எச்சரிக்கைகள் இயக்கப்பட்டுள்ளதால் இந்த மின்னஞ்சல் அனுப்பப்பட்டது.',
+    manage: 'அமைப்புகளை மாற்று'
+  },
+  telugu: {
+    locale: 'te-IN',
+    heading: 'CoastalGuard హెచ్చరిక',
+    updated: 'నవీకరణ',
+    cancelled: 'రద్దు',
+    severity: 'తీవ్రత',
+    area: 'ప్రాంతం',
+    issued: 'జారీ',
+    expires: 'గడువు',
+    instructions: 'ఏమి చేయాలి',
+    evacuationRequired: 'ఈ ప్రాంతాన్ని ఖాళీ చేయడం తప్పనిసరి.',
+    shelters: 'ఆశ్రయ కేంద్రాలు',
+    capacity: 'సామర్థ్యం',
+    contact: 'సంప్రదించండి',
+    routes: 'తరలింపు మార్గాలు',
+    viewMap: 'మ్యాప్‌లో చూడండి',
+    status: 'స్థితి',
+    digestSubject: 'మీ {period} CoastalGuard హెచ్చరికల సారాంశం',
+    digestIntro: '{since} నుండి {area}కు {count} హెచ్చరికలు.',
+    daily: 'రోజువారీ',
+    weekly: 'వారపు',
+    footer: 'మీ CoastalGuard సెట్టింగ్‌లలో ఇమెయిల్ హెచ్చరికలు ఆన్‌లో ఉన్నందున ఈ ఇమెయిల్ వచ్చింది.',
+    manage: 'సెట్టింగ్‌లు మార్చండి'
+  },
+  malayalam: {
+    locale: 'ml-IN',
+    heading: 'CoastalGuard മുന്നറിയിപ്പ്',
+    updated: 'പുതുക്കിയത്',
+    cancelled: 'റദ്ദാക്കി',
+    severity: 'തീവ്രത',
+    area: 'പ്രദേശം',
+    issued: 'പുറപ്പെടുവിച്ചത്',
+    expires: 'കാലാവധി',
+    instructions: 'എന്തു ചെയ്യണം',
+    evacuationRequired: 'ഈ പ്രദേശത്തുനിന്ന് ഒഴിപ്പിക്കൽ ആവശ്യമാണ്.',
+    shelters: 'ദുരിതാശ്വാസ കേന്ദ്രങ്ങൾ',
+    capacity: 'ശേഷി',
+    contact: 'ബന്ധപ്പെടുക',
+    routes: 'ഒഴിപ്പിക്കൽ വഴികൾ',
+    viewMap: 'മാപ്പിൽ കാണുക',
+    status: 'നില',
+    digestSubject: 'നിങ്ങളുടെ {period} CoastalGuard മുന്നറിയിപ്പ് സംഗ്രഹം',
+    digestIntro: '{since} മുതൽ {area} പ്രദേശത്ത് {count} മുന്നറിയിപ്പുകൾ.',
+    daily: 'പ്രതിദിന',
+    weekly: 'പ്രതിവാര',
+    footer: 'നിങ്ങളുടെ CoastalGuard ക്രമീകരണങ്ങളിൽ ഇമെയിൽ മുന്നറിയിപ്പുകൾ ഓണായതിനാലാണ് ഈ ഇമെയിൽ ലഭിച്ചത്.',
+    manage: 'ക്രമീകരണങ്ങൾ മാറ്റുക'
+  },
+  kannada: {
+    locale: 'kn-IN',
+    heading: 'CoastalGuard ಎಚ್ಚರಿಕೆ',
+    updated: 'ನವೀಕರಣ',
+    cancelled: 'ರದ್ದು',
+    severity: 'ತೀವ್ರತೆ',
+    area: 'ಪ್ರದೇಶ',
+    issued: 'ಹೊರಡಿಸಲಾಗಿದೆ',
+    expires: 'ಅವಧಿ ಮುಕ್ತಾಯ',
+    instructions: 'ಏನು ಮಾಡಬೇಕು',
+    evacuationRequired: 'ಈ ಪ್ರದೇಶದಿಂದ ಸ್ಥಳಾಂತರ ಅಗತ್ಯವಿದೆ.',
+    shelters: 'ಆಶ್ರಯ ತಾಣಗಳು',
+    capacity: 'ಸಾಮರ್ಥ್ಯ',
+    contact: 'ಸಂಪರ್ಕ',
+    routes: 'ಸ್ಥಳಾಂತರ ಮಾರ್ಗಗಳು',
+    viewMap: 'ನಕ್ಷೆಯಲ್ಲಿ ನೋಡಿ',
+    status: 'ಸ್ಥಿತಿ',
+    digestSubject: 'ನಿಮ್ಮ {period} CoastalGuard ಎಚ್ಚರಿಕೆ ಸಾರಾಂಶ',
+    digestIntro: '{since} ರಿಂದ {area} ಪ್ರದೇಶಕ್ಕೆ {count} ಎಚ್ಚರಿಕೆಗಳು.',
+    daily: 'ದೈನಂದಿನ',
+    weekly: 'ಸಾಪ್ತಾಹಿಕ',
+    footer: 'ನಿಮ್ಮ CoastalGuard ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ ಇಮೇಲ್ ಎಚ್ಚರಿಕೆಗಳು ಆನ್ ಆಗಿರುವುದರಿಂದ ಈ ಇಮೇಲ್ ಬಂದಿದೆ.',
+    manage: 'ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಬದಲಾಯಿಸಿ'
+  }
+};
+
+const SEVERITY_COLOURS = {
+  info: '#2563eb',
+  warning: '#d97706',
+  critical: '#dc2626',
+  emergency: '#7f1d1d'
+};
+
+// Static map image and map link for a position; {lat} and {lon} are filled in
+const STATIC_MAP_URL = process.env.EMAIL_STATIC_MAP_URL ||
+  'https://staticmap.openstreetmap.de/staticmap.php?center={lat},{lon}&zoom=9&size=600x300&markers={lat},{lon},red-pushpin';
+const MAP_LINK_URL = 'https://www.openstreetmap.org/?mlat={lat}&mlon={lon}#map=10/{lat}/{lon}';
+
+const fill = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+};
+
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const labelsFor = (language) => emailLabels[language] || emailLabels.english;
+
+const formatDate = (date, labels) => {
+  return new Date(date).toLocaleString(labels.locale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'Asia/Kolkata'
+  });
+};
+
+const mapUrls = ([lon, lat]) => ({
+  image: fill(STATIC_MAP_URL, { lat, lon }),
+  link: fill(MAP_LINK_URL, { lat, lon })
+});
+
+const instructionFor = (alert, language) => {
+  if (!alert.instructions || alert.instructions.length === 0) return null;
+  return alert.getInstruction(language);
+};
+
+const subjectPrefix = (alert, labels) => {
+  if (alert.msgType === 'cancel') return `${labels.cancelled}: `;
+  if (alert.msgType === 'update') return `${labels.updated}: `;
+  return '';
+};
+
+const layout = (title, body, labels) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;">
+<tr><td style="padding:24px;">
+${body}
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">
+${escapeHtml(labels.footer)}<br>
+<a href="${escapeHtml(process.env.FRONTEND_URL || 'http://localhost:3000')}" style="color:#2563eb;">${escapeHtml(labels.manage)}</a>
+</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>`;
+
+const alertHtml = (alert, language, labels, summary) => {
+  const colour = SEVERITY_COLOURS[alert.severity] || SEVERITY_COLOURS.info;
+  const instruction = instructionFor(alert, language);
+  const evacuation = alert.evacuationInfo || {};
+  const parts = [];
+
+  parts.push(`<div style="border-left:6px solid ${colour};padding-left:12px;">
+<p style="margin:0;font-size:12px;font-weight:bold;color:${colour};">${escapeHtml(subjectPrefix(alert, labels))}${escapeHtml(labels.heading)} &middot; ${escapeHtml(alert.severity.toUpperCase())}</p>
+<h1 style="margin:4px 0 12px;font-size:22px;">${escapeHtml(alert.title)}</h1>
+</div>`);
+
+  parts.push(`<p style="font-size:15px;line-height:1.5;">${escapeHtml(summary || alert.description).replace(/\n/g, '<br>')}</p>`);
+
+  if (instruction) {
+    parts.push(`<div style="background:#fef3c7;border-radius:6px;padding:12px;margin:16px 0;">
+<p style="margin:0 0 4px;font-weight:bold;">${escapeHtml(labels.instructions)}</p>
+<p style="margin:0;">${escapeHtml(instruction)}</p>
+</div>`);
+  }
+
+  const details = [
+    [labels.severity, alert.severity.toUpperCase()],
+    [labels.area, (alert.location.coastalArea || '').toUpperCase()],
+    [labels.issued, formatDate(alert.effectiveAt || alert.createdAt || new Date(), labels)]
+  ];
+  if (alert.expiresAt) {
+    details.push([labels.expires, formatDate(alert.expiresAt, labels)]);
+  }
+  parts.push(`<table role="presentation" cellpadding="4" cellspacing="0" style="font-size:14px;">
+${details.map(([label, value]) => `<tr><td style="color:#6b7280;">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>`);
+
+  const map = mapUrls(geo.geometryCentre(alert.location));
+  parts.push(`<p style="margin:16px 0;"><a href="${escapeHtml(map.link)}"><img src="${escapeHtml(map.image)}" width="552" alt="${escapeHtml(labels.viewMap)}" style="display:block;width:100%;border:0;border-radius:6px;"></a></p>`);
+
+  if (evacuation.required) {
+    parts.push(`<p style="font-weight:bold;color:${SEVERITY_COLOURS.critical};">${escapeHtml(labels.evacuationRequired)}</p>`);
+  }
+
+  if (evacuation.shelters && evacuation.shelters.length > 0) {
+    const shelters = evacuation.shelters.map(shelter => {
+      const lines = [`<strong>${escapeHtml(shelter.name)}</strong>`];
+      if (shelter.address) lines.push(escapeHtml(shelter.address));
+      if (shelter.capacity) lines.push(`${escapeHtml(labels.capacity)}: ${escapeHtml(shelter.capacity)}`);
+      if (shelter.contact) lines.push(`${escapeHtml(labels.contact)}: ${escapeHtml(shelter.contact)}`);
+      if (shelter.coordinates && shelter.coordinates.length === 2) {
+        lines.push(`<a href="${escapeHtml(mapUrls(shelter.coordinates).link)}">${escapeHtml(labels.viewMap)}</a>`);
+      }
+      return `<li style="margin-bottom:8px;">${lines.join('<br>')}</li>`;
+    });
+    parts.push(`<h2 style="font-size:16px;">${escapeHtml(labels.shelters)}</h2>\n<ul style="padding-left:20px;">\n${shelters.join('\n')}\n</ul>`);
+  }
+
+  if (evacuation.routes && evacuation.routes.length > 0) {
+    const routes = evacuation.routes.map(route => `<li style="margin-bottom:8px;"><strong>${escapeHtml(route.name)}</strong>${routeSummary(route) ? ` (${escapeHtml(routeSummary(route))})` : ''}${route.description ? `<br>${escapeHtml(route.description)}` : ''}</li>`);
+    parts.push(`<h2 style="font-size:16px;">${escapeHtml(labels.routes)}</h2>\n<ul style="padding-left:20px;">\n${routes.join('\n')}\n</ul>`);
+  }
+
+  return parts.join('\n');
+};
+
+const routeSummary = (route) => {
+  const summary = [];
+  if (route.distance) summary.push(`${route.distance} km`);
+  if (route.estimatedTime) summary.push(`~${route.estimatedTime} min`);
+  return summary.join(', ');
+};
+
+const alertText = (alert, language, labels, summary) => {
+  const instruction = instructionFor(alert, language);
+  const evacuation = alert.evacuationInfo || {};
+  const lines = [
+    `${subjectPrefix(alert, labels)}${labels.heading} - ${alert.severity.toUpperCase()}`,
+    alert.title,
+    '',
+    summary || alert.description,
+    ''
+  ];
+
+  if (instruction) {
+    lines.push(`${labels.instructions}: ${instruction}`, '');
+  }
+
+  lines.push(`${labels.area}: ${(alert.location.coastalArea || '').toUpperCase()}`);
+  lines.push(`${labels.issued}: ${formatDate(alert.effectiveAt || alert.createdAt || new Date(), labels)}`);
+  if (alert.expiresAt) {
+    lines.push(`${labels.expires}: ${formatDate(alert.expiresAt, labels)}`);
+  }
+  lines.push(`${labels.viewMap}: ${mapUrls(geo.geometryCentre(alert.location)).link}`);
+
+  if (evacuation.required) {
+    lines.push('', labels.evacuationRequired);
+  }
+
+  if (evacuation.shelters && evacuation.shelters.length > 0) {
+    lines.push('', `${labels.shelters}:`);
+    evacuation.shelters.forEach(shelter => {
+      const details = [shelter.address, shelter.contact && `${labels.contact}: ${shelter.contact}`].filter(Boolean);
+      lines.push(`- ${shelter.name}${details.length ? ` (${details.join(', ')})` : ''}`);
+    });
+  }
+
+  if (evacuation.routes && evacuation.routes.length > 0) {
+    lines.push('', `${labels.routes}:`);
+    evacuation.routes.forEach(route => {
+      const summary = routeSummary(route);
+      lines.push(`- ${route.name}${summary ? ` (${summary})` : ''}${route.description ? `: ${route.description}` : ''}`);
+    });
+  }
+
+  lines.push('', '--', labels.footer);
+  return lines.join('\n');
+};
+
+// Subject, HTML and plain-text bodies of an immediate alert email
+const renderAlertEmail = (alert, language = 'english') => {
+  const labels = labelsFor(language);
+
+  // An approved message template replaces the subject line and the description
+  const custom = messageTemplates.findTemplate('email', alert, language);
+  const content = custom ? messageTemplates.render(custom, alert, language) : {};
+  const subject = subjectPrefix(alert, labels) +
+    (content.subject || `[${alert.severity.toUpperCase()}] ${alert.title} - CoastalGuard`);
+
+  return {
+    subject,
+    html: layout(subject, alertHtml(alert, language, labels, content.body), labels),
+    text: alertText(alert, language, labels, content.body)
+  };
+};
+
+// Subject, HTML and plain-text bodies of a digest of recent alerts
+const renderDigestEmail = (alerts, { language = 'english', period, area, since }) => {
+  const labels = labelsFor(language);
+  const subject = fill(labels.digestSubject, { period: labels[period] || period });
+  const intro = fill(labels.digestIntro, {
+    count: alerts.length,
+    area: (area || '').toUpperCase(),
+    since: formatDate(since, labels)
+  });
+
+  const items = alerts.map(alert => {
+    const colour = SEVERITY_COLOURS[alert.severity] || SEVERITY_COLOURS.info;
+    const instruction = instructionFor(alert, language);
+    return `<tr><td style="padding:12px 0;border-bottom:1px solid #e5e7eb;">
+<p style="margin:0;font-size:12px;font-weight:bold;color:${colour};">${escapeHtml(alert.severity.toUpperCase())} &middot; ${escapeHtml(labels.status)}: ${escapeHtml(alert.status)} &middot; ${escapeHtml(formatDate(alert.createdAt, labels))}</p>
+<p style="margin:4px 0;font-size:16px;font-weight:bold;">${escapeHtml(alert.title)}</p>
+<p style="margin:0;font-size:14px;">${escapeHtml(alert.description)}</p>
+${instruction ? `<p style="margin:4px 0 0;font-size:14px;"><strong>${escapeHtml(labels.instructions)}:</strong> ${escapeHtml(instruction)}</p>` : ''}
+</td></tr>`;
+  });
+
+  const html = layout(subject, `<h1 style="margin:0 0 8px;font-size:22px;">${escapeHtml(subject)}</h1>
+<p style="font-size:15px;">${escapeHtml(intro)}</p>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${items.join('\n')}
+</table>`, labels);
+
+  const text = [
+    subject,
+    intro,
+    '',
+    ...alerts.map(alert => {
+      const instruction = instructionFor(alert, language);
+      return [
+        `[${alert.severity.toUpperCase()}] ${alert.title} (${labels.status}: ${alert.status}, ${formatDate(alert.createdAt, labels)})`,
+        alert.description,
+        instruction ? `${labels.instructions}: ${instruction}` : null,
+        ''
+      ].filter(line => line !== null).join('\n');
+    }),
+    '--',
+    labels.footer
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+module.exports = {
+  emailLabels,
+  escapeHtml,
+  renderAlertEmail,
+  renderDigestEmail
+};
@@ -0,0 +1,204 @@
+const cron = require('node-cron');
+
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const NotificationJob = require('../models/NotificationJob');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const notificationQueue = require('./notificationQueue');
+const logger = require('../utils/logger');
+
+const ESCALATING_SEVERITIES = ['critical', 'emergency'];
+
+// Used when no stored policy covers an alert's area and severity. The first
+// step calls the district officers who were already notified, falling back
+// to push for those without a working phone, before paging further tiers.
+const DEFAULT_STEPS = [
+  { afterMinutes: 5, tier: 'district', channels: ['voice', 'push'] },
+  { afterMinutes: 15, tier: 'district', channels: ['sms'] },
+  { afterMinutes: 30, tier: 'state', channels: ['sms'] },
+  { afterMinutes: 60, tier: 'admin', channels: ['sms'] }
+];
+
+// Authority accounts without a tier are treated as district officers
+const findTierRecipients = (tier, alert) => {
+  if (tier === 'admin') {
+    return User.find({ role: 'admin', isActive: true }).select('name phone email preferences');
+  }
+
+  return User.find({
+    role: 'authority',
+    isActive: true,
+    authorityTier: tier === 'district' ? { $in: ['district', null] } : tier,
+    'location.coastalArea': alert.location.coastalArea
+  }).select('name phone email preferences');
+};
+
+const buildPageMessage = (alert, step) => {
+  const minutes = Math.round((Date.now() - alert.notifiedAt.getTime()) / 60000);
+  return `ESCALATION (${step.tier}): ${alert.severity.toUpperCase()} ${alert.type} alert "${alert.title}" ` +
+    `in ${alert.location.coastalArea} unacknowledged for ${minutes} min. ` +
+    `Acknowledge alert ${alert._id} in CoastalGuard. - CoastalGuard`;
+};
+
+// Page every member of a tier, ignoring their channel preferences. SMS pages
+// go through the notification queue ahead of routine messages. A queued SMS
+// has not reached anyone yet, so later channels are still tried and the
+// member only counts as delivered once a channel reports success.
+const pageTier = async (alert, step, level) => {
+  const recipients = await findTierRecipients(step.tier, alert);
+  const channels = step.channels.filter(name => notificationService.channels[name]);
+  const message = buildPageMessage(alert, step);
+  const smsQueue = [];
+  let delivered = 0;
+  let queued = 0;
+
+  for (const user of recipients) {
+    const pagesBefore = smsQueue.length;
+    let reached = false;
+    for (const name of channels) {
+      try {
+        const result = await notificationService.channels[name].send(user, alert, { message, smsQueue });
+        if (result && result.success && !result.queued) {
+          reached = true;
+          break;
+        }
+      } catch (error) {
+        logger.error(`Escalation page to ${user._id} via ${name} failed:`, error);
+      }
+    }
+
+    if (reached) {
+      delivered++;
+    } else if (smsQueue.length > pagesBefore) {
+      queued++;
+    }
+  }
+
+  let job;
+  if (smsQueue.length > 0) {
+    job = await notificationQueue.createJob({
+      type: 'escalation_page',
+      criteria: { alert: alert._id, step: level, tier: step.tier },
+      recipients: smsQueue,
+      priority: NotificationJob.PRIORITY.urgent,
+      wait: true
+    });
+  }
+
+  return { channels, recipients: recipients.length, delivered, queued, job: job && job._id };
+};
+
+// Carry out every step of the alert's policy that is now due
+const escalateAlert = async (alert) => {
+  const policy = await EscalationPolicy.findForAlert(alert);
+  const steps = policy ? policy.steps : DEFAULT_STEPS;
+  const elapsedMinutes = (Date.now() - alert.notifiedAt.getTime()) / 60000;
+  let level = alert.escalation.level || 0;
+
+  while (level < steps.length && elapsedMinutes >= steps[level].afterMinutes) {
+    const step = steps[level];
+
+    // Claim the step first so overlapping runs cannot page twice
+    const update = { 'escalation.level': level + 1 };
+    if (policy) update['escalation.policy'] = policy._id;
+
+    const claimed = await Alert.findOneAndUpdate(
+      {
+        _id: alert._id,
+        'escalation.level': level === 0 ? { $in: [0, null] } : level,
+        'escalation.acknowledgedAt': null
+      },
+      { $set: update }
+    );
+    if (!claimed) return;
+
+    const result = await pageTier(alert, step, level + 1);
+    await Alert.updateOne(
+      { _id: alert._id },
+      {
+        $push: {
+          'escalation.log': {
+            step: level + 1,
+            action: 'notified',
+            tier: step.tier,
+            channels: result.channels,
+            recipients: result.recipients,
+            delivered: result.delivered,
+            queued: result.queued,
+            job: result.job
+          }
+        }
+      }
+    );
+
+    logger.warn(`Alert ${alert._id} escalated to ${step.tier} tier: ${result.delivered}/${result.recipients} paged, ` +
+      `${result.queued} waiting on SMS`);
+    level++;
+  }
+
+  if (level >= steps.length) {
+    await Alert.updateOne(
+      { _id: alert._id, 'escalation.completedAt': null },
+      {
+        $set: { 'escalation.completedAt': new Date() },
+        $push: { 'escalation.log': { step: level, action: 'exhausted', notes: 'No further escalation steps' } }
+      }
+    );
+  }
+};
+
+// Find unacknowledged critical alerts and escalate the ones that are due
+const runEscalations = async () => {
+  const alerts = await Alert.find({
+    status: 'active',
+    verificationStatus: 'verified',
+    severity: { $in: ESCALATING_SEVERITIES },
+    notifiedAt: { $exists: true },
+    'escalation.acknowledgedAt': null,
+    'escalation.completedAt': null
+  });
+
+  for (const alert of alerts) {
+    try {
+      await escalateAlert(alert);
+    } catch (error) {
+      logger.error(`Escalation failed for alert ${alert._id}:`, error);
+    }
+  }
+
+  return alerts.length;
+};
+
+// Record an authority acknowledgement, which stops further escalation
+const acknowledge = (alert, user) => {
+  if (!['authority', 'admin'].includes(user.role) || alert.escalation.acknowledgedAt) {
+    return false;
+  }
+
+  alert.escalation.acknowledgedAt = new Date();
+  alert.escalation.acknowledgedBy = user._id;
+  alert.escalation.log.push({
+    step: alert.escalation.level || 0,
+    action: 'acknowledged',
+    tier: user.role === 'admin' ? 'admin' : (user.authorityTier || 'district'),
+    notes: `Acknowledged by ${user.name}`
+  });
+  return true;
+};
+
+const startScheduler = () => {
+  // Checked every minute so steps fire close to their configured delay
+  return cron.schedule('* * * * *', () => {
+    runEscalations().catch(error => logger.error('Escalation run failed:', error));
+  });
+};
+
+module.exports = {
+  DEFAULT_STEPS,
+  ESCALATING_SEVERITIES,
+  escalateAlert,
+  runEscalations,
+  acknowledge,
+  startScheduler
+};
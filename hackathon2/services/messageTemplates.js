@@ -0,0 +1,87 @@
+const cron = require('node-cron');
+
+const MessageTemplate = require('../models/MessageTemplate');
+const logger = require('../utils/logger');
+
+// Approved message templates, keyed by channel, alert type, severity and
+// language. Held in memory so messages are formatted without a database
+// round trip; reloaded after each approval and every few minutes so other
+// server instances pick changes up.
+let approved = new Map();
+
+const cacheKey = ({ channel, alertType, severity, language }) => `${channel}:${alertType}:${severity}:${language}`;
+
+const reload = async () => {
+  const templates = await MessageTemplate.find({ status: 'approved' })
+    .sort({ version: 1 })
+    .lean();
+
+  // Later versions overwrite earlier ones, should two ever be approved at once
+  const loaded = new Map();
+  templates.forEach(template => loaded.set(cacheKey(template), template));
+  approved = loaded;
+  return loaded.size;
+};
+
+// Approved template for a message, preferring one written for the alert's
+// severity. Null means the channel's built-in wording is used.
+const findTemplate = (channel, alert, language) => {
+  const key = { channel, alertType: alert.type, language };
+  return approved.get(cacheKey({ ...key, severity: alert.severity })) ||
+    approved.get(cacheKey({ ...key, severity: 'any' })) ||
+    null;
+};
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+const valuesFor = (alert, language) => ({
+  title: alert.title,
+  description: alert.description,
+  instruction: alert.instructions && alert.instructions.length > 0 ? alert.getInstruction(language) : '',
+  severity: alert.severity.toUpperCase(),
+  type: alert.type,
+  area: (alert.location.coastalArea || '').toUpperCase(),
+  issued: formatDate(alert.effectiveAt || alert.createdAt || new Date()),
+  expires: formatDate(alert.expiresAt)
+});
+
+// Fill placeholders, leaving the ones named in `keep` for the caller
+const fill = (text, values, keep) => {
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    return keep.includes(name) || values[name] === undefined ? match : values[name];
+  });
+};
+
+// Subject and body of a template filled in for an alert. SMS keeps {title}
+// and {description} so the message can be shortened to fit its segments.
+const render = (template, alert, language = 'english', { keep = [] } = {}) => {
+  const values = valuesFor(alert, language);
+  return {
+    subject: template.subject ? fill(template.subject, values, keep).trim() : null,
+    body: fill(template.body, values, keep).replace(/ {2,}/g, ' ').trim()
+  };
+};
+
+const startScheduler = () => {
+  reload()
+    .then(count => logger.info(`Loaded ${count} approved message templates`))
+    .catch(error => logger.error('Message template load failed:', error));
+
+  return cron.schedule('*/5 * * * *', () => {
+    reload().catch(error => logger.error('Message template reload failed:', error));
+  });
+};
+
+module.exports = {
+  reload,
+  findTemplate,
+  render,
+  startScheduler
+};
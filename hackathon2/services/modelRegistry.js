@@ -0,0 +1,121 @@
+const ModelVersion = require('../models/ModelVersion');
+const logger = require('../utils/logger');
+
+// Add a newly trained version as a candidate
+const register = async (details) => {
+  const version = await ModelVersion.create({
+    ...details,
+    status: 'candidate',
+    history: [{ action: 'registered', at: details.trainedAt }]
+  });
+
+  logger.info(`Registered ${version.hazard} model ${version.version}`);
+  return version;
+};
+
+const activeVersion = (hazard) => ModelVersion.findOne({ hazard, status: 'active' }).lean();
+
+// Active version of each hazard that has one, by hazard
+const activeVersions = async () => {
+  const versions = await ModelVersion.find({ status: 'active' }).lean();
+  return versions.reduce((active, version) => {
+    active[version.hazard] = version;
+    return active;
+  }, {});
+};
+
+// Make a version the one detection uses, retiring the version it replaces
+const promote = async (version, user, notes) => {
+  if (version.status === 'active') return version;
+
+  const by = user ? user._id || user.id : undefined;
+  const current = await ModelVersion.findOneAndUpdate(
+    { hazard: version.hazard, status: 'active' },
+    {
+      $set: { status: 'retired' },
+      $push: { history: { action: 'retired', by, notes: `Replaced by ${version.version}` } }
+    },
+    { new: true }
+  );
+
+  const promoted = await ModelVersion.findOneAndUpdate(
+    { _id: version._id, status: { $ne: 'active' } },
+    {
+      $set: { status: 'active', ...(current && { previous: current._id }) },
+      $push: { history: { action: 'promoted', by, notes } }
+    },
+    { new: true }
+  );
+
+  logger.info(`Promoted ${version.hazard} model ${version.version}${current ? ` replacing ${current.version}` : ''}`);
+  return promoted;
+};
+
+// Reactivate the version the active one replaced. Returns null when there
+// is nothing to roll back to.
+const rollback = async (hazard, user, notes) => {
+  const current = await ModelVersion.findOne({ hazard, status: 'active' });
+  if (!current || !current.previous) return null;
+
+  const previous = await ModelVersion.findById(current.previous);
+  if (!previous) return null;
+
+  const by = user ? user._id || user.id : undefined;
+  await ModelVersion.updateOne(
+    { _id: current._id, status: 'active' },
+    {
+      $set: { status: 'retired' },
+      $push: { history: { action: 'rolled_back', by, notes } }
+    }
+  );
+
+  // The restored version keeps its own predecessor so rollbacks can go further back
+  const restored = await ModelVersion.findOneAndUpdate(
+    { _id: previous._id, status: { $ne: 'active' } },
+    {
+      $set: { status: 'active' },
+      $push: { history: { action: 'promoted', by, notes: `Rolled back from ${current.version}` } }
+    },
+    { new: true }
+  );
+
+  logger.warn(`Rolled back ${hazard} model from ${current.version} to ${previous.version}`);
+  return { from: current, to: restored };
+};
+
+// Metrics of a hazard's active version as served to dashboards; hazards
+// without one are detected with statistical thresholds
+const describe = (hazard, version) => {
+  if (!version) {
+    return { hazard, type: 'statistical', version: null };
+  }
+
+  return {
+    hazard,
+    type: 'trained',
+    version: version.version,
+    ...version.metrics,
+    samples: version.samples,
+    dataRange: version.dataRange,
+    trainedAt: version.trainedAt
+  };
+};
+
+// Actual performance of the model each hazard is detected with
+const performance = async () => {
+  const active = await activeVersions();
+  return ModelVersion.HAZARDS.reduce((models, hazard) => {
+    models[hazard] = describe(hazard, active[hazard]);
+    return models;
+  }, {});
+};
+
+module.exports = {
+  register,
+  activeVersion,
+  activeVersions,
+  promote,
+  rollback,
+  describe,
+  performance
+};
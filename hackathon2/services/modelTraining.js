@@ -0,0 +1,453 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+
+const Alert = require('../models/Alert');
+const SensorReading = require('../models/SensorReading');
+const TrainingJob = require('../models/TrainingJob');
+const detectionThresholds = require('./detectionThresholds');
+const modelRegistry = require('./modelRegistry');
+const mlFeatures = require('../utils/mlFeatures');
+const mlMetrics = require('../utils/mlMetrics');
+const logger = require('../utils/logger');
+
+// Trained models are saved as <dir>/<hazard>/<version>/model.json
+const MODEL_DIR = path.resolve(process.env.ML_MODEL_DIR || './ml-models');
+
+// Hazards with fewer labelled readings than this are not trained
+const MIN_SAMPLES = parseInt(process.env.ML_MIN_TRAINING_SAMPLES) || 50;
+
+// Each class needs a reading in the training, validation and test sets
+const MIN_CLASS_SAMPLES = 3;
+
+// Readings this long before an alert count as leading up to it
+const LABEL_LEAD_MS = (parseInt(process.env.ML_LABEL_LEAD_HOURS) || 6) * 60 * 60 * 1000;
+
+// How far back training looks when no range is given
+const DEFAULT_WINDOW_DAYS = parseInt(process.env.ML_TRAINING_WINDOW_DAYS) || 365;
+
+// Alerts lasting beyond their last detection without an expiry are counted this long
+const DEFAULT_ALERT_DURATION_MS = 12 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  epochs: 50,
+  batchSize: 32,
+  validationSplit: 0.2,
+  // Held out from training and validation to measure the model
+  testSplit: 0.15
+};
+
+// Alert types whose verified alerts mark a hazard as having happened
+const HAZARD_ALERT_TYPES = {
+  flooding: ['tide'],
+  erosion: ['erosion'],
+  pollution: ['pollution'],
+  storm: ['storm', 'cyclone']
+};
+
+let processing = false;
+
+// TensorFlow is loaded on first use so a missing native binding only
+// disables training, not the server that requires this module
+let tf;
+const loadTf = () => {
+  if (!tf) tf = require('@tensorflow/tfjs-node');
+  return tf;
+};
+
+// Whether models can be trained on this server
+const isAvailable = () => {
+  try {
+    loadTf();
+    return true;
+  } catch (error) {
+    logger.warn('TensorFlow could not be loaded; model training is unavailable:', error.message);
+    return false;
+  }
+};
+
+const hazardDir = (hazard) => path.join(MODEL_DIR, hazard);
+
+const modelPath = (hazard, version) => path.join(hazardDir(hazard), version);
+
+// Sortable version name from the training time, e.g. 20261019T184500Z
+const versionName = (date = new Date()) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+// Databases created before the alert expiry job still delete expired alerts
+// with a TTL index, taking their labels with them
+const alertsDeletedOnExpiry = async () => {
+  try {
+    const indexes = await Alert.listIndexes();
+    return indexes.some(index => index.expireAfterSeconds !== undefined);
+  } catch (error) {
+    if (error.code === 26) return false; // NamespaceNotFound
+    throw error;
+  }
+};
+
+// Keep a collected reading for training. Accepts one reading or a list.
+const recordReadings = async (sensorData) => {
+  const readings = (Array.isArray(sensorData) ? sensorData : [sensorData]).filter(Boolean);
+
+  const documents = readings.map(reading => {
+    const { coastalArea, station } = detectionThresholds.readingScope(reading);
+    const coordinates = reading.location && reading.location.coordinates;
+    return {
+      station: station || undefined,
+      coastalArea: coastalArea || undefined,
+      location: Array.isArray(coordinates) ? { type: 'Point', coordinates } : undefined,
+      recordedAt: reading.timestamp ? new Date(reading.timestamp) : new Date(),
+      source: reading.source,
+      values: SensorReading.measurements(reading)
+    };
+  }).filter(document => Object.keys(document.values).length > 0);
+
+  if (documents.length === 0) return 0;
+  await SensorReading.insertMany(documents);
+  return documents.length;
+};
+
+// Time an alert covers for labelling, from a little before it was first
+// detected until it expired
+const alertWindow = (alert) => {
+  const detection = alert.detection || {};
+  const start = (detection.firstDetectedAt || alert.onsetAt || alert.effectiveAt || alert.createdAt).getTime();
+  const end = alert.expiresAt
+    ? alert.expiresAt.getTime()
+    : Math.max((detection.lastDetectedAt || alert.createdAt).getTime(), start + DEFAULT_ALERT_DURATION_MS);
+  return { start: start - LABEL_LEAD_MS, end };
+};
+
+// Label readings for a hazard: 1 during an alert a person verified in the
+// same coastal area, 0 during rejected alerts and quiet periods. Readings
+// during alerts nobody has reviewed are left out, including the ones threat
+// detection raised itself, so the model does not learn its own output.
+const buildDataset = async (hazard, { from, to } = {}) => {
+  to = to ? new Date(to) : new Date();
+  from = from ? new Date(from) : new Date(to.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [readings, alerts] = await Promise.all([
+    SensorReading.find({
+      recordedAt: { $gte: from, $lte: to },
+      coastalArea: { $exists: true }
+    }).select('coastalArea recordedAt values').lean(),
+    Alert.find({
+      type: { $in: HAZARD_ALERT_TYPES[hazard] },
+      createdAt: { $gte: new Date(from.getTime() - 30 * 24 * 60 * 60 * 1000), $lte: new Date(to.getTime() + LABEL_LEAD_MS) }
+    }).select('type location.coastalArea verificationStatus verifiedBy detection onsetAt effectiveAt expiresAt createdAt').lean()
+  ]);
+
+  const windows = alerts.map(alert => ({
+    coastalArea: alert.location.coastalArea,
+    verificationStatus: alert.verifiedBy ? alert.verificationStatus : 'pending',
+    ...alertWindow(alert)
+  }));
+
+  const samples = [];
+  readings.forEach(reading => {
+    const time = reading.recordedAt.getTime();
+    const covering = windows.filter(window => window.coastalArea === reading.coastalArea && time >= window.start && time <= window.end);
+
+    let label = 0;
+    if (covering.some(window => window.verificationStatus === 'verified')) {
+      label = 1;
+    } else if (covering.some(window => window.verificationStatus === 'pending')) {
+      return;
+    }
+
+    samples.push({ x: mlFeatures.featureVector(hazard, reading.values), y: label, recordedAt: reading.recordedAt });
+  });
+
+  return { samples, from, to };
+};
+
+// Training, validation and test sets split by time: the most recent readings
+// are the test set and the period before them the validation set. Readings
+// minutes apart are near copies of each other, so a random split would test
+// the model on readings it has as good as seen.
+const splitSamples = (samples, validationSplit, testSplit) => {
+  const sorted = [...samples].sort((a, b) => a.recordedAt - b.recordedAt);
+  const testSize = Math.max(1, Math.round(sorted.length * testSplit));
+  const validationSize = Math.max(1, Math.round(sorted.length * validationSplit));
+  const trainingEnd = sorted.length - testSize - validationSize;
+
+  return {
+    training: sorted.slice(0, trainingEnd),
+    validation: sorted.slice(trainingEnd, trainingEnd + validationSize),
+    test: sorted.slice(trainingEnd + validationSize)
+  };
+};
+
+const buildModel = (inputSize) => {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [inputSize], units: 16, activation: 'relu' }));
+  model.add(tf.layers.dropout({ rate: 0.2 }));
+  model.add(tf.layers.dense({ units: 8, activation: 'relu' }));
+  model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+  model.compile({
+    optimizer: tf.train.adam(0.01),
+    loss: 'binaryCrossentropy',
+    metrics: ['accuracy']
+  });
+  return model;
+};
+
+const last = (values) => (values && values.length > 0 ? Number(values[values.length - 1]) : undefined);
+
+// Train, evaluate and save a new version of one hazard's model and register
+// it as a candidate. `onProgress` is called with the phase and, while
+// training, the epoch reached.
+const trainHazard = async (hazard, options = {}, onProgress = () => {}) => {
+  loadTf();
+  const { epochs, batchSize, validationSplit, testSplit } = { ...DEFAULT_OPTIONS, ...options };
+  const startedAt = Date.now();
+
+  if (await alertsDeletedOnExpiry()) {
+    return { hazard, status: 'skipped', reason: 'Expired alerts are still deleted by a TTL index; run the database migrations first' };
+  }
+
+  await onProgress({ phase: 'dataset' });
+  const { samples, from, to } = await buildDataset(hazard, options);
+  const positive = samples.filter(sample => sample.y === 1).length;
+  const negative = samples.length - positive;
+  const summary = { hazard, dataRange: { from, to } };
+
+  if (samples.length < MIN_SAMPLES) {
+    return { ...summary, status: 'skipped', reason: `Only ${samples.length} labelled readings; at least ${MIN_SAMPLES} are needed`, samples: { total: samples.length, positive, negative } };
+  }
+  if (Math.min(positive, negative) < MIN_CLASS_SAMPLES) {
+    return { ...summary, status: 'skipped', reason: `Only ${positive} positive and ${negative} negative readings; at least ${MIN_CLASS_SAMPLES} of each are needed`, samples: { total: samples.length, positive, negative } };
+  }
+
+  const sets = splitSamples(samples, validationSplit, testSplit);
+  const { training, validation, test } = sets;
+
+  // A period without any alert, or all alert, cannot train or measure the model
+  const oneClass = Object.keys(sets).find(name => new Set(sets[name].map(sample => sample.y)).size < 2);
+  if (oneClass) {
+    return { ...summary, status: 'skipped', reason: `The ${oneClass} period has readings of only one class; train over a longer range`, samples: { total: samples.length, positive, negative } };
+  }
+
+  // Normalised with the training set's statistics, which are saved with the
+  // model so detection scales its input the same way
+  const norm = mlFeatures.normalization(training.map(sample => sample.x));
+  const tensors = {
+    xs: tf.tensor2d(training.map(sample => mlFeatures.normalize(sample.x, norm))),
+    ys: tf.tensor2d(training.map(sample => [sample.y])),
+    validationXs: tf.tensor2d(validation.map(sample => mlFeatures.normalize(sample.x, norm))),
+    validationYs: tf.tensor2d(validation.map(sample => [sample.y])),
+    testXs: tf.tensor2d(test.map(sample => mlFeatures.normalize(sample.x, norm))),
+    testYs: tf.tensor2d(test.map(sample => [sample.y]))
+  };
+
+  // Hazards are rare, so positives are weighted up to count as much as negatives
+  const trainingPositive = training.filter(sample => sample.y === 1).length || 1;
+  const trainingNegative = (training.length - trainingPositive) || 1;
+  const classWeight = {
+    0: training.length / (2 * trainingNegative),
+    1: training.length / (2 * trainingPositive)
+  };
+
+  const model = buildModel(norm.mean.length);
+  try {
+    await onProgress({ phase: 'training', epoch: 0, epochs });
+    const history = await model.fit(tensors.xs, tensors.ys, {
+      epochs,
+      batchSize,
+      shuffle: true,
+      classWeight,
+      validationData: [tensors.validationXs, tensors.validationYs],
+      callbacks: {
+        onEpochEnd: async (epoch) => onProgress({ phase: 'training', epoch: epoch + 1, epochs })
+      }
+    });
+
+    const metrics = {
+      loss: last(history.history.loss),
+      accuracy: last(history.history.acc || history.history.accuracy),
+      valLoss: last(history.history.val_loss),
+      valAccuracy: last(history.history.val_acc || history.history.val_accuracy)
+    };
+
+    // Measured on the held-out test set
+    await onProgress({ phase: 'evaluating' });
+    const { scores, testLoss } = tf.tidy(() => {
+      const predictions = model.predict(tensors.testXs);
+      return {
+        scores: Array.from(predictions.dataSync()),
+        testLoss: tf.metrics.binaryCrossentropy(tensors.testYs, predictions).mean().dataSync()[0]
+      };
+    });
+    const evaluation = {
+      ...mlMetrics.evaluate(test.map(sample => sample.y), scores),
+      loss: testLoss
+    };
+
+    await onProgress({ phase: 'saving' });
+    const trainedAt = new Date();
+    const version = versionName(trainedAt);
+    const artifact = modelPath(hazard, version);
+    const dataRange = samples.reduce((range, { recordedAt }) => ({
+      from: recordedAt < range.from ? recordedAt : range.from,
+      to: recordedAt > range.to ? recordedAt : range.to
+    }), { from: samples[0].recordedAt, to: samples[0].recordedAt });
+    model.setUserDefinedMetadata({
+      hazard,
+      version,
+      features: mlFeatures.featureNames(hazard),
+      normalization: norm,
+      trainedAt: trainedAt.toISOString()
+    });
+    fs.mkdirSync(hazardDir(hazard), { recursive: true });
+    await model.save(`file://${artifact}`);
+
+    const sampleCounts = { training: training.length, validation: validation.length, test: test.length, positive, negative };
+    const durationMs = Date.now() - startedAt;
+    const registered = await modelRegistry.register({
+      hazard,
+      version,
+      artifact,
+      metrics: evaluation,
+      samples: sampleCounts,
+      dataRange,
+      featureSchema: {
+        features: mlFeatures.FEATURES[hazard].map(([name, fallback]) => ({ name, default: fallback })),
+        normalization: norm
+      },
+      training: { job: options.job, epochs, batchSize, durationMs },
+      trainedAt
+    });
+
+    logger.info(`Trained ${hazard} model ${version} on ${training.length} readings: ` +
+      `test F1 ${evaluation.f1Score.toFixed(3)}, ROC-AUC ${evaluation.rocAuc === null ? 'n/a' : evaluation.rocAuc.toFixed(3)}`);
+
+    return {
+      ...summary,
+      dataRange,
+      status: 'trained',
+      version,
+      modelVersion: registered._id,
+      samples: { total: samples.length, ...sampleCounts },
+      metrics,
+      evaluation,
+      artifact,
+      durationMs
+    };
+  } finally {
+    model.dispose();
+    Object.values(tensors).forEach(tensor => tensor.dispose());
+  }
+};
+
+// Run a queued job through each of its hazards, recording progress as it goes
+const runJob = async (job) => {
+  const { hazards } = job;
+  const results = [];
+  logger.info(`Training job ${job._id} started for ${hazards.join(', ')}`);
+
+  for (let i = 0; i < hazards.length; i++) {
+    const hazard = hazards[i];
+    const onProgress = ({ phase, epoch, epochs }) => {
+      const done = phase === 'training' && epochs ? epoch / epochs : 0;
+      return TrainingJob.updateOne({ _id: job._id }, {
+        $set: {
+          progress: { hazard, phase, epoch, epochs, percent: Math.round(((i + done) / hazards.length) * 100) }
+        }
+      });
+    };
+
+    let result;
+    try {
+      result = await trainHazard(hazard, { ...job.options, job: job._id }, onProgress);
+    } catch (error) {
+      logger.error(`Training ${hazard} model failed in job ${job._id}:`, error);
+      result = { hazard, status: 'failed', reason: error.message };
+    }
+
+    results.push(result);
+    await TrainingJob.updateOne({ _id: job._id }, { $push: { results: result } });
+  }
+
+  const failed = results.every(result => result.status === 'failed');
+  await TrainingJob.updateOne({ _id: job._id }, {
+    $set: {
+      status: failed ? 'failed' : 'completed',
+      finishedAt: new Date(),
+      progress: { phase: 'done', percent: 100 },
+      ...(failed && { error: 'Training failed for every hazard' })
+    }
+  });
+
+  logger.info(`Training job ${job._id} finished: ` +
+    results.map(result => `${result.hazard} ${result.status}${result.version ? ` (${result.version})` : ''}`).join(', '));
+};
+
+// Work through queued jobs one at a time; training is CPU-bound
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let job;
+    while ((job = await TrainingJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    ).lean())) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        logger.error(`Training job ${job._id} failed:`, error);
+        await TrainingJob.updateOne({ _id: job._id }, {
+          $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Training queue failed:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Queue a training job and start the queue if it is idle
+const createJob = async ({ hazards = mlFeatures.HAZARDS, ...options } = {}, user) => {
+  const job = await TrainingJob.create({
+    hazards,
+    options: { ...DEFAULT_OPTIONS, ...options },
+    requestedBy: user ? user._id || user.id : undefined
+  });
+
+  setImmediate(() => processQueue());
+  return job;
+};
+
+const startScheduler = () => {
+  // Jobs running when the server stopped will never finish
+  TrainingJob.updateMany(
+    { status: 'running' },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+  )
+    .then(() => processQueue())
+    .catch(error => logger.error('Failed to recover training jobs:', error));
+
+  // Optional scheduled retraining of every hazard, e.g. "0 2 * * 0" weekly
+  if (!process.env.ML_RETRAIN_CRON || !isAvailable()) return null;
+
+  return cron.schedule(process.env.ML_RETRAIN_CRON, () => {
+    createJob().catch(error => logger.error('Scheduled model training failed:', error));
+  }, { timezone: 'Asia/Kolkata' });
+};
+
+module.exports = {
+  HAZARD_ALERT_TYPES,
+  modelPath,
+  loadTf,
+  isAvailable,
+  recordReadings,
+  buildDataset,
+  trainHazard,
+  createJob,
+  processQueue,
+  startScheduler
+};
@@ -0,0 +1,337 @@
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const NotificationJob = require('../models/NotificationJob');
+const OutboundMessage = require('../models/OutboundMessage');
+const SendRateLimit = require('../models/SendRateLimit');
+const smsService = require('./smsService');
+const deliveryReceipts = require('./deliveryReceipts');
+const logger = require('../utils/logger');
+
+const QUEUE_CONCURRENCY = parseInt(process.env.SMS_QUEUE_CONCURRENCY) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.SMS_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // claimed messages are released if their worker dies
+const IDLE_POLL_MS = 1000;
+const INSERT_BATCH_SIZE = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reserve the next slot so sends are spaced evenly under the provider's rate
+// limit. Slots are claimed in the database, so the limit holds across servers.
+const waitForSlot = async (provider) => {
+  const interval = Math.ceil(1000 / (provider.rateLimitPerSecond || 10));
+  const slot = await SendRateLimit.claimSlot(provider.name, interval);
+
+  const wait = slot - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+};
+
+// Exponential backoff with a little jitter so retries do not arrive in bursts
+const retryDelayMs = (attempts) => {
+  const seconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  return Math.round(seconds * 1000 * (1 + Math.random() * 0.1));
+};
+
+// Mark a job finished once every message has been sent or dead-lettered
+const finalizeJobIfDone = (jobId) => {
+  return NotificationJob.updateOne(
+    {
+      _id: jobId,
+      status: 'processing',
+      $expr: { $gte: [{ $add: ['$sent', '$failed'] }, '$total'] }
+    },
+    [{
+      $set: {
+        status: { $cond: [{ $gt: ['$failed', 0] }, 'completed_with_errors', 'completed'] },
+        completedAt: '$$NOW'
+      }
+    }]
+  );
+};
+
+// Recipients of an alert job that no earlier message of the alert reached, so
+// reminders and repeated sends do not inflate the alert's audience.
+// dispatchAlert counts its own audience over every channel.
+const countNewRecipients = async (job, batch) => {
+  if (!job.alert || job.type === 'alert_dispatch') return 0;
+
+  const users = batch.map(message => message.user).filter(Boolean);
+  const [queued, delivered] = await Promise.all([
+    OutboundMessage.distinct('user', { alert: job.alert, job: { $ne: job._id }, user: { $in: users } }),
+    AlertDelivery.distinct('user', { alert: job.alert, user: { $in: users } })
+  ]);
+  const reached = new Set([...queued, ...delivered].map(id => id.toString()));
+  return batch.filter(message => !message.user || !reached.has(message.user.toString())).length;
+};
+
+// Write recipients to the queue in batches; a phone number is only queued once per job
+const expandJob = async (job, recipients, batchSize = INSERT_BATCH_SIZE) => {
+  const seen = new Set();
+  let batch = [];
+  let total = 0;
+  let newRecipients = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    newRecipients += await countNewRecipients(job, batch);
+    await OutboundMessage.insertMany(batch);
+    total += batch.length;
+    batch = [];
+    await NotificationJob.updateOne({ _id: job._id }, { $set: { total } });
+  };
+
+  for await (const recipient of recipients) {
+    if (!recipient.to || seen.has(recipient.to)) continue;
+    seen.add(recipient.to);
+
+    batch.push({
+      job: job._id,
+      alert: job.alert,
+      user: recipient.user,
+      messageType: recipient.messageType,
+      to: recipient.to,
+      body: recipient.body,
+      priority: job.priority,
+      nextAttemptAt: recipient.notBefore || new Date()
+    });
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  await NotificationJob.updateOne({ _id: job._id }, { $set: { total, status: 'processing' } });
+
+  if (newRecipients > 0) {
+    await Alert.updateOne({ _id: job.alert }, { $inc: { 'statistics.totalRecipients': newRecipients } });
+  }
+
+  await finalizeJobIfDone(job._id);
+  logger.info(`Notification job ${job._id} queued ${total} messages`);
+};
+
+// Create a job and queue its recipients in the background. `recipients` is any
+// (async) iterable of { user, to, body, notBefore }, so large audiences can be
+// streamed from a cursor instead of loaded at once. `notBefore` holds a
+// message back, e.g. until the recipient's quiet hours end.
+// Messages of higher `priority` jobs are sent first. With `wait` the job is
+// returned once every recipient is queued, and a `batchSize` of 1 queues each
+// recipient before the next one is read.
+const createJob = async ({ type, alert, createdBy, criteria, recipients, priority = NotificationJob.PRIORITY.normal, wait = false, batchSize }) => {
+  const job = await NotificationJob.create({
+    type,
+    alert: alert ? alert._id : undefined,
+    createdBy,
+    criteria,
+    priority,
+    startedAt: new Date()
+  });
+
+  const queued = expandJob(job, recipients, batchSize).catch(async (error) => {
+    logger.error(`Failed to queue notification job ${job._id}:`, error);
+    await NotificationJob.updateOne({ _id: job._id }, { $set: { status: 'failed', error: error.message } });
+    if (wait) throw error;
+  });
+
+  if (wait) await queued;
+  return job;
+};
+
+// Claim the oldest due message of the most urgent jobs, or one whose worker
+// stopped mid-send
+const claimNext = () => {
+  const now = new Date();
+  return OutboundMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { priority: -1, nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// The alert delivery row of a queued message. Keyed by the message, so a
+// message sent again after its worker died still has a single row. A status
+// callback may have written the row first, so its delivery state is only
+// set on insert unless `fields` sets it.
+const saveDelivery = (message, fields, deliveryStatus) => {
+  if (!message.alert || !message.user) return null;
+
+  return AlertDelivery.updateOne(
+    { outboundMessage: message._id },
+    {
+      $set: fields,
+      $setOnInsert: {
+        alert: message.alert,
+        user: message.user,
+        channel: message.channel,
+        messageType: message.messageType || 'alert',
+        ...(fields.deliveryStatus === undefined && { deliveryStatus })
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// The message and its delivery row get the provider sid straight after the
+// send, before anything else, so status callbacks can find both
+const recordSent = async (message, provider, result) => {
+  await Promise.all([
+    OutboundMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          provider: provider.name,
+          providerMessageId: result.sid,
+          deliveryStatus: 'queued'
+        },
+        $unset: { lockedAt: 1, lastError: 1 }
+      }
+    ),
+    saveDelivery(message, { status: 'sent', providerMessageId: result.sid }, 'queued')
+  ]);
+  await NotificationJob.updateOne({ _id: message.job }, { $inc: { sent: 1 } });
+
+  // Delivery receipts move it on from here
+  await deliveryReceipts.applyStatus({ messageSid: result.sid, status: result.status });
+};
+
+const recordFailure = async (message, error) => {
+  if (message.attempts >= MAX_ATTEMPTS) {
+    await OutboundMessage.updateOne(
+      { _id: message._id },
+      { $set: { status: 'dead', lastError: error }, $unset: { lockedAt: 1 } }
+    );
+    await NotificationJob.updateOne({ _id: message.job }, { $inc: { failed: 1 } });
+
+    if (message.alert) {
+      await Alert.updateOne({ _id: message.alert }, { $inc: { 'statistics.failedCount': 1 } });
+      // A retried dead letter already has a row, reset to queued
+      await saveDelivery(message, { status: 'failed', deliveryStatus: 'failed', error });
+    }
+    logger.warn(`Message ${message._id} to ${message.to} dead-lettered after ${message.attempts} attempts: ${error}`);
+    return;
+  }
+
+  await OutboundMessage.updateOne(
+    { _id: message._id },
+    {
+      $set: {
+        status: 'queued',
+        lastError: error,
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(message.attempts))
+      },
+      $unset: { lockedAt: 1 }
+    }
+  );
+};
+
+const processMessage = async (message) => {
+  const provider = smsService.getProvider();
+  await waitForSlot(provider);
+
+  const result = await smsService.sendSMS(message.to, message.body);
+  if (result.success) {
+    await recordSent(message, provider, result);
+  } else {
+    await recordFailure(message, result.error);
+  }
+
+  await finalizeJobIfDone(message.job);
+};
+
+let running = false;
+
+const runWorker = async () => {
+  while (running) {
+    try {
+      const message = await claimNext();
+      if (!message) {
+        await sleep(IDLE_POLL_MS);
+        continue;
+      }
+      await processMessage(message);
+    } catch (error) {
+      logger.error('Notification queue worker error:', error);
+      await sleep(IDLE_POLL_MS);
+    }
+  }
+};
+
+const startWorker = () => {
+  if (running) return;
+  running = true;
+
+  for (let i = 0; i < QUEUE_CONCURRENCY; i++) {
+    runWorker();
+  }
+  logger.info(`Notification queue started with ${QUEUE_CONCURRENCY} workers`);
+};
+
+const stopWorker = () => {
+  running = false;
+};
+
+// Job progress with a breakdown of where its messages are
+const getJobProgress = async (jobId) => {
+  const job = await NotificationJob.findById(jobId);
+  if (!job) return null;
+
+  const [counts, retrying] = await Promise.all([
+    OutboundMessage.aggregate([
+      { $match: { job: job._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    OutboundMessage.countDocuments({ job: job._id, status: 'queued', attempts: { $gt: 0 } })
+  ]);
+
+  const messages = { queued: 0, processing: 0, sent: 0, dead: 0, retrying };
+  counts.forEach(({ _id, count }) => {
+    messages[_id] = count;
+  });
+
+  return { job, messages };
+};
+
+// Put a dead-lettered message back on the queue with fresh attempts. It no
+// longer counts as failed for its job or alert until it fails again.
+const retryDeadLetter = async (messageId) => {
+  const message = await OutboundMessage.findOneAndUpdate(
+    { _id: messageId, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+  if (!message) return null;
+
+  await NotificationJob.updateOne({ _id: message.job }, { $inc: { failed: -1 } });
+  if (message.alert) {
+    await Alert.updateOne({ _id: message.alert }, { $inc: { 'statistics.failedCount': -1 } });
+    await AlertDelivery.updateOne(
+      { outboundMessage: message._id, status: 'failed' },
+      { $set: { status: 'queued', deliveryStatus: 'queued' }, $unset: { error: 1, errorCode: 1 } }
+    );
+  }
+  await NotificationJob.updateOne(
+    { _id: message.job, status: { $in: ['completed', 'completed_with_errors'] } },
+    { $set: { status: 'processing' }, $unset: { completedAt: 1 } }
+  );
+  return message;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createJob,
+  startWorker,
+  stopWorker,
+  getJobProgress,
+  retryDeadLetter
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const NotificationJob = require('../models/NotificationJob');
+const OutboundMessage = require('../models/OutboundMessage');
+const notificationQueue = require('./notificationQueue');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('retryDeadLetter', () => {
+  const message = {
+    _id: new mongoose.Types.ObjectId(),
+    job: new mongoose.Types.ObjectId(),
+    alert: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    status: 'queued'
+  };
+
+  test('takes the message off the failed counts and resets its delivery row', async () => {
+    jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(message);
+    const job = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const alert = jest.spyOn(Alert, 'updateOne').mockResolvedValue({});
+    const delivery = jest.spyOn(AlertDelivery, 'updateOne').mockResolvedValue({});
+
+    await expect(notificationQueue.retryDeadLetter(message._id)).resolves.toBe(message);
+
+    expect(job).toHaveBeenCalledWith({ _id: message.job }, { $inc: { failed: -1 } });
+    expect(alert).toHaveBeenCalledWith({ _id: message.alert }, { $inc: { 'statistics.failedCount': -1 } });
+    expect(delivery).toHaveBeenCalledWith(
+      { outboundMessage: message._id, status: 'failed' },
+      { $set: { status: 'queued', deliveryStatus: 'queued' }, $unset: { error: 1, errorCode: 1 } }
+    );
+  });
+
+  test('leaves alert counts alone for messages outside an alert', async () => {
+    jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue({ ...message, alert: undefined });
+    jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const alert = jest.spyOn(Alert, 'updateOne').mockResolvedValue({});
+    const delivery = jest.spyOn(AlertDelivery, 'updateOne').mockResolvedValue({});
+
+    await notificationQueue.retryDeadLetter(message._id);
+
+    expect(alert).not.toHaveBeenCalled();
+    expect(delivery).not.toHaveBeenCalled();
+  });
+
+  test('does nothing for a message that is not dead-lettered', async () => {
+    jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(null);
+    const job = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+
+    await expect(notificationQueue.retryDeadLetter(message._id)).resolves.toBeNull();
+    expect(job).not.toHaveBeenCalled();
+  });
+});
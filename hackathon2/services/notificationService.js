@@ -0,0 +1,467 @@
+const cron = require('node-cron');
+
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const DeliveryPlan = require('../models/DeliveryPlan');
+const NotificationJob = require('../models/NotificationJob');
+const OutboundMessage = require('../models/OutboundMessage');
+const User = require('../models/User');
+const smsService = require('./smsService');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+const voiceService = require('./voiceService');
+const deliveryReceipts = require('./deliveryReceipts');
+const notificationQueue = require('./notificationQueue');
+const quietHours = require('../utils/quietHours');
+const logger = require('../utils/logger');
+
+// Alerts users are expected to acknowledge; for these, delivery falls through
+// to the user's next channel when the first one goes unanswered
+const ACK_SEVERITIES = ['critical', 'emergency'];
+
+// Plans stuck in "processing" this long are picked up again
+const STALE_PLAN_MS = 10 * 60 * 1000;
+
+// Dispatches that have not reported progress for this long are resumed
+const STALE_DISPATCH_MS = 10 * 60 * 1000;
+const DISPATCH_PROGRESS_EVERY = 100;
+
+// Delivery channels, keyed by channel name, with the preference flag that enables each one
+const channels = {
+  sms: {
+    preference: 'smsEnabled',
+    // `options.message` overrides the alert text, e.g. for escalation pages;
+    // `options.chained` sends the short notice for an update or cancellation.
+    // With `options.smsQueue` the message is collected for the notification
+    // queue, which sends and records it, instead of being sent here.
+    send: async (user, alert, options = {}) => {
+      let message = options.message;
+      if (!message) {
+        message = options.chained
+          ? smsService.formatChainMessage(alert)
+          : smsService.formatSMSMessage(alert, user.preferences.language);
+      }
+
+      if (options.smsQueue) {
+        if (!user.phone) return { success: false, error: 'User has no phone number' };
+        options.smsQueue.push({ user: user._id, to: user.phone, body: message, messageType: alert.msgType || 'alert' });
+        return { success: true, queued: true };
+      }
+      return smsService.sendSMS(user.phone, message);
+    }
+  },
+  email: {
+    preference: 'emailEnabled',
+    send: (user, alert, options = {}) => emailService.sendAlertEmail(user, alert, options)
+  },
+  push: {
+    preference: 'pushEnabled',
+    send: (user, alert, options = {}) => pushService.sendAlertPush(user, alert, options)
+  },
+  voice: {
+    preference: 'voiceEnabled',
+    send: (user, alert, options = {}) => voiceService.sendAlertCall(user, alert, options)
+  }
+};
+
+// Users who live inside the alert area or have a saved place there, and
+// asked for this type of alert
+const findRecipients = (alert) => {
+  return User.find({
+    isActive: true,
+    ...alert.getRecipientCondition()
+  }).select('name email phone preferences location');
+};
+
+// Users who were sent an earlier message that this one supersedes
+const findPreviousRecipients = async (alert) => {
+  if (!alert.supersedes) return [];
+
+  const userIds = await AlertDelivery.findRecipientIds(alert.supersedes);
+  if (userIds.length === 0) return [];
+
+  return User.find({ _id: { $in: userIds }, isActive: true })
+    .select('name email phone preferences location');
+};
+
+// Record what was sent over each channel. Failures count against the alert
+// straight away; successful SMS are settled later by delivery receipts.
+// Queued SMS are recorded by the notification queue once sent.
+const recordDeliveries = async (user, alert, results) => {
+  const deliveries = Object.entries(results).filter(([, result]) => !result.queued).map(([channel, result]) => ({
+    alert: alert._id,
+    user: user._id,
+    channel,
+    messageType: alert.msgType || 'alert',
+    status: result.success ? 'sent' : 'failed',
+    providerMessageId: result.sid,
+    error: result.error
+  }));
+
+  if (deliveries.length === 0) return;
+  await AlertDelivery.insertMany(deliveries);
+
+  const failedCount = deliveries.filter(delivery => delivery.status === 'failed').length;
+  if (failedCount > 0) {
+    await Alert.updateOne({ _id: alert._id }, { $inc: { 'statistics.failedCount': failedCount } });
+  }
+
+  for (const result of Object.values(results)) {
+    if (result.success && result.sid) {
+      await deliveryReceipts.applyStatus({ messageSid: result.sid, status: result.status });
+    }
+  }
+};
+
+// Channels to use for a user, in order. With a channel order the first one
+// that accepts the message wins; without one every enabled channel is used.
+const routeFor = (preferences) => {
+  const enabled = name => channels[name] && preferences[channels[name].preference];
+
+  if (preferences.channelOrder && preferences.channelOrder.length > 0) {
+    return { fallback: true, channels: preferences.channelOrder.filter(enabled) };
+  }
+  return { fallback: false, channels: Object.keys(channels).filter(enabled) };
+};
+
+// Send over the named channels in turn, stopping at the first success when
+// `stopOnSuccess` is set. Returns the results and the channels not tried.
+const sendOverChannels = async (user, alert, names, options, stopOnSuccess) => {
+  const results = {};
+  const remaining = [...names];
+
+  while (remaining.length > 0) {
+    const name = remaining.shift();
+
+    try {
+      results[name] = await channels[name].send(user, alert, options);
+    } catch (error) {
+      logger.error(`Failed to notify user ${user._id} via ${name}:`, error);
+      results[name] = { success: false, error: error.message };
+    }
+
+    if (stopOnSuccess && results[name].success) break;
+  }
+
+  return { results, remaining };
+};
+
+const hasSucceeded = results => Object.values(results).some(result => result.success);
+
+const attemptsFrom = results => Object.entries(results).map(([channel, result]) => ({
+  channel,
+  success: result.success,
+  error: result.error
+}));
+
+const awaitsAcknowledgement = (alert, options) => !options.chained && ACK_SEVERITIES.includes(alert.severity);
+
+const hasAcknowledged = (alert, user) => {
+  return alert.acknowledgedBy.some(ack => ack.user && ack.user.equals(user._id));
+};
+
+// Create or replace the pending delivery of an alert to a user
+const savePlan = (user, alert, options, fields, results = {}) => {
+  return DeliveryPlan.findOneAndUpdate(
+    { alert: alert._id, user: user._id },
+    {
+      $set: { chained: Boolean(options.chained), ...fields },
+      $push: { attempts: { $each: attemptsFrom(results) } }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Send now over the user's channels and record the results. If the user
+// orders their channels and the alert needs acknowledging, the remaining
+// channels are scheduled for when the fallback delay runs out.
+const sendNow = async (user, alert, preferences, options) => {
+  const route = routeFor(preferences);
+  const { results, remaining } = await sendOverChannels(user, alert, route.channels, options, route.fallback);
+  await recordDeliveries(user, alert, results);
+
+  const sent = hasSucceeded(results);
+  const waiting = route.fallback && sent && remaining.length > 0 && awaitsAcknowledgement(alert, options);
+  if (waiting) {
+    await savePlan(user, alert, options, {
+      status: 'awaiting_ack',
+      remainingChannels: remaining,
+      nextAttemptAt: new Date(Date.now() + preferences.fallbackMinutes * 60 * 1000)
+    }, results);
+  }
+
+  return { results, sent, waiting };
+};
+
+// Send an alert to one user according to their preferences. Returns null if
+// they have no usable channel, { held, until } during their quiet hours, or
+// the channel results.
+const notifyUser = async (user, alert, options = {}) => {
+  const preferences = user.getAlertPreferences();
+  if (routeFor(preferences).channels.length === 0) return null;
+
+  const until = quietHours.holdUntil(preferences.quietHours, alert.severity);
+  if (until) {
+    await savePlan(user, alert, options, { status: 'held', remainingChannels: [], nextAttemptAt: until });
+    return { held: true, until };
+  }
+
+  return sendNow(user, alert, preferences, options);
+};
+
+// Whether an alert should still reach people
+const isLive = (alert) => {
+  // Cancel messages are stored already cancelled; everything else must be live
+  const expectedStatus = alert.msgType === 'cancel' ? 'cancelled' : 'active';
+  return alert.status === expectedStatus && alert.verificationStatus === 'verified';
+};
+
+// Carry a due plan forward: send a held alert once quiet hours are over, or
+// try the next channel for an alert that is still unacknowledged
+const runPlan = async (plan) => {
+  const finish = (status, results = {}) => DeliveryPlan.updateOne(
+    { _id: plan._id },
+    {
+      $set: { status, remainingChannels: [], completedAt: new Date() },
+      $push: { attempts: { $each: attemptsFrom(results) } }
+    }
+  );
+
+  const [alert, user] = await Promise.all([
+    Alert.findById(plan.alert),
+    User.findById(plan.user).select('name email phone preferences location isActive')
+  ]);
+  const expired = alert && alert.expiresAt && alert.expiresAt <= new Date();
+  if (!alert || expired || !user || !user.isActive || !isLive(alert)) {
+    return finish('cancelled');
+  }
+
+  const options = { chained: plan.chained };
+  const preferences = user.getAlertPreferences();
+
+  // Held until quiet hours end; the user may have moved them since
+  if (plan.remainingChannels.length === 0) {
+    const until = quietHours.holdUntil(preferences.quietHours, alert.severity);
+    if (until) {
+      return DeliveryPlan.updateOne({ _id: plan._id }, { $set: { status: 'held', nextAttemptAt: until } });
+    }
+
+    const { results, sent, waiting } = await sendNow(user, alert, preferences, options);
+    if (!waiting) {
+      await finish(sent ? 'completed' : 'exhausted', results);
+    }
+    return;
+  }
+
+  if (hasAcknowledged(alert, user)) {
+    return finish('completed');
+  }
+
+  // Fall through to the next channels the user still has enabled
+  const enabled = routeFor(preferences).channels;
+  const names = plan.remainingChannels.filter(name => enabled.includes(name));
+  const { results, remaining } = await sendOverChannels(user, alert, names, options, true);
+  await recordDeliveries(user, alert, results);
+
+  if (hasSucceeded(results) && remaining.length > 0) {
+    await savePlan(user, alert, options, {
+      status: 'awaiting_ack',
+      remainingChannels: remaining,
+      nextAttemptAt: new Date(Date.now() + preferences.fallbackMinutes * 60 * 1000)
+    }, results);
+  } else {
+    await finish(remaining.length === 0 && !hasSucceeded(results) ? 'exhausted' : 'completed', results);
+  }
+};
+
+// Run every plan that is due. Each one is claimed first so overlapping runs
+// cannot send twice.
+const processDuePlans = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    const plan = await DeliveryPlan.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['held', 'awaiting_ack'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', updatedAt: { $lt: new Date(now.getTime() - STALE_PLAN_MS) } }
+        ]
+      },
+      { $set: { status: 'processing' } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!plan) break;
+
+    try {
+      await runPlan(plan);
+    } catch (error) {
+      logger.error(`Delivery plan ${plan._id} failed:`, error);
+      await DeliveryPlan.updateOne({ _id: plan._id }, { $set: { status: 'exhausted', completedAt: new Date() } });
+    }
+    processed++;
+  }
+
+  if (processed > 0) {
+    logger.info(`Processed ${processed} delivery plans`);
+  }
+  return processed;
+};
+
+// Users a dispatch that stopped part way already reached or queued
+const findDispatchedUserIds = async (alertId) => {
+  const [delivered, queued, planned] = await Promise.all([
+    AlertDelivery.distinct('user', { alert: alertId }),
+    OutboundMessage.distinct('user', { alert: alertId }),
+    DeliveryPlan.distinct('user', { alert: alertId })
+  ]);
+  return new Set([...delivered, ...queued, ...planned].map(id => id.toString()));
+};
+
+// Fan an alert out to everyone it affects. Runs once per alert unless
+// `resend` is set, e.g. when an automated alert escalates in severity.
+// Updates and cancellations first reach everyone who got the message they
+// supersede with a short notice; updates then reach anyone newly in the area.
+// SMS go through the notification queue, so they are retried, rate limited
+// and dead-lettered like every other queued message.
+const dispatchAlert = async (alert, { resend = false } = {}) => {
+  if (!isLive(alert)) {
+    return null;
+  }
+
+  // Scheduled alerts are sent by the alert scheduler once they take effect
+  if (alert.effectiveAt && alert.effectiveAt > new Date()) {
+    logger.info(`Alert ${alert._id} is scheduled for ${alert.effectiveAt.toISOString()}`);
+    return null;
+  }
+
+  // Claim the alert atomically so a double verify cannot send twice.
+  // notifiedAt is only set once everyone has been sent to or queued; until
+  // then a dispatch that stops reporting progress can be claimed again.
+  const claimFilter = resend
+    ? { _id: alert._id }
+    : {
+      _id: alert._id,
+      notifiedAt: { $exists: false },
+      $or: [
+        { dispatchStartedAt: { $exists: false } },
+        { dispatchStartedAt: { $lt: new Date(Date.now() - STALE_DISPATCH_MS) } }
+      ]
+    };
+  const claimed = await Alert.findOneAndUpdate(claimFilter, { $set: { dispatchStartedAt: new Date() } });
+  if (!claimed) {
+    logger.info(`Alert ${alert._id} has already been dispatched`);
+    return null;
+  }
+
+  // A resumed dispatch skips everyone the stopped one got to
+  const resumed = !resend && Boolean(claimed.dispatchStartedAt);
+  const skip = resumed ? await findDispatchedUserIds(claimed._id) : new Set();
+  const notYetReached = user => !skip.has(user._id.toString());
+
+  const previousRecipients = (await findPreviousRecipients(claimed)).filter(notYetReached);
+  const previousIds = new Set(previousRecipients.map(user => user._id.toString()));
+  const areaRecipients = claimed.msgType === 'cancel'
+    ? []
+    : (await findRecipients(claimed)).filter(user => !previousIds.has(user._id.toString()) && notYetReached(user));
+
+  const audience = [
+    ...previousRecipients.map(user => ({ user, chained: true })),
+    ...areaRecipients.map(user => ({ user, chained: false }))
+  ];
+  const counts = { totalRecipients: 0, sentCount: 0, queuedCount: 0, failedCount: 0, heldCount: 0 };
+  let uncounted = 0;
+
+  // Reports progress, which also keeps the claim fresh
+  const recordProgress = async () => {
+    await Alert.updateOne(
+      { _id: claimed._id },
+      { $set: { dispatchStartedAt: new Date() }, $inc: { 'statistics.totalRecipients': uncounted } }
+    );
+    uncounted = 0;
+  };
+
+  // Other channels are sent while the SMS are queued; each user's SMS is
+  // queued before the next user is notified
+  async function* smsRecipients() {
+    for (const { user, chained } of audience) {
+      const smsQueue = [];
+      const outcome = await notifyUser(user, claimed, { chained, smsQueue });
+      yield* smsQueue;
+      if (!outcome) continue;
+
+      counts.totalRecipients++;
+      uncounted++;
+      if (outcome.held) {
+        counts.heldCount++;
+      } else if (smsQueue.length > 0) {
+        counts.queuedCount++;
+      } else if (outcome.sent) {
+        counts.sentCount++;
+      } else {
+        counts.failedCount++;
+      }
+
+      if (uncounted >= DISPATCH_PROGRESS_EVERY) {
+        await recordProgress();
+      }
+    }
+  }
+
+  await notificationQueue.createJob({
+    type: 'alert_dispatch',
+    alert: claimed,
+    criteria: { resend, resumed },
+    recipients: smsRecipients(),
+    priority: NotificationJob.PRIORITY.urgent,
+    wait: true,
+    batchSize: 1
+  });
+
+  await recordProgress();
+  await Alert.updateOne({ _id: claimed._id }, { $set: { notifiedAt: new Date() } });
+
+  logger.info(`Alert ${claimed._id} dispatched to ${counts.totalRecipients} users${resumed ? ' (resumed)' : ''}. ` +
+    `Sent: ${counts.sentCount}, SMS queued: ${counts.queuedCount}, Failed: ${counts.failedCount}, Held: ${counts.heldCount}`);
+
+  return counts;
+};
+
+// Dispatch again the alerts whose dispatch stopped before reaching everyone
+const resumeStalledDispatches = async () => {
+  const stalled = await Alert.find({
+    notifiedAt: { $exists: false },
+    dispatchStartedAt: { $lt: new Date(Date.now() - STALE_DISPATCH_MS) }
+  });
+
+  for (const alert of stalled) {
+    try {
+      await dispatchAlert(alert);
+    } catch (error) {
+      logger.error(`Failed to resume dispatch of alert ${alert._id}:`, error);
+    }
+  }
+
+  return stalled.length;
+};
+
+const startScheduler = () => {
+  // Checked every minute for held alerts and channel fallbacks that are due,
+  // and for dispatches that stopped part way
+  return cron.schedule('* * * * *', () => {
+    processDuePlans().catch(error => logger.error('Delivery plan run failed:', error));
+    resumeStalledDispatches().catch(error => logger.error('Dispatch resume failed:', error));
+  });
+};
+
+module.exports = {
+  channels,
+  findRecipients,
+  findPreviousRecipients,
+  routeFor,
+  notifyUser,
+  dispatchAlert,
+  resumeStalledDispatches,
+  processDuePlans,
+  startScheduler
+};
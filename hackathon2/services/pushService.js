@@ -0,0 +1,162 @@
+const cron = require('node-cron');
+const webpush = require('web-push');
+
+const PushSubscription = require('../models/PushSubscription');
+const { emailLabels } = require('./emailTemplates');
+const messageTemplates = require('./messageTemplates');
+const logger = require('../utils/logger');
+
+// Consecutive failures before a subscription is dropped
+const MAX_FAILURES = parseInt(process.env.PUSH_MAX_FAILURES) || 5;
+
+// How long push services hold a message for an offline device
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Push payloads are capped at about 4KB once encrypted
+const MAX_BODY_LENGTH = 1000;
+
+let vapidReady = false;
+
+const isConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// Returns false when VAPID keys are missing
+const ensureVapid = () => {
+  if (vapidReady) return true;
+  if (!isConfigured()) return false;
+
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'alerts@coastalguard.example'}`,
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidReady = true;
+  return true;
+};
+
+const getPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+// Notification the service worker shows for an alert, in the user's language
+const buildPayload = (alert, language = 'english', options = {}) => {
+  const labels = emailLabels[language] || emailLabels.english;
+  let prefix = '';
+  if (alert.msgType === 'cancel') prefix = `${labels.cancelled}: `;
+  if (alert.msgType === 'update') prefix = `${labels.updated}: `;
+
+  // An approved message template replaces the title and body
+  const custom = !options.message && messageTemplates.findTemplate('push', alert, language);
+  const content = custom ? messageTemplates.render(custom, alert, language) : {};
+
+  let body = options.message || content.body ||
+    (alert.instructions && alert.instructions.length > 0 ? alert.getInstruction(language) : alert.description);
+  if (body.length > MAX_BODY_LENGTH) {
+    body = body.slice(0, MAX_BODY_LENGTH - 3) + '...';
+  }
+
+  return {
+    alertId: alert._id.toString(),
+    type: alert.type,
+    severity: alert.severity,
+    msgType: alert.msgType || 'alert',
+    title: `${prefix}${content.subject || alert.title}`,
+    body,
+    url: `/?alert=${alert._id}`,
+    requireInteraction: ['critical', 'emergency'].includes(alert.severity),
+    timestamp: Date.now()
+  };
+};
+
+// Push options: expire with the alert and wake devices for serious alerts
+const sendOptions = (alert) => {
+  const ttl = alert.expiresAt
+    ? Math.max(0, Math.floor((alert.expiresAt.getTime() - Date.now()) / 1000))
+    : DEFAULT_TTL_SECONDS;
+
+  return {
+    TTL: Math.min(ttl, DEFAULT_TTL_SECONDS),
+    urgency: ['critical', 'emergency'].includes(alert.severity) ? 'high' : 'normal'
+  };
+};
+
+// Send to one subscription, dropping it if the push service says it is gone
+const sendToSubscription = async (subscription, payload, options) => {
+  try {
+    await webpush.sendNotification(subscription.toWebPush(), JSON.stringify(payload), options);
+    await PushSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastSuccessAt: new Date(), failureCount: 0 }, $unset: { lastError: 1 } }
+    );
+    return true;
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      logger.info(`Removed expired push subscription ${subscription._id}`);
+    } else {
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $inc: { failureCount: 1 }, $set: { lastError: error.body || error.message } }
+      );
+      logger.error(`Push to subscription ${subscription._id} failed:`, error);
+    }
+    return false;
+  }
+};
+
+// Push an alert to every browser the user subscribed. `options.message`
+// replaces the alert text, e.g. for escalation pages.
+const sendAlertPush = async (user, alert, options = {}) => {
+  if (!ensureVapid()) {
+    return { success: false, error: 'Web Push is not configured' };
+  }
+
+  const subscriptions = await PushSubscription.find({ user: user._id });
+  if (subscriptions.length === 0) {
+    return { success: false, error: 'User has no push subscriptions' };
+  }
+
+  const payload = buildPayload(alert, user.preferences.language, options);
+  const pushOptions = sendOptions(alert);
+  let delivered = 0;
+
+  for (const subscription of subscriptions) {
+    if (await sendToSubscription(subscription, payload, pushOptions)) {
+      delivered++;
+    }
+  }
+
+  if (delivered === 0) {
+    return { success: false, error: `Push failed on all ${subscriptions.length} subscriptions` };
+  }
+
+  return { success: true, delivered };
+};
+
+// Drop subscriptions the browser said would expire, or that keep failing
+const pruneSubscriptions = async () => {
+  const result = await PushSubscription.deleteMany({
+    $or: [
+      { expirationTime: { $lte: new Date() } },
+      { failureCount: { $gte: MAX_FAILURES } }
+    ]
+  });
+
+  if (result.deletedCount > 0) {
+    logger.info(`Pruned ${result.deletedCount} push subscriptions`);
+  }
+  return result.deletedCount;
+};
+
+const startScheduler = () => {
+  // Prune once a day, outside peak hours
+  return cron.schedule('30 3 * * *', () => {
+    pruneSubscriptions().catch(error => logger.error('Push subscription pruning failed:', error));
+  }, { timezone: 'Asia/Kolkata' });
+};
+
+module.exports = {
+  isConfigured,
+  getPublicKey,
+  buildPayload,
+  sendAlertPush,
+  pruneSubscriptions,
+  startScheduler
+};
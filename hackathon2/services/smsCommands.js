@@ -0,0 +1,365 @@
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const User = require('../models/User');
+const escalationService = require('./escalationService');
+const distressService = require('./distressService');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// Keywords for each command, in Latin script and in each language's own
+// script. English keywords work whatever the user's language.
+const commandKeywords = {
+  english: {
+    status: ['STATUS', 'INFO'],
+    safe: ['SAFE'],
+    help: ['HELP', 'SOS'],
+    stop: ['STOP'],
+    start: ['START']
+  },
+  hindi: {
+    status: ['स्थिति', 'STHITI'],
+    safe: ['सुरक्षित', 'SURAKSHIT'],
+    help: ['मदद', 'बचाओ', 'MADAD', 'BACHAO'],
+    stop: ['बंद', 'BAND'],
+    start: ['शुरू', 'SHURU']
+  },
+  marathi: {
+    status: ['स्थिती'],
+    safe: ['सुखरूप', 'SUKHRUP'],
+    help: ['मदत', 'वाचवा', 'MADAT', 'VACHVA'],
+    stop: ['थांबवा', 'THAMBVA'],
+    start: ['सुरू', 'SURU']
+  },
+  gujarati: {
+    status: ['સ્થિતિ'],
+    safe: ['સુરક્ષિત'],
+    help: ['મદદ', 'બચાવો', 'BACHAVO'],
+    stop: ['બંધ', 'BANDH'],
+    start: ['શરૂ', 'SHARU']
+  },
+  tamil: {
+    status: ['நிலை', 'NILAI'],
+    safe: ['பாதுகாப்பு', 'PATHUKAPPU'],
+    help: ['உதவி', 'UDHAVI'],
+    stop: ['நிறுத்து', 'NIRUTHU'],
+    start: ['தொடங்கு', 'THODANGU']
+  },
+  telugu: {
+    status: ['స్థితి', 'STHITHI'],
+    safe: ['సురక్షితం', 'SURAKSHITAM'],
+    help: ['సహాయం', 'SAHAYAM'],
+    stop: ['ఆపు', 'AAPU'],
+    start: ['ప్రారంభం', 'PRARAMBHAM']
+  },
+  malayalam: {
+    status: ['സ്ഥിതി'],
+    safe: ['സുരക്ഷിതം', 'SURAKSHITHAM'],
+    help: ['സഹായം', 'SAHAYAM'],
+    stop: ['നിർത്തുക', 'NIRTHUKA'],
+    start: ['തുടങ്ങുക', 'THUDANGUKA']
+  },
+  kannada: {
+    status: ['ಸ್ಥಿತಿ'],
+    safe: ['ಸುರಕ್ಷಿತ', 'SURAKSHITA'],
+    help: ['ಸಹಾಯ', 'SAHAYA'],
+    stop: ['ನಿಲ್ಲಿಸು', 'NILLISU'],
+    start: ['ಪ್ರಾರಂಭಿಸು', 'PRARAMBHISU']
+  }
+};
+
+// Replies to inbound commands
+const replyTemplates = {
+  english: {
+    statusNone: 'CoastalGuard {area}: No active alerts.',
+    statusHeader: 'CoastalGuard {area}: {count} active alert(s).',
+    unknownArea: 'Unknown area "{area}". Example: STATUS MUMBAI',
+    safe: 'Thank you. We have recorded that you are safe: {title}',
+    safeNone: 'You have no active alert to acknowledge.',
+    helpSent: 'Your {count} emergency contact(s) have been notified. Call 112 if you can.',
+    helpNoContacts: 'No emergency contacts on file. Call 112 for help.',
+    stopped: 'CoastalGuard alerts stopped. Send START to resume.',
+    started: 'CoastalGuard alerts resumed. Send STOP to stop.',
+    menu: 'CoastalGuard commands: STATUS <area>, SAFE, HELP, STOP, START',
+    register: 'This number is not registered with CoastalGuard. Register at {url} to receive coastal alerts.'
+  },
+  hindi: {
+    statusNone: 'CoastalGuard {area}: कोई सक्रिय चेतावनी नहीं।',
+    statusHeader: 'CoastalGuard {area}: {count} सक्रिय चेतावनी।',
+    unknownArea: 'अज्ञात क्षेत्र "{area}"। उदाहरण: STATUS MUMBAI',
+    safe: 'धन्यवाद। आपके सुरक्षित होने की सूचना दर्ज कर ली गई है: {title}',
+    safeNone: 'पुष्टि के लिए कोई सक्रिय चेतावनी नहीं है।',
+    helpSent: 'आपके {count} आपातकालीन संपर्कों को सूचित कर दिया गया है। संभव हो तो 112 पर कॉल करें।',
+    helpNoContacts: 'कोई आपातकालीन संपर्क दर्ज नहीं है। मदद के लिए 112 पर कॉल करें।',
+    stopped: 'CoastalGuard चेतावनियाँ बंद। फिर से शुरू करने के लिए START भेजें।',
+    started: 'CoastalGuard चेतावनियाँ फिर से शुरू। बंद करने के लिए STOP भेजें।',
+    menu: 'CoastalGuard आदेश: STATUS <क्षेत्र>, SAFE, HELP, STOP, START',
+    register: 'यह नंबर CoastalGuard पर पंजीकृत नहीं है। चेतावनियाँ पाने के लिए {url} पर पंजीकरण करें।'
+  },
+  marathi: {
+    statusNone: 'CoastalGuard {area}: कोणताही सक्रिय इशारा नाही.',
+    statusHeader: 'CoastalGuard {area}: {count} सक्रिय इशारे.',
+    unknownArea: 'अज्ञात क्षेत्र "{area}". उदाहरण: STATUS MUMBAI',
+    safe: 'धन्यवाद. तुम्ही सुखरूप असल्याची नोंद झाली: {title}',
+    safeNone: 'पुष्टी करण्यासाठी कोणताही सक्रिय इशारा नाही.',
+    helpSent: 'तुमच्या {count} आपत्कालीन संपर्कांना कळवले आहे. शक्य असल्यास 112 वर कॉल करा.',
+    helpNoContacts: 'कोणताही आपत्कालीन संपर्क नोंदलेला नाही. मदतीसाठी 112 वर कॉल करा.',
+    stopped: 'CoastalGuard इशारे बंद. पुन्हा सुरू करण्यासाठी START पाठवा.',
+    started: 'CoastalGuard इशारे पुन्हा सुरू. बंद करण्यासाठी STOP पाठवा.',
+    menu: 'CoastalGuard आदेश: STATUS <क्षेत्र>, SAFE, HELP, STOP, START',
+    register: 'हा नंबर CoastalGuard वर नोंदणीकृत नाही. इशारे मिळवण्यासाठी {url} वर नोंदणी करा.'
+  },
+  gujarati: {
+    statusNone: 'CoastalGuard {area}: કોઈ સક્રિય ચેતવણી નથી.',
+    statusHeader: 'CoastalGuard {area}: {count} સક્રિય ચેતવણી.',
+    unknownArea: 'અજાણ્યો વિસ્તાર "{area}". ઉદાહરણ: STATUS GUJARAT',
+    safe: 'આભાર. તમે સુરક્ષિત છો તેની નોંધ થઈ: {title}',
+    safeNone: 'પુષ્ટિ કરવા માટે કોઈ સક્રિય ચેતવણી નથી.',
+    helpSent: 'તમારા {count} કટોકટી સંપર્કોને જાણ કરવામાં આવી છે. શક્ય હોય તો 112 પર કૉલ કરો.',
+    helpNoContacts: 'કોઈ કટોકટી સંપર્ક નોંધાયેલ નથી. મદદ માટે 112 પર કૉલ કરો.',
+    stopped: 'CoastalGuard ચેતવણીઓ બંધ. ફરી શરૂ કરવા START મોકલો.',
+    started: 'CoastalGuard ચેતવણીઓ ફરી શરૂ. બંધ કરવા STOP મોકલો.',
+    menu: 'CoastalGuard આદેશો: STATUS <વિસ્તાર>, SAFE, HELP, STOP, START',
+    register: 'આ નંબર CoastalGuard પર નોંધાયેલ નથી. ચેતવણીઓ મેળવવા {url} પર નોંધણી કરો.'
+  },
+  tamil: {
+    statusNone: 'CoastalGuard {area}: செயலில் உள்ள எச்சரிக்கை இல்லை.',
+    statusHeader: 'CoastalGuard {area}: {count} செயலில் உள்ள எச்சரிக்கைகள்.',
+    unknownArea: 'தெரியாத பகுதி "{area}". எ.கா: STATUS TAMILNADU',
+    safe: 'நன்றி. நீங்கள் பாதுகாப்பாக இருப்பது பதிவு செய்யப்பட்டது: {title}',
+    safeNone: 'உறுதிப்படுத்த செயலில் உள்ள எச்சரிக்கை இல்லை.',
+    helpSent: 'உங்கள் {count} அவசர தொடர்புகளுக்கு தெரிவிக்கப்பட்டது. முடிந்தால் 112 ஐ அழைக்கவும்.',
+    helpNoContacts: 'அவசர தொடர்பு எதுவும் பதிவு இல்லை. உதவிக்கு 112 ஐ அழைக்கவும்.',
+    stopped: 'CoastalGuard எச்சரிக்கைகள் நிறுத்தப்பட்டன. மீண்டும் தொடங்க START அனுப்பவும்.',
+    started: 'CoastalGuard எச்சரிக்கைகள் மீண்டும் தொடங்கின. நிறுத்த STOP அனுப்பவும்.',
+    menu: 'CoastalGuard கட்டளைகள்: STATUS <பகுதி>, SAFE, HELP, STOP, START',
+    register: 'இந்த எண் CoastalGuard இல் பதிவு செய்யப்படவில்லை. எச்சரிக்கைகளைப் பெற {url} இல் பதிவு செய்யவும்.'
+  },
+  telugu: {
+    statusNone: 'CoastalGuard {area}: క్రియాశీల హెచ్చరికలు లేవు.',
+    statusHeader: 'CoastalGuard {area}: {count} క్రియాశీల హెచ్చరికలు.',
+    unknownArea: 'తెలియని ప్రాంతం "{area}". ఉదా: STATUS ANDHRA',
+    safe: 'ధన్యవాదాలు. మీరు సురక్షితంగా ఉన్నారని నమోదు చేశాం: {title}',
+    safeNone: 'నిర్ధారించడానికి క్రియాశీల హెచ్చరిక లేదు.',
+    helpSent: 'మీ {count} అత్యవసర సంప్రదింపులకు తెలియజేశాం. వీలైతే 112కు కాల్ చేయండి.',
+    helpNoContacts: 'అత్యవసర సంప్రదింపులు నమోదు కాలేదు. సహాయం కోసం 112కు కాల్ చేయండి.',
+    stopped: 'CoastalGuard హెచ్చరికలు ఆపివేయబడ్డాయి. మళ్లీ ప్రారంభించడానికి START పంపండి.',
+    started: 'CoastalGuard హెచ్చరికలు మళ్లీ ప్రారంభమయ్యాయి. ఆపడానికి STOP పంపండి.',
+    menu: 'CoastalGuard ఆదేశాలు: STATUS <ప్రాంతం>, SAFE, HELP, STOP, START',
+    register: 'ఈ నంబర్ CoastalGuardలో నమోదు కాలేదు. హెచ్చరికలు పొందడానికి {url}లో నమోదు చేసుకోండి.'
+  },
+  malayalam: {
+    statusNone: 'CoastalGuard {area}: സജീവ മുന്നറിയിപ്പുകളില്ല.',
+    statusHeader: 'CoastalGuard {area}: {count} സജീവ മുന്നറിയിപ്പുകൾ.',
+    unknownArea: 'അറിയാത്ത പ്രദേശം "{area}". ഉദാ: STATUS KERALA',
+    safe: 'നന്ദി. നിങ്ങൾ സുരക്ഷിതരാണെന്ന് രേഖപ്പെടുത്തി: {title}',
+    safeNone: 'സ്ഥിരീകരിക്കാൻ സജീവ മുന്നറിയിപ്പുകളില്ല.',
+    helpSent: 'നിങ്ങളുടെ {count} അടിയന്തര കോൺടാക്റ്റുകളെ അറിയിച്ചു. കഴിയുമെങ്കിൽ 112-ൽ വിളിക്കുക.',
+    helpNoContacts: 'അടിയന്തര കോൺടാക്റ്റുകൾ രേഖപ്പെടുത്തിയിട്ടില്ല. സഹായത്തിന് 112-ൽ വിളിക്കുക.',
+    stopped: 'CoastalGuard മുന്നറിയിപ്പുകൾ നിർത്തി. വീണ്ടും തുടങ്ങാൻ START അയയ്ക്കുക.',
+    started: 'CoastalGuard മുന്നറിയിപ്പുകൾ പുനരാരംഭിച്ചു. നിർത്താൻ STOP അയയ്ക്കുക.',
+    menu: 'CoastalGuard കമാൻഡുകൾ: STATUS <പ്രദേശം>, SAFE, HELP, STOP, START',
+    register: 'ഈ നമ്പർ CoastalGuard-ൽ രജിസ്റ്റർ ചെയ്തിട്ടില്ല. മുന്നറിയിപ്പുകൾ ലഭിക്കാൻ {url} ൽ രജിസ്റ്റർ ചെയ്യുക.'
+  },
+  kannada: {
+    statusNone: 'CoastalGuard {area}: ಸಕ್ರಿಯ ಎಚ್ಚರಿಕೆಗಳಿಲ್ಲ.',
+    statusHeader: 'CoastalGuard {area}: {count} ಸಕ್ರಿಯ ಎಚ್ಚರಿಕೆಗಳು.',
+    unknownArea: 'ಅಪರಿಚಿತ ಪ್ರದೇಶ "{area}". ಉದಾ: STATUS GOA',
+    safe: 'ಧನ್ಯವಾದಗಳು. ನೀವು ಸುರಕ್ಷಿತವಾಗಿರುವುದನ್ನು ದಾಖಲಿಸಲಾಗಿದೆ: {title}',
+    safeNone: 'ದೃಢೀಕರಿಸಲು ಯಾವುದೇ ಸಕ್ರಿಯ ಎಚ್ಚರಿಕೆ ಇಲ್ಲ.',
+    helpSent: 'ನಿಮ್ಮ {count} ತುರ್ತು ಸಂಪರ್ಕಗಳಿಗೆ ತಿಳಿಸಲಾಗಿದೆ. ಸಾಧ್ಯವಾದರೆ 112ಗೆ ಕರೆ ಮಾಡಿ.',
+    helpNoContacts: 'ಯಾವುದೇ ತುರ್ತು ಸಂಪರ್ಕ ದಾಖಲಾಗಿಲ್ಲ. ಸಹಾಯಕ್ಕಾಗಿ 112ಗೆ ಕರೆ ಮಾಡಿ.',
+    stopped: 'CoastalGuard ಎಚ್ಚರಿಕೆಗಳನ್ನು ನಿಲ್ಲಿಸಲಾಗಿದೆ. ಮತ್ತೆ ಪ್ರಾರಂಭಿಸಲು START ಕಳುಹಿಸಿ.',
+    started: 'CoastalGuard ಎಚ್ಚರಿಕೆಗಳು ಮತ್ತೆ ಪ್ರಾರಂಭವಾಗಿವೆ. ನಿಲ್ಲಿಸಲು STOP ಕಳುಹಿಸಿ.',
+    menu: 'CoastalGuard ಆದೇಶಗಳು: STATUS <ಪ್ರದೇಶ>, SAFE, HELP, STOP, START',
+    register: 'ಈ ಸಂಖ್ಯೆ CoastalGuard ನಲ್ಲಿ ನೋಂದಣಿಯಾಗಿಲ್ಲ. ಎಚ್ಚರಿಕೆಗಳನ್ನು ಪಡೆಯಲು {url} ನಲ್ಲಿ ನೋಂದಾಯಿಸಿ.'
+  }
+};
+
+const STATUS_ALERT_LIMIT = 3;
+
+const fill = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+};
+
+const reply = (language, key, values = {}) => {
+  const templates = replyTemplates[language] || replyTemplates.english;
+  return fill(templates[key], values);
+};
+
+// Split an inbound message into a command, the language its keyword is in,
+// and the rest of the text. Unrecognised keywords give command null.
+const parseCommand = (text) => {
+  const [keyword = '', ...rest] = (text || '').trim().split(/\s+/);
+  const word = keyword.toUpperCase();
+  const args = rest.join(' ');
+
+  for (const [language, commands] of Object.entries(commandKeywords)) {
+    for (const [command, keywords] of Object.entries(commands)) {
+      if (keywords.includes(word)) {
+        return { command, language, args };
+      }
+    }
+  }
+  return { command: null, language: 'english', args };
+};
+
+// Phone numbers are stored as typed at registration, so try the common
+// Indian formats of the sender's number
+const phoneVariants = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  const local = digits.slice(-10);
+  return [...new Set([phone, digits, `+${digits}`, local, `0${local}`, `91${local}`, `+91${local}`, `+91 ${local}`])];
+};
+
+const findSender = (phone) => {
+  return User.findOne({ phone: { $in: phoneVariants(phone) }, isActive: true });
+};
+
+// STATUS [area]: active alerts for the area (the user's own by default). Tide
+// times are left out until they come from a real tide source.
+const handleStatus = async (user, language, args) => {
+  const coastalArea = args ? geo.matchCoastalArea(args) : user.location.coastalArea;
+  if (!coastalArea) {
+    return reply(language, 'unknownArea', { area: args });
+  }
+
+  const filter = Alert.buildListFilter({ coastalArea });
+  filter.verificationStatus = 'verified';
+
+  const [alerts, total] = await Promise.all([
+    Alert.find(filter).sort({ priority: -1, createdAt: -1 }).limit(STATUS_ALERT_LIMIT),
+    Alert.countDocuments(filter)
+  ]);
+
+  const area = coastalArea.toUpperCase();
+  const lines = [total === 0
+    ? reply(language, 'statusNone', { area })
+    : reply(language, 'statusHeader', { area, count: total })];
+
+  alerts.forEach(alert => {
+    lines.push(`- [${alert.severity.toUpperCase()}] ${alert.title}`);
+  });
+
+  return lines.join('\n');
+};
+
+// The most recent active alert the user was sent, else the latest in their area
+const findLatestAlert = async (user) => {
+  const deliveries = await AlertDelivery.find({ user: user._id })
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .select('alert');
+
+  if (deliveries.length > 0) {
+    const alert = await Alert.findOne({
+      _id: { $in: deliveries.map(delivery => delivery.alert) },
+      status: 'active'
+    }).sort({ createdAt: -1 });
+    if (alert) return alert;
+  }
+
+  const filter = Alert.buildListFilter({ coastalArea: user.location.coastalArea });
+  filter.verificationStatus = 'verified';
+  return Alert.findOne(filter).sort({ createdAt: -1 });
+};
+
+// SAFE: acknowledge the latest alert on the user's behalf
+const handleSafe = async (user, language) => {
+  const alert = await findLatestAlert(user);
+  if (!alert) {
+    return reply(language, 'safeNone');
+  }
+
+  const alreadyAcknowledged = alert.acknowledgedBy.some(
+    ack => ack.user && ack.user.toString() === user._id.toString()
+  );
+
+  if (!alreadyAcknowledged) {
+    alert.acknowledgedBy.push({
+      user: user._id,
+      acknowledgedAt: new Date(),
+      method: 'sms'
+    });
+
+    // An authority acknowledgement stops the escalation chain
+    if (escalationService.acknowledge(alert, user)) {
+      logger.info(`Alert ${alert._id} acknowledged by SMS from ${user.role} ${user._id}, escalation stopped`);
+    }
+
+    await alert.save();
+  }
+
+  return reply(language, 'safe', { title: alert.title });
+};
+
+// HELP [lat,lon]: raise a distress incident, which texts the user's emergency
+// contacts and the responders for their area
+const handleHelp = async (user, language, args) => {
+  const { contactsNotified } = await distressService.raiseDistress(user, {
+    coordinates: distressService.parseCoordinates(args),
+    message: args || undefined,
+    source: 'sms'
+  });
+
+  if (contactsNotified === 0) {
+    return reply(language, 'helpNoContacts');
+  }
+  return reply(language, 'helpSent', { count: contactsNotified });
+};
+
+// STOP / START: turn SMS alerts off or on
+const handleSubscription = async (user, language, enabled) => {
+  user.preferences.smsEnabled = enabled;
+  await user.save();
+
+  logger.info(`User ${user._id} turned SMS alerts ${enabled ? 'on' : 'off'} by SMS`);
+  return reply(language, enabled ? 'started' : 'stopped');
+};
+
+// Work out the reply to an inbound SMS. Registered users get replies in
+// their own language; unknown senders in the language they wrote in.
+const handleInbound = async ({ from, body }) => {
+  const { command, language: keywordLanguage, args } = parseCommand(body);
+  const user = await findSender(from);
+
+  if (!user) {
+    logger.info(`Inbound SMS from unregistered number ${from}`);
+    return {
+      command,
+      reply: reply(keywordLanguage, 'register', { url: process.env.FRONTEND_URL || 'http://localhost:3000' })
+    };
+  }
+
+  const language = user.preferences.language;
+  let text;
+
+  switch (command) {
+    case 'status':
+      text = await handleStatus(user, language, args);
+      break;
+    case 'safe':
+      text = await handleSafe(user, language);
+      break;
+    case 'help':
+      text = await handleHelp(user, language, args);
+      break;
+    case 'stop':
+      text = await handleSubscription(user, language, false);
+      break;
+    case 'start':
+      text = await handleSubscription(user, language, true);
+      break;
+    default:
+      text = reply(language, 'menu');
+  }
+
+  return { command, user, reply: text };
+};
+
+module.exports = {
+  commandKeywords,
+  replyTemplates,
+  parseCommand,
+  phoneVariants,
+  handleInbound
+};
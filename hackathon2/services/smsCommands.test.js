@@ -0,0 +1,101 @@
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const smsCommands = require('./smsCommands');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseCommand', () => {
+  test('reads English keywords in any case and keeps the rest as arguments', () => {
+    expect(smsCommands.parseCommand('status Mumbai')).toEqual({ command: 'status', language: 'english', args: 'Mumbai' });
+    expect(smsCommands.parseCommand('  Info   north goa ')).toEqual({ command: 'status', language: 'english', args: 'north goa' });
+    expect(smsCommands.parseCommand('SOS 19.07,72.87')).toEqual({ command: 'help', language: 'english', args: '19.07,72.87' });
+  });
+
+  test('reads keywords in each language\'s own script', () => {
+    expect(smsCommands.parseCommand('मदद')).toMatchObject({ command: 'help', language: 'hindi' });
+    expect(smsCommands.parseCommand('स्थिती पुणे')).toMatchObject({ command: 'status', language: 'marathi', args: 'पुणे' });
+    expect(smsCommands.parseCommand('સુરક્ષિત')).toMatchObject({ command: 'safe', language: 'gujarati' });
+    expect(smsCommands.parseCommand('நிலை')).toMatchObject({ command: 'status', language: 'tamil' });
+    expect(smsCommands.parseCommand('సహాయం')).toMatchObject({ command: 'help', language: 'telugu' });
+    expect(smsCommands.parseCommand('സുരക്ഷിതം')).toMatchObject({ command: 'safe', language: 'malayalam' });
+    expect(smsCommands.parseCommand('ಸ್ಥಿತಿ')).toMatchObject({ command: 'status', language: 'kannada' });
+  });
+
+  test('reads transliterated keywords in Latin script', () => {
+    expect(smsCommands.parseCommand('bachao')).toMatchObject({ command: 'help', language: 'hindi' });
+    expect(smsCommands.parseCommand('Sukhrup')).toMatchObject({ command: 'safe', language: 'marathi' });
+    expect(smsCommands.parseCommand('nilai chennai')).toMatchObject({ command: 'status', language: 'tamil', args: 'chennai' });
+  });
+
+  test('reads the opt-out keyword in every language', () => {
+    ['STOP', 'बंद', 'BAND', 'थांबवा', 'બંધ', 'BANDH', 'நிறுத்து', 'ఆపు', 'നിർത്തുക', 'ನಿಲ್ಲಿಸು'].forEach(keyword => {
+      expect(smsCommands.parseCommand(keyword).command).toBe('stop');
+    });
+    expect(smsCommands.parseCommand('stop').language).toBe('english');
+  });
+
+  test('reads the opt-in keyword in every language', () => {
+    ['START', 'शुरू', 'SHURU', 'सुरू', 'શરૂ', 'தொடங்கு', 'ప్రారంభం', 'തുടങ്ങുക', 'ಪ್ರಾರಂಭಿಸು'].forEach(keyword => {
+      expect(smsCommands.parseCommand(keyword).command).toBe('start');
+    });
+  });
+
+  test('does not match a keyword inside a longer word', () => {
+    expect(smsCommands.parseCommand('STOPPED').command).toBeNull();
+    expect(smsCommands.parseCommand('restart').command).toBeNull();
+  });
+
+  test('gives no command for unknown and empty messages', () => {
+    expect(smsCommands.parseCommand('hello there')).toEqual({ command: null, language: 'english', args: 'there' });
+    expect(smsCommands.parseCommand('')).toEqual({ command: null, language: 'english', args: '' });
+    expect(smsCommands.parseCommand(undefined)).toEqual({ command: null, language: 'english', args: '' });
+  });
+});
+
+describe('handleInbound', () => {
+  const sender = (language = 'english') => ({
+    _id: 'user-1',
+    location: { coastalArea: 'goa' },
+    preferences: { language, smsEnabled: true },
+    save: jest.fn().mockResolvedValue()
+  });
+
+  test('turns SMS alerts off and on and replies in the user\'s language', async () => {
+    const user = sender('hindi');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const stopped = await smsCommands.handleInbound({ from: '+919800000000', body: 'STOP' });
+    expect(user.preferences.smsEnabled).toBe(false);
+    expect(stopped.reply).toBe(smsCommands.replyTemplates.hindi.stopped);
+
+    const started = await smsCommands.handleInbound({ from: '+919800000000', body: 'शुरू' });
+    expect(user.preferences.smsEnabled).toBe(true);
+    expect(started.reply).toBe(smsCommands.replyTemplates.hindi.started);
+    expect(user.save).toHaveBeenCalledTimes(2);
+  });
+
+  test('answers STATUS with alerts only', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(sender());
+    jest.spyOn(Alert, 'find').mockReturnValue({
+      sort: () => ({ limit: async () => [{ severity: 'warning', title: 'High tide at Baga' }] })
+    });
+    jest.spyOn(Alert, 'countDocuments').mockResolvedValue(1);
+
+    const { reply } = await smsCommands.handleInbound({ from: '9800000000', body: 'STATUS' });
+
+    expect(reply).toBe('CoastalGuard GOA: 1 active alert(s).\n- [WARNING] High tide at Baga');
+  });
+
+  test('asks unregistered senders to register, in the language they wrote in', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const { command, reply } = await smsCommands.handleInbound({ from: '9800000000', body: 'மதத' });
+    expect(command).toBeNull();
+    expect(reply).toContain('This number is not registered');
+
+    const tamil = await smsCommands.handleInbound({ from: '9800000000', body: 'நிலை' });
+    expect(tamil.reply).toContain('இந்த எண் CoastalGuard இல் பதிவு செய்யப்படவில்லை');
+  });
+});
@@ -0,0 +1,50 @@
+const createTwilioProvider = require('./twilio');
+const createSimulatorProvider = require('./simulator');
+const logger = require('../../utils/logger');
+
+// SMS gateways, keyed by the SMS_PROVIDER value that selects them. Each factory
+// returns an object with:
+//   name                       provider name, for logs
+//   rateLimitPerSecond         sends per second the notification queue allows
+//   send({ to, body })         resolves to { sid, status }; throws on failure
+//   getStatus(sid)             resolves to the message status, or null if unknown
+//   validateCallback(req)      true if a status callback really came from the provider
+//   parseStatusCallback(req)   maps a status callback to { messageSid, status, errorCode, errorMessage }
+//   validateInbound(req)       true if an inbound message webhook really came from the provider
+//   parseInbound(req)          maps a webhook request to { from, to, body, messageSid }
+const factories = {
+  twilio: createTwilioProvider,
+  simulator: createSimulatorProvider
+};
+
+let provider = null;
+
+// Register another gateway, e.g. a domestic Indian SMS aggregator
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Without explicit configuration, use Twilio only when it has credentials
+const getProviderName = () => {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER;
+  return process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'simulator';
+};
+
+const getProvider = () => {
+  if (!provider) {
+    const name = getProviderName();
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    provider = factory();
+    logger.info(`Using ${provider.name} SMS provider`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const logger = require('../../utils/logger');
+
+// Development provider: every message is appended to a JSON-lines file and,
+// if a URL is configured, posted to it, so nothing leaves the machine
+const createSimulatorProvider = (config = {}) => {
+  const settings = {
+    file: process.env.SMS_SIMULATOR_FILE || path.join(__dirname, '../../logs/sms-simulator.jsonl'),
+    webhookUrl: process.env.SMS_SIMULATOR_URL,
+    from: process.env.SMS_SIMULATOR_FROM || 'CGUARD',
+    // When set, messages are reported delivered through our status callback
+    statusCallback: process.env.SMS_STATUS_CALLBACK_URL,
+    callbackToken: process.env.SMS_SIMULATOR_CALLBACK_TOKEN,
+    callbackDelayMs: parseInt(process.env.SMS_SIMULATOR_CALLBACK_DELAY_MS) || 2000,
+    rateLimitPerSecond: parseInt(process.env.SMS_SIMULATOR_RATE_LIMIT_PER_SECOND) || 50,
+    // Numbers that simulate a gateway failure
+    failNumbers: (process.env.SMS_SIMULATOR_FAIL_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean),
+    ...config
+  };
+
+  const messages = new Map();
+
+  const append = (record) => {
+    fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+    fs.appendFileSync(settings.file, JSON.stringify(record) + '\n');
+  };
+
+  // Fall back to the file so lookups survive a restart
+  const readFromFile = (sid) => {
+    if (!fs.existsSync(settings.file)) return null;
+
+    const lines = fs.readFileSync(settings.file, 'utf8').trim().split('\n').reverse();
+    for (const line of lines) {
+      try {
+        const record = JSON.parse(line);
+        if (record.sid === sid) return record;
+      } catch (error) {
+        // Skip partially written lines
+      }
+    }
+    return null;
+  };
+
+  // Report delivery a moment after sending, the way a real gateway would
+  const reportDelivered = (record) => {
+    setTimeout(async () => {
+      record.status = 'delivered';
+      record.dateUpdated = new Date();
+      append(record);
+
+      try {
+        await axios.post(settings.statusCallback, {
+          MessageSid: record.sid,
+          MessageStatus: record.status
+        }, {
+          timeout: 5000,
+          headers: { 'X-Simulator-Token': settings.callbackToken || '' }
+        });
+      } catch (error) {
+        logger.warn(`SMS simulator status callback failed: ${error.message}`);
+      }
+    }, settings.callbackDelayMs);
+  };
+
+  // Webhooks carry the shared token the simulator was configured with
+  const hasToken = (req) => {
+    const token = req.get('X-Simulator-Token') || '';
+    if (!settings.callbackToken || token.length !== settings.callbackToken.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(settings.callbackToken));
+  };
+
+  return {
+    name: 'simulator',
+    rateLimitPerSecond: settings.rateLimitPerSecond,
+
+    async send({ to, body }) {
+      const now = new Date();
+      const failed = settings.failNumbers.includes(to);
+      const reportsStatus = Boolean(settings.statusCallback) && !failed;
+      let status = reportsStatus ? 'sent' : 'delivered';
+      if (failed) status = 'failed';
+
+      const record = {
+        sid: `SM${crypto.randomBytes(16).toString('hex')}`,
+        status,
+        to,
+        from: settings.from,
+        body,
+        dateCreated: now,
+        dateSent: failed ? null : now,
+        dateUpdated: now,
+        errorCode: failed ? 30003 : null,
+        errorMessage: failed ? 'Simulated delivery failure' : null
+      };
+
+      messages.set(record.sid, record);
+      append(record);
+
+      if (settings.webhookUrl) {
+        try {
+          await axios.post(settings.webhookUrl, record, { timeout: 5000 });
+        } catch (error) {
+          logger.warn(`SMS simulator webhook failed: ${error.message}`);
+        }
+      }
+
+      if (failed) {
+        throw new Error(record.errorMessage);
+      }
+
+      if (reportsStatus) {
+        reportDelivered(record);
+      }
+
+      return { sid: record.sid, status: record.status };
+    },
+
+    async getStatus(sid) {
+      return messages.get(sid) || readFromFile(sid);
+    },
+
+    validateCallback(req) {
+      return hasToken(req);
+    },
+
+    // Same fields as Twilio status callbacks
+    parseStatusCallback(req) {
+      const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+      return {
+        messageSid: MessageSid,
+        status: MessageStatus,
+        errorCode: ErrorCode,
+        errorMessage: ErrorMessage
+      };
+    },
+
+    validateInbound(req) {
+      return hasToken(req);
+    },
+
+    // Accepts plain JSON ({ from, to, body }) as well as Twilio-style form fields
+    parseInbound(req) {
+      const payload = req.body || {};
+      return {
+        from: payload.from || payload.From,
+        to: payload.to || payload.To || settings.from,
+        body: (payload.body || payload.Body || '').trim(),
+        messageSid: payload.messageSid || payload.MessageSid || `SM${crypto.randomBytes(16).toString('hex')}`
+      };
+    }
+  };
+};
+
+module.exports = createSimulatorProvider;
@@ -0,0 +1,102 @@
+const twilio = require('twilio');
+
+// Twilio Programmable Messaging
+const createTwilioProvider = (config = {}) => {
+  const settings = {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    // Public URLs of our webhook routes, exactly as Twilio will call them
+    statusCallback: process.env.SMS_STATUS_CALLBACK_URL,
+    inboundUrl: process.env.SMS_INBOUND_URL,
+    rateLimitPerSecond: parseInt(process.env.TWILIO_RATE_LIMIT_PER_SECOND) || 10,
+    ...config
+  };
+
+  // Created on first use so a misconfigured provider fails per request, not at startup
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = twilio(settings.accountSid, settings.authToken);
+    }
+    return client;
+  };
+
+  // Twilio signs webhooks with the auth token over the URL it was given
+  const isSigned = (req, url) => {
+    if (!url) return false;
+    return twilio.validateRequest(
+      settings.authToken,
+      req.get('X-Twilio-Signature') || '',
+      url,
+      req.body || {}
+    );
+  };
+
+  return {
+    name: 'twilio',
+    rateLimitPerSecond: settings.rateLimitPerSecond,
+
+    async send({ to, body }) {
+      const message = await getClient().messages.create({
+        body,
+        from: settings.from,
+        to,
+        ...(settings.statusCallback && { statusCallback: settings.statusCallback })
+      });
+      return { sid: message.sid, status: message.status };
+    },
+
+    async getStatus(sid) {
+      try {
+        const message = await getClient().messages(sid).fetch();
+        return {
+          sid: message.sid,
+          status: message.status,
+          to: message.to,
+          from: message.from,
+          body: message.body,
+          dateCreated: message.dateCreated,
+          dateSent: message.dateSent,
+          dateUpdated: message.dateUpdated,
+          errorCode: message.errorCode,
+          errorMessage: message.errorMessage
+        };
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    validateCallback(req) {
+      return isSigned(req, settings.statusCallback);
+    },
+
+    parseStatusCallback(req) {
+      const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+      return {
+        messageSid: MessageSid,
+        status: MessageStatus,
+        errorCode: ErrorCode,
+        errorMessage: ErrorMessage
+      };
+    },
+
+    validateInbound(req) {
+      return isSigned(req, settings.inboundUrl);
+    },
+
+    // Twilio posts inbound messages as form fields
+    parseInbound(req) {
+      const { From, To, Body, MessageSid } = req.body || {};
+      return {
+        from: From,
+        to: To,
+        body: (Body || '').trim(),
+        messageSid: MessageSid
+      };
+    }
+  };
+};
+
+module.exports = createTwilioProvider;
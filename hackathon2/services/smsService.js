@@ -0,0 +1,205 @@
+const smsProviders = require('./smsProviders');
+const messageTemplates = require('./messageTemplates');
+const smsEncoding = require('../utils/smsEncoding');
+const logger = require('../utils/logger');
+
+// Longest message we build, in segments; each segment is billed separately
+const MAX_SEGMENTS = parseInt(process.env.SMS_MAX_SEGMENTS) || 3;
+
+// Shortest description worth sending; below this it is dropped instead
+const MIN_DESCRIPTION_UNITS = 20;
+
+// SMS templates for different languages
+const smsTemplates = {
+  english: {
+    storm: '🚨 STORM WARNING: {title} - {description} - CoastalGuard',
+    tide: '🌊 HIGH TIDE ALERT: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ POLLUTION ALERT: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ EROSION ALERT: {title} - {description} - CoastalGuard',
+    emergency: '🚨 EMERGENCY: {title} - {description} - CoastalGuard',
+    weather: '🌤️ WEATHER UPDATE: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 TSUNAMI WARNING: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 CYCLONE WARNING: {title} - {description} - CoastalGuard',
+    // Any other type
+    alert: '⚠️ ALERT: {title} - {description} - CoastalGuard'
+  },
+  hindi: {
+    storm: '🚨 तूफान चेतावनी: {title} - {description} - CoastalGuard',
+    tide: '🌊 उच्च ज्वार चेतावनी: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ प्रदूषण चेतावनी: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ कटाव चेतावनी: {title} - {description} - CoastalGuard',
+    emergency: '🚨 आपातकाल: {title} - {description} - CoastalGuard',
+    weather: '🌤️ मौसम अपडेट: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 सुनामी चेतावनी: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 चक्रवात चेतावनी: {title} - {description} - CoastalGuard',
+    alert: '⚠️ चेतावनी: {title} - {description} - CoastalGuard'
+  },
+  marathi: {
+    storm: '🚨 वादळ चेतावणी: {title} - {description} - CoastalGuard',
+    tide: '🌊 उच्च भरती चेतावणी: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ प्रदूषण चेतावणी: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ कटाव चेतावणी: {title} - {description} - CoastalGuard',
+    emergency: '🚨 आणीबाणी: {title} - {description} - CoastalGuard',
+    weather: '🌤️ हवामान अपडेट: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 त्सुनामी चेतावणी: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 चक्रीवादळ चेतावणी: {title} - {description} - CoastalGuard',
+    alert: '⚠️ इशारा: {title} - {description} - CoastalGuard'
+  },
+  gujarati: {
+    storm: '🚨 વાવાઝોડું ચેતવણી: {title} - {description} - CoastalGuard',
+    tide: '🌊 ઉચ્ચ ભરતી ચેતવણી: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ પ્રદૂષણ ચેતવણી: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ કટાવ ચેતવણી: {title} - {description} - CoastalGuard',
+    emergency: '🚨 કટોકટી: {title} - {description} - CoastalGuard',
+    weather: '🌤️ હવામાન અપડેટ: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 સુનામી ચેતવણી: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 ચક્રવાત ચેતવણી: {title} - {description} - CoastalGuard',
+    alert: '⚠️ ચેતવણી: {title} - {description} - CoastalGuard'
+  },
+  tamil: {
+    storm: '🚨 புயல் எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    tide: '🌊 உயர் ஓத எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ மாசு எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ அரிப்பு எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    emergency: '🚨 அவசரநிலை: {title} - {description} - CoastalGuard',
+    weather: '🌤️ வானிலை புதுப்பிப்பு: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 சுனாமி எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 சூறாவளி எச்சரிக்கை: {title} - {description} - CoastalGuard',
+    alert: '⚠️ எச்சரிக்கை: {title} - {description} - CoastalGuard'
+  },
+  telugu: {
+    storm: '🚨 తుఫాన్ హెచ్చరిక: {title} - {description} - CoastalGuard',
+    tide: '🌊 ఎత్తైన ఉప్పెన హెచ్చరిక: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ కాలుష్య హెచ్చరిక: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ కోత హెచ్చరిక: {title} - {description} - CoastalGuard',
+    emergency: '🚨 అత్యవసర పరిస్థితి: {title} - {description} - CoastalGuard',
+    weather: '🌤️ వాతావరణ నవీకరణ: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 సునామీ హెచ్చరిక: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 చక్రవాత హెచ్చరిక: {title} - {description} - CoastalGuard',
+    alert: '⚠️ హెచ్చరిక: {title} - {description} - CoastalGuard'
+  },
+  malayalam: {
+    storm: '🚨 കൊടുങ്കാറ്റ് മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    tide: '🌊 ഉയർന്ന വേലിയേറ്റ മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ മലിനീകരണ മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ അപരദന മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    emergency: '🚨 അടിയന്തിരാവസ്ഥ: {title} - {description} - CoastalGuard',
+    weather: '🌤️ കാലാവസ്ഥ അപ്ഡേറ്റ്: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 സുനാമി മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 ചുഴലിക്കാറ്റ് മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard',
+    alert: '⚠️ മുന്നറിയിപ്പ്: {title} - {description} - CoastalGuard'
+  },
+  kannada: {
+    storm: '🚨 ಚಂಡಮಾರುತ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    tide: '🌊 ಉನ್ನತ ಭರತಿ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    pollution: '⚠️ ಮಾಲಿನ್ಯ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    erosion: '🏖️ ಕೊರೆತ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    emergency: '🚨 ತುರ್ತು ಪರಿಸ್ಥಿತಿ: {title} - {description} - CoastalGuard',
+    weather: '🌤️ ಹವಾಮಾನ ನವೀಕರಣ: {title} - {description} - CoastalGuard',
+    tsunami: '🌊 ಸುನಾಮಿ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    cyclone: '🌀 ಸೈಕ್ಲೋನ್ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard',
+    alert: '⚠️ ಎಚ್ಚರಿಕೆ: {title} - {description} - CoastalGuard'
+  }
+};
+
+// Format an alert with a message template. The alert's instruction is added
+// after the description unless the template places it with {instruction}.
+const formatWithTemplate = (template, alert, language = 'english') => {
+  const hasInstructions = alert.instructions && alert.instructions.length > 0;
+  const placesInstruction = template.body.includes('{instruction}');
+  const { body } = messageTemplates.render(template, alert, language, { keep: ['title', 'description'] });
+
+  return buildMessage(body, {
+    title: alert.title,
+    description: alert.description,
+    action: hasInstructions && !placesInstruction ? alert.getInstruction(language) : null
+  });
+};
+
+// Helper function to format SMS message: an approved message template if
+// there is one, otherwise the built-in wording for the language
+const formatSMSMessage = (alert, language = 'english') => {
+  const custom = messageTemplates.findTemplate('sms', alert, language);
+  if (custom) {
+    return formatWithTemplate(custom, alert, language);
+  }
+
+  const template = smsTemplates[language] || smsTemplates.english;
+  const alertTemplate = template[alert.type] || template.alert;
+  const hasInstructions = alert.instructions && alert.instructions.length > 0;
+
+  return buildMessage(alertTemplate, {
+    title: alert.title,
+    description: alert.description,
+    action: hasInstructions ? alert.getInstruction(language) : null
+  });
+};
+
+// Short notice for people who already received an earlier message of the chain
+const formatChainMessage = (alert) => {
+  const prefix = alert.msgType === 'cancel' ? 'CANCELLED' : 'UPDATED';
+  const severity = alert.msgType === 'cancel' ? '' : ` [${alert.severity.toUpperCase()}]`;
+  return buildMessage(`${prefix}:${severity} {title} - {description} - CoastalGuard`, {
+    title: alert.title,
+    description: alert.description
+  });
+};
+
+// Fill a template so the message fits in `maxSegments`. The description is
+// shortened first and then the title; the call to action (the alert's
+// instruction) and the sign-off are kept whole where at all possible.
+const buildMessage = (template, { title, description, action }, maxSegments = MAX_SEGMENTS) => {
+  const render = (titleText, descriptionText) => template
+    .replace('{title}', titleText)
+    .replace('{description}', [descriptionText, action].filter(Boolean).join(' '));
+
+  const full = render(title, description);
+  const encoding = smsEncoding.detectEncoding(full);
+  const budget = smsEncoding.capacity(encoding, maxSegments);
+  if (smsEncoding.countUnits(full, encoding) <= budget) return full;
+
+  // Room for the description next to everything else, less the joining space
+  const separator = action ? 1 : 0;
+  const spare = budget - smsEncoding.countUnits(render(title, ''), encoding) - separator;
+  if (spare >= MIN_DESCRIPTION_UNITS) {
+    return render(title, smsEncoding.truncate(description, spare, encoding));
+  }
+
+  const titleRoom = budget - smsEncoding.countUnits(render('', ''), encoding);
+  if (titleRoom >= MIN_DESCRIPTION_UNITS) {
+    return render(smsEncoding.truncate(title, titleRoom, encoding), '');
+  }
+
+  return smsEncoding.truncate(render(title, ''), budget, encoding);
+};
+
+// Helper function to send SMS through the configured provider
+const sendSMS = async (to, message) => {
+  try {
+    const provider = smsProviders.getProvider();
+    const result = await provider.send({ to, body: message });
+    
+    logger.info(`SMS sent successfully via ${provider.name} to ${to}: ${result.sid}`);
+    return { success: true, sid: result.sid, status: result.status };
+  } catch (error) {
+    logger.error(`Failed to send SMS to ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Helper function to look up a sent message; null if the provider does not know it
+const getMessageStatus = (sid) => {
+  return smsProviders.getProvider().getStatus(sid);
+};
+
+module.exports = {
+  MAX_SEGMENTS,
+  getProvider: smsProviders.getProvider,
+  smsTemplates,
+  formatWithTemplate,
+  formatSMSMessage,
+  formatChainMessage,
+  buildMessage,
+  sendSMS,
+  getMessageStatus
+};
@@ -0,0 +1,197 @@
+const Alert = require('../models/Alert');
+const AlertRevision = require('../models/AlertRevision');
+const notificationService = require('./notificationService');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// Detections of the same type and area within this window update one alert
+const CORRELATION_WINDOW_MINUTES = parseInt(process.env.THREAT_CORRELATION_WINDOW_MINUTES) || 30;
+
+// ThreatDetectionService types and severities mapped onto the Alert model
+const THREAT_TYPES = {
+  flooding: 'tide',
+  erosion: 'erosion',
+  pollution: 'pollution',
+  storm: 'storm',
+  cyclone: 'cyclone',
+  tsunami: 'tsunami',
+  weather: 'weather'
+};
+
+const THREAT_SEVERITIES = {
+  LOW: 'info',
+  MEDIUM: 'warning',
+  HIGH: 'critical',
+  CRITICAL: 'emergency'
+};
+
+const SEVERITY_RANK = ['info', 'warning', 'critical', 'emergency'];
+
+// Hours an automated alert stays active after its latest detection, by type;
+// the alert expiry job closes it once detections have stopped this long
+const ACTIVE_HOURS = {
+  tide: 6,
+  erosion: 24,
+  pollution: 24,
+  storm: 6,
+  cyclone: 12,
+  tsunami: 6,
+  weather: 6
+};
+
+const expiryAfter = (type, now) => new Date(now.getTime() + ACTIVE_HOURS[type] * 60 * 60 * 1000);
+
+const TYPE_TITLES = {
+  tide: 'Coastal flooding risk',
+  erosion: 'Coastal erosion risk',
+  pollution: 'Water pollution detected',
+  storm: 'Storm conditions detected',
+  cyclone: 'Cyclone conditions detected',
+  tsunami: 'Tsunami threat detected',
+  weather: 'Severe weather detected'
+};
+
+// Threat locations are either a coastal area name, free text, or an object
+const resolveLocation = (location) => {
+  if (!location) return null;
+
+  if (typeof location === 'string') {
+    const key = location.toLowerCase().replace(/\s+/g, '');
+    const coastalArea = geo.COASTAL_AREA_CENTRES[key] ? key : geo.matchCoastalArea(location);
+    return coastalArea
+      ? { type: 'Point', coordinates: geo.COASTAL_AREA_CENTRES[coastalArea], coastalArea }
+      : null;
+  }
+
+  const coordinates = location.coordinates || geo.COASTAL_AREA_CENTRES[location.coastalArea];
+  if (!coordinates) return null;
+
+  return {
+    type: 'Point',
+    coordinates,
+    coastalArea: location.coastalArea || geo.nearestCoastalArea(coordinates),
+    radius: location.radius
+  };
+};
+
+const createAlert = async (threat, type, severity, location, now, windowEndsAt) => {
+  const alert = await Alert.create({
+    title: `${TYPE_TITLES[type]} - ${location.coastalArea}`,
+    description: threat.description.substring(0, 1000),
+    type,
+    severity,
+    status: 'active',
+    verificationStatus: 'verified',
+    location,
+    expiresAt: expiryAfter(type, now),
+    source: {
+      type: 'system',
+      name: threat.source === 'government' ? 'Government feed' : 'Threat detection',
+      reliability: threat.confidence
+    },
+    tags: ['automated'],
+    detection: {
+      firstDetectedAt: now,
+      lastDetectedAt: now,
+      windowEndsAt,
+      occurrences: 1,
+      confidence: threat.confidence,
+      indicators: threat.indicators || {}
+    }
+  });
+
+  await AlertRevision.record(alert, { action: 'created', notes: 'Raised by automated threat detection' });
+  await notificationService.dispatchAlert(alert);
+  return alert;
+};
+
+// Refresh an existing alert with a repeat detection, extending its correlation
+// window and expiry; returns true if severity rose
+const mergeIntoAlert = async (alert, threat, severity, now, windowEndsAt) => {
+  const before = alert.toObject();
+  const escalated = SEVERITY_RANK.indexOf(severity) > SEVERITY_RANK.indexOf(alert.severity);
+
+  alert.detection.lastDetectedAt = now;
+  alert.detection.occurrences = (alert.detection.occurrences || 0) + 1;
+  alert.detection.confidence = Math.max(alert.detection.confidence || 0, threat.confidence || 0);
+  alert.detection.indicators = { ...(alert.detection.indicators || {}), ...(threat.indicators || {}) };
+  alert.markModified('detection.indicators');
+  alert.detection.windowEndsAt = windowEndsAt;
+  const expiresAt = expiryAfter(alert.type, now);
+  if (!alert.expiresAt || alert.expiresAt < expiresAt) {
+    alert.expiresAt = expiresAt;
+  }
+
+  if (escalated) {
+    alert.severity = severity;
+    alert.description = threat.description.substring(0, 1000);
+  }
+
+  await alert.save();
+
+  if (escalated) {
+    await AlertRevision.record(alert, {
+      action: 'updated',
+      changes: AlertRevision.diff(before, alert.toObject(), ['severity', 'description']),
+      notes: 'Severity raised by automated threat detection'
+    });
+    await notificationService.dispatchAlert(alert, { resend: true });
+  }
+
+  return escalated;
+};
+
+// Turn a batch of detected threats into alerts, folding repeats of the same
+// type and area into the active alert instead of broadcasting them again
+const correlateThreats = async (threats, { windowMinutes = CORRELATION_WINDOW_MINUTES } = {}) => {
+  const result = { created: [], escalated: [], refreshed: [], skipped: [] };
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const windowEndsAt = new Date(now.getTime() + windowMinutes * 60 * 1000);
+
+  for (const threat of threats) {
+    const type = THREAT_TYPES[threat.type];
+    const severity = THREAT_SEVERITIES[threat.severity] || 'warning';
+    const location = resolveLocation(threat.location);
+
+    if (!type || !location) {
+      result.skipped.push(threat);
+      continue;
+    }
+
+    try {
+      const existing = await Alert.findOne({
+        status: 'active',
+        'source.type': 'system',
+        type,
+        'location.coastalArea': location.coastalArea,
+        // Alerts raised before windows were stored fall back to the last detection
+        $or: [
+          { 'detection.windowEndsAt': { $gt: now } },
+          { 'detection.windowEndsAt': { $exists: false }, 'detection.lastDetectedAt': { $gte: windowStart } }
+        ]
+      }).sort({ 'detection.lastDetectedAt': -1 });
+
+      if (!existing) {
+        const alert = await createAlert(threat, type, severity, location, now, windowEndsAt);
+        result.created.push({ threat, alert });
+      } else if (await mergeIntoAlert(existing, threat, severity, now, windowEndsAt)) {
+        result.escalated.push({ threat, alert: existing });
+      } else {
+        result.refreshed.push({ threat, alert: existing });
+      }
+    } catch (error) {
+      logger.error(`Failed to correlate ${threat.type} threat:`, error);
+      result.skipped.push(threat);
+    }
+  }
+
+  logger.info(`Threat correlation: ${result.created.length} new, ${result.escalated.length} escalated, ${result.refreshed.length} refreshed, ${result.skipped.length} skipped`);
+  return result;
+};
+
+module.exports = {
+  CORRELATION_WINDOW_MINUTES,
+  resolveLocation,
+  correlateThreats
+};
@@ -0,0 +1,115 @@
+const cron = require('node-cron');
+
+const SensorReading = require('../models/SensorReading');
+const threatCorrelation = require('./threatCorrelation');
+const logger = require('../utils/logger');
+
+let socketServer = null;
+let detector = null;
+let lastRunAt = null;
+let running = false;
+
+// Set by the server so detections can be pushed to monitoring dashboards
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+// Created on first use; it loads the hazard models from the registry
+const getDetector = () => {
+  if (!detector) {
+    const ThreatDetectionService = require('../backend/services/threatDetection');
+    detector = new ThreatDetectionService();
+  }
+  return detector;
+};
+
+// Stored reading in the shape ThreatDetectionService analyzes
+const toSensorData = (reading) => ({
+  ...reading.values,
+  location: {
+    coastalArea: reading.coastalArea,
+    ...(reading.location && { coordinates: reading.location.coordinates })
+  },
+  station_id: reading.station,
+  timestamp: reading.recordedAt
+});
+
+// Latest reading of each station, or of each coastal area for readings
+// without a station, recorded after `since`
+const latestReadings = async (since) => {
+  const readings = await SensorReading.find({ createdAt: { $gt: since } })
+    .sort({ recordedAt: -1 })
+    .lean();
+
+  const latest = new Map();
+  readings.forEach(reading => {
+    const key = reading.station || reading.coastalArea;
+    if (key && !latest.has(key)) latest.set(key, reading);
+  });
+  return [...latest.values()];
+};
+
+// Analyze readings and fold what they show into alerts. Repeat detections
+// refresh the active alert; only new alerts and escalations are broadcast.
+const analyzeReadings = async (readings) => {
+  const threats = [];
+  for (const reading of readings) {
+    try {
+      const analysis = await getDetector().analyzeThreats(toSensorData(reading));
+      threats.push(...analysis.threats);
+    } catch (error) {
+      logger.error(`Threat analysis failed for reading ${reading._id}:`, error);
+    }
+  }
+
+  if (threats.length === 0) return null;
+
+  const correlation = await threatCorrelation.correlateThreats(threats);
+  const broadcast = [...correlation.created, ...correlation.escalated];
+
+  if (socketServer && broadcast.length > 0) {
+    socketServer.to('threat-monitoring').emit('new-threats', {
+      threats: broadcast.map(({ threat, alert }) => ({ ...threat, alertId: alert._id })),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (socketServer && correlation.refreshed.length > 0) {
+    socketServer.to('threat-monitoring').emit('threats-updated', {
+      alertIds: correlation.refreshed.map(({ alert }) => alert._id),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info(`Threats detected: ${threats.length}, broadcast: ${broadcast.length}`);
+  return correlation;
+};
+
+// Analyze the readings stored since the previous run
+const runDetection = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const since = lastRunAt || new Date(now.getTime() - threatCorrelation.CORRELATION_WINDOW_MINUTES * 60 * 1000);
+    const readings = await latestReadings(since);
+    lastRunAt = now;
+    return await analyzeReadings(readings);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = () => {
+  return cron.schedule('*/5 * * * *', () => {
+    runDetection().catch(error => logger.error('Scheduled threat detection failed:', error));
+  }, { timezone: 'Asia/Kolkata' });
+};
+
+module.exports = {
+  setSocketServer,
+  latestReadings,
+  analyzeReadings,
+  runDetection,
+  startScheduler
+};
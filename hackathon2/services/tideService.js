@@ -0,0 +1,51 @@
+// Tide predictions. There is no tide API integration yet, so these are
+// generated from a fixed semi-diurnal pattern.
+
+function generateMockTideData(lat, lon, date = new Date().toISOString().split('T')[0]) {
+  // Generate realistic mock tide data based on location and date
+  const baseTime = new Date(date);
+  const tides = [];
+  
+  // Generate 4 tide changes per day (2 high, 2 low)
+  for (let i = 0; i < 4; i++) {
+    const tideTime = new Date(baseTime);
+    tideTime.setHours(6 + (i * 6), 0, 0, 0); // 6 AM, 12 PM, 6 PM, 12 AM
+    
+    const isHigh = i % 2 === 0;
+    const baseLevel = isHigh ? 3.5 : 0.5; // High tide ~3.5m, Low tide ~0.5m
+    const variation = (Math.random() - 0.5) * 0.5; // ±0.25m variation
+    
+    tides.push({
+      time: tideTime.toISOString(),
+      type: isHigh ? 'high' : 'low',
+      level: Math.round((baseLevel + variation) * 100) / 100,
+      height: isHigh ? 'High' : 'Low'
+    });
+  }
+  
+  // Sort by time
+  tides.sort((a, b) => new Date(a.time) - new Date(b.time));
+  
+  // Find current tide and next change
+  const now = new Date();
+  const currentTide = tides.find(tide => new Date(tide.time) > now) || tides[0];
+  const nextChange = tides.find(tide => new Date(tide.time) > now) || tides[0];
+  
+  return {
+    location: { lat, lon },
+    date: date,
+    tides,
+    current: {
+      level: Math.round((Math.random() * 2 + 1) * 100) / 100, // Random current level
+      nextChange: {
+        time: nextChange.time,
+        type: nextChange.type,
+        level: nextChange.level
+      }
+    }
+  };
+}
+
+module.exports = {
+  generateMockTideData
+};
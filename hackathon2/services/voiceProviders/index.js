@@ -0,0 +1,52 @@
+const createTwilioProvider = require('./twilio');
+const createSimulatorProvider = require('./simulator');
+const logger = require('../../utils/logger');
+
+// Telephony providers for voice alerts, keyed by the VOICE_PROVIDER value that
+// selects them. Each factory returns an object with:
+//   name                       provider name, for logs
+//   call({ to, script, prompt, closing, locale })
+//                              places a call that speaks `script` in `locale`, then
+//                              asks for a keypress with `prompt` (none if null) and
+//                              ends with `closing`; resolves to { sid, status }
+//   respond({ text, locale })  the reply to a keypress webhook, as { contentType, body }
+//   validateGather(req)        true if a keypress webhook really came from the provider
+//   parseGather(req)           maps a keypress webhook to { callSid, digits }
+//   validateCallback(req)      true if a status callback really came from the provider
+//   parseStatusCallback(req)   maps a status callback to { messageSid, status, errorCode, errorMessage }
+const factories = {
+  twilio: createTwilioProvider,
+  simulator: createSimulatorProvider
+};
+
+let provider = null;
+
+// Register another provider, e.g. a domestic IVR service
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Without explicit configuration, use Twilio only when it has credentials
+const getProviderName = () => {
+  if (process.env.VOICE_PROVIDER) return process.env.VOICE_PROVIDER;
+  return process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'simulator';
+};
+
+const getProvider = () => {
+  if (!provider) {
+    const name = getProviderName();
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown voice provider: ${name}`);
+    }
+
+    provider = factory();
+    logger.info(`Using ${provider.name} voice provider`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const logger = require('../../utils/logger');
+
+// Development provider: every call is appended to a JSON-lines file and, if a
+// URL is configured, posted to it. A configured keypress is sent back through
+// our keypress webhook, so acknowledgements can be tested without a phone.
+const createSimulatorProvider = (config = {}) => {
+  const settings = {
+    file: process.env.VOICE_SIMULATOR_FILE || path.join(__dirname, '../../logs/voice-simulator.jsonl'),
+    webhookUrl: process.env.VOICE_SIMULATOR_URL,
+    from: process.env.VOICE_SIMULATOR_FROM || '+910000000000',
+    gatherUrl: process.env.VOICE_GATHER_URL,
+    statusCallback: process.env.VOICE_STATUS_CALLBACK_URL,
+    callbackToken: process.env.VOICE_SIMULATOR_CALLBACK_TOKEN,
+    // Key the simulated person presses; empty for no answer
+    digits: process.env.VOICE_SIMULATOR_DIGITS || '',
+    answerDelayMs: parseInt(process.env.VOICE_SIMULATOR_ANSWER_DELAY_MS) || 3000,
+    // Numbers that simulate a provider failure
+    failNumbers: (process.env.VOICE_SIMULATOR_FAIL_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean),
+    ...config
+  };
+
+  const append = (record) => {
+    fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+    fs.appendFileSync(settings.file, JSON.stringify(record) + '\n');
+  };
+
+  const post = async (url, payload) => {
+    try {
+      await axios.post(url, payload, {
+        timeout: 5000,
+        headers: { 'X-Simulator-Token': settings.callbackToken || '' }
+      });
+    } catch (error) {
+      logger.warn(`Voice simulator callback to ${url} failed: ${error.message}`);
+    }
+  };
+
+  // Answer a moment after dialling, press the configured key if the call asks
+  // for one, then hang up, the way a real provider would report it
+  const simulateAnswer = (record) => {
+    setTimeout(async () => {
+      const answered = Boolean(settings.digits);
+
+      if (answered && record.prompt && settings.gatherUrl) {
+        await post(settings.gatherUrl, { CallSid: record.sid, Digits: settings.digits });
+      }
+
+      record.status = answered ? 'completed' : 'no-answer';
+      record.dateUpdated = new Date();
+      append(record);
+
+      if (settings.statusCallback) {
+        await post(settings.statusCallback, { CallSid: record.sid, CallStatus: record.status });
+      }
+    }, settings.answerDelayMs);
+  };
+
+  const hasToken = (req) => {
+    const token = req.get('X-Simulator-Token') || '';
+    if (!settings.callbackToken || token.length !== settings.callbackToken.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(settings.callbackToken));
+  };
+
+  return {
+    name: 'simulator',
+
+    async call({ to, script, prompt, closing, locale }) {
+      const now = new Date();
+      const failed = settings.failNumbers.includes(to);
+
+      const record = {
+        sid: `CA${crypto.randomBytes(16).toString('hex')}`,
+        status: failed ? 'failed' : 'queued',
+        to,
+        from: settings.from,
+        locale,
+        script,
+        prompt,
+        closing,
+        dateCreated: now,
+        dateUpdated: now,
+        errorMessage: failed ? 'Simulated call failure' : null
+      };
+
+      append(record);
+
+      if (settings.webhookUrl) {
+        try {
+          await axios.post(settings.webhookUrl, record, { timeout: 5000 });
+        } catch (error) {
+          logger.warn(`Voice simulator webhook failed: ${error.message}`);
+        }
+      }
+
+      if (failed) {
+        throw new Error(record.errorMessage);
+      }
+
+      simulateAnswer({ ...record });
+      return { sid: record.sid, status: record.status };
+    },
+
+    respond({ text, locale }) {
+      return { contentType: 'application/json', body: JSON.stringify({ say: text, locale }) };
+    },
+
+    validateGather(req) {
+      return hasToken(req);
+    },
+
+    // Accepts plain JSON ({ callSid, digits }) as well as Twilio-style form fields
+    parseGather(req) {
+      const payload = req.body || {};
+      return {
+        callSid: payload.callSid || payload.CallSid,
+        digits: String(payload.digits || payload.Digits || '')
+      };
+    },
+
+    validateCallback(req) {
+      return hasToken(req);
+    },
+
+    // Same fields as Twilio call status callbacks
+    parseStatusCallback(req) {
+      const { CallSid, CallStatus, ErrorCode, ErrorMessage } = req.body || {};
+      return {
+        messageSid: CallSid,
+        status: CallStatus,
+        errorCode: ErrorCode,
+        errorMessage: ErrorMessage
+      };
+    }
+  };
+};
+
+module.exports = createSimulatorProvider;
@@ -0,0 +1,115 @@
+const twilio = require('twilio');
+
+// Twilio Programmable Voice, with text-to-speech and keypad input
+const createTwilioProvider = (config = {}) => {
+  const settings = {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_VOICE_NUMBER || process.env.TWILIO_PHONE_NUMBER,
+    // Text-to-speech voice; {locale} is replaced with the language, e.g. hi-IN
+    voice: process.env.TWILIO_VOICE_NAME || 'Google.{locale}-Standard-A',
+    // Public URLs of our webhook routes, exactly as Twilio will call them
+    gatherUrl: process.env.VOICE_GATHER_URL,
+    statusCallback: process.env.VOICE_STATUS_CALLBACK_URL,
+    // Seconds to wait for a keypress before repeating the message
+    gatherTimeout: parseInt(process.env.VOICE_GATHER_TIMEOUT_SECONDS) || 8,
+    ...config
+  };
+
+  // Created on first use so a misconfigured provider fails per request, not at startup
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = twilio(settings.accountSid, settings.authToken);
+    }
+    return client;
+  };
+
+  const isSigned = (req, url) => {
+    if (!url) return false;
+    return twilio.validateRequest(
+      settings.authToken,
+      req.get('X-Twilio-Signature') || '',
+      url,
+      req.body || {}
+    );
+  };
+
+  const sayOptions = locale => ({ language: locale, voice: settings.voice.replace('{locale}', locale) });
+
+  // The message is played twice so people who pick up late still hear it
+  const buildTwiml = ({ script, prompt, closing, locale }) => {
+    const response = new twilio.twiml.VoiceResponse();
+
+    if (prompt && settings.gatherUrl) {
+      for (let i = 0; i < 2; i++) {
+        const gather = response.gather({
+          numDigits: 1,
+          timeout: settings.gatherTimeout,
+          action: settings.gatherUrl,
+          method: 'POST'
+        });
+        gather.say(sayOptions(locale), script);
+        gather.say(sayOptions(locale), prompt);
+      }
+    } else {
+      response.say(sayOptions(locale), script);
+      response.say(sayOptions(locale), script);
+    }
+
+    response.say(sayOptions(locale), closing);
+    return response.toString();
+  };
+
+  return {
+    name: 'twilio',
+
+    async call({ to, script, prompt, closing, locale }) {
+      const call = await getClient().calls.create({
+        to,
+        from: settings.from,
+        twiml: buildTwiml({ script, prompt, closing, locale }),
+        ...(settings.statusCallback && {
+          statusCallback: settings.statusCallback,
+          statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+        })
+      });
+      return { sid: call.sid, status: call.status };
+    },
+
+    respond({ text, locale }) {
+      const response = new twilio.twiml.VoiceResponse();
+      response.say(sayOptions(locale), text);
+      response.hangup();
+      return { contentType: 'text/xml', body: response.toString() };
+    },
+
+    validateGather(req) {
+      return isSigned(req, settings.gatherUrl);
+    },
+
+    parseGather(req) {
+      const { CallSid, Digits } = req.body || {};
+      return {
+        callSid: CallSid,
+        digits: Digits || ''
+      };
+    },
+
+    validateCallback(req) {
+      return isSigned(req, settings.statusCallback);
+    },
+
+    parseStatusCallback(req) {
+      const { CallSid, CallStatus, ErrorCode, ErrorMessage } = req.body || {};
+      return {
+        messageSid: CallSid,
+        status: CallStatus,
+        errorCode: ErrorCode,
+        errorMessage: ErrorMessage
+      };
+    }
+  };
+};
+
+module.exports = createTwilioProvider;
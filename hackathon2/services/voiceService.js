@@ -0,0 +1,242 @@
+const voiceProviders = require('./voiceProviders');
+const messageTemplates = require('./messageTemplates');
+const logger = require('../utils/logger');
+
+// Longest description read out; calls should stay under a minute
+const MAX_DESCRIPTION_CHARS = parseInt(process.env.VOICE_MAX_DESCRIPTION_CHARS) || 300;
+
+// Key that confirms the person is safe
+const CONFIRM_DIGIT = '1';
+
+// Spoken scripts for different languages. Like the SMS templates, but with
+// words instead of symbols so text-to-speech reads them naturally.
+const voiceTemplates = {
+  english: {
+    locale: 'en-IN',
+    intro: 'This is an alert from CoastalGuard.',
+    storm: 'Storm warning',
+    tide: 'High tide alert',
+    pollution: 'Pollution alert',
+    erosion: 'Erosion alert',
+    emergency: 'Emergency',
+    weather: 'Weather update',
+    tsunami: 'Tsunami warning',
+    cyclone: 'Cyclone warning',
+    updated: 'Update',
+    cancelled: 'Cancelled',
+    confirm: 'Press 1 to confirm you are safe.',
+    thanks: 'Thank you. We have recorded that you are safe.',
+    notConfirmed: 'We could not record a confirmation. If you need help, call 112.',
+    goodbye: 'Goodbye.'
+  },
+  hindi: {
+    locale: 'hi-IN',
+    intro: 'यह CoastalGuard की ओर से चेतावनी है।',
+    storm: 'तूफान चेतावनी',
+    tide: 'उच्च ज्वार चेतावनी',
+    pollution: 'प्रदूषण चेतावनी',
+    erosion: 'कटाव चेतावनी',
+    emergency: 'आपातकाल',
+    weather: 'मौसम अपडेट',
+    tsunami: 'सुनामी चेतावनी',
+    cyclone: 'चक्रवात चेतावनी',
+    updated: 'अपडेट',
+    cancelled: 'रद्द',
+    confirm: 'आप सुरक्षित हैं, यह बताने के लिए 1 दबाएँ।',
+    thanks: 'धन्यवाद। हमने दर्ज कर लिया है कि आप सुरक्षित हैं।',
+    notConfirmed: 'हमें पुष्टि नहीं मिली। मदद चाहिए तो 112 पर कॉल करें।',
+    goodbye: 'धन्यवाद।'
+  },
+  marathi: {
+    locale: 'mr-IN',
+    intro: 'हा CoastalGuard कडून इशारा आहे.',
+    storm: 'वादळ चेतावणी',
+    tide: 'उच्च भरती चेतावणी',
+    pollution: 'प्रदूषण चेतावणी',
+    erosion: 'कटाव चेतावणी',
+    emergency: 'आणीबाणी',
+    weather: 'हवामान अपडेट',
+    tsunami: 'त्सुनामी चेतावणी',
+    cyclone: 'चक्रीवादळ चेतावणी',
+    updated: 'अद्ययावत',
+    cancelled: 'रद्द',
+    confirm: 'तुम्ही सुरक्षित आहात हे कळवण्यासाठी 1 दाबा.',
+    thanks: 'धन्यवाद. तुम्ही सुरक्षित असल्याची नोंद झाली आहे.',
+    notConfirmed: 'पुष्टी मिळाली नाही. मदत हवी असल्यास 112 वर कॉल करा.',
+    goodbye: 'धन्यवाद.'
+  },
+  gujarati: {
+    locale: 'gu-IN',
+    intro: 'આ CoastalGuard તરફથી ચેતવણી છે.',
+    storm: 'વાવાઝોડું ચેતવણી',
+    tide: 'ઉચ્ચ ભરતી ચેતવણી',
+    pollution: 'પ્રદૂષણ ચેતવણી',
+    erosion: 'કટાવ ચેતવણી',
+    emergency: 'કટોકટી',
+    weather: 'હવામાન અપડેટ',
+    tsunami: 'સુનામી ચેતવણી',
+    cyclone: 'ચક્રવાત ચેતવણી',
+    updated: 'અપડેટ',
+    cancelled: 'રદ',
+    confirm: 'તમે સુરક્ષિત છો તેની પુષ્ટિ કરવા 1 દબાવો.',
+    thanks: 'આભાર. તમે સુરક્ષિત છો તેની નોંધ લેવાઈ છે.',
+    notConfirmed: 'પુષ્ટિ મળી નથી. મદદ જોઈએ તો 112 પર કૉલ કરો.',
+    goodbye: 'આભાર.'
+  },
+  tamil: {
+    locale: 'ta-IN',
+    intro: 'இது CoastalGuard வழங்கும் எச்சரிக்கை.',
+    storm: 'புயல் எச்சரிக்கை',
+    tide: 'உயர் ஓத எச்சரிக்கை',
+    pollution: 'மாசு எச்சரிக்கை',
+    erosion: 'அரிப்பு எச்சரிக்கை',
+    emergency: 'அவசரநிலை',
+    weather: 'வானிலை புதுப்பிப்பு',
+    tsunami: 'சுனாமி எச்சரிக்கை',
+    cyclone: 'சூறாவளி எச்சரிக்கை',
+    updated: 'புதுப்பிப்பு',
+    cancelled: 'ரத்து',
+    confirm: 'நீங்கள் பாதுகாப்பாக இருப்பதை உறுதிப்படுத்த 1 ஐ அழுத்தவும்.',
+    thanks: 'நன்றி. நீங்கள் பாதுகாப்பாக இருப்பதைப் பதிவு செய்துள்ளோம்.',
+    notConfirmed: 'உறுதிப்படுத்தல் கிடைக்கவில்லை. உதவி தேவைப்பட்டால் 112 ஐ அழைக்கவும்.',
+    goodbye: 'நன்றி.'
+  },
+  telugu: {
+    locale: 'te-IN',
+    intro: 'ఇది CoastalGuard నుండి హెచ్చరిక.',
+    storm: 'తుఫాన్ హెచ్చరిక',
+    tide: 'ఎత్తైన ఉప్పెన హెచ్చరిక',
+    pollution: 'కాలుష్య హెచ్చరిక',
+    erosion: 'కోత హెచ్చరిక',
+    emergency: 'అత్యవసర పరిస్థితి',
+    weather: 'వాతావరణ నవీకరణ',
+    tsunami: 'సునామీ హెచ్చరిక',
+    cyclone: 'చక్రవాత హెచ్చరిక',
+    updated: 'నవీకరణ',
+    cancelled: 'రద్దు',
+    confirm: 'మీరు సురక్షితంగా ఉన్నారని నిర్ధారించడానికి 1 నొక్కండి.',
+    thanks: 'ధన్యవాదాలు. మీరు సురక్షితంగా ఉన్నారని నమోదు చేశాము.',
+    notConfirmed: 'నిర్ధారణ అందలేదు. సహాయం కావాలంటే 112కు కాల్ చేయండి.',
+    goodbye: 'ధన్యవాదాలు.'
+  },
+  malayalam: {
+    locale: 'ml-IN',
+    intro: 'ഇത് CoastalGuard നൽകുന്ന മുന്നറിയിപ്പാണ്.',
+    storm: 'കൊടുങ്കാറ്റ് മുന്നറിയിപ്പ്',
+    tide: 'ഉയർന്ന വേലിയേറ്റ മുന്നറിയിപ്പ്',
+    pollution: 'മലിനീകരണ മുന്നറിയിപ്പ്',
+    erosion: 'അപരദന മുന്നറിയിപ്പ്',
+    emergency: 'അടിയന്തിരാവസ്ഥ',
+    weather: 'കാലാവസ്ഥ അപ്ഡേറ്റ്',
+    tsunami: 'സുനാമി മുന്നറിയിപ്പ്',
+    cyclone: 'ചുഴലിക്കാറ്റ് മുന്നറിയിപ്പ്',
+    updated: 'പുതുക്കിയത്',
+    cancelled: 'റദ്ദാക്കി',
+    confirm: 'നിങ്ങൾ സുരക്ഷിതരാണെന്ന് സ്ഥിരീകരിക്കാൻ 1 അമർത്തുക.',
+    thanks: 'നന്ദി. നിങ്ങൾ സുരക്ഷിതരാണെന്ന് രേഖപ്പെടുത്തി.',
+    notConfirmed: 'സ്ഥിരീകരണം ലഭിച്ചില്ല. സഹായം വേണമെങ്കിൽ 112 ൽ വിളിക്കുക.',
+    goodbye: 'നന്ദി.'
+  },
+  kannada: {
+    locale: 'kn-IN',
+    intro: 'ಇದು CoastalGuard ನಿಂದ ಎಚ್ಚರಿಕೆ.',
+    storm: 'ಚಂಡಮಾರುತ ಎಚ್ಚರಿಕೆ',
+    tide: 'ಉನ್ನತ ಭರತಿ ಎಚ್ಚರಿಕೆ',
+    pollution: 'ಮಾಲಿನ್ಯ ಎಚ್ಚರಿಕೆ',
+    erosion: 'ಕೊರೆತ ಎಚ್ಚರಿಕೆ',
+    emergency: 'ತುರ್ತು ಪರಿಸ್ಥಿತಿ',
+    weather: 'ಹವಾಮಾನ ನವೀಕರಣ',
+    tsunami: 'ಸುನಾಮಿ ಎಚ್ಚರಿಕೆ',
+    cyclone: 'ಸೈಕ್ಲೋನ್ ಎಚ್ಚರಿಕೆ',
+    updated: 'ನವೀಕರಣ',
+    cancelled: 'ರದ್ದು',
+    confirm: 'ನೀವು ಸುರಕ್ಷಿತವಾಗಿದ್ದೀರಿ ಎಂದು ಖಚಿತಪಡಿಸಲು 1 ಒತ್ತಿ.',
+    thanks: 'ಧನ್ಯವಾದಗಳು. ನೀವು ಸುರಕ್ಷಿತವಾಗಿರುವುದನ್ನು ದಾಖಲಿಸಿದ್ದೇವೆ.',
+    notConfirmed: 'ದೃಢೀಕರಣ ಸಿಗಲಿಲ್ಲ. ಸಹಾಯ ಬೇಕಿದ್ದರೆ 112 ಗೆ ಕರೆ ಮಾಡಿ.',
+    goodbye: 'ಧನ್ಯವಾದಗಳು.'
+  }
+};
+
+// Spoken phrase in a language, with the locale to speak it in
+const phrase = (language, key) => {
+  const templates = voiceTemplates[language] || voiceTemplates.english;
+  return { text: templates[key], locale: templates.locale };
+};
+
+// Cut at the last sentence or word boundary that fits
+const shorten = (text, maxChars) => {
+  if (!text || text.length <= maxChars) return text;
+
+  const cut = text.slice(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('। '));
+  if (sentenceEnd > maxChars / 2) return cut.slice(0, sentenceEnd + 1);
+
+  const wordEnd = cut.lastIndexOf(' ');
+  return wordEnd > 0 ? cut.slice(0, wordEnd) : cut;
+};
+
+// End a spoken phrase with a full stop unless it already has one
+const sentence = text => (/[.!?।]$/.test(text) ? text : `${text}.`);
+
+// What to say on a call about the alert. `options.message` overrides the alert
+// text, e.g. for escalation pages; `options.chained` reads the short notice for
+// an update or cancellation. An approved message template replaces the
+// alert text of first messages. Cancellations ask for no keypress.
+const formatVoiceScript = (alert, language = 'english', options = {}) => {
+  const templates = voiceTemplates[language] || voiceTemplates.english;
+  const parts = [templates.intro];
+
+  const custom = !options.message && !options.chained && messageTemplates.findTemplate('voice', alert, language);
+
+  if (options.message) {
+    parts.push(options.message);
+  } else if (custom) {
+    parts.push(messageTemplates.render(custom, alert, language).body);
+  } else {
+    const label = options.chained
+      ? (alert.msgType === 'cancel' ? templates.cancelled : templates.updated)
+      : (templates[alert.type] || templates.emergency);
+    parts.push(`${label}: ${sentence(alert.title)}`);
+    parts.push(sentence(shorten(alert.description, MAX_DESCRIPTION_CHARS)));
+
+    const hasInstructions = !options.chained && alert.instructions && alert.instructions.length > 0;
+    if (hasInstructions) {
+      parts.push(sentence(alert.getInstruction(language)));
+    }
+  }
+
+  return {
+    locale: templates.locale,
+    script: parts.join(' '),
+    prompt: alert.msgType === 'cancel' ? null : templates.confirm,
+    closing: templates.goodbye
+  };
+};
+
+// Call a user and read the alert to them
+const sendAlertCall = async (user, alert, options = {}) => {
+  if (!user.phone) {
+    return { success: false, error: 'User has no phone number' };
+  }
+
+  try {
+    const provider = voiceProviders.getProvider();
+    const call = formatVoiceScript(alert, user.preferences.language, options);
+    const result = await provider.call({ to: user.phone, ...call });
+
+    logger.info(`Voice call placed via ${provider.name} to ${user.phone} for alert ${alert._id}: ${result.sid}`);
+    return { success: true, sid: result.sid, status: result.status };
+  } catch (error) {
+    logger.error(`Failed to call ${user.phone}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  CONFIRM_DIGIT,
+  voiceTemplates,
+  getProvider: voiceProviders.getProvider,
+  phrase,
+  formatVoiceScript,
+  sendAlertCall
+};
@@ -0,0 +1,73 @@
+// CoastalGuard service worker: shows Web Push alerts and opens the alert
+// when a notification is clicked.
+
+const SEVERITY_ICONS = {
+    info: 'ℹ️',
+    warning: '⚠️',
+    critical: '🚨',
+    emergency: '🚨'
+};
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    let payload;
+    try {
+        payload = event.data.json();
+    } catch (error) {
+        payload = { title: 'CoastalGuard', body: event.data.text() };
+    }
+
+    const icon = SEVERITY_ICONS[payload.severity] || '';
+    const title = icon ? `${icon} ${payload.title}` : payload.title;
+
+    event.waitUntil(
+        self.registration.showNotification(title, {
+            body: payload.body,
+            // Updates and cancellations replace the notification for the same alert
+            tag: payload.alertId ? `alert-${payload.alertId}` : undefined,
+            renotify: Boolean(payload.alertId),
+            requireInteraction: Boolean(payload.requireInteraction),
+            timestamp: payload.timestamp,
+            data: {
+                alertId: payload.alertId,
+                url: payload.url || '/'
+            }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    // Reuse an open CoastalGuard tab when there is one
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            for (const client of windowClients) {
+                if (new URL(client.url).origin === self.location.origin && 'focus' in client) {
+                    return client.navigate(url).then((navigated) => (navigated || client).focus());
+                }
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
+// Browsers may rotate a subscription; register the new one in its place
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            windowClients.forEach((client) => client.postMessage({ type: 'push-subscription-changed' }));
+        })
+    );
+});
@@ -0,0 +1,362 @@
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
+const geo = require('./geo');
+
+// Common Alerting Protocol 1.2 mapping for the Alert model
+// Spec: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2.html
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const CAP_CONTENT_TYPE = 'application/cap+xml';
+
+const LANGUAGE_CODES = {
+  english: 'en-IN',
+  hindi: 'hi-IN',
+  marathi: 'mr-IN',
+  gujarati: 'gu-IN',
+  tamil: 'ta-IN',
+  telugu: 'te-IN',
+  malayalam: 'ml-IN',
+  kannada: 'kn-IN'
+};
+
+const SEVERITY_TO_CAP = {
+  info: 'Minor',
+  warning: 'Moderate',
+  critical: 'Severe',
+  emergency: 'Extreme'
+};
+
+const CAP_TO_SEVERITY = {
+  Minor: 'info',
+  Moderate: 'warning',
+  Severe: 'critical',
+  Extreme: 'emergency',
+  Unknown: 'warning'
+};
+
+// Used when an alert has no explicit urgency
+const DEFAULT_URGENCY = {
+  info: 'future',
+  warning: 'expected',
+  critical: 'expected',
+  emergency: 'immediate'
+};
+
+const TYPE_CATEGORY = {
+  storm: 'Met',
+  tide: 'Met',
+  weather: 'Met',
+  cyclone: 'Met',
+  tsunami: 'Geo',
+  erosion: 'Geo',
+  pollution: 'Env',
+  emergency: 'Safety'
+};
+
+const TYPE_EVENT = {
+  storm: 'Storm',
+  tide: 'High Tide',
+  weather: 'Weather',
+  cyclone: 'Cyclone',
+  tsunami: 'Tsunami',
+  erosion: 'Coastal Erosion',
+  pollution: 'Pollution',
+  emergency: 'Emergency'
+};
+
+// Checked in order against the CAP <event> text when ingesting
+const EVENT_KEYWORDS = [
+  ['tsunami', /tsunami/i],
+  ['cyclone', /cyclone|hurricane|typhoon|depression/i],
+  ['storm', /storm|gale|squall|wind/i],
+  ['tide', /tide|surge|swell|flood/i],
+  ['erosion', /erosion/i],
+  ['pollution', /pollution|oil|spill|chemical|algal/i],
+  ['weather', /rain|weather|thunder|heat|fog|lightning/i]
+];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// CAP dateTime values need an explicit offset and no fractional seconds
+const formatCapDate = (date) => {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+};
+
+const getMsgType = (alert) => {
+  if (alert.msgType === 'update') return 'Update';
+  if (alert.msgType === 'cancel') return 'Cancel';
+  // Alerts cancelled in place, before cancel messages existed
+  if (alert.status === 'cancelled' && !alert.supersededBy) return 'Cancel';
+  return 'Alert';
+};
+
+// CAP references are "sender,identifier,sent" triples of earlier messages
+const getReferences = (alert, sender) => {
+  const previous = alert.supersedes;
+  if (!previous || !previous._id) return null;
+  return `${sender},${sender}:${previous._id},${formatCapDate(previous.updatedAt || previous.createdAt)}`;
+};
+
+const getResponseType = (alert) => {
+  if (alert.evacuationInfo && alert.evacuationInfo.required) return 'Evacuate';
+  if (alert.severity === 'critical' || alert.severity === 'emergency') return 'Prepare';
+  return 'Monitor';
+};
+
+const getCertainty = (alert) => {
+  if (alert.certainty) return capitalize(alert.certainty);
+  return alert.verificationStatus === 'verified' ? 'Likely' : 'Possible';
+};
+
+// CAP positions are "lat,lon" pairs separated by spaces
+const ringToCapPolygon = (ring) => ring.map(([lng, lat]) => `${lat},${lng}`).join(' ');
+
+const buildArea = (alert) => {
+  const { location } = alert;
+  const area = {
+    areaDesc: [location.address && location.address.city, location.coastalArea]
+      .filter(Boolean)
+      .join(', ')
+  };
+
+  if (location.type === 'Point') {
+    const [lng, lat] = location.coordinates;
+    area.circle = `${lat},${lng} ${location.radius || 0}`;
+  } else {
+    // CAP polygons have no holes, so only exterior rings are published
+    const polygons = location.type === 'Polygon' ? [location.coordinates] : location.coordinates;
+    area.polygon = polygons.map(polygon => ringToCapPolygon(polygon[0]));
+  }
+
+  return area;
+};
+
+const buildInfo = (alert, language, instruction, options) => {
+  const info = {
+    language: LANGUAGE_CODES[language] || LANGUAGE_CODES.english,
+    category: TYPE_CATEGORY[alert.type] || 'Other',
+    event: TYPE_EVENT[alert.type] || capitalize(alert.type),
+    responseType: getResponseType(alert),
+    urgency: capitalize(alert.urgency || DEFAULT_URGENCY[alert.severity] || 'unknown'),
+    severity: SEVERITY_TO_CAP[alert.severity] || 'Unknown',
+    certainty: getCertainty(alert)
+  };
+
+  if (alert.effectiveAt) info.effective = formatCapDate(alert.effectiveAt);
+  if (alert.onsetAt) info.onset = formatCapDate(alert.onsetAt);
+  if (alert.expiresAt) info.expires = formatCapDate(alert.expiresAt);
+  info.senderName = (alert.source && alert.source.name) || options.senderName;
+  info.headline = alert.title;
+  info.description = alert.description;
+  if (instruction) info.instruction = instruction;
+  if (options.baseUrl) info.web = `${options.baseUrl}/api/alerts/${alert._id}`;
+  info.area = buildArea(alert);
+
+  return info;
+};
+
+// Build a CAP 1.2 document for one alert, with one <info> block per instruction language
+const toCap = (alert, options = {}) => {
+  const settings = {
+    sender: process.env.CAP_SENDER || 'alerts@coastalguard.pro',
+    senderName: 'CoastalGuard',
+    ...options
+  };
+
+  const instructions = alert.instructions && alert.instructions.length > 0
+    ? alert.instructions
+    : [{ language: 'english', text: null }];
+
+  const capAlert = {
+    '@_xmlns': CAP_NAMESPACE,
+    identifier: `${settings.sender}:${alert._id}`,
+    sender: settings.sender,
+    sent: formatCapDate(alert.updatedAt || alert.createdAt || Date.now()),
+    status: 'Actual',
+    msgType: getMsgType(alert),
+    scope: 'Public'
+  };
+
+  // The schema fixes element order: code, then references, then info
+  if (alert.tags && alert.tags.length > 0) {
+    capAlert.code = alert.tags;
+  }
+
+  const references = getReferences(alert, settings.sender);
+  if (references) {
+    capAlert.references = references;
+  }
+
+  capAlert.info = instructions.map(inst => buildInfo(alert, inst.language, inst.text, settings));
+
+  const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ alert: capAlert });
+};
+
+// ATOM index of CAP documents, the usual way agencies publish CAP feeds
+const toAtomFeed = (alerts, options = {}) => {
+  const { baseUrl = '', title = 'CoastalGuard active alerts' } = options;
+  const updated = alerts.reduce((latest, alert) => {
+    const time = new Date(alert.updatedAt || alert.createdAt).getTime();
+    return Math.max(latest, time);
+  }, 0);
+
+  const feed = {
+    '@_xmlns': ATOM_NAMESPACE,
+    id: `${baseUrl}/api/alerts/feed.cap`,
+    title,
+    updated: formatCapDate(updated || Date.now()),
+    author: { name: 'CoastalGuard' },
+    link: { '@_rel': 'self', '@_href': `${baseUrl}/api/alerts/feed.cap` },
+    entry: alerts.map(alert => ({
+      id: `${baseUrl}/api/alerts/${alert._id}.cap`,
+      title: alert.title,
+      updated: formatCapDate(alert.updatedAt || alert.createdAt),
+      summary: alert.description,
+      category: { '@_term': SEVERITY_TO_CAP[alert.severity] || 'Unknown' },
+      link: {
+        '@_rel': 'alternate',
+        '@_type': CAP_CONTENT_TYPE,
+        '@_href': `${baseUrl}/api/alerts/${alert._id}.cap`
+      }
+    }))
+  };
+
+  const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ feed });
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['info', 'area', 'polygon', 'circle', 'entry', 'link'].includes(name)
+});
+
+const parseXml = (xml) => parser.parse(xml);
+
+const mapLanguage = (code = 'en') => {
+  const prefix = code.toLowerCase().split('-')[0];
+  const match = Object.entries(LANGUAGE_CODES).find(([, value]) => value.startsWith(`${prefix}-`));
+  return match ? match[0] : 'english';
+};
+
+const mapType = (info) => {
+  const match = EVENT_KEYWORDS.find(([, pattern]) => pattern.test(info.event || ''));
+  if (match) return match[0];
+  return info.category === 'Met' ? 'weather' : 'emergency';
+};
+
+const parseCapPolygon = (text) => {
+  const ring = String(text).trim().split(/\s+/).map(pair => {
+    const [lat, lng] = pair.split(',').map(Number);
+    return [lng, lat];
+  });
+  return [geo.toCounterClockwise(ring)];
+};
+
+const parseLocation = (areas) => {
+  const polygons = [];
+  let circle = null;
+
+  areas.forEach(area => {
+    (area.polygon || []).forEach(text => polygons.push(parseCapPolygon(text)));
+    if (!circle && area.circle && area.circle.length > 0) {
+      const [centre, radius] = String(area.circle[0]).trim().split(/\s+/);
+      const [lat, lng] = centre.split(',').map(Number);
+      circle = { coordinates: [lng, lat], radius: Number(radius) || 0 };
+    }
+  });
+
+  const areaDesc = areas.map(area => area.areaDesc).filter(Boolean).join(', ');
+  let location = null;
+
+  if (polygons.length === 1) {
+    location = { type: 'Polygon', coordinates: polygons[0] };
+  } else if (polygons.length > 1) {
+    location = { type: 'MultiPolygon', coordinates: polygons };
+  } else if (circle) {
+    location = { type: 'Point', coordinates: circle.coordinates, radius: circle.radius };
+  }
+
+  // Prefer the area named in the message, then the closest coastal area
+  const namedArea = geo.matchCoastalArea(areaDesc);
+  let reference = null;
+  if (location) {
+    reference = location.type === 'Point' ? location.coordinates : polygons[0][0][0];
+  }
+  const coastalArea = namedArea || (reference ? geo.nearestCoastalArea(reference) : null);
+
+  if (!location && coastalArea) {
+    location = { type: 'Point', coordinates: geo.COASTAL_AREA_CENTRES[coastalArea] };
+  }
+
+  return location ? { ...location, coastalArea } : null;
+};
+
+const truncate = (text = '', length) => {
+  return text.length > length ? text.substring(0, length - 3) + '...' : text;
+};
+
+// Convert a parsed CAP <alert> into Alert model fields plus message metadata
+const fromCap = (capAlert) => {
+  const infos = capAlert.info || [];
+  const message = {
+    identifier: capAlert.identifier,
+    sender: capAlert.sender,
+    sent: capAlert.sent ? new Date(capAlert.sent) : new Date(),
+    msgType: capAlert.msgType || 'Alert',
+    status: capAlert.status || 'Actual',
+    references: capAlert.references ? String(capAlert.references).trim().split(/\s+/) : []
+  };
+
+  // Only cancellations may leave out the info block
+  if (infos.length === 0) {
+    if (message.msgType === 'Cancel') return { ...message, data: null };
+    throw new Error('CAP alert has no info block');
+  }
+
+  const primary = infos.find(info => mapLanguage(info.language) === 'english') || infos[0];
+  const location = parseLocation(primary.area || []);
+  if (!location) {
+    throw new Error('CAP alert has no usable area');
+  }
+
+  const severity = CAP_TO_SEVERITY[primary.severity] || 'warning';
+  const data = {
+    title: truncate(primary.headline || primary.event || 'Agency alert', 100),
+    description: truncate(primary.description || primary.headline || primary.event || 'Agency alert', 1000),
+    type: mapType(primary),
+    severity,
+    urgency: primary.urgency ? primary.urgency.toLowerCase() : undefined,
+    certainty: primary.certainty ? primary.certainty.toLowerCase() : undefined,
+    location,
+    instructions: infos
+      .filter(info => info.instruction)
+      .map(info => ({ language: mapLanguage(info.language), text: info.instruction })),
+    source: {
+      type: 'api',
+      name: primary.senderName || capAlert.sender,
+      identifier: capAlert.identifier
+    },
+    tags: ['cap']
+  };
+
+  if (primary.effective) data.effectiveAt = new Date(primary.effective);
+  if (primary.onset) data.onsetAt = new Date(primary.onset);
+  if (primary.expires) data.expiresAt = new Date(primary.expires);
+  if (primary.responseType === 'Evacuate') data.evacuationInfo = { required: true };
+
+  return { ...message, data };
+};
+
+module.exports = {
+  CAP_CONTENT_TYPE,
+  LANGUAGE_CODES,
+  formatCapDate,
+  toCap,
+  toAtomFeed,
+  parseXml,
+  fromCap
+};
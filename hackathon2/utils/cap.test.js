@@ -0,0 +1,126 @@
+const cap = require('./cap');
+
+const square = [[72, 19], [73, 19], [73, 20], [72, 20], [72, 19]];
+
+const baseAlert = {
+  _id: '64b000000000000000000001',
+  title: 'Storm surge warning for Mumbai',
+  description: 'Storm surge of up to two meters expected along the Mumbai coast.',
+  type: 'storm',
+  severity: 'critical',
+  urgency: 'immediate',
+  certainty: 'likely',
+  verificationStatus: 'verified',
+  location: { type: 'Point', coordinates: [72.8777, 19.076], radius: 25, coastalArea: 'mumbai' },
+  instructions: [
+    { language: 'english', text: 'Move away from the shore.' },
+    { language: 'hindi', text: 'किनारे से दूर जाएं।' }
+  ],
+  effectiveAt: new Date('2026-06-01T06:00:00Z'),
+  expiresAt: new Date('2026-06-01T18:00:00Z'),
+  source: { type: 'manual', name: 'Mumbai EOC' },
+  tags: ['surge'],
+  createdAt: new Date('2026-06-01T05:30:00Z'),
+  updatedAt: new Date('2026-06-01T05:45:12.345Z')
+};
+
+// Export an alert and read it back the way the ingest does
+const roundTrip = (alert, options) => cap.fromCap(cap.parseXml(cap.toCap(alert, options)).alert);
+
+describe('formatCapDate', () => {
+  test('uses an explicit offset and no fractional seconds', () => {
+    expect(cap.formatCapDate(new Date('2026-06-01T05:45:12.345Z'))).toBe('2026-06-01T05:45:12+00:00');
+  });
+});
+
+describe('CAP round trip', () => {
+  test('keeps the fields of a point alert', () => {
+    const message = roundTrip(baseAlert, { sender: 'alerts@example.org' });
+
+    expect(message).toMatchObject({
+      identifier: `alerts@example.org:${baseAlert._id}`,
+      sender: 'alerts@example.org',
+      msgType: 'Alert',
+      status: 'Actual',
+      references: []
+    });
+    expect(message.data).toMatchObject({
+      title: baseAlert.title,
+      description: baseAlert.description,
+      type: 'storm',
+      severity: 'critical',
+      urgency: 'immediate',
+      certainty: 'likely',
+      location: { type: 'Point', coordinates: [72.8777, 19.076], radius: 25, coastalArea: 'mumbai' },
+      source: { type: 'api', name: 'Mumbai EOC', identifier: `alerts@example.org:${baseAlert._id}` }
+    });
+    expect(message.data.effectiveAt).toEqual(baseAlert.effectiveAt);
+    expect(message.data.expiresAt).toEqual(baseAlert.expiresAt);
+  });
+
+  test('keeps one instruction per language', () => {
+    const message = roundTrip(baseAlert);
+    expect(message.data.instructions).toEqual(baseAlert.instructions);
+  });
+
+  test('maps every severity both ways', () => {
+    ['info', 'warning', 'critical', 'emergency'].forEach(severity => {
+      expect(roundTrip({ ...baseAlert, severity }).data.severity).toBe(severity);
+    });
+  });
+
+  test('keeps polygon and multipolygon areas', () => {
+    const polygon = roundTrip({ ...baseAlert, location: { type: 'Polygon', coordinates: [square], coastalArea: 'mumbai' } });
+    expect(polygon.data.location).toEqual({ type: 'Polygon', coordinates: [square], coastalArea: 'mumbai' });
+
+    const shifted = square.map(([lng, lat]) => [lng + 2, lat]);
+    const multi = roundTrip({ ...baseAlert, location: { type: 'MultiPolygon', coordinates: [[square], [shifted]], coastalArea: 'mumbai' } });
+    expect(multi.data.location).toEqual({ type: 'MultiPolygon', coordinates: [[square], [shifted]], coastalArea: 'mumbai' });
+  });
+
+  test('references the superseded message of an update', () => {
+    const update = {
+      ...baseAlert,
+      _id: '64b000000000000000000002',
+      msgType: 'update',
+      supersedes: { _id: baseAlert._id, updatedAt: baseAlert.updatedAt }
+    };
+    const message = roundTrip(update, { sender: 'alerts@example.org' });
+
+    expect(message.msgType).toBe('Update');
+    expect(message.references).toEqual([`alerts@example.org,alerts@example.org:${baseAlert._id},2026-06-01T05:45:12+00:00`]);
+  });
+
+  test('marks cancellations', () => {
+    expect(roundTrip({ ...baseAlert, msgType: 'cancel', status: 'cancelled' }).msgType).toBe('Cancel');
+  });
+});
+
+describe('fromCap', () => {
+  test('accepts a cancellation without an info block', () => {
+    const message = cap.fromCap({ identifier: 'agency:2', sender: 'agency', msgType: 'Cancel', references: 'agency,agency:1,2026-06-01T05:00:00+00:00' });
+    expect(message).toMatchObject({ msgType: 'Cancel', data: null, references: ['agency,agency:1,2026-06-01T05:00:00+00:00'] });
+  });
+
+  test('rejects other messages without an info block', () => {
+    expect(() => cap.fromCap({ identifier: 'agency:3', msgType: 'Alert' })).toThrow('CAP alert has no info block');
+  });
+
+  test('names the coastal area from the area description and falls back to its centre', () => {
+    const message = cap.fromCap({
+      identifier: 'agency:4',
+      info: [{ language: 'en-IN', event: 'High tide', severity: 'Moderate', area: [{ areaDesc: 'Coast of Kerala' }] }]
+    });
+    expect(message.data.type).toBe('tide');
+    expect(message.data.location).toMatchObject({ type: 'Point', coastalArea: 'kerala' });
+  });
+
+  test('winds ingested polygons counter-clockwise', () => {
+    const clockwise = square.slice().reverse().map(([lng, lat]) => `${lat},${lng}`).join(' ');
+    const message = cap.fromCap({
+      identifier: 'agency:5',
+      info: [{ event: 'Storm', area: [{ areaDesc: 'Mumbai', polygon: [clockwise] }] }]
+    });
+    expect(message.data.location.coordinates).toEqual([square]);
+  });
+});
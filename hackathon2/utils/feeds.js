@@ -0,0 +1,127 @@
+const { XMLBuilder } = require('fast-xml-parser');
+const cap = require('./cap');
+
+// RSS 2.0, Atom 1.0 and GeoJSON renderings of alert listings for public syndication
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const GEORSS_NAMESPACE = 'http://www.georss.org/georss';
+
+const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+
+const alertUrl = (alert, baseUrl) => `${baseUrl}/api/alerts/${alert._id}`;
+
+const entryTitle = (alert) => `[${alert.severity.toUpperCase()}] ${alert.title}`;
+
+const latestUpdate = (alerts) => {
+  const latest = alerts.reduce((time, alert) => {
+    return Math.max(time, new Date(alert.updatedAt || alert.createdAt).getTime());
+  }, 0);
+  return latest ? new Date(latest) : new Date();
+};
+
+// GeoRSS positions are "lat lon" pairs separated by spaces
+const toGeoRss = (location) => {
+  if (location.type === 'Point') {
+    const [lng, lat] = location.coordinates;
+    return { 'georss:point': `${lat} ${lng}` };
+  }
+
+  const polygons = location.type === 'Polygon' ? [location.coordinates] : location.coordinates;
+  return {
+    'georss:polygon': polygons.map(polygon => polygon[0].map(([lng, lat]) => `${lat} ${lng}`).join(' '))
+  };
+};
+
+const toRss = (alerts, { baseUrl = '', selfUrl, title, description }) => {
+  const channel = {
+    title,
+    link: `${baseUrl}/api/alerts`,
+    description,
+    language: 'en-in',
+    lastBuildDate: latestUpdate(alerts).toUTCString(),
+    ttl: 5,
+    'atom:link': { '@_href': selfUrl, '@_rel': 'self', '@_type': 'application/rss+xml' },
+    item: alerts.map(alert => ({
+      title: entryTitle(alert),
+      link: alertUrl(alert, baseUrl),
+      description: alert.description,
+      category: [alert.type, alert.severity, alert.location.coastalArea].filter(Boolean),
+      guid: { '@_isPermaLink': 'false', '#text': String(alert._id) },
+      pubDate: new Date(alert.effectiveAt || alert.createdAt).toUTCString(),
+      ...toGeoRss(alert.location)
+    }))
+  };
+
+  const rss = {
+    '@_version': '2.0',
+    '@_xmlns:atom': ATOM_NAMESPACE,
+    '@_xmlns:georss': GEORSS_NAMESPACE,
+    channel
+  };
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ rss });
+};
+
+const toAtom = (alerts, { baseUrl = '', selfUrl, title }) => {
+  const feed = {
+    '@_xmlns': ATOM_NAMESPACE,
+    '@_xmlns:georss': GEORSS_NAMESPACE,
+    id: selfUrl,
+    title,
+    updated: cap.formatCapDate(latestUpdate(alerts)),
+    author: { name: 'CoastalGuard' },
+    link: { '@_rel': 'self', '@_type': 'application/atom+xml', '@_href': selfUrl },
+    entry: alerts.map(alert => ({
+      id: `urn:coastalguard:alert:${alert._id}`,
+      title: entryTitle(alert),
+      updated: cap.formatCapDate(alert.updatedAt || alert.createdAt),
+      published: cap.formatCapDate(alert.effectiveAt || alert.createdAt),
+      summary: alert.description,
+      category: [alert.type, alert.severity].map(term => ({ '@_term': term })),
+      link: [
+        { '@_rel': 'alternate', '@_type': 'application/json', '@_href': alertUrl(alert, baseUrl) },
+        { '@_rel': 'alternate', '@_type': cap.CAP_CONTENT_TYPE, '@_href': `${alertUrl(alert, baseUrl)}.cap` }
+      ],
+      ...toGeoRss(alert.location)
+    }))
+  };
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ feed });
+};
+
+// Point areas keep their radius as a property rather than being approximated
+const toGeoJson = (alerts, { baseUrl = '' }) => ({
+  type: 'FeatureCollection',
+  features: alerts.map(alert => ({
+    type: 'Feature',
+    id: String(alert._id),
+    geometry: {
+      type: alert.location.type,
+      coordinates: alert.location.coordinates
+    },
+    properties: {
+      title: alert.title,
+      description: alert.description,
+      type: alert.type,
+      severity: alert.severity,
+      urgency: alert.urgency,
+      certainty: alert.certainty,
+      msgType: alert.msgType,
+      coastalArea: alert.location.coastalArea,
+      radiusKm: alert.location.type === 'Point' ? alert.location.radius : undefined,
+      effectiveAt: alert.effectiveAt,
+      onsetAt: alert.onsetAt,
+      expiresAt: alert.expiresAt,
+      updatedAt: alert.updatedAt,
+      url: alertUrl(alert, baseUrl),
+      capUrl: `${alertUrl(alert, baseUrl)}.cap`
+    }
+  }))
+});
+
+module.exports = {
+  latestUpdate,
+  toRss,
+  toAtom,
+  toGeoJson
+};
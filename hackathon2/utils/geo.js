@@ -0,0 +1,370 @@
+// GeoJSON helpers for alert areas. Positions are [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6371;
+
+// Approximate centre of each supported coastal area
+const COASTAL_AREA_CENTRES = {
+  mumbai: [72.8777, 19.0760],
+  goa: [74.1240, 15.2993],
+  kerala: [76.2711, 10.8505],
+  tamilnadu: [78.6569, 11.1271],
+  andhra: [79.7400, 15.9129],
+  odisha: [85.0985, 20.9517],
+  westbengal: [87.8550, 22.9868],
+  gujarat: [71.1924, 22.2587]
+};
+
+// Place names that identify each coastal area in free text
+const COASTAL_AREA_PATTERNS = {
+  mumbai: /mumbai|maharashtra|konkan/i,
+  goa: /goa/i,
+  kerala: /kerala/i,
+  tamilnadu: /tamil\s*nadu|chennai|puducherry/i,
+  andhra: /andhra/i,
+  odisha: /odisha|orissa/i,
+  westbengal: /west\s*bengal|kolkata/i,
+  gujarat: /gujarat|kutch|saurashtra/i
+};
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance between two positions in kilometers
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b[1] - a[1]);
+  const dLon = toRadians(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+const isPosition = (position) => {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90;
+};
+
+// Shoelace formula; positive for counter-clockwise rings
+const signedRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+};
+
+const orientation = (p, q, r) => {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (value === 0) return 0;
+  return value > 0 ? 1 : 2;
+};
+
+const onSegment = (p, q, r) => {
+  return q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0]) &&
+         q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1]);
+};
+
+const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+  if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+  if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+  if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+  return false;
+};
+
+// Check every pair of non-adjacent edges in a closed ring
+const ringSelfIntersects = (ring) => {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 1; j < edges; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === edges - 1);
+      if (adjacent) continue;
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+const validateRing = (ring, isExterior) => {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return 'Each ring must have at least 4 positions';
+  }
+  if (!ring.every(isPosition)) {
+    return 'Ring positions must be [longitude, latitude] pairs within valid ranges';
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return 'Rings must be closed (first and last positions must match)';
+  }
+  if (ringSelfIntersects(ring)) {
+    return 'Rings must not self-intersect';
+  }
+  const area = signedRingArea(ring);
+  if (area === 0) {
+    return 'Rings must enclose an area';
+  }
+  if (isExterior && area < 0) {
+    return 'Exterior rings must be wound counter-clockwise';
+  }
+  if (!isExterior && area > 0) {
+    return 'Interior rings (holes) must be wound clockwise';
+  }
+  return null;
+};
+
+const validatePolygon = (polygon) => {
+  if (!Array.isArray(polygon) || polygon.length === 0) {
+    return 'Polygon must contain at least one ring';
+  }
+  for (let i = 0; i < polygon.length; i++) {
+    const error = validateRing(polygon[i], i === 0);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Returns an error message, or null when the geometry is a valid alert area
+const validateGeometry = (geometry) => {
+  if (!geometry || !geometry.type) {
+    return 'Geometry type is required';
+  }
+  const { type, coordinates } = geometry;
+
+  switch (type) {
+    case 'Point':
+      return Array.isArray(coordinates) && coordinates.length === 2 && isPosition(coordinates)
+        ? null
+        : 'Point coordinates must be [longitude, latitude]';
+    case 'Polygon':
+      return validatePolygon(coordinates);
+    case 'MultiPolygon':
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        return 'MultiPolygon must contain at least one polygon';
+      }
+      for (const polygon of coordinates) {
+        const error = validatePolygon(polygon);
+        if (error) return error;
+      }
+      return null;
+    default:
+      return `Unsupported geometry type: ${type}`;
+  }
+};
+
+// Return a copy of the ring wound counter-clockwise (GeoJSON exterior order)
+const toCounterClockwise = (ring) => {
+  return signedRingArea(ring) < 0 ? ring.slice().reverse() : ring.slice();
+};
+
+// Ray casting test against a single ring
+const pointInRing = (point, ring) => {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > y) !== (yj > y) &&
+                    x < (xj - xi) * (y - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+const pointInPolygon = (point, polygon) => {
+  if (!pointInRing(point, polygon[0])) return false;
+  return !polygon.slice(1).some(hole => pointInRing(point, hole));
+};
+
+const geometryPolygons = (geometry) => {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+const pointInGeometry = (point, geometry) => {
+  return geometryPolygons(geometry).some(polygon => pointInPolygon(point, polygon));
+};
+
+// Distance from a point to a segment, projected onto a local flat plane
+const distanceToSegmentKm = (point, a, b) => {
+  const kmPerDegLat = Math.PI * EARTH_RADIUS_KM / 180;
+  const kmPerDegLon = kmPerDegLat * Math.cos(toRadians(point[1]));
+  const project = (p) => [(p[0] - point[0]) * kmPerDegLon, (p[1] - point[1]) * kmPerDegLat];
+
+  const [ax, ay] = project(a);
+  const [bx, by] = project(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Kilometers from a point to the nearest edge of a polygon area (0 if inside)
+const distanceToGeometryKm = (point, geometry) => {
+  if (geometry.type === 'Point') {
+    return haversineDistance(point, geometry.coordinates);
+  }
+  if (pointInGeometry(point, geometry)) return 0;
+
+  let minDistance = Infinity;
+  geometryPolygons(geometry).forEach(polygon => {
+    polygon.forEach(ring => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        minDistance = Math.min(minDistance, distanceToSegmentKm(point, ring[i], ring[i + 1]));
+      }
+    });
+  });
+  return minDistance;
+};
+
+// Approximate a circle as a counter-clockwise polygon so it can be used with $geoIntersects
+const circleToPolygon = (center, radiusKm, steps = 32) => {
+  const [lng, lat] = center;
+  const angularDistance = radiusKm / EARTH_RADIUS_KM;
+  const latRad = toRadians(lat);
+  const lngRad = toRadians(lng);
+  const ring = [];
+
+  for (let i = 0; i < steps; i++) {
+    const bearing = 2 * Math.PI * i / steps;
+    const pointLat = Math.asin(Math.sin(latRad) * Math.cos(angularDistance) +
+                               Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearing));
+    const pointLng = lngRad + Math.atan2(Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(latRad),
+                                         Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(pointLat));
+    ring.push([pointLng * 180 / Math.PI, pointLat * 180 / Math.PI]);
+  }
+  ring.push(ring[0]);
+
+  // Bearings advance clockwise, so reverse for GeoJSON exterior winding
+  return { type: 'Polygon', coordinates: [ring.reverse()] };
+};
+
+// Representative [lng, lat] of an alert area: the point itself, or the mean
+// of the outer ring of the (first) polygon. Good enough to centre a map on.
+const geometryCentre = (geometry) => {
+  if (geometry.type === 'Point') return geometry.coordinates;
+
+  const polygon = geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates[0];
+  const ring = polygon[0].slice(0, -1);
+  const sum = ring.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+};
+
+// Coastal area whose centre is closest to a position
+const nearestCoastalArea = (position) => {
+  let nearest = null;
+  let minDistance = Infinity;
+  Object.entries(COASTAL_AREA_CENTRES).forEach(([area, centre]) => {
+    const distance = haversineDistance(position, centre);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = area;
+    }
+  });
+  return nearest;
+};
+
+// Coastal area named in a piece of text such as "Maharashtra Coast"
+const matchCoastalArea = (text = '') => {
+  return Object.keys(COASTAL_AREA_PATTERNS).find(area => COASTAL_AREA_PATTERNS[area].test(text)) || null;
+};
+
+// Aggregation expression for the great-circle distance in kilometers between
+// a stored [lng, lat] field and a fixed position
+const distanceKmExpression = (field, [lng, lat]) => {
+  const lat1 = { $degreesToRadians: { $arrayElemAt: [field, 1] } };
+  const lat2 = toRadians(lat);
+  const halfDLat = { $divide: [{ $subtract: [lat2, lat1] }, 2] };
+  const halfDLon = { $divide: [{ $subtract: [toRadians(lng), { $degreesToRadians: { $arrayElemAt: [field, 0] } }] }, 2] };
+  const h = {
+    $add: [
+      { $pow: [{ $sin: halfDLat }, 2] },
+      { $multiply: [{ $cos: lat1 }, Math.cos(lat2), { $pow: [{ $sin: halfDLon }, 2] }] }
+    ]
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [h, 1] } } }] };
+};
+
+// Query filter matching alerts whose area comes within radiusKm of a point.
+// Polygon areas must reach the search circle; point areas cover their own
+// radius, so they match when that radius and the search radius overlap.
+const nearPointCondition = (coordinates, radiusKm) => {
+  const geometry = radiusKm > 0
+    ? circleToPolygon(coordinates, radiusKm)
+    : { type: 'Point', coordinates };
+  return {
+    $or: [
+      {
+        'location.type': { $in: ['Polygon', 'MultiPolygon'] },
+        location: { $geoIntersects: { $geometry: geometry } }
+      },
+      {
+        'location.type': 'Point',
+        $expr: {
+          $lte: [
+            distanceKmExpression('$location.coordinates', coordinates),
+            { $add: [{ $ifNull: ['$location.radius', 0] }, radiusKm || 0] }
+          ]
+        }
+      }
+    ]
+  };
+};
+
+// Alert area as a GeoJSON geometry; point areas with a radius become circles
+const areaGeometry = (area) => {
+  if (area.type === 'Point') {
+    return area.radius > 0
+      ? circleToPolygon(area.coordinates, area.radius)
+      : { type: 'Point', coordinates: area.coordinates };
+  }
+  return { type: area.type, coordinates: area.coordinates };
+};
+
+// Query condition matching stored geometries that overlap an alert area
+const intersectsAreaCondition = (area) => {
+  return { $geoIntersects: { $geometry: areaGeometry(area) } };
+};
+
+// Query condition matching stored [lng, lat] points that fall inside an alert area
+const withinAreaCondition = (area) => {
+  if (area.type === 'Point') {
+    return {
+      $geoWithin: {
+        $centerSphere: [area.coordinates, (area.radius || 0) / EARTH_RADIUS_KM]
+      }
+    };
+  }
+  return { $geoWithin: { $geometry: { type: area.type, coordinates: area.coordinates } } };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  COASTAL_AREA_CENTRES,
+  haversineDistance,
+  isPosition,
+  validateGeometry,
+  toCounterClockwise,
+  pointInGeometry,
+  distanceToGeometryKm,
+  circleToPolygon,
+  geometryCentre,
+  nearestCoastalArea,
+  matchCoastalArea,
+  nearPointCondition,
+  areaGeometry,
+  intersectsAreaCondition,
+  withinAreaCondition
+};
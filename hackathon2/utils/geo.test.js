@@ -0,0 +1,106 @@
+const geo = require('./geo');
+
+// Unit square wound counter-clockwise, as GeoJSON wants exterior rings
+const square = [[72, 19], [73, 19], [73, 20], [72, 20], [72, 19]];
+const hole = [[72.25, 19.25], [72.25, 19.75], [72.75, 19.75], [72.75, 19.25], [72.25, 19.25]];
+
+describe('validateGeometry', () => {
+  test('accepts a point', () => {
+    expect(geo.validateGeometry({ type: 'Point', coordinates: [72.8777, 19.076] })).toBeNull();
+  });
+
+  test('rejects a point out of range', () => {
+    expect(geo.validateGeometry({ type: 'Point', coordinates: [190, 19] })).toMatch(/longitude, latitude/);
+  });
+
+  test('accepts a counter-clockwise polygon with a clockwise hole', () => {
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [square, hole] })).toBeNull();
+  });
+
+  test('rejects a clockwise exterior ring', () => {
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [square.slice().reverse()] }))
+      .toBe('Exterior rings must be wound counter-clockwise');
+  });
+
+  test('rejects a counter-clockwise hole', () => {
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [square, hole.slice().reverse()] }))
+      .toBe('Interior rings (holes) must be wound clockwise');
+  });
+
+  test('rejects a bow-tie ring', () => {
+    const bowTie = [[72, 19], [73, 20], [73, 19], [72, 20], [72, 19]];
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [bowTie] })).toBe('Rings must not self-intersect');
+  });
+
+  test('rejects a ring that touches itself at a vertex', () => {
+    const touching = [[72, 19], [74, 19], [73, 20], [73, 19], [72, 20], [72, 19]];
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [touching] })).toBe('Rings must not self-intersect');
+  });
+
+  test('rejects open and degenerate rings', () => {
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [square.slice(0, -1)] })).toMatch(/closed|at least 4/);
+    expect(geo.validateGeometry({ type: 'Polygon', coordinates: [[[72, 19], [73, 19], [74, 19], [72, 19]]] }))
+      .toBe('Rings must enclose an area');
+  });
+
+  test('checks every polygon of a multipolygon', () => {
+    const shifted = square.map(([lng, lat]) => [lng + 2, lat]);
+    expect(geo.validateGeometry({ type: 'MultiPolygon', coordinates: [[square], [shifted]] })).toBeNull();
+    expect(geo.validateGeometry({ type: 'MultiPolygon', coordinates: [[square], [shifted.slice().reverse()]] }))
+      .toBe('Exterior rings must be wound counter-clockwise');
+  });
+});
+
+describe('toCounterClockwise', () => {
+  test('reverses clockwise rings only', () => {
+    expect(geo.toCounterClockwise(square.slice().reverse())).toEqual(square);
+    expect(geo.toCounterClockwise(square)).toEqual(square);
+  });
+});
+
+describe('pointInGeometry and distanceToGeometryKm', () => {
+  const polygon = { type: 'Polygon', coordinates: [square, hole] };
+
+  test('excludes points inside a hole', () => {
+    expect(geo.pointInGeometry([72.1, 19.1], polygon)).toBe(true);
+    expect(geo.pointInGeometry([72.5, 19.5], polygon)).toBe(false);
+  });
+
+  test('is zero inside and the distance to the nearest edge outside', () => {
+    expect(geo.distanceToGeometryKm([72.1, 19.1], polygon)).toBe(0);
+    // 0.1 degrees of latitude south of the bottom edge
+    expect(geo.distanceToGeometryKm([72.5, 18.9], polygon)).toBeCloseTo(11.12, 1);
+  });
+});
+
+describe('circleToPolygon', () => {
+  test('builds a valid counter-clockwise ring around the centre', () => {
+    const circle = geo.circleToPolygon([72.8777, 19.076], 10);
+    expect(geo.validateGeometry(circle)).toBeNull();
+    circle.coordinates[0].slice(0, -1).forEach(position => {
+      expect(geo.haversineDistance([72.8777, 19.076], position)).toBeCloseTo(10, 1);
+    });
+  });
+});
+
+describe('nearPointCondition', () => {
+  test('matches point areas by their own radius plus the search radius', () => {
+    const condition = geo.nearPointCondition([72.95, 19.076], 5);
+    const pointClause = condition.$or.find(clause => clause['location.type'] === 'Point');
+    expect(pointClause.$expr.$lte[1]).toEqual({ $add: [{ $ifNull: ['$location.radius', 0] }, 5] });
+  });
+
+  test('matches polygon areas that reach the search circle', () => {
+    const condition = geo.nearPointCondition([72.95, 19.076], 5);
+    const polygonClause = condition.$or.find(clause => clause.location);
+    expect(polygonClause.location.$geoIntersects.$geometry.type).toBe('Polygon');
+  });
+});
+
+describe('coastal areas', () => {
+  test('finds the nearest coastal area and matches place names', () => {
+    expect(geo.nearestCoastalArea([72.9, 19.1])).toBe('mumbai');
+    expect(geo.matchCoastalArea('Coast of Tamil Nadu')).toBe('tamilnadu');
+    expect(geo.matchCoastalArea('Somewhere else')).toBeNull();
+  });
+});
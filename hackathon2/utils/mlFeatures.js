@@ -0,0 +1,72 @@
+// Model inputs for each hazard: sensor reading fields in order, with the
+// value used when a reading lacks one. Training and detection both build
+// their input vectors from these so a trained model sees the same features.
+const FEATURES = {
+  flooding: [
+    ['water_level', 0],
+    ['tide_height', 0],
+    ['rainfall', 0],
+    ['storm_surge', 0],
+    ['humidity', 0],
+    ['temperature', 25]
+  ],
+  erosion: [
+    ['shoreline_change', 0],
+    ['wave_height', 0],
+    ['tide_range', 0],
+    ['sediment_loss', 0],
+    ['wind_speed', 0],
+    ['current_speed', 0]
+  ],
+  pollution: [
+    ['water_quality', 7.0],
+    ['oil_spill', 0],
+    ['plastic_concentration', 0],
+    ['chemical_levels', 0],
+    ['turbidity', 0],
+    ['dissolved_oxygen', 8.0]
+  ],
+  storm: [
+    ['wind_speed', 0],
+    ['wave_height', 0],
+    ['atmospheric_pressure', 1013],
+    ['storm_category', 0],
+    ['humidity', 0],
+    ['temperature', 25]
+  ]
+};
+
+const HAZARDS = Object.keys(FEATURES);
+
+const featureNames = (hazard) => FEATURES[hazard].map(([name]) => name);
+
+// Raw input vector for a reading
+const featureVector = (hazard, values = {}) => {
+  return FEATURES[hazard].map(([name, fallback]) => {
+    const value = Number(values[name]);
+    return values[name] !== undefined && values[name] !== null && Number.isFinite(value) ? value : fallback;
+  });
+};
+
+// Per-feature mean and standard deviation of a training set
+const normalization = (vectors) => {
+  const size = vectors[0].length;
+  const mean = Array.from({ length: size }, (_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+  const std = mean.map((m, i) => {
+    const variance = vectors.reduce((sum, vector) => sum + (vector[i] - m) ** 2, 0) / vectors.length;
+    // Constant features are left centred rather than divided by zero
+    return Math.sqrt(variance) || 1;
+  });
+  return { mean, std };
+};
+
+const normalize = (vector, { mean, std }) => vector.map((value, i) => (value - mean[i]) / std[i]);
+
+module.exports = {
+  FEATURES,
+  HAZARDS,
+  featureNames,
+  featureVector,
+  normalization,
+  normalize
+};
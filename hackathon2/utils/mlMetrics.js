@@ -0,0 +1,58 @@
+// Evaluation metrics for a binary classifier's scores against true labels
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+// Area under the ROC curve: the chance a random positive scores above a
+// random negative, with ties counting half. Null unless both classes occur.
+const rocAuc = (labels, scores) => {
+  const ranked = labels.map((label, i) => ({ label, score: scores[i] })).sort((a, b) => a.score - b.score);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks over tied scores
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+// Confusion matrix and summary metrics, predicting positive at or above `threshold`
+const evaluate = (labels, scores, threshold = 0.5) => {
+  const confusionMatrix = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+
+  labels.forEach((label, i) => {
+    const predicted = scores[i] >= threshold ? 1 : 0;
+    if (predicted === 1 && label === 1) confusionMatrix.truePositive++;
+    if (predicted === 1 && label === 0) confusionMatrix.falsePositive++;
+    if (predicted === 0 && label === 0) confusionMatrix.trueNegative++;
+    if (predicted === 0 && label === 1) confusionMatrix.falseNegative++;
+  });
+
+  const { truePositive, falsePositive, trueNegative, falseNegative } = confusionMatrix;
+  const precision = ratio(truePositive, truePositive + falsePositive);
+  const recall = ratio(truePositive, truePositive + falseNegative);
+
+  return {
+    threshold,
+    accuracy: ratio(truePositive + trueNegative, labels.length),
+    precision,
+    recall,
+    f1Score: ratio(2 * precision * recall, precision + recall),
+    rocAuc: rocAuc(labels, scores),
+    confusionMatrix
+  };
+};
+
+module.exports = {
+  rocAuc,
+  evaluate
+};
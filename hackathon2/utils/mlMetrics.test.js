@@ -0,0 +1,60 @@
+const mlMetrics = require('./mlMetrics');
+
+describe('rocAuc', () => {
+  test('counts the pairs a positive outscores a negative', () => {
+    // 13 of the 16 positive-negative pairs are ranked correctly
+    expect(mlMetrics.rocAuc([1, 1, 1, 0, 0, 0, 0, 1], [0.9, 0.8, 0.4, 0.6, 0.2, 0.1, 0.5, 0.55])).toBeCloseTo(0.8125);
+  });
+
+  test('counts tied scores as half a pair', () => {
+    // One tied pair and three correct pairs: 3.5 / 4
+    expect(mlMetrics.rocAuc([1, 0, 1, 0], [0.5, 0.5, 0.8, 0.2])).toBeCloseTo(0.875);
+    expect(mlMetrics.rocAuc([1, 0, 0, 1, 0], [0.3, 0.3, 0.3, 0.3, 0.3])).toBeCloseTo(0.5);
+  });
+
+  test('is 1 for a perfect ranking and 0 for a reversed one', () => {
+    expect(mlMetrics.rocAuc([0, 0, 1, 1], [0.1, 0.2, 0.7, 0.9])).toBe(1);
+    expect(mlMetrics.rocAuc([0, 0, 1, 1], [0.9, 0.7, 0.2, 0.1])).toBe(0);
+  });
+
+  test('is null unless both classes occur', () => {
+    expect(mlMetrics.rocAuc([1, 1], [0.2, 0.9])).toBeNull();
+    expect(mlMetrics.rocAuc([0, 0], [0.2, 0.9])).toBeNull();
+    expect(mlMetrics.rocAuc([], [])).toBeNull();
+  });
+});
+
+describe('evaluate', () => {
+  test('builds the confusion matrix and metrics at the threshold', () => {
+    const result = mlMetrics.evaluate([1, 1, 1, 0, 0, 0, 0, 1], [0.9, 0.8, 0.4, 0.6, 0.2, 0.1, 0.5, 0.55]);
+
+    expect(result.confusionMatrix).toEqual({ truePositive: 3, falsePositive: 2, trueNegative: 2, falseNegative: 1 });
+    expect(result.threshold).toBe(0.5);
+    expect(result.accuracy).toBeCloseTo(5 / 8);
+    expect(result.precision).toBeCloseTo(3 / 5);
+    expect(result.recall).toBeCloseTo(3 / 4);
+    expect(result.f1Score).toBeCloseTo(2 / 3);
+    expect(result.rocAuc).toBeCloseTo(0.8125);
+  });
+
+  test('predicts positive at the threshold itself', () => {
+    const result = mlMetrics.evaluate([1, 0, 0], [0.7, 0.7, 0.69], 0.7);
+    expect(result.confusionMatrix).toEqual({ truePositive: 1, falsePositive: 1, trueNegative: 1, falseNegative: 0 });
+    expect(result.precision).toBeCloseTo(0.5);
+    expect(result.recall).toBe(1);
+  });
+
+  test('scores zero rather than dividing by zero when nothing is predicted positive', () => {
+    const result = mlMetrics.evaluate([1, 0, 0, 0], [0.4, 0.3, 0.2, 0.1]);
+    expect(result.confusionMatrix).toEqual({ truePositive: 0, falsePositive: 0, trueNegative: 3, falseNegative: 1 });
+    expect(result.accuracy).toBeCloseTo(0.75);
+    expect(result.precision).toBe(0);
+    expect(result.recall).toBe(0);
+    expect(result.f1Score).toBe(0);
+    expect(result.rocAuc).toBe(1);
+  });
+
+  test('handles an empty test set', () => {
+    expect(mlMetrics.evaluate([], [])).toMatchObject({ accuracy: 0, precision: 0, recall: 0, f1Score: 0, rocAuc: null });
+  });
+});
@@ -0,0 +1,93 @@
+// Quiet hours hold back low-severity alerts overnight. Times are "HH:mm" in
+// the user's time zone; a window may wrap past midnight (22:00 to 06:00).
+
+// Severities that are always delivered, quiet hours or not
+const OVERRIDE_SEVERITIES = ['critical', 'emergency'];
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes since local midnight in the given time zone
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+// Minutes the time zone is ahead of UTC at the given moment
+const utcOffsetMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return Math.round((local - date.getTime()) / 60000);
+};
+
+// When the current quiet window ends, or null outside quiet hours
+const quietUntil = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) return null;
+  if (!isValidTime(quietHours.start) || !isValidTime(quietHours.end)) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const timezone = quietHours.timezone || DEFAULT_TIMEZONE;
+  const now = localMinutes(date, timezone);
+  const inWindow = start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+  if (!inWindow) return null;
+
+  // Counted on the local clock, so a daylight saving change in between moves
+  // the end by the hour the clocks moved
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const until = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  until.setTime(until.getTime() - (utcOffsetMinutes(until, timezone) - utcOffsetMinutes(date, timezone)) * 60 * 1000);
+  until.setSeconds(0, 0);
+  return until;
+};
+
+// When an alert of this severity may be sent, or null to send it now
+const holdUntil = (quietHours, severity, date = new Date()) => {
+  if (OVERRIDE_SEVERITIES.includes(severity)) return null;
+  return quietUntil(quietHours, date);
+};
+
+module.exports = {
+  OVERRIDE_SEVERITIES,
+  DEFAULT_TIMEZONE,
+  isValidTime,
+  isValidTimezone,
+  quietUntil,
+  holdUntil
+};
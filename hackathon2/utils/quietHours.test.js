@@ -0,0 +1,82 @@
+const quietHours = require('./quietHours');
+
+const overnight = { enabled: true, start: '22:00', end: '06:00', timezone: 'Asia/Kolkata' };
+
+// 2026-06-01 at the given time in India (UTC+05:30)
+const ist = (time) => new Date(`2026-06-01T${time}:00+05:30`);
+
+describe('quietUntil', () => {
+  test('holds messages in a window that wraps past midnight', () => {
+    expect(quietHours.quietUntil(overnight, ist('23:30'))).toEqual(new Date('2026-06-02T06:00:00+05:30'));
+    expect(quietHours.quietUntil(overnight, ist('02:15'))).toEqual(ist('06:00'));
+    expect(quietHours.quietUntil(overnight, ist('22:00'))).toEqual(new Date('2026-06-02T06:00:00+05:30'));
+  });
+
+  test('lets messages through outside a wrapping window', () => {
+    expect(quietHours.quietUntil(overnight, ist('06:00'))).toBeNull();
+    expect(quietHours.quietUntil(overnight, ist('12:00'))).toBeNull();
+    expect(quietHours.quietUntil(overnight, ist('21:59'))).toBeNull();
+  });
+
+  test('handles a window within one day', () => {
+    const afternoon = { enabled: true, start: '13:00', end: '15:30', timezone: 'Asia/Kolkata' };
+    expect(quietHours.quietUntil(afternoon, ist('14:00'))).toEqual(ist('15:30'));
+    expect(quietHours.quietUntil(afternoon, ist('15:30'))).toBeNull();
+    expect(quietHours.quietUntil(afternoon, ist('02:00'))).toBeNull();
+  });
+
+  test('reads the window in the user\'s time zone', () => {
+    const london = { ...overnight, timezone: 'Europe/London' };
+    // 23:30 in India is 19:00 in London (BST)
+    expect(quietHours.quietUntil(london, ist('23:30'))).toBeNull();
+    // 03:30 in India is 23:00 in London, seven hours before 06:00 there
+    expect(quietHours.quietUntil(london, ist('03:30'))).toEqual(new Date('2026-06-01T05:00:00Z'));
+  });
+
+  test('ends at the local time across a daylight saving change', () => {
+    const newYork = { enabled: true, start: '22:00', end: '06:00', timezone: 'America/New_York' };
+    // Clocks go forward on 8 March 2026: 01:00 EST until 06:00 EDT
+    expect(quietHours.quietUntil(newYork, new Date('2026-03-08T06:00:00Z'))).toEqual(new Date('2026-03-08T10:00:00Z'));
+    // and back on 1 November 2026: 01:00 EDT until 06:00 EST
+    expect(quietHours.quietUntil(newYork, new Date('2026-11-01T05:00:00Z'))).toEqual(new Date('2026-11-01T11:00:00Z'));
+  });
+
+  test('defaults to India time when no time zone is set', () => {
+    const withoutZone = { ...overnight, timezone: undefined };
+    expect(quietHours.quietUntil(withoutZone, ist('23:30'))).toEqual(quietHours.quietUntil(overnight, ist('23:30')));
+  });
+
+  test('is off when disabled, empty or invalid', () => {
+    expect(quietHours.quietUntil({ ...overnight, enabled: false }, ist('23:30'))).toBeNull();
+    expect(quietHours.quietUntil({ ...overnight, end: '22:00' }, ist('23:30'))).toBeNull();
+    expect(quietHours.quietUntil({ ...overnight, start: '24:00' }, ist('23:30'))).toBeNull();
+    expect(quietHours.quietUntil(undefined, ist('23:30'))).toBeNull();
+  });
+});
+
+describe('holdUntil', () => {
+  test('never holds critical and emergency alerts', () => {
+    expect(quietHours.holdUntil(overnight, 'critical', ist('23:30'))).toBeNull();
+    expect(quietHours.holdUntil(overnight, 'emergency', ist('23:30'))).toBeNull();
+  });
+
+  test('holds other alerts and messages without a severity', () => {
+    const morning = new Date('2026-06-02T06:00:00+05:30');
+    expect(quietHours.holdUntil(overnight, 'warning', ist('23:30'))).toEqual(morning);
+    expect(quietHours.holdUntil(overnight, undefined, ist('23:30'))).toEqual(morning);
+  });
+});
+
+describe('validation', () => {
+  test('accepts 24-hour times only', () => {
+    expect(quietHours.isValidTime('00:00')).toBe(true);
+    expect(quietHours.isValidTime('23:59')).toBe(true);
+    expect(quietHours.isValidTime('7:00')).toBe(false);
+    expect(quietHours.isValidTime('24:00')).toBe(false);
+  });
+
+  test('accepts IANA time zones only', () => {
+    expect(quietHours.isValidTimezone('Asia/Kolkata')).toBe(true);
+    expect(quietHours.isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+// SMS length rules. Messages using only the GSM 03.38 alphabet are sent as
+// 7-bit GSM; anything else (Devanagari, Tamil, emoji...) switches the whole
+// message to UCS-2, which fits far fewer characters per segment.
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters take an escape plus the character
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+// Units per segment for a single message and for each part of a long one;
+// long messages lose room to the concatenation header
+const SEGMENT_UNITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+const ELLIPSIS = '...';
+
+const isGsmChar = (char) => GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+
+const detectEncoding = (text) => {
+  for (const char of text || '') {
+    if (!isGsmChar(char)) return 'UCS-2';
+  }
+  return 'GSM-7';
+};
+
+// Length in septets (GSM-7) or UTF-16 code units (UCS-2)
+const charUnits = (char, encoding) => {
+  if (encoding === 'UCS-2') return char.length;
+  return GSM_EXTENDED.has(char) ? 2 : 1;
+};
+
+const countUnits = (text, encoding = detectEncoding(text)) => {
+  let units = 0;
+  for (const char of text || '') {
+    units += charUnits(char, encoding);
+  }
+  return units;
+};
+
+const countSegments = (units, encoding) => {
+  const { single, multipart } = SEGMENT_UNITS[encoding];
+  if (units === 0) return 0;
+  return units <= single ? 1 : Math.ceil(units / multipart);
+};
+
+// Units that fit in the given number of segments
+const capacity = (encoding, segments) => {
+  const { single, multipart } = SEGMENT_UNITS[encoding];
+  return segments <= 1 ? single : segments * multipart;
+};
+
+// Encoding, length and segment count of a message
+const analyze = (text) => {
+  const encoding = detectEncoding(text);
+  const units = countUnits(text, encoding);
+  const segments = countSegments(units, encoding);
+
+  return {
+    encoding,
+    characters: [...(text || '')].length,
+    units,
+    segments,
+    // Room left before another segment is needed
+    remaining: capacity(encoding, Math.max(segments, 1)) - units
+  };
+};
+
+// Shorten text to at most `maxUnits`, preferring to cut at a word boundary
+const truncate = (text, maxUnits, encoding = detectEncoding(text)) => {
+  if (countUnits(text, encoding) <= maxUnits) return text;
+
+  const room = maxUnits - countUnits(ELLIPSIS, encoding);
+  if (room <= 0) return '';
+
+  let cut = '';
+  let units = 0;
+  for (const char of text) {
+    const size = charUnits(char, encoding);
+    if (units + size > room) break;
+    cut += char;
+    units += size;
+  }
+
+  // Back up to the last space unless that would throw away most of the text
+  const lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace > cut.length * 0.6) {
+    cut = cut.slice(0, lastSpace);
+  }
+
+  return cut.replace(/[\s.,;:-]+$/, '') + ELLIPSIS;
+};
+
+module.exports = {
+  SEGMENT_UNITS,
+  detectEncoding,
+  countUnits,
+  countSegments,
+  capacity,
+  analyze,
+  truncate
+};
@@ -0,0 +1,104 @@
+const smsEncoding = require('./smsEncoding');
+
+describe('detectEncoding', () => {
+  test('keeps GSM-7 for the basic and extension tables', () => {
+    expect(smsEncoding.detectEncoding('Tide at 5.2m, stay off Juhu beach!')).toBe('GSM-7');
+    expect(smsEncoding.detectEncoding('Fee €5 [see {link}] ~ ^ | \\')).toBe('GSM-7');
+  });
+
+  test('switches to UCS-2 for Indic scripts and emoji', () => {
+    expect(smsEncoding.detectEncoding('चेतावनी')).toBe('UCS-2');
+    expect(smsEncoding.detectEncoding('Storm warning 🌊')).toBe('UCS-2');
+  });
+});
+
+describe('countUnits', () => {
+  test('counts extension characters as two septets', () => {
+    expect(smsEncoding.countUnits('abc')).toBe(3);
+    expect(smsEncoding.countUnits('€')).toBe(2);
+    expect(smsEncoding.countUnits('{a}')).toBe(5);
+  });
+
+  test('counts UTF-16 code units in UCS-2', () => {
+    expect(smsEncoding.countUnits('मदद')).toBe(3);
+    expect(smsEncoding.countUnits('🌊')).toBe(2);
+    // An extension character is a single unit once the message is UCS-2
+    expect(smsEncoding.countUnits('€ मदद')).toBe(5);
+  });
+});
+
+describe('analyze', () => {
+  test('fits 160 GSM-7 units in one segment and splits at 153 after that', () => {
+    expect(smsEncoding.analyze('a'.repeat(160))).toMatchObject({ encoding: 'GSM-7', units: 160, segments: 1, remaining: 0 });
+    expect(smsEncoding.analyze('a'.repeat(161))).toMatchObject({ segments: 2, remaining: 145 });
+    expect(smsEncoding.analyze('a'.repeat(306)).segments).toBe(2);
+    expect(smsEncoding.analyze('a'.repeat(307)).segments).toBe(3);
+  });
+
+  test('pushes a message over the limit with extension characters', () => {
+    expect(smsEncoding.analyze('a'.repeat(158) + '€')).toMatchObject({ units: 160, segments: 1 });
+    expect(smsEncoding.analyze('a'.repeat(159) + '€')).toMatchObject({ units: 161, segments: 2 });
+  });
+
+  test('fits 70 UCS-2 units in one segment and splits at 67 after that', () => {
+    expect(smsEncoding.analyze('म'.repeat(70))).toMatchObject({ encoding: 'UCS-2', segments: 1, remaining: 0 });
+    expect(smsEncoding.analyze('म'.repeat(71)).segments).toBe(2);
+    expect(smsEncoding.analyze('म'.repeat(134)).segments).toBe(2);
+    expect(smsEncoding.analyze('म'.repeat(135)).segments).toBe(3);
+  });
+
+  test('reports characters separately from units', () => {
+    expect(smsEncoding.analyze('🌊🌊')).toMatchObject({ characters: 2, units: 4 });
+    expect(smsEncoding.analyze('')).toMatchObject({ units: 0, segments: 0, remaining: 160 });
+  });
+});
+
+describe('capacity', () => {
+  test('uses the single limit for one segment and the multipart limit beyond', () => {
+    expect(smsEncoding.capacity('GSM-7', 1)).toBe(160);
+    expect(smsEncoding.capacity('GSM-7', 3)).toBe(459);
+    expect(smsEncoding.capacity('UCS-2', 1)).toBe(70);
+    expect(smsEncoding.capacity('UCS-2', 2)).toBe(134);
+  });
+});
+
+describe('truncate', () => {
+  const sentence = 'Cyclone warning for the Mumbai coast. Fishermen must return to harbour at once and stay ashore. ';
+
+  test('leaves text that fits alone', () => {
+    expect(smsEncoding.truncate('Short message', 160)).toBe('Short message');
+  });
+
+  test('stays within budget after adding the ellipsis', () => {
+    [20, 50, 100, 153, 160].forEach(budget => {
+      const text = smsEncoding.truncate(sentence.repeat(5), budget);
+      expect(text.endsWith('...')).toBe(true);
+      expect(smsEncoding.countUnits(text)).toBeLessThanOrEqual(budget);
+    });
+  });
+
+  test('counts extension characters against the budget', () => {
+    const text = smsEncoding.truncate('€'.repeat(100), 20);
+    expect(text).toBe('€'.repeat(8) + '...');
+    expect(smsEncoding.countUnits(text)).toBe(19);
+  });
+
+  test('stays within budget in UCS-2', () => {
+    const text = smsEncoding.truncate('चक्रवात की चेतावनी '.repeat(10), 67);
+    expect(smsEncoding.detectEncoding(text)).toBe('UCS-2');
+    expect(smsEncoding.countUnits(text)).toBeLessThanOrEqual(67);
+  });
+
+  test('does not split a surrogate pair', () => {
+    const text = smsEncoding.truncate('🌊'.repeat(10), 8, 'UCS-2');
+    expect(text).toBe('🌊🌊...');
+  });
+
+  test('cuts at a word boundary when one is close', () => {
+    expect(smsEncoding.truncate('Stay away from the beach today', 20)).toBe('Stay away from...');
+  });
+
+  test('returns nothing when even the ellipsis does not fit', () => {
+    expect(smsEncoding.truncate('Long enough text', 3)).toBe('');
+  });
+});